@@ -5,6 +5,7 @@
 const { Client } = require('pg');
 const { FieldAwareRedisIndexer } = require('./src/field-aware-redis-indexer.js');
 const NodeVault = require('node-vault');
+const { VaultDecryptPool } = require('./src/vault-decrypt-pool.js');
 
 const dbConfig = {
     user: 'postgres',
@@ -35,35 +36,42 @@ async function main() {
             rejectUnauthorized: false
         }
     });
+    const decryptPool = new VaultDecryptPool(vault);
+
+    // Records decrypted per round trip through the pool
+    const chunkSize = decryptPool.batchSize * decryptPool.concurrency;
 
     try {
         // Get all records from database
-        const result = await client.query('SELECT data_type, pii_data_point, token FROM pii_token_data WHERE is_active = true');
+        const result = await client.query('SELECT data_type, pii_data_point, token, tenant_id FROM pii_token_data WHERE is_active = true');
         console.log(`📊 Found ${result.rows.length} active records in database`);
 
         let indexed = 0;
         let errors = 0;
 
-        for (const row of result.rows) {
-            try {
-                // Decrypt the value
-                const decryptResult = await vault.write('transit/decrypt/pii-encryption-key', {
-                    ciphertext: row.pii_data_point
-                });
+        for (let offset = 0; offset < result.rows.length; offset += chunkSize) {
+            const rows = result.rows.slice(offset, offset + chunkSize);
 
-                const decryptedValue = Buffer.from(decryptResult.data.plaintext, 'base64').toString('utf8');
+            // Decrypt the chunk with parallel batch requests
+            const decrypted = await decryptPool.decryptBatch(rows.map(row => row.pii_data_point));
 
-                // Index in Redis
-                await redisIndexer.indexFieldValue(row.data_type, decryptedValue, row.token);
-                indexed++;
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                try {
+                    if (decrypted[i].error) throw decrypted[i].error;
 
-                if (indexed % 100 === 0) {
-                    console.log(`⏱️  Indexed ${indexed}/${result.rows.length} records...`);
-                }
+                    // Index in Redis
+                    await redisIndexer.indexFieldValue(row.data_type, decrypted[i].plaintext, row.token, row.tenant_id);
+                    indexed++;
 
-            } catch (error) {
-                console.error(`❌ Failed to index ${row.token}:`, error.message);
-                errors++;
+                    if (indexed % 100 === 0) {
+                        console.log(`⏱️  Indexed ${indexed}/${result.rows.length} records...`);
+                    }
+
+                } catch (error) {
+                    console.error(`❌ Failed to index ${row.token}:`, error.message);
+                    errors++;
+                }
             }
         }
 
@@ -71,6 +79,7 @@ async function main() {
         console.log(`   ✅ Successfully indexed: ${indexed} records`);
         console.log(`   ❌ Errors: ${errors} records`);
         console.log(`   📊 Success rate: ${((indexed / result.rows.length) * 100).toFixed(1)}%`);
+        console.log(`   🔓 Vault decrypt stats: ${JSON.stringify(decryptPool.getStats())}`);
 
     } catch (error) {
         console.error('❌ Rebuild failed:', error);
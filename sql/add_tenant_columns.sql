@@ -0,0 +1,38 @@
+-- ===============================================
+-- PII Search Index Migration: tenant columns
+-- Adds tenant_id to the PII records and the search index keys
+-- ===============================================
+
+-- Every existing row belongs to the default tenant. Index keys of the default tenant
+-- keep their format (idx:v1:fn:eq:...), so no re-indexing is needed; keys of other
+-- tenants carry the tenant (idx:v1:@acme:fn:eq:...) and are signed with a secret
+-- derived per tenant.
+--
+-- The migration runs in a single transaction and is safe to re-run.
+
+BEGIN;
+
+ALTER TABLE pii_token_data
+    ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(64) NOT NULL DEFAULT 'default';
+
+ALTER TABLE pii_search_index
+    ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(64) NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_pii_token_data_tenant ON pii_token_data(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_pii_search_tenant ON pii_search_index(tenant_id);
+
+COMMIT;
+
+-- ===============================================
+-- Verification
+-- ===============================================
+
+SELECT tenant_id, COUNT(*) as records
+FROM pii_token_data
+GROUP BY tenant_id
+ORDER BY tenant_id;
+
+SELECT tenant_id, COUNT(*) as total_keys
+FROM pii_search_index
+GROUP BY tenant_id
+ORDER BY tenant_id;
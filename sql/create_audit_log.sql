@@ -0,0 +1,49 @@
+-- ===============================================
+-- PII Audit Log: append-only, hash-chained table
+-- Shared by the Redis search API, the database search API and detokenization
+-- ===============================================
+
+-- Each entry stores the SHA-256 hash of the previous entry (prev_hash) and its own hash
+-- over its content and prev_hash (entry_hash), so editing, deleting or reordering an entry
+-- breaks the chain at that point (node src/audit-log.js --verify).
+-- UPDATE, DELETE and TRUNCATE are rejected by triggers; in production also revoke them
+-- from the application role (see the end of this file).
+--
+-- src/audit-log.js runs this file on startup; it is safe to re-run.
+
+CREATE TABLE IF NOT EXISTS pii_audit_log (
+    seq BIGINT PRIMARY KEY,
+    recorded_at TIMESTAMPTZ NOT NULL,
+    event VARCHAR(64) NOT NULL,
+    actor VARCHAR(255) NOT NULL,
+    tenant_id VARCHAR(64),
+    details JSONB NOT NULL DEFAULT '{}',
+    prev_hash CHAR(64) NOT NULL,
+    entry_hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_audit_log_recorded_at ON pii_audit_log(recorded_at);
+CREATE INDEX IF NOT EXISTS idx_pii_audit_log_event ON pii_audit_log(event);
+CREATE INDEX IF NOT EXISTS idx_pii_audit_log_actor ON pii_audit_log(actor);
+CREATE INDEX IF NOT EXISTS idx_pii_audit_log_tenant ON pii_audit_log(tenant_id);
+
+CREATE OR REPLACE FUNCTION pii_audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'pii_audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS pii_audit_log_no_change ON pii_audit_log;
+CREATE TRIGGER pii_audit_log_no_change
+    BEFORE UPDATE OR DELETE ON pii_audit_log
+    FOR EACH ROW EXECUTE FUNCTION pii_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS pii_audit_log_no_truncate ON pii_audit_log;
+CREATE TRIGGER pii_audit_log_no_truncate
+    BEFORE TRUNCATE ON pii_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION pii_audit_log_append_only();
+
+-- ===============================================
+-- Production hardening (run as the table owner)
+-- ===============================================
+-- REVOKE UPDATE, DELETE, TRUNCATE ON pii_audit_log FROM <application_role>;
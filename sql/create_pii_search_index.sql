@@ -4,8 +4,9 @@
 -- ===============================================
 -- POC Version: Simplified for demonstration purposes
 
--- Drop existing table if it exists (for development/testing)
+-- Drop existing tables if they exist (for development/testing)
 -- CAUTION: This will delete all existing search index data
+DROP TABLE IF EXISTS pii_search_postings CASCADE;
 DROP TABLE IF EXISTS pii_search_index CASCADE;
 
 -- ===============================================
@@ -17,14 +18,13 @@ CREATE TABLE pii_search_index (
     -- Example: "idx:fn:eq:Kx7mN9pQr2sT8uV3wX4yZ5a"
     hmac_key VARCHAR(255) PRIMARY KEY,
 
-    -- Comma-separated list of opaque tokens that match this HMAC key
-    -- Example: "TKN_ABC123_FIRST_NAME,TKN_XYZ789_FIRST_NAME"
-    token_set TEXT NOT NULL,
-
     -- Original field type for audit purposes
     -- Examples: FIRST_NAME, EMAIL, MOBILE_NUMBER, ADDRESS
     field_type VARCHAR(50) NOT NULL,
 
+    -- Tenant the key belongs to (keys of other tenants are also prefixed: "idx:v1:@acme:fn:eq:...")
+    tenant_id VARCHAR(64) NOT NULL DEFAULT 'default',
+
     -- Timestamp when this index entry was created
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
 
@@ -32,6 +32,28 @@ CREATE TABLE pii_search_index (
     retention_until TIMESTAMP NOT NULL DEFAULT (NOW() + INTERVAL '1 year')
 );
 
+-- ===============================================
+-- Token Posting Table
+-- ===============================================
+-- One row per (hmac_key, token) pair. Replaces the former comma-separated
+-- token_set column: de-duplication is exact (primary key) instead of LIKE-based,
+-- and adding a token is a single-row insert instead of a string rewrite.
+-- Postings are removed with their key (ON DELETE CASCADE) by retention cleanup.
+
+CREATE TABLE pii_search_postings (
+    -- Search key this token is posted under
+    hmac_key VARCHAR(255) NOT NULL REFERENCES pii_search_index(hmac_key) ON DELETE CASCADE,
+
+    -- Opaque token that matches the key
+    -- Example: "TKN_ABC123_FIRST_NAME"
+    token VARCHAR(255) NOT NULL,
+
+    -- Timestamp when the token was posted under the key
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (hmac_key, token)
+);
+
 -- ===============================================
 -- Performance Indexes
 -- ===============================================
@@ -42,6 +64,9 @@ CREATE INDEX idx_pii_search_field_type ON pii_search_index(field_type);
 -- GDPR retention cleanup index
 CREATE INDEX idx_pii_search_retention ON pii_search_index(retention_until);
 
+-- Tenant filter index
+CREATE INDEX idx_pii_search_tenant ON pii_search_index(tenant_id);
+
 -- Composite index for efficient field + HMAC queries
 CREATE INDEX idx_pii_search_field_hmac ON pii_search_index(field_type, hmac_key);
 
@@ -49,6 +74,9 @@ CREATE INDEX idx_pii_search_field_hmac ON pii_search_index(field_type, hmac_key)
 CREATE INDEX idx_pii_search_cleanup ON pii_search_index(retention_until, field_type)
 WHERE retention_until IS NOT NULL;
 
+-- Token lookup index (find every key a token is posted under)
+CREATE INDEX idx_pii_search_postings_token ON pii_search_postings(token);
+
 -- ===============================================
 -- Essential GDPR Compliance Functions
 -- ===============================================
@@ -125,14 +153,8 @@ BEGIN
         FROM pii_search_index
     ),
     token_count AS (
-        SELECT SUM(
-            CASE
-                WHEN token_set IS NOT NULL AND token_set != ''
-                THEN array_length(string_to_array(token_set, ','), 1)
-                ELSE 0
-            END
-        ) as total_token_count
-        FROM pii_search_index
+        SELECT COUNT(*) as total_token_count
+        FROM pii_search_postings
     )
     SELECT
         (SELECT COUNT(*) FROM pii_search_index)::BIGINT as total_keys,
@@ -142,7 +164,7 @@ BEGIN
         (SELECT json_build_object('expired', expired_entries, 'active', active_entries) FROM retention_stats) as retention_summary,
         (SELECT MIN(created_at) FROM pii_search_index) as oldest_entry,
         (SELECT MAX(created_at) FROM pii_search_index) as newest_entry,
-        ROUND(pg_total_relation_size('pii_search_index') / 1024.0 / 1024.0, 2) as index_size_mb;
+        ROUND((pg_total_relation_size('pii_search_index') + pg_total_relation_size('pii_search_postings')) / 1024.0 / 1024.0, 2) as index_size_mb;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -151,12 +173,11 @@ CREATE OR REPLACE FUNCTION search_tokens_by_keys(hmac_keys TEXT[])
 RETURNS TABLE(token TEXT) AS $$
 BEGIN
     RETURN QUERY
-    SELECT DISTINCT unnest(string_to_array(psi.token_set, ',')) as token
+    SELECT DISTINCT psp.token::TEXT
     FROM pii_search_index psi
+    JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
     WHERE psi.hmac_key = ANY(hmac_keys)
-      AND (psi.retention_until IS NULL OR psi.retention_until > NOW())
-      AND psi.token_set IS NOT NULL
-      AND psi.token_set != '';
+      AND (psi.retention_until IS NULL OR psi.retention_until > NOW());
 END;
 $$ LANGUAGE plpgsql;
 
@@ -164,7 +185,8 @@ $$ LANGUAGE plpgsql;
 CREATE OR REPLACE FUNCTION search_tokens_intersection(hmac_keys TEXT[])
 RETURNS TABLE(token TEXT) AS $$
 DECLARE
-    key_count INTEGER := array_length(hmac_keys, 1);
+    -- Distinct keys: a query with a repeated k-gram ("aaaa") lists the same key twice
+    key_count INTEGER := (SELECT COUNT(DISTINCT k) FROM unnest(hmac_keys) AS k);
 BEGIN
     -- If no keys provided, return empty result
     IF key_count = 0 OR hmac_keys IS NULL THEN
@@ -181,13 +203,12 @@ BEGIN
     RETURN QUERY
     WITH token_counts AS (
         SELECT
-            unnest(string_to_array(psi.token_set, ',')) as token,
+            psp.token::TEXT as token,
             COUNT(*) as key_matches
         FROM pii_search_index psi
+        JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
         WHERE psi.hmac_key = ANY(hmac_keys)
           AND (psi.retention_until IS NULL OR psi.retention_until > NOW())
-          AND psi.token_set IS NOT NULL
-          AND psi.token_set != ''
         GROUP BY 1
     )
     SELECT tc.token
@@ -202,10 +223,16 @@ $$ LANGUAGE plpgsql;
 
 -- Example: Insert sample HMAC keys with tokens (for POC testing)
 /*
-INSERT INTO pii_search_index (hmac_key, token_set, field_type) VALUES
-('idx:fn:eq:Kx7mN9pQr2sT8uV3wX4yZ5a', 'TKN_ABC123_FIRST_NAME,TKN_XYZ789_FIRST_NAME', 'FIRST_NAME'),
-('idx:email:g3:Pp1rS4tW6xA9zC2eG5fH7i', 'TKN_DEF456_EMAIL', 'EMAIL'),
-('idx:phone:pre:Qq2sT5uX7yB0zD3fH6gI8j', 'TKN_GHI789_MOBILE_NUMBER', 'MOBILE_NUMBER');
+INSERT INTO pii_search_index (hmac_key, field_type) VALUES
+('idx:fn:eq:Kx7mN9pQr2sT8uV3wX4yZ5a', 'FIRST_NAME'),
+('idx:email:g3:Pp1rS4tW6xA9zC2eG5fH7i', 'EMAIL'),
+('idx:phone:pre:Qq2sT5uX7yB0zD3fH6gI8j', 'MOBILE_NUMBER');
+
+INSERT INTO pii_search_postings (hmac_key, token) VALUES
+('idx:fn:eq:Kx7mN9pQr2sT8uV3wX4yZ5a', 'TKN_ABC123_FIRST_NAME'),
+('idx:fn:eq:Kx7mN9pQr2sT8uV3wX4yZ5a', 'TKN_XYZ789_FIRST_NAME'),
+('idx:email:g3:Pp1rS4tW6xA9zC2eG5fH7i', 'TKN_DEF456_EMAIL'),
+('idx:phone:pre:Qq2sT5uX7yB0zD3fH6gI8j', 'TKN_GHI789_MOBILE_NUMBER');
 */
 
 -- ===============================================
@@ -235,7 +262,7 @@ INSERT INTO pii_search_index (hmac_key, token_set, field_type) VALUES
 POC MAINTENANCE SCHEDULE:
 1. Daily: SELECT * FROM gdpr_cleanup_search_index();
 2. Weekly: SELECT * FROM get_search_index_stats();
-3. Monthly: VACUUM ANALYZE pii_search_index;
+3. Monthly: VACUUM ANALYZE pii_search_index; VACUUM ANALYZE pii_search_postings;
 
 POC PERFORMANCE MONITORING:
 1. Index size: SELECT pg_size_pretty(pg_total_relation_size('pii_search_index'));
@@ -265,8 +292,10 @@ BEGIN
         RAISE NOTICE '=====================================';
         RAISE NOTICE 'Table: pii_search_index';
         RAISE NOTICE '  - hmac_key (PRIMARY KEY)';
-        RAISE NOTICE '  - token_set, field_type';
+        RAISE NOTICE '  - field_type, tenant_id';
         RAISE NOTICE '  - created_at, retention_until';
+        RAISE NOTICE 'Table: pii_search_postings';
+        RAISE NOTICE '  - (hmac_key, token) (PRIMARY KEY)';
         RAISE NOTICE '';
         RAISE NOTICE 'Functions:';
         RAISE NOTICE '  ✓ gdpr_cleanup_search_index()';
@@ -274,7 +303,7 @@ BEGIN
         RAISE NOTICE '  ✓ search_tokens_by_keys()';
         RAISE NOTICE '  ✓ search_tokens_intersection()';
         RAISE NOTICE '';
-        RAISE NOTICE 'Indexes: 4 performance indexes created';
+        RAISE NOTICE 'Indexes: 5 performance indexes created';
         RAISE NOTICE 'Ready for POC testing and demonstration!';
         RAISE NOTICE '=====================================';
     ELSE
@@ -0,0 +1,73 @@
+-- ===============================================
+-- PII Search Index Migration: token_set → pii_search_postings
+-- Moves the comma-separated token_set column into a normalized posting table
+-- ===============================================
+
+-- Old layout:
+--   pii_search_index(hmac_key PK, token_set TEXT, field_type, created_at, retention_until)
+-- New layout:
+--   pii_search_index(hmac_key PK, field_type, created_at, retention_until)
+--   pii_search_postings(hmac_key FK, token, created_at, PK(hmac_key, token))
+--
+-- The migration runs in a single transaction and is safe to re-run: postings are
+-- inserted with ON CONFLICT DO NOTHING and the column is only dropped if present.
+-- The same steps are available from the indexer: node src/pii-db-search-indexer.js --migrate-postings
+
+BEGIN;
+
+-- ===============================================
+-- Posting Table
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS pii_search_postings (
+    hmac_key VARCHAR(255) NOT NULL REFERENCES pii_search_index(hmac_key) ON DELETE CASCADE,
+    token VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (hmac_key, token)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_search_postings_token ON pii_search_postings(token);
+
+-- ===============================================
+-- Copy Tokens and Drop Legacy Column
+-- ===============================================
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public'
+          AND table_name = 'pii_search_index'
+          AND column_name = 'token_set'
+    ) THEN
+        INSERT INTO pii_search_postings (hmac_key, token, created_at)
+        SELECT psi.hmac_key, btrim(t.token), psi.created_at
+        FROM pii_search_index psi
+        CROSS JOIN LATERAL unnest(string_to_array(psi.token_set, ',')) AS t(token)
+        WHERE btrim(t.token) <> ''
+        ON CONFLICT (hmac_key, token) DO NOTHING;
+
+        ALTER TABLE pii_search_index DROP COLUMN token_set;
+
+        RAISE NOTICE 'Migrated token_set to pii_search_postings';
+    ELSE
+        RAISE NOTICE 'token_set column not present - nothing to migrate';
+    END IF;
+END $$;
+
+COMMIT;
+
+-- Refresh planner statistics for both tables
+ANALYZE pii_search_index;
+ANALYZE pii_search_postings;
+
+-- ===============================================
+-- Verification
+-- ===============================================
+
+SELECT
+    (SELECT COUNT(*) FROM pii_search_index) as total_keys,
+    (SELECT COUNT(*) FROM pii_search_postings) as total_postings;
+
+-- After migration, re-run sql/optimize_existing_pii_search_index.sql to update
+-- the helper functions and the pii_search_index_summary view.
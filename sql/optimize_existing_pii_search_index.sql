@@ -4,7 +4,10 @@
 -- ===============================================
 
 -- This script works with your existing table structure:
--- hmac_key (PRIMARY KEY), token_set, field_type, created_at, retention_until
+-- pii_search_index:    hmac_key (PRIMARY KEY), field_type, created_at, retention_until
+-- pii_search_postings: (hmac_key, token) (PRIMARY KEY), created_at
+-- Tables still using the legacy comma-separated token_set column must be migrated
+-- first with sql/migrate_token_set_to_postings.sql
 
 -- ===============================================
 -- Add Missing Columns (if needed)
@@ -19,7 +22,6 @@ ALTER COLUMN retention_until SET DEFAULT (NOW() + INTERVAL '1 year');
 
 -- Make essential columns NOT NULL if they aren't already
 -- (These will fail if there's existing NULL data - check first)
--- ALTER TABLE pii_search_index ALTER COLUMN token_set SET NOT NULL;
 -- ALTER TABLE pii_search_index ALTER COLUMN field_type SET NOT NULL;
 -- ALTER TABLE pii_search_index ALTER COLUMN created_at SET NOT NULL;
 -- ALTER TABLE pii_search_index ALTER COLUMN retention_until SET NOT NULL;
@@ -44,6 +46,9 @@ CREATE INDEX IF NOT EXISTS idx_pii_search_created_at ON pii_search_index(created
 CREATE INDEX IF NOT EXISTS idx_pii_search_cleanup ON pii_search_index(retention_until, field_type)
 WHERE retention_until IS NOT NULL;
 
+-- Add token lookup index on the posting table (if not exists)
+CREATE INDEX IF NOT EXISTS idx_pii_search_postings_token ON pii_search_postings(token);
+
 -- ===============================================
 -- GDPR Compliance Functions
 -- ===============================================
@@ -120,18 +125,12 @@ BEGIN
         FROM pii_search_index
     ),
     token_count AS (
-        SELECT SUM(
-            CASE
-                WHEN token_set IS NOT NULL AND token_set != ''
-                THEN array_length(string_to_array(token_set, ','), 1)
-                ELSE 0
-            END
-        ) as total_token_count
-        FROM pii_search_index
+        SELECT COUNT(*) as total_token_count
+        FROM pii_search_postings
     ),
     size_stats AS (
         SELECT
-            ROUND(pg_total_relation_size('pii_search_index') / 1024.0 / 1024.0, 2) as table_size_mb
+            ROUND((pg_total_relation_size('pii_search_index') + pg_total_relation_size('pii_search_postings')) / 1024.0 / 1024.0, 2) as table_size_mb
     )
     SELECT
         (SELECT COUNT(*) FROM pii_search_index)::BIGINT as total_keys,
@@ -150,12 +149,11 @@ CREATE OR REPLACE FUNCTION search_tokens_by_keys(hmac_keys TEXT[])
 RETURNS TABLE(token TEXT) AS $$
 BEGIN
     RETURN QUERY
-    SELECT DISTINCT unnest(string_to_array(psi.token_set, ',')) as token
+    SELECT DISTINCT psp.token::TEXT
     FROM pii_search_index psi
+    JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
     WHERE psi.hmac_key = ANY(hmac_keys)
-      AND (psi.retention_until IS NULL OR psi.retention_until > NOW())
-      AND psi.token_set IS NOT NULL
-      AND psi.token_set != '';
+      AND (psi.retention_until IS NULL OR psi.retention_until > NOW());
 END;
 $$ LANGUAGE plpgsql;
 
@@ -163,7 +161,8 @@ $$ LANGUAGE plpgsql;
 CREATE OR REPLACE FUNCTION search_tokens_intersection(hmac_keys TEXT[])
 RETURNS TABLE(token TEXT) AS $$
 DECLARE
-    key_count INTEGER := array_length(hmac_keys, 1);
+    -- Distinct keys: a query with a repeated k-gram ("aaaa") lists the same key twice
+    key_count INTEGER := (SELECT COUNT(DISTINCT k) FROM unnest(hmac_keys) AS k);
 BEGIN
     -- If no keys provided, return empty result
     IF key_count = 0 OR hmac_keys IS NULL THEN
@@ -180,13 +179,12 @@ BEGIN
     RETURN QUERY
     WITH token_counts AS (
         SELECT
-            unnest(string_to_array(psi.token_set, ',')) as token,
+            psp.token::TEXT as token,
             COUNT(*) as key_matches
         FROM pii_search_index psi
+        JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
         WHERE psi.hmac_key = ANY(hmac_keys)
           AND (psi.retention_until IS NULL OR psi.retention_until > NOW())
-          AND psi.token_set IS NOT NULL
-          AND psi.token_set != ''
         GROUP BY 1
     )
     SELECT tc.token
@@ -232,20 +230,16 @@ BEGIN
     WITH pattern_analysis AS (
         SELECT
             CASE
-                WHEN hmac_key LIKE 'idx:%:eq:%' THEN 'equality'
-                WHEN hmac_key LIKE 'idx:%:pre:%' THEN 'prefix'
-                WHEN hmac_key LIKE 'idx:%:suf:%' THEN 'suffix'
-                WHEN hmac_key LIKE 'idx:%:g3:%' THEN '3-gram'
-                WHEN hmac_key LIKE 'idx:%:g4:%' THEN '4-gram'
+                WHEN psi.hmac_key LIKE 'idx:%:eq:%' THEN 'equality'
+                WHEN psi.hmac_key LIKE 'idx:%:pre:%' THEN 'prefix'
+                WHEN psi.hmac_key LIKE 'idx:%:suf:%' THEN 'suffix'
+                WHEN psi.hmac_key LIKE 'idx:%:g3:%' THEN '3-gram'
+                WHEN psi.hmac_key LIKE 'idx:%:g4:%' THEN '4-gram'
                 ELSE 'unknown'
             END as pattern,
-            hmac_key,
-            CASE
-                WHEN token_set IS NOT NULL AND token_set != ''
-                THEN array_length(string_to_array(token_set, ','), 1)
-                ELSE 0
-            END as token_count
-        FROM pii_search_index
+            psi.hmac_key,
+            (SELECT COUNT(*) FROM pii_search_postings psp WHERE psp.hmac_key = psi.hmac_key) as token_count
+        FROM pii_search_index psi
     )
     SELECT
         pa.pattern::VARCHAR(20),
@@ -267,13 +261,13 @@ RETURNS TABLE(
 ) AS $$
 BEGIN
     RETURN QUERY
-    -- Empty token sets
+    -- Keys without any postings
     SELECT
-        'empty_token_set'::TEXT,
+        'empty_posting_list'::TEXT,
         COUNT(*)::BIGINT,
-        (array_agg(hmac_key))[1]
-    FROM pii_search_index
-    WHERE token_set IS NULL OR token_set = ''
+        (array_agg(psi.hmac_key))[1]
+    FROM pii_search_index psi
+    WHERE NOT EXISTS (SELECT 1 FROM pii_search_postings psp WHERE psp.hmac_key = psi.hmac_key)
     HAVING COUNT(*) > 0
 
     UNION ALL
@@ -293,9 +287,13 @@ BEGIN
     SELECT
         'high_token_count'::TEXT,
         COUNT(*)::BIGINT,
-        (array_agg(hmac_key))[1]
-    FROM pii_search_index
-    WHERE array_length(string_to_array(token_set, ','), 1) > 1000
+        (array_agg(busy.hmac_key))[1]
+    FROM (
+        SELECT hmac_key
+        FROM pii_search_postings
+        GROUP BY hmac_key
+        HAVING COUNT(*) > 1000
+    ) busy
     HAVING COUNT(*) > 0;
 END;
 $$ LANGUAGE plpgsql;
@@ -307,20 +305,14 @@ $$ LANGUAGE plpgsql;
 -- Create a view for easy monitoring (read-only)
 CREATE OR REPLACE VIEW pii_search_index_summary AS
 SELECT
-    field_type,
+    psi.field_type,
     COUNT(*) as total_keys,
-    SUM(
-        CASE
-            WHEN token_set IS NOT NULL AND token_set != ''
-            THEN array_length(string_to_array(token_set, ','), 1)
-            ELSE 0
-        END
-    ) as total_tokens,
-    MIN(created_at) as oldest_entry,
-    MAX(created_at) as newest_entry,
-    COUNT(CASE WHEN retention_until < NOW() THEN 1 END) as expired_entries
-FROM pii_search_index
-GROUP BY field_type
+    SUM((SELECT COUNT(*) FROM pii_search_postings psp WHERE psp.hmac_key = psi.hmac_key)) as total_tokens,
+    MIN(psi.created_at) as oldest_entry,
+    MAX(psi.created_at) as newest_entry,
+    COUNT(CASE WHEN psi.retention_until < NOW() THEN 1 END) as expired_entries
+FROM pii_search_index psi
+GROUP BY psi.field_type
 ORDER BY total_keys DESC;
 
 -- ===============================================
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TENANT, TENANT_ID_PATTERN } = require('./tenants.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// API clients of the HTTP server
+// A client authenticates with its API key in the X-Api-Key header. The registry
+// (config/api-clients.json, API_CLIENTS_FILE) only keeps the SHA-256 of each key, so the file
+// can be read by anyone operating the server without exposing a working key:
+//   { "version": 1, "clients": { "<clientId>": { "keySha256": "<hex>", "role": "<role>", "tenants": ["acme"] } } }
+// The client id is the identity quotas and audit entries are keyed on; the role, when set, is
+// the detokenization policy role (detokenization-service.js) the client acts in. A client
+// without a role can search but not detokenize. tenants lists the tenants the client may
+// search and detokenize in (only the default tenant when omitted). Roles and tenants are
+// never taken from the request: a requested tenant outside the list is refused.
+
+const config = {
+    clientsFile: process.env.API_CLIENTS_FILE || path.join(__dirname, '..', 'config', 'api-clients.json')
+};
+
+// Ids of API clients and of the callers acting through them (audit actors, detokenization callers)
+const CALLER_ID_PATTERN = /^[A-Za-z0-9._@-]{1,128}$/;
+const KEY_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+function generateApiKey() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Check a parsed registry; throws with every problem found
+function validateApiClients(registry, source = 'registry') {
+    const problems = [];
+
+    if (!registry || typeof registry !== 'object' || !registry.clients || typeof registry.clients !== 'object') {
+        throw new Error(`Invalid API clients ${source}: expected { "clients": { ... } }`);
+    }
+
+    const hashes = new Set();
+    for (const [clientId, client] of Object.entries(registry.clients)) {
+        if (!CALLER_ID_PATTERN.test(clientId)) {
+            problems.push(`client ${clientId}: id must be 1-128 of A-Z, a-z, 0-9, ".", "_", "@" and "-"`);
+        }
+        if (!client || !KEY_HASH_PATTERN.test(client.keySha256)) {
+            problems.push(`client ${clientId}: keySha256 must be a hex SHA-256`);
+        } else if (hashes.has(client.keySha256)) {
+            problems.push(`client ${clientId}: key is shared with another client`);
+        } else {
+            hashes.add(client.keySha256);
+        }
+        if (client && client.role !== undefined && (typeof client.role !== 'string' || !client.role)) {
+            problems.push(`client ${clientId}: role must be a non-empty string`);
+        }
+        if (client && client.tenants !== undefined && (!Array.isArray(client.tenants) || client.tenants.length === 0 ||
+            !client.tenants.every(tenantId => typeof tenantId === 'string' && TENANT_ID_PATTERN.test(tenantId)) ||
+            new Set(client.tenants).size !== client.tenants.length)) {
+            problems.push(`client ${clientId}: tenants must be a non-empty list of distinct tenant ids (1-64 of a-z, 0-9, _ and -)`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid API clients ${source}: ${problems.join('; ')}`);
+    }
+    return registry;
+}
+
+function loadApiClients(filePath = config.clientsFile) {
+    let registry;
+    try {
+        registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read API clients ${filePath}: ${error.message}`);
+    }
+    return validateApiClients(registry, filePath);
+}
+
+function saveApiClients(registry, filePath = config.clientsFile) {
+    validateApiClients(registry, filePath);
+    fs.writeFileSync(filePath, `${JSON.stringify(registry, null, 2)}\n`);
+}
+
+class ApiClientRegistry {
+    constructor(registry = loadApiClients()) {
+        validateApiClients(registry);
+
+        // Key hash → client; only own entries of the parsed file are looked up
+        this.clients = new Map(Object.entries(registry.clients).map(([clientId, client]) =>
+            [client.keySha256, { clientId, role: client.role || null, tenants: client.tenants || [DEFAULT_TENANT] }]));
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    // { clientId, role, tenants } of an API key; null when the key is unknown
+    authenticate(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey) return null;
+        return this.clients.get(hashApiKey(apiKey)) || null;
+    }
+}
+
+// Main execution
+async function main() {
+    console.log('🔑 API Clients');
+    console.log('==============');
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+Usage: node api-clients.js [options]
+
+Manages the API clients of the HTTP search server (X-Api-Key header).
+
+Options:
+  --add <clientId>           Create a client and print its API key (shown only once)
+  --role <role>              Detokenization role of the client (with --add; a role of the policy file)
+  --tenants <a,b>            Tenants the client may access (with --add; default: the default tenant)
+  --rotate <clientId>        Replace a client's API key and print the new one
+  --remove <clientId>        Remove a client
+  --list                     List clients and their roles
+  --help                     Show this help message
+
+Environment Variables:
+  API_CLIENTS_FILE           Client registry (default: config/api-clients.json)
+
+Only the SHA-256 of each key is stored. Clients without a role can search but not detokenize.
+
+Example:
+  npm run api-clients -- --add support-portal --role support-agent --tenants acme
+        `);
+        return;
+    }
+
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    const registry = loadApiClients();
+
+    if (args.includes('--list')) {
+        const clients = Object.entries(registry.clients);
+        console.log(`📋 ${clients.length} clients in ${config.clientsFile}`);
+        clients.forEach(([clientId, client]) => console.log(
+            `   ${clientId.padEnd(24)} ${(client.role || '(search only)').padEnd(20)} ${(client.tenants || [DEFAULT_TENANT]).join(', ')}`));
+        return;
+    }
+
+    const addId = getArg('--add');
+    const rotateId = getArg('--rotate');
+    const removeId = getArg('--remove');
+
+    if (removeId) {
+        if (!Object.hasOwn(registry.clients, removeId)) throw new Error(`Unknown client: ${removeId}`);
+        delete registry.clients[removeId];
+        saveApiClients(registry);
+        console.log(`🗑️  Removed client ${removeId}`);
+        return;
+    }
+
+    const clientId = addId || rotateId;
+    if (!clientId) {
+        throw new Error('--add, --rotate, --remove or --list is required');
+    }
+    if (addId && Object.hasOwn(registry.clients, addId)) throw new Error(`Client ${addId} already exists (use --rotate)`);
+    if (rotateId && !Object.hasOwn(registry.clients, rotateId)) throw new Error(`Unknown client: ${rotateId}`);
+
+    if (addId) {
+        if (getArg('--role')) {
+            // Checked against the policy so a typo does not surface as denials later
+            const { loadDetokenizationPolicy } = require('./detokenization-service.js');
+            if (!Object.hasOwn(loadDetokenizationPolicy().roles, getArg('--role'))) {
+                throw new Error(`Unknown role: ${getArg('--role')}`);
+            }
+        }
+        registry.clients[addId] = {
+            keySha256: null,
+            ...(getArg('--role') ? { role: getArg('--role') } : {}),
+            ...(getArg('--tenants') ? { tenants: getArg('--tenants').split(',').map(tenantId => tenantId.trim().toLowerCase()) } : {})
+        };
+    }
+
+    const apiKey = generateApiKey();
+    registry.clients[clientId].keySha256 = hashApiKey(apiKey);
+    saveApiClients(registry);
+
+    console.log(`✅ ${addId ? 'Created' : 'Rotated key of'} client ${clientId}${registry.clients[clientId].role ? ` (role ${registry.clients[clientId].role})` : ''}`);
+    console.log(`🔑 API key (store it now, it is not shown again): ${apiKey}`);
+}
+
+// Export for use in other modules
+module.exports = {
+    ApiClientRegistry,
+    CALLER_ID_PATTERN,
+    loadApiClients,
+    validateApiClients,
+    hashApiKey,
+    generateApiKey
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('❌ API client update failed:', error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+// Load environment variables
+require('dotenv').config();
+
+// Validate required environment variables
+const requiredEnvVars = ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT'];
+const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingVars.length > 0) {
+    console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
+    console.error('Please copy .env.template to .env and configure all required variables.');
+    process.exit(1);
+}
+
+// Tamper-evident Audit Log
+// Searches (both search APIs) and detokenization requests are appended to the PostgreSQL table
+// pii_audit_log (sql/create_audit_log.sql), which rejects UPDATE, DELETE and TRUNCATE.
+// Entries form a hash chain: entry_hash = SHA-256(prev_hash | canonical entry), starting from a
+// hash of zeros, so changing, removing or reordering an entry breaks the chain from that entry on.
+// Removing entries from the end leaves a valid, shorter chain: keep the head hash printed by
+// --verify somewhere else and pass it as --anchor later to detect that too.
+// Entries never hold PII: queries are recorded by length, tokens are opaque.
+
+const config = {
+    database: {
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST,
+        database: process.env.DB_DATABASE,
+        password: process.env.DB_PASSWORD,
+        port: parseInt(process.env.DB_PORT),
+    },
+    audit: {
+        schemaFile: path.join(__dirname, '..', 'sql', 'create_audit_log.sql'),
+        verifyBatchSize: parseInt(process.env.AUDIT_VERIFY_BATCH_SIZE) || 1000,
+        queryLimit: parseInt(process.env.AUDIT_QUERY_LIMIT) || 1000
+    }
+};
+
+const GENESIS_HASH = '0'.repeat(64);
+const EXPORT_FORMATS = ['json', 'csv'];
+const CSV_COLUMNS = ['seq', 'recordedAt', 'event', 'actor', 'tenantId', 'details', 'prevHash', 'entryHash'];
+
+// Serialize with sorted keys so a hash or signature doesn't depend on property order
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Chain hash of an entry: SHA-256 over the previous entry's hash and this entry's content
+function hashEntry(entry, prevHash) {
+    const { seq, recordedAt, event, actor, tenantId, details } = entry;
+    const content = canonicalize({ seq, recordedAt, event, actor, tenantId, details });
+    return crypto.createHash('sha256').update(`${prevHash}|${content}`).digest('hex');
+}
+
+function fromRow(row) {
+    return {
+        seq: Number(row.seq),
+        recordedAt: new Date(row.recorded_at).toISOString(),
+        event: row.event,
+        actor: row.actor,
+        tenantId: row.tenant_id,
+        details: row.details,
+        prevHash: row.prev_hash,
+        entryHash: row.entry_hash
+    };
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLog {
+    constructor() {
+        this.dbClient = null;
+        // Appends of this process run one at a time (the chain needs the previous hash)
+        this.pending = Promise.resolve();
+    }
+
+    // Own connection: appends run in transactions that must not mix with the caller's queries
+    async initialize() {
+        try {
+            this.dbClient = new Client(config.database);
+            await this.dbClient.connect();
+            await this.ensureSchema();
+            console.log('✅ Audit log ready (pii_audit_log)');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize audit log:', error.message);
+            throw error;
+        }
+    }
+
+    // Create the table and its append-only triggers on first use
+    async ensureSchema() {
+        const result = await this.dbClient.query("SELECT to_regclass('pii_audit_log') IS NOT NULL AS exists");
+        if (!result.rows[0].exists) {
+            await this.dbClient.query(fs.readFileSync(config.audit.schemaFile, 'utf8'));
+            console.log('📋 Created pii_audit_log');
+        }
+    }
+
+    // Append an entry { event, actor, tenantId, details }; resolves to { seq, entryHash }
+    // Other processes are serialized by a transaction-level advisory lock
+    append(entry) {
+        const appended = this.pending.then(() => this.appendEntry(entry));
+        this.pending = appended.catch(() => {});
+        return appended;
+    }
+
+    async appendEntry({ event, actor, tenantId = null, details = {} }) {
+        await this.dbClient.query('BEGIN');
+
+        try {
+            await this.dbClient.query("SELECT pg_advisory_xact_lock(hashtext('pii_audit_log'))");
+            const last = await this.dbClient.query('SELECT seq, entry_hash FROM pii_audit_log ORDER BY seq DESC LIMIT 1');
+
+            const prevHash = last.rows.length > 0 ? last.rows[0].entry_hash : GENESIS_HASH;
+            const entry = {
+                seq: last.rows.length > 0 ? Number(last.rows[0].seq) + 1 : 1,
+                recordedAt: new Date().toISOString(),
+                event,
+                actor: actor || 'anonymous',
+                tenantId: tenantId || null,
+                // Hashed as it will read back from JSONB (undefined properties dropped)
+                details: JSON.parse(JSON.stringify(details))
+            };
+            const entryHash = hashEntry(entry, prevHash);
+
+            await this.dbClient.query(
+                `INSERT INTO pii_audit_log (seq, recorded_at, event, actor, tenant_id, details, prev_hash, entry_hash)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                [entry.seq, entry.recordedAt, entry.event, entry.actor, entry.tenantId, JSON.stringify(entry.details), prevHash, entryHash]
+            );
+
+            await this.dbClient.query('COMMIT');
+            return { seq: entry.seq, entryHash };
+        } catch (error) {
+            await this.dbClient.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Walk the chain from the first entry; stops at the first broken link
+    // anchor: an earlier head hash that must still be part of the chain (detects a truncated end)
+    // Returns { valid, entries, head: { seq, entryHash }, brokenAt: { seq, reason } | null, anchorFound }
+    async verify(options = {}) {
+        let prevHash = GENESIS_HASH;
+        let expectedSeq = 1;
+        let head = null;
+        let brokenAt = null;
+        let anchorFound = !options.anchor;
+
+        while (!brokenAt) {
+            const result = await this.dbClient.query(
+                'SELECT * FROM pii_audit_log WHERE seq >= $1 ORDER BY seq LIMIT $2',
+                [expectedSeq, config.audit.verifyBatchSize]
+            );
+            if (result.rows.length === 0) break;
+
+            for (const entry of result.rows.map(fromRow)) {
+                if (entry.seq !== expectedSeq) {
+                    brokenAt = { seq: expectedSeq, reason: `entries ${expectedSeq}..${entry.seq - 1} are missing` };
+                } else if (entry.prevHash !== prevHash) {
+                    brokenAt = { seq: entry.seq, reason: 'prev_hash does not match the previous entry' };
+                } else if (hashEntry(entry, prevHash) !== entry.entryHash) {
+                    brokenAt = { seq: entry.seq, reason: 'entry content does not match its hash' };
+                }
+                if (brokenAt) break;
+
+                if (entry.entryHash === options.anchor) anchorFound = true;
+                prevHash = entry.entryHash;
+                head = { seq: entry.seq, entryHash: entry.entryHash };
+                expectedSeq++;
+            }
+        }
+
+        return {
+            valid: !brokenAt && anchorFound,
+            entries: expectedSeq - 1,
+            head,
+            brokenAt,
+            anchorFound
+        };
+    }
+
+    // Entries matching { event, actor, tenantId, from, to, limit }, oldest first
+    async query(filters = {}) {
+        const conditions = [];
+        const params = [];
+        const add = (sql, value) => {
+            params.push(value);
+            conditions.push(sql.replace('?', `$${params.length}`));
+        };
+
+        if (filters.event) add('event = ?', filters.event);
+        if (filters.actor) add('actor = ?', filters.actor);
+        if (filters.tenantId) add('tenant_id = ?', filters.tenantId);
+        if (filters.from) add('recorded_at >= ?', new Date(filters.from).toISOString());
+        if (filters.to) add('recorded_at <= ?', new Date(filters.to).toISOString());
+
+        params.push(parseInt(filters.limit) || config.audit.queryLimit);
+        const result = await this.dbClient.query(
+            `SELECT * FROM pii_audit_log
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY seq
+             LIMIT $${params.length}`,
+            params
+        );
+        return result.rows.map(fromRow);
+    }
+
+    // Entries matching the filters as JSON (with the chain verification result) or CSV
+    // Exported entries keep their hashes, so consecutive entries can be re-checked with hashEntry()
+    async exportEntries(filters = {}, format = 'json') {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported export format: ${format} (supported: ${EXPORT_FORMATS.join(', ')})`);
+        }
+
+        const entries = await this.query(filters);
+
+        if (format === 'csv') {
+            const lines = entries.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+            return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+        }
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            filters,
+            verification: await this.verify(),
+            entries
+        }, null, 2);
+    }
+
+    // Number of entries; only those of one tenant when given (null: entries without a tenant)
+    async count(tenantId = undefined) {
+        const result = tenantId === undefined
+            ? await this.dbClient.query('SELECT COUNT(*) AS entries FROM pii_audit_log')
+            : await this.dbClient.query('SELECT COUNT(*) AS entries FROM pii_audit_log WHERE tenant_id IS NOT DISTINCT FROM $1', [tenantId]);
+        return parseInt(result.rows[0].entries);
+    }
+
+    async close() {
+        await this.pending;
+        if (this.dbClient) await this.dbClient.end();
+    }
+}
+
+// Main execution
+async function main() {
+    console.log('📝 PII Audit Log Tool');
+    console.log('=====================');
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+Usage: node audit-log.js [options]
+
+Verifies, queries and exports the tamper-evident audit log (pii_audit_log).
+
+Options:
+  --verify                   Check the hash chain and print its head
+  --anchor <hash>            With --verify: fail unless this earlier head hash is still in the chain
+  --query                    Print matching entries
+  --export <file>            Write matching entries to a file
+  --format <json|csv>        Export format (default: json; JSON includes the verification result)
+  --help                     Show this help message
+
+Filters (--query and --export):
+  --event <event>            search, db-search, db-query, detokenize
+  --actor <id>               Client or caller id
+  --tenant <id>              Tenant id
+  --from <date>              Recorded at or after (ISO date or timestamp)
+  --to <date>                Recorded at or before
+  --limit <n>                Max entries (default: AUDIT_QUERY_LIMIT or 1000)
+
+Environment Variables:
+  AUDIT_VERIFY_BATCH_SIZE    Entries read per verification query (default: 1000)
+  AUDIT_QUERY_LIMIT          Default max entries of --query / --export (default: 1000)
+  DB_*                       Database connection settings
+
+Example:
+  npm run audit-log -- --verify
+  npm run audit-log -- --export review.csv --format csv --event detokenize --from 2025-01-01
+        `);
+        return;
+    }
+
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    const filters = {
+        event: getArg('--event'),
+        actor: getArg('--actor'),
+        tenantId: getArg('--tenant'),
+        from: getArg('--from'),
+        to: getArg('--to'),
+        limit: getArg('--limit')
+    };
+
+    for (const name of ['from', 'to']) {
+        if (filters[name] && isNaN(Date.parse(filters[name]))) {
+            console.error(`❌ --${name} must be a date (e.g. 2025-01-31 or 2025-01-31T12:00:00Z)`);
+            process.exit(1);
+        }
+    }
+
+    const auditLog = new AuditLog();
+
+    try {
+        await auditLog.initialize();
+
+        if (args.includes('--verify')) {
+            const result = await auditLog.verify({ anchor: getArg('--anchor') });
+
+            if (result.brokenAt) {
+                console.error(`❌ Chain broken at entry ${result.brokenAt.seq}: ${result.brokenAt.reason}`);
+            } else if (!result.anchorFound) {
+                console.error('❌ Anchor hash not found: entries were removed from the end of the log');
+            } else {
+                console.log(`✅ Hash chain intact: ${result.entries} entries`);
+            }
+            if (result.head) {
+                console.log(`🔗 Head: entry ${result.head.seq} ${result.head.entryHash}`);
+            }
+            if (!result.valid) process.exitCode = 1;
+        }
+
+        if (args.includes('--query')) {
+            const entries = await auditLog.query(filters);
+            for (const entry of entries) {
+                console.log(`${String(entry.seq).padStart(8)}  ${entry.recordedAt}  ${entry.event.padEnd(12)} ${entry.actor.padEnd(24)} ${entry.tenantId || '-'}  ${JSON.stringify(entry.details)}`);
+            }
+            console.log(`\n📋 ${entries.length} entries`);
+        }
+
+        const exportFile = getArg('--export');
+        if (exportFile) {
+            const format = getArg('--format') || 'json';
+            fs.writeFileSync(exportFile, await auditLog.exportEntries(filters, format));
+            console.log(`📁 Audit entries exported to ${exportFile} (${format})`);
+        }
+    } catch (error) {
+        console.error('❌ Audit log tool failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await auditLog.close();
+    }
+}
+
+// Export for use in other modules
+module.exports = {
+    AuditLog,
+    GENESIS_HASH,
+    canonicalize,
+    hashEntry
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
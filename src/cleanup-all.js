@@ -63,27 +63,40 @@ class DataCleanup {
         try {
             console.log('🧹 Cleaning up database tables...');
 
-            // Drop and recreate pii_search_index table
-            console.log('  📋 Dropping pii_search_index table...');
+            // Drop and recreate pii_search_index and pii_search_postings tables
+            console.log('  📋 Dropping pii_search_index and pii_search_postings tables...');
+            await this.dbClient.query('DROP TABLE IF EXISTS pii_search_postings CASCADE');
             await this.dbClient.query('DROP TABLE IF EXISTS pii_search_index CASCADE');
 
             console.log('  📋 Recreating pii_search_index table...');
             await this.dbClient.query(`
                 CREATE TABLE pii_search_index (
                     hmac_key VARCHAR(255) PRIMARY KEY,
-                    token_set TEXT NOT NULL,
                     field_type VARCHAR(50) NOT NULL,
+                    tenant_id VARCHAR(64) NOT NULL DEFAULT 'default',
                     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
                     retention_until TIMESTAMP NOT NULL DEFAULT (NOW() + INTERVAL '1 year')
                 )
             `);
 
+            console.log('  📋 Recreating pii_search_postings table...');
+            await this.dbClient.query(`
+                CREATE TABLE pii_search_postings (
+                    hmac_key VARCHAR(255) NOT NULL REFERENCES pii_search_index(hmac_key) ON DELETE CASCADE,
+                    token VARCHAR(255) NOT NULL,
+                    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                    PRIMARY KEY (hmac_key, token)
+                )
+            `);
+
             // Create indexes for performance
             console.log('  🔍 Creating indexes...');
             await this.dbClient.query('CREATE INDEX idx_pii_search_field_type ON pii_search_index(field_type)');
             await this.dbClient.query('CREATE INDEX idx_pii_search_retention ON pii_search_index(retention_until)');
+            await this.dbClient.query('CREATE INDEX idx_pii_search_tenant ON pii_search_index(tenant_id)');
             await this.dbClient.query('CREATE INDEX idx_pii_search_field_hmac ON pii_search_index(field_type, hmac_key)');
             await this.dbClient.query('CREATE INDEX idx_pii_search_cleanup ON pii_search_index(retention_until, field_type) WHERE retention_until IS NOT NULL');
+            await this.dbClient.query('CREATE INDEX idx_pii_search_postings_token ON pii_search_postings(token)');
 
             // Drop and recreate pii_token_data table
             console.log('  📋 Dropping pii_token_data table...');
@@ -97,6 +110,7 @@ class DataCleanup {
                     token VARCHAR(255) UNIQUE NOT NULL,
                     is_active BOOLEAN DEFAULT true,
                     hash VARCHAR(255),
+                    tenant_id VARCHAR(64) NOT NULL DEFAULT 'default',
                     created_by VARCHAR(255),
                     modified_by VARCHAR(255),
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -109,6 +123,7 @@ class DataCleanup {
             await this.dbClient.query('CREATE INDEX idx_pii_token_data_token ON pii_token_data(token)');
             await this.dbClient.query('CREATE INDEX idx_pii_token_data_active ON pii_token_data(is_active)');
             await this.dbClient.query('CREATE INDEX idx_pii_token_data_hash ON pii_token_data(hash)');
+            await this.dbClient.query('CREATE INDEX idx_pii_token_data_tenant ON pii_token_data(tenant_id)');
 
             console.log('✅ Database tables cleaned and recreated');
         } catch (error) {
@@ -148,10 +163,12 @@ class DataCleanup {
             // Check database tables
             const tokenDataCount = await this.dbClient.query('SELECT COUNT(*) FROM pii_token_data');
             const searchIndexCount = await this.dbClient.query('SELECT COUNT(*) FROM pii_search_index');
+            const postingsCount = await this.dbClient.query('SELECT COUNT(*) FROM pii_search_postings');
 
             console.log(`Database:`);
             console.log(`  - pii_token_data: ${tokenDataCount.rows[0].count} records`);
             console.log(`  - pii_search_index: ${searchIndexCount.rows[0].count} records`);
+            console.log(`  - pii_search_postings: ${postingsCount.rows[0].count} records`);
 
             // Check Redis
             const redisKeys = await this.redisClient.keys('*');
@@ -214,7 +231,7 @@ async function main() {
 
 This tool will:
   1. Drop and recreate the pii_token_data table
-  2. Drop and recreate the pii_search_index table
+  2. Drop and recreate the pii_search_index and pii_search_postings tables
   3. Delete all keys from Redis store
   4. Display cleanup summary
 
@@ -233,7 +250,7 @@ Options:
     // Confirm destructive operation
     console.log('⚠️  WARNING: This will permanently delete ALL data from:');
     console.log('  - pii_token_data table (with all PII records)');
-    console.log('  - pii_search_index table (with all search indexes)');
+    console.log('  - pii_search_index and pii_search_postings tables (with all search indexes)');
     console.log('  - All Redis keys (search index cache)');
     console.log('\n🤔 Are you sure you want to continue?');
     console.log('Press Ctrl+C to cancel, or any key to continue...');
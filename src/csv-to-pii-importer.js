@@ -1,10 +1,14 @@
 const fs = require('fs');
 const csv = require('csv-parser');
+const { pipeline } = require('stream/promises');
 const { Client } = require('pg');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
 const vault = require('node-vault');
 const { FieldAwareRedisIndexer } = require('./field-aware-redis-indexer.js');
+const { VaultDecryptPool } = require('./vault-decrypt-pool.js');
+const { PipelineCheckpoint, CHECKPOINT_STATUS } = require('./pipeline-checkpoint.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -137,39 +141,23 @@ function determineFieldType(record, decryptedValue = null) {
     return 'FIRST_NAME'; // Consistent default fallback (no randomization)
 }
 
-// Decrypt PII data using Vault (for Redis indexing)
-async function decryptVaultData(vaultClient, ciphertext) {
-    try {
-        if (!ciphertext.startsWith('vault:v1:')) {
-            // If not encrypted, return as-is (shouldn't happen in normal flow)
-            return ciphertext;
-        }
-
-        const response = await vaultClient.write('transit/decrypt/pii-encryption-key', {
-            ciphertext: ciphertext
-        });
-
-        return Buffer.from(response.data.plaintext, 'base64').toString('utf8');
-    } catch (error) {
-        console.error(`❌ Decryption failed for: ${ciphertext.substring(0, 50)}...`);
-        throw error;
-    }
-}
-
 // Note: buildSearchIndex() function removed - now using real-time FieldAwareRedisIndexer
 
-async function insertPiiRecord(client, record) {
+// tenantId: tenant of the record (a tenant_id CSV column overrides it per row)
+async function insertPiiRecord(client, record, tenantId = DEFAULT_TENANT) {
     const query = `
         INSERT INTO pii_token_data (
             pii_data_point,
             token,
             is_active,
             hash,
+            tenant_id,
             created_by,
             modified_by,
             created_at,
             updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+        ON CONFLICT (token) DO NOTHING
     `;
 
     const currentTime = getCurrentTimestamp();
@@ -181,14 +169,16 @@ async function insertPiiRecord(client, record) {
         record.token,
         record.is_active === 'true' || record.is_active === true,
         record.hash || null,
+        tenantId,
         record.created_by || 'csv_import',
         record.modified_by || 'csv_import'
     ];
 
     try {
-        await client.query(query, values);
+        const result = await client.query(query, values);
         // Reduced logging - only log every 1000 records instead of every record
-        return { success: true, token: record.token, encryptedValue: record.pii_data_point };
+        // inserted is false when the token was already imported (e.g. by an interrupted run)
+        return { success: true, inserted: result.rowCount > 0, token: record.token, encryptedValue: record.pii_data_point };
     } catch (error) {
         console.error('Error inserting record:', error);
         console.error('Record data:', record);
@@ -196,7 +186,17 @@ async function insertPiiRecord(client, record) {
     }
 }
 
-async function processCsvFile() {
+// options.resume continues an interrupted import after the last checkpointed row
+// options.tenantId is the tenant of rows without a tenant_id column (default tenant when omitted)
+async function processCsvFile(options = {}) {
+    const defaultTenantId = resolveTenantId(options.tenantId);
+    const checkpoint = new PipelineCheckpoint('import-csv');
+    const saved = checkpoint.resolve(options.resume, { csvFile: csvFilePath, tenantId: defaultTenantId });
+    if (saved && saved.status === CHECKPOINT_STATUS.COMPLETED) {
+        console.log(`✅ Import already completed (${saved.rowsProcessed} rows) - nothing to resume`);
+        return;
+    }
+
     const client = await connectToDatabase();
 
     // Initialize Field-Aware Redis indexer for Approach 2
@@ -205,12 +205,22 @@ async function processCsvFile() {
 
     // Initialize Vault client for decryption (needed for Redis indexing)
     const vaultClient = vault(vaultConfig);
+    const decryptPool = new VaultDecryptPool(vaultClient);
+
+    // Rows inserted before their Redis indexing is done in one decrypt round trip
+    const chunkSize = decryptPool.batchSize * decryptPool.concurrency;
 
     try {
-        let totalRecords = 0;
-        let successfulInserts = 0;
-        let failedInserts = 0;
-        let redisIndexed = 0;
+        let totalRecords = saved ? saved.rowsProcessed : 0;
+        let successfulInserts = saved ? saved.successfulInserts : 0;
+        let failedInserts = saved ? saved.failedInserts : 0;
+        let alreadyImported = saved ? saved.alreadyImported : 0;
+        let redisIndexed = saved ? saved.redisIndexed : 0;
+        const skipRows = totalRecords;
+
+        if (saved) {
+            console.log(`🔁 Resuming after ${skipRows} rows (last token ${saved.lastToken})`);
+        }
 
         // Check if CSV file exists
         if (!fs.existsSync(csvFilePath)) {
@@ -219,67 +229,128 @@ async function processCsvFile() {
 
         console.log(`Processing CSV file: ${csvFilePath}`);
 
-        // Collect all rows first, then process them
-        const rows = [];
-        await new Promise((resolve, reject) => {
-            fs.createReadStream(csvFilePath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    rows.push(row);
-                })
-                .on('end', () => {
-                    resolve();
-                })
-                .on('error', (error) => {
-                    console.error('CSV processing error:', error);
-                    reject(error);
-                });
-        });
+        // Process one chunk: insert sequentially, then decrypt the chunk in parallel for Redis indexing
+        const processChunk = async (rows) => {
+            const inserted = [];
 
-        // Process rows sequentially
-        for (const row of rows) {
-            totalRecords++;
+            for (const row of rows) {
+                totalRecords++;
 
-            // Validate required fields
-            if (!row.pii_data_point || !row.token) {
-                console.warn(`Skipping row ${totalRecords}: missing required fields (pii_data_point, token)`);
-                failedInserts++;
-                continue;
+                // Validate required fields
+                if (!row.pii_data_point || !row.token) {
+                    console.warn(`Skipping row ${totalRecords}: missing required fields (pii_data_point, token)`);
+                    failedInserts++;
+                    continue;
+                }
+
+                let tenantId;
+                try {
+                    tenantId = resolveTenantId(row.tenant_id || defaultTenantId);
+                } catch (error) {
+                    console.warn(`Skipping row ${totalRecords}: ${error.message}`);
+                    failedInserts++;
+                    continue;
+                }
+
+                const result = await insertPiiRecord(client, row, tenantId);
+                if (result.success) {
+                    // Rows already in the DB are re-indexed: Redis SADD is idempotent and the
+                    // interrupted run may have stopped between insert and indexing
+                    if (result.inserted) successfulInserts++;
+                    else alreadyImported++;
+                    inserted.push({ row, result, tenantId });
+                } else {
+                    failedInserts++;
+                }
             }
 
-            const result = await insertPiiRecord(client, row);
-            if (result.success) {
-                successfulInserts++;
+            // Decrypt the PII data for Redis indexing (unencrypted values pass through as-is)
+            const encrypted = inserted.filter(({ result }) => result.encryptedValue.startsWith('vault:v1:'));
+            const decrypted = await decryptPool.decryptBatch(encrypted.map(({ result }) => result.encryptedValue));
+            const decryptedByToken = new Map(encrypted.map(({ result }, idx) => [result.token, decrypted[idx]]));
 
-                // Approach 2: Index in Redis HMAC after successful DB insert
+            // Approach 2: Index in Redis HMAC after successful DB insert
+            for (const { row, result, tenantId } of inserted) {
                 try {
-                    // Decrypt the PII data for Redis indexing
-                    const decryptedValue = await decryptVaultData(vaultClient, result.encryptedValue);
+                    const decryption = decryptedByToken.get(result.token) || { plaintext: result.encryptedValue };
+                    if (decryption.error) {
+                        console.error(`❌ Decryption failed for: ${result.encryptedValue.substring(0, 50)}...`);
+                        throw decryption.error;
+                    }
+                    const decryptedValue = decryption.plaintext;
 
                     // Index the decrypted text in Redis using field-aware HMAC
                     // Use decrypted value for consistent field detection
                     const fieldName = determineFieldType(row, decryptedValue);
-                    await redisIndexer.indexFieldValue(fieldName, decryptedValue, result.token);
+                    await redisIndexer.indexFieldValue(fieldName, decryptedValue, result.token, tenantId);
                     redisIndexed++;
-
-                    if (successfulInserts % 1000 === 0) {
-                        console.log(`📊 Progress: DB=${successfulInserts}, Redis=${redisIndexed} records indexed`);
-                    }
                 } catch (redisError) {
                     console.warn(`⚠️  Redis indexing failed for token ${result.token}: ${redisError.message}`);
                 }
-            } else {
-                failedInserts++;
             }
+
+            checkpoint.save({
+                csvFile: csvFilePath,
+                tenantId: defaultTenantId,
+                rowsProcessed: totalRecords,
+                successfulInserts,
+                failedInserts,
+                alreadyImported,
+                redisIndexed,
+                lastToken: rows[rows.length - 1].token
+            });
+
+            console.log(`📊 Progress: DB=${successfulInserts}, Redis=${redisIndexed} records indexed`);
+        };
+
+        // Stream the CSV: at most one chunk of rows is held in memory, and the parser
+        // is paused (backpressure) while a chunk is being inserted and indexed
+        try {
+            await pipeline(
+                fs.createReadStream(csvFilePath),
+                csv(),
+                async function (rows) {
+                    let chunk = [];
+                    let rowNumber = 0;
+                    for await (const row of rows) {
+                        // Rows before the checkpoint were fully processed by the interrupted run
+                        if (++rowNumber <= skipRows) continue;
+
+                        chunk.push(row);
+                        if (chunk.length >= chunkSize) {
+                            await processChunk(chunk);
+                            chunk = [];
+                        }
+                    }
+                    if (chunk.length > 0) {
+                        await processChunk(chunk);
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('CSV processing error:', error);
+            throw error;
         }
 
+        checkpoint.complete({
+            csvFile: csvFilePath,
+            tenantId: defaultTenantId,
+            rowsProcessed: totalRecords,
+            successfulInserts,
+            failedInserts,
+            alreadyImported,
+            redisIndexed
+        });
+
         console.log('\n=== Import Summary ===');
         console.log(`Total records processed: ${totalRecords}`);
         console.log(`Successful inserts: ${successfulInserts}`);
         console.log(`Failed inserts: ${failedInserts}`);
+        console.log(`Already imported (skipped): ${alreadyImported}`);
         console.log('\n=== Approach Comparison ===');
         console.log(`Approach 1 (DB field_name): ${successfulInserts} records with field_name column`);
         console.log(`Approach 2 (Redis HMAC): ${redisIndexed} records indexed in Redis`);
+        console.log(`Vault decrypt stats: ${JSON.stringify(decryptPool.getStats())}`);
 
         // Get Redis indexing stats
         const redisStats = await redisIndexer.getStats();
@@ -330,6 +401,8 @@ Usage: node csv-to-pii-importer.js [options]
 
 Options:
   --create-sample    Create a sample CSV file
+  --resume          Continue an interrupted import from its checkpoint
+  --tenant <id>     Tenant of rows without a tenant_id column (default: ${DEFAULT_TENANT})
   --help            Show this help message
 
 Before running:
@@ -345,11 +418,15 @@ pii_data_point,token,is_active,hash,created_by,modified_by
 "vault:v1:encrypted_data",TKN_ABC123,true,hash_value,admin,admin
 
 Note: The pii_data_point field contains Vault-encrypted data
+An optional tenant_id column assigns rows to tenants
         `);
         return;
     }
 
-    await processCsvFile();
+    const tenantIndex = args.indexOf('--tenant');
+    const tenantId = tenantIndex !== -1 ? args[tenantIndex + 1] : undefined;
+
+    await processCsvFile({ resume: args.includes('--resume'), tenantId });
 }
 
 // Handle unhandled errors
@@ -0,0 +1,168 @@
+// Load environment variables
+require('dotenv').config();
+
+// Range queries on date fields through bucketed index keys
+// Every date value is indexed under four buckets (each HMAC'd like any other index value):
+//   d10 decade "1980"   dy year "1985"   dm month "1985-03"   dd day "1985-03-12"
+// A range is answered by the union of the fewest buckets covering it: whole decades and
+// years in the middle, months and single days only at the edges. "1979-12-30..1992-01-01"
+// is 2 days + the 1980s + 1990 + 1991 + 1 day, never the thousands of days in between.
+//
+// Operations (values are strings, like every other search value):
+//   dateBetween "1980..1985"   endpoints YYYY, YYYY-MM or YYYY-MM-DD, inclusive; "1980.." and "..1985" are open
+//   ageOver "60"               60 years old or older today
+//   ageUnder "30"              younger than 30 today
+
+// Date fields (index key aliases) that get bucket keys
+const DATE_FIELDS = ['dob'];
+
+const DATE_OPERATIONS = ['dateBetween', 'ageOver', 'ageUnder'];
+
+const config = {
+    minYear: parseInt(process.env.DATE_RANGE_MIN_YEAR) || 1900
+};
+
+function supportsDateRange(field) {
+    return DATE_FIELDS.includes(field);
+}
+
+function isDateRangeOperation(operation) {
+    return DATE_OPERATIONS.includes(operation);
+}
+
+function pad(n, width = 2) {
+    return String(n).padStart(width, '0');
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Parse YYYY, YYYY-MM or YYYY-MM-DD ("/" also accepted); null when not a valid date
+// A partial date resolves to its first day, or its last day when asEnd is set
+function parseDate(value, asEnd = false) {
+    const match = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) : (asEnd ? 12 : 1);
+    if (month < 1 || month > 12) return null;
+
+    const day = match[3] ? parseInt(match[3]) : (asEnd ? daysInMonth(year, month) : 1);
+    if (day < 1 || day > daysInMonth(year, month)) return null;
+
+    return { year, month, day };
+}
+
+// Bucket values a full date is indexed under; [] when the value is not a full date
+function dateBucketValues(value) {
+    if (!/^\d{4}[-/]\d{1,2}[-/]\d{1,2}$/.test(String(value).trim())) return [];
+
+    const date = parseDate(value);
+    if (!date) return [];
+
+    const { year, month, day } = date;
+    return [
+        { op: 'd10', value: String(year - year % 10) },
+        { op: 'dy', value: String(year) },
+        { op: 'dm', value: `${year}-${pad(month)}` },
+        { op: 'dd', value: `${year}-${pad(month)}-${pad(day)}` }
+    ];
+}
+
+function toUtc({ year, month, day }) {
+    return Date.UTC(year, month - 1, day);
+}
+
+function fromUtc(time) {
+    const date = new Date(time);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// Same calendar day `years` earlier (29 February falls back to 28 February)
+function yearsBefore(date, years) {
+    const year = date.year - years;
+    return { year, month: date.month, day: Math.min(date.day, daysInMonth(year, date.month)) };
+}
+
+// Inclusive { start, end } dates of a range operation; throws on an invalid value
+function dateRangeFor(operation, value, today = fromUtc(Date.now())) {
+    const text = String(value).trim();
+
+    if (operation === 'dateBetween') {
+        const parts = text.split('..');
+        if (parts.length !== 2 || (!parts[0].trim() && !parts[1].trim())) {
+            throw new Error(`dateBetween expects "start..end" (YYYY, YYYY-MM or YYYY-MM-DD), got "${value}"`);
+        }
+
+        const start = parts[0].trim() ? parseDate(parts[0]) : { year: config.minYear, month: 1, day: 1 };
+        const end = parts[1].trim() ? parseDate(parts[1], true) : today;
+        if (!start || !end) {
+            throw new Error(`dateBetween expects dates as YYYY, YYYY-MM or YYYY-MM-DD, got "${value}"`);
+        }
+        // A reversed range would silently match nothing
+        if (parts[0].trim() && parts[1].trim() && toUtc(start) > toUtc(end)) {
+            throw new Error(`dateBetween start is after its end, got "${value}"`);
+        }
+        return { start, end };
+    }
+
+    if (operation === 'ageOver' || operation === 'ageUnder') {
+        if (!/^\d{1,3}$/.test(text)) {
+            throw new Error(`${operation} expects an age in years, got "${value}"`);
+        }
+
+        // Born on or before this day → at least `age` years old today
+        const cutoff = yearsBefore(today, parseInt(text));
+        return operation === 'ageOver'
+            ? { start: { year: config.minYear, month: 1, day: 1 }, end: cutoff }
+            : { start: fromUtc(toUtc(cutoff) + 86400000), end: today };
+    }
+
+    throw new Error(`Unsupported date operation: ${operation}`);
+}
+
+// Fewest buckets covering start..end (inclusive): [{ op, value }]
+function coverDateRange(start, end) {
+    const buckets = [];
+    const last = toUtc(end);
+    let cursor = start;
+
+    while (toUtc(cursor) <= last) {
+        const { year, month, day } = cursor;
+
+        if (month === 1 && day === 1 && year % 10 === 0 && toUtc({ year: year + 9, month: 12, day: 31 }) <= last) {
+            buckets.push({ op: 'd10', value: String(year) });
+            cursor = { year: year + 10, month: 1, day: 1 };
+        } else if (month === 1 && day === 1 && toUtc({ year, month: 12, day: 31 }) <= last) {
+            buckets.push({ op: 'dy', value: String(year) });
+            cursor = { year: year + 1, month: 1, day: 1 };
+        } else if (day === 1 && toUtc({ year, month, day: daysInMonth(year, month) }) <= last) {
+            buckets.push({ op: 'dm', value: `${year}-${pad(month)}` });
+            cursor = fromUtc(Date.UTC(year, month, 1));
+        } else {
+            buckets.push({ op: 'dd', value: `${year}-${pad(month)}-${pad(day)}` });
+            cursor = fromUtc(toUtc(cursor) + 86400000);
+        }
+    }
+
+    return buckets;
+}
+
+// Buckets for a range operation value
+function dateRangeBuckets(operation, value, today) {
+    const { start, end } = dateRangeFor(operation, value, today);
+    return coverDateRange(start, end);
+}
+
+module.exports = {
+    DATE_FIELDS,
+    DATE_OPERATIONS,
+    supportsDateRange,
+    isDateRangeOperation,
+    parseDate,
+    dateBucketValues,
+    dateRangeFor,
+    coverDateRange,
+    dateRangeBuckets
+};
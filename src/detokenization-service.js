@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vault = require('node-vault');
+const { Client } = require('pg');
+const { VaultDecryptPool } = require('./vault-decrypt-pool.js');
+const { resolveTenantId } = require('./tenants.js');
+const { tokenFieldType } = require('./subject-tokens.js');
+const { PIIMasker, loadMaskingRules } = require('./masking.js');
+const { AuditLog } = require('./audit-log.js');
+const { CALLER_ID_PATTERN } = require('./api-clients.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Validate required environment variables
+const requiredEnvVars = [
+    'DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT',
+    'VAULT_ADDR', 'VAULT_TOKEN'
+];
+const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingVars.length > 0) {
+    console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
+    console.error('Please copy .env.template to .env and configure all required variables.');
+    process.exit(1);
+}
+
+// Purpose-bound Detokenization
+// Turns PII tokens (TKN_LK5AKXXK5K77_EMAIL, ...) back into values for a named caller acting
+// for a declared purpose. The policy file (config/detokenization-policy.json) lists the
+// purposes and, per role, the purposes the role may declare and its access to each field type:
+//   none     value withheld, nothing is decrypted
+//   masked   decrypted, returned masked with the role's masking rules (masking.js); this is also
+//            what reveal-level fields return unless plaintext is asked for
+//   reveal   plaintext when the request asks for it ("reveal": true)
+// Field types a role does not list fall back to its "*" entry, then to none.
+// Every request, granted or denied, is written to the audit log (audit-log.js) before anything is returned.
+
+const config = {
+    database: {
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST,
+        database: process.env.DB_DATABASE,
+        password: process.env.DB_PASSWORD,
+        port: parseInt(process.env.DB_PORT),
+    },
+    vault: {
+        endpoint: process.env.VAULT_ADDR,
+        token: process.env.VAULT_TOKEN,
+        requestOptions: {
+            rejectUnauthorized: false,
+            timeout: 10000,
+            strictSSL: false
+        }
+    },
+    detokenize: {
+        policyFile: process.env.DETOKENIZE_POLICY_FILE || path.join(__dirname, '..', 'config', 'detokenization-policy.json'),
+        maxTokens: parseInt(process.env.DETOKENIZE_MAX_TOKENS) || 100
+    }
+};
+
+const ACCESS_LEVELS = ['none', 'masked', 'reveal'];
+
+// Field tokens: TKN_ + uppercase alphanumerics, optionally followed by the field type
+const TOKEN_PATTERN = /^TKN_[A-Z0-9_]+$/;
+
+// Error with a stable code; denied is set when the caller is not authorized (as opposed to a malformed request)
+class DetokenizationError extends Error {
+    constructor(code, message, denied = false) {
+        super(message);
+        this.name = 'DetokenizationError';
+        this.code = code;
+        this.denied = denied;
+    }
+}
+
+// Check a parsed policy; throws with every problem found
+function validatePolicy(policy, source = 'policy') {
+    const problems = [];
+
+    if (!policy || typeof policy !== 'object') {
+        throw new Error(`Invalid detokenization policy ${source}: not a JSON object`);
+    }
+
+    const purposes = policy.purposes && typeof policy.purposes === 'object' ? Object.keys(policy.purposes) : [];
+    if (purposes.length === 0) problems.push('no purposes declared');
+
+    const roles = policy.roles && typeof policy.roles === 'object' ? policy.roles : {};
+    if (Object.keys(roles).length === 0) problems.push('no roles declared');
+
+    for (const [role, rolePolicy] of Object.entries(roles)) {
+        if (!Array.isArray(rolePolicy.purposes) || rolePolicy.purposes.length === 0) {
+            problems.push(`role ${role}: purposes must be a non-empty array`);
+        } else {
+            rolePolicy.purposes.filter(purpose => !purposes.includes(purpose))
+                .forEach(purpose => problems.push(`role ${role}: unknown purpose ${purpose}`));
+        }
+
+        if (!rolePolicy.fields || typeof rolePolicy.fields !== 'object') {
+            problems.push(`role ${role}: fields must be an object`);
+            continue;
+        }
+        for (const [fieldType, access] of Object.entries(rolePolicy.fields)) {
+            if (!ACCESS_LEVELS.includes(access)) {
+                problems.push(`role ${role}: ${fieldType} has access "${access}" (expected ${ACCESS_LEVELS.join(', ')})`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid detokenization policy ${source}: ${problems.join('; ')}`);
+    }
+    return policy;
+}
+
+function loadDetokenizationPolicy(filePath = config.detokenize.policyFile) {
+    let policy;
+    try {
+        policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read detokenization policy ${filePath}: ${error.message}`);
+    }
+    return validatePolicy(policy, filePath);
+}
+
+// Access level of a role to a field type: the field's entry, else "*", else none
+// (own entries only: a field type such as "constructor" must not resolve to an inherited property)
+function fieldAccess(policy, role, fieldType) {
+    const fields = policy.roles[role].fields;
+    if (Object.hasOwn(fields, fieldType)) return fields[fieldType];
+    return Object.hasOwn(fields, '*') ? fields['*'] : 'none';
+}
+
+// Check caller identity, role and purpose against the policy; throws DetokenizationError
+// Roles and purposes are looked up as own entries, so "__proto__" is just an unknown name
+function authorizeCaller(policy, { callerId, role, purpose }) {
+    if (typeof callerId !== 'string' || !CALLER_ID_PATTERN.test(callerId)) {
+        throw new DetokenizationError('INVALID_CALLER', 'A caller id (1-128 of A-Z, a-z, 0-9, ".", "_", "@" and "-") is required');
+    }
+    if (typeof purpose !== 'string' || !purpose) {
+        throw new DetokenizationError('MISSING_PURPOSE', 'A declared purpose is required');
+    }
+    if (!Object.hasOwn(policy.purposes, purpose)) {
+        throw new DetokenizationError('UNKNOWN_PURPOSE', `Unknown purpose: ${purpose}`);
+    }
+    if (typeof role !== 'string' || !Object.hasOwn(policy.roles, role)) {
+        throw new DetokenizationError('UNKNOWN_ROLE', role ? `Role ${role} may not detokenize` : 'Caller has no detokenization role', true);
+    }
+    if (!policy.roles[role].purposes.includes(purpose)) {
+        throw new DetokenizationError('PURPOSE_NOT_ALLOWED', `Role ${role} may not detokenize for purpose ${purpose}`, true);
+    }
+}
+
+class DetokenizationService {
+    constructor(options = {}) {
+        this.policy = options.policy ? validatePolicy(options.policy) : null;
+        this.masker = options.masker || null;
+        this.maxTokens = options.maxTokens || config.detokenize.maxTokens;
+        this.dbClient = null;
+        this.auditTrail = null;
+        this.vaultClient = null;
+        this.decryptPool = null;
+    }
+
+    async initialize() {
+        try {
+            console.log('🔓 Initializing Detokenization Service...');
+
+            if (!this.policy) {
+                this.policy = loadDetokenizationPolicy();
+            }
+            console.log(`✅ Policy loaded (${Object.keys(this.policy.roles).length} roles, ${Object.keys(this.policy.purposes).length} purposes)`);
+
+            if (!this.masker) {
+                this.masker = new PIIMasker(loadMaskingRules());
+            }
+
+            this.dbClient = new Client(config.database);
+            await this.dbClient.connect();
+            console.log('✅ Database connected');
+
+            this.auditTrail = new AuditLog();
+            await this.auditTrail.initialize();
+
+            this.vaultClient = vault(config.vault);
+            const status = await this.vaultClient.status();
+            console.log(`✅ Vault connected (sealed: ${status.sealed})`);
+            this.decryptPool = new VaultDecryptPool(this.vaultClient);
+
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize:', error.message);
+            throw error;
+        }
+    }
+
+    validateTokens(tokens) {
+        if (!Array.isArray(tokens) || tokens.length === 0) {
+            throw new DetokenizationError('INVALID_REQUEST', 'tokens must be a non-empty array');
+        }
+        if (tokens.length > this.maxTokens) {
+            throw new DetokenizationError('TOO_MANY_TOKENS', `At most ${this.maxTokens} tokens can be detokenized per request`);
+        }
+        const invalid = tokens.find(token => typeof token !== 'string' || !TOKEN_PATTERN.test(token));
+        if (invalid !== undefined) {
+            throw new DetokenizationError('INVALID_TOKEN', `Invalid token: ${invalid} (expected e.g. TKN_LK5AKXXK5K77_EMAIL)`);
+        }
+    }
+
+    // Encrypted values of the tenant's active tokens: Map token → ciphertext
+    async fetchCiphertexts(tokens, tenantId) {
+        const result = await this.dbClient.query(
+            `SELECT token, pii_data_point
+             FROM pii_token_data
+             WHERE token = ANY($1) AND tenant_id = $2 AND is_active IS NOT FALSE`,
+            [tokens, tenantId]
+        );
+        return new Map(result.rows.map(row => [row.token, row.pii_data_point]));
+    }
+
+    // Audit logging: one entry per request, written before any value leaves the service
+    async auditLog({ callerId, tenantId, ...details }) {
+        const auditId = crypto.randomUUID();
+        const { seq } = await this.auditTrail.append({
+            event: 'detokenize',
+            actor: callerId,
+            tenantId,
+            details: { auditId, ...details }
+        });
+
+        console.log(`📝 Audit #${seq}: ${auditId} - detokenize by ${callerId} (${details.role}, ${details.purpose}): ${details.outcome}`);
+        return auditId;
+    }
+
+    // Detokenize tokens for a caller
+    // request: { callerId, role, purpose, reveal (plaintext where the policy allows it), tenantId,
+    //            clientId (authenticated API client the role comes from, HTTP server only) }
+    // Returns per-token results { token, fieldType, disclosure, value } where disclosure is
+    // revealed, masked, withheld or not_found
+    async detokenize(tokens, request = {}) {
+        const { callerId, role, purpose, reveal = false } = request;
+        const client = request.clientId ? { clientId: request.clientId } : {};
+        let tenantId;
+
+        try {
+            try {
+                tenantId = resolveTenantId(request.tenantId);
+            } catch (error) {
+                throw new DetokenizationError('INVALID_TENANT', error.message);
+            }
+            authorizeCaller(this.policy, { callerId, role, purpose });
+            this.validateTokens(tokens);
+        } catch (error) {
+            if (error.denied) {
+                await this.auditLog({
+                    callerId, ...client, role, purpose, tenantId,
+                    tokenCount: Array.isArray(tokens) ? tokens.length : 0,
+                    outcome: 'denied',
+                    reason: error.code
+                });
+            }
+            throw error;
+        }
+
+        const uniqueTokens = Array.from(new Set(tokens));
+        const ciphertexts = await this.fetchCiphertexts(uniqueTokens, tenantId);
+
+        // A masked field whose masking rule hides it for the role is withheld like access none
+        const entries = uniqueTokens.map(token => {
+            const fieldType = tokenFieldType(token) || 'UNKNOWN';
+            let access = fieldAccess(this.policy, role, fieldType);
+            if (access === 'masked' && this.masker.hides(fieldType, role)) access = 'none';
+            return { token, fieldType, access, ciphertext: ciphertexts.get(token) };
+        });
+
+        // Only values the caller may see in some form are sent to Vault
+        const toDecrypt = entries.filter(entry => entry.ciphertext && entry.access !== 'none');
+        const decrypted = toDecrypt.length > 0
+            ? await this.decryptPool.decryptBatch(toDecrypt.map(entry => entry.ciphertext))
+            : [];
+        toDecrypt.forEach((entry, idx) => { entry.decrypted = decrypted[idx]; });
+
+        const results = entries.map(({ token, fieldType, access, ciphertext, decrypted: value }) => {
+            if (!ciphertext) return { token, fieldType, disclosure: 'not_found' };
+            if (access === 'none') return { token, fieldType, disclosure: 'withheld' };
+            if (value.error) {
+                console.error(`⚠️  Failed to decrypt token ${token}: ${value.error.message}`);
+                return { token, fieldType, disclosure: 'withheld', error: 'decryption failed' };
+            }
+            if (reveal && access === 'reveal') return { token, fieldType, disclosure: 'revealed', value: value.plaintext };
+            const masked = this.masker.mask(fieldType, value.plaintext, role);
+            if (masked === null) return { token, fieldType, disclosure: 'withheld' };
+            return { token, fieldType, disclosure: 'masked', value: masked };
+        });
+
+        const count = (disclosure) => results.filter(result => result.disclosure === disclosure).length;
+        const summary = {
+            requested: uniqueTokens.length,
+            revealed: count('revealed'),
+            masked: count('masked'),
+            withheld: count('withheld'),
+            notFound: count('not_found')
+        };
+
+        const auditId = await this.auditLog({
+            callerId, ...client, role, purpose, tenantId,
+            tokenCount: uniqueTokens.length,
+            outcome: 'granted',
+            revealRequested: Boolean(reveal),
+            revealed: results.filter(result => result.disclosure === 'revealed')
+                .map(({ token, fieldType }) => ({ token, fieldType })),
+            summary
+        });
+
+        return { auditId, callerId, role, purpose, tenantId, results, summary };
+    }
+
+    async close() {
+        if (this.dbClient) await this.dbClient.end();
+        if (this.auditTrail) await this.auditTrail.close();
+        console.log('🛑 Detokenization Service closed');
+    }
+}
+
+// Main execution
+async function main() {
+    console.log('🔓 PII Detokenization Tool');
+    console.log('==========================');
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+Usage: node detokenization-service.js [options]
+
+Detokenizes PII tokens for a named caller and declared purpose, as allowed by the policy file.
+
+Options:
+  --detokenize <tokens>      Comma-separated tokens (e.g. TKN_LK5AKXXK5K77_EMAIL,TKN_LK5AKXXK5K77_PAN_CARD)
+  --caller <id>              Caller identity recorded in the audit trail
+  --role <role>              Caller role (a role of the policy file)
+  --purpose <purpose>        Declared purpose (a purpose of the policy file)
+  --reveal                   Return plaintext for fields the role may reveal (masked otherwise)
+  --tenant <id>              Tenant of the tokens (default: default)
+  --check-policy             Validate the policy file and print its roles
+  --help                     Show this help message
+
+Environment Variables:
+  DETOKENIZE_POLICY_FILE     Policy file (default: config/detokenization-policy.json)
+  DETOKENIZE_MAX_TOKENS      Max tokens per request (default: 100)
+  MASKING_RULES_FILE         Per-role masking rules (default: config/masking-rules.json)
+  DB_*, VAULT_*              Database and Vault connection settings
+
+Field access levels in the policy:
+  none     withheld, never decrypted
+  masked   decrypted and returned masked (98****3210, s****@gmail.com, 1985-**-**)
+  reveal   plaintext with --reveal, masked without
+
+Every request is recorded in the audit log (pii_audit_log), including denied ones.
+
+Example:
+  npm run detokenize -- --detokenize TKN_LK5AKXXK5K77_PAN_CARD --caller alice@example.com \\
+      --role kyc-officer --purpose kyc-verification --reveal
+        `);
+        return;
+    }
+
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    if (args.includes('--check-policy')) {
+        const policy = loadDetokenizationPolicy();
+        console.log(`✅ Policy ${config.detokenize.policyFile} is valid`);
+        for (const [role, rolePolicy] of Object.entries(policy.roles)) {
+            console.log(`\n👤 ${role} (purposes: ${rolePolicy.purposes.join(', ')})`);
+            for (const [fieldType, access] of Object.entries(rolePolicy.fields)) {
+                console.log(`   ${fieldType.padEnd(16)} ${access}`);
+            }
+        }
+        return;
+    }
+
+    const tokenList = getArg('--detokenize');
+    if (!tokenList) {
+        console.error('❌ --detokenize <tokens> is required');
+        process.exit(1);
+    }
+
+    const service = new DetokenizationService();
+
+    try {
+        await service.initialize();
+
+        const result = await service.detokenize(tokenList.split(',').map(token => token.trim()).filter(Boolean), {
+            callerId: getArg('--caller'),
+            role: getArg('--role'),
+            purpose: getArg('--purpose'),
+            reveal: args.includes('--reveal'),
+            tenantId: getArg('--tenant')
+        });
+
+        console.log('\n🔓 Detokenization Result:');
+        console.log(JSON.stringify(result, null, 2));
+    } catch (error) {
+        console.error('❌ Detokenization failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await service.close();
+    }
+}
+
+// Error handling
+process.on('unhandledRejection', (error) => {
+    console.error('Unhandled rejection:', error);
+    process.exit(1);
+});
+
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught exception:', error);
+    process.exit(1);
+});
+
+// Export for use in other modules
+module.exports = {
+    DetokenizationService,
+    DetokenizationError,
+    ACCESS_LEVELS,
+    CALLER_ID_PATTERN,
+    loadDetokenizationPolicy,
+    validatePolicy,
+    fieldAccess,
+    authorizeCaller
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -1,17 +1,26 @@
-const { createHmac } = require('crypto');
+const crypto = require('crypto');
 const { createClient } = require('redis');
+const { loadHmacKeyring, HmacKeyring } = require('./hmac-keyring.js');
+const { FieldIndexKeys, FIELD_MAP, FIELD_ALIASES, normalize, getFieldAlias, parseIndexKey } = require('./field-index-keys.js');
+const { validateFieldValue } = require('./field-normalizers.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
+const { parseQueryExpression, conditionsToExpression } = require('./query-expression.js');
+const { QueryPlanner, RedisPlanExecutor } = require('./query-planner.js');
+const { resolveResultLevel, toSubjectTokens, expressionFields } = require('./subject-tokens.js');
+const { resolveMinScore, diceScore, minMatchingGrams, rankFuzzyMatches } = require('./fuzzy-search.js');
 
 // Load environment variables
 require('dotenv').config();
 
 // Field-aware HMAC indexer for multi-field PII records
 // Supports field-scoped search: "first name starts with X AND last name ends with Y"
+// Every index and search call is scoped to a tenant (the default tenant when none is given)
 
 class FieldAwareRedisIndexer {
     constructor(redisConfig = {}, secret = null) {
         // Validate required environment variables if not provided as parameters
-        if (!secret && !process.env.REDIS_HMAC_SECRET) {
-            console.error('❌ Missing REDIS_HMAC_SECRET environment variable');
+        if (!secret && !process.env.REDIS_HMAC_SECRET && !process.env.VAULT_ADDR) {
+            console.error('❌ Missing REDIS_HMAC_SECRET environment variable (or VAULT_ADDR for the Vault HMAC keyring)');
             console.error('Please copy .env.template to .env and configure all required variables.');
             process.exit(1);
         }
@@ -29,7 +38,10 @@ class FieldAwareRedisIndexer {
         }
 
         this.redis = null;
-        this.secret = secret || process.env.REDIS_HMAC_SECRET;
+        // Versioned HMAC secrets: an explicit secret (or keyring) is used as given, otherwise
+        // the keyring is loaded from Vault (or REDIS_HMAC_SECRET) in initialize()
+        this.keyring = secret instanceof HmacKeyring ? secret : (secret ? HmacKeyring.fromSecret(secret) : null);
+        this.keys = this.keyring ? new FieldIndexKeys(this.keyring) : null;
         this.redisConfig = {
             host: redisConfig.host || process.env.REDIS_HOST,
             port: redisConfig.port || parseInt(process.env.REDIS_PORT),
@@ -39,30 +51,23 @@ class FieldAwareRedisIndexer {
 
         // Field mapping to compact aliases (ONLY for Redis keys - not used in database)
         // Database stores full field names, Redis uses these abbreviations for key efficiency
-        this.fieldMap = {
-            'FIRST_NAME': 'fn',
-            'LAST_NAME': 'ln',
-            'MIDDLE_NAME': 'mn',
-            'FULL_NAME': 'name',
-            'EMAIL': 'email',
-            'MOBILE_NUMBER': 'phone',
-            'DATE_OF_BIRTH': 'dob',
-            'ADDRESS': 'addr',
-            'COUNTRY': 'country',
-            'CITY': 'city',
-            'PAN_CARD': 'pan',
-            'PASSPORT_NUMBER': 'passport'
-        };
+        this.fieldMap = FIELD_MAP;
 
         // Valid fields and operations
-        this.validFields = ['fn', 'ln', 'mn', 'name', 'email', 'phone', 'dob', 'addr', 'country', 'city', 'pan', 'passport'];
-        this.validOps = ['eq', 'startsWith', 'endsWith', 'contains'];
+        this.validFields = FIELD_ALIASES;
+        this.validOps = ['eq', 'startsWith', 'endsWith', 'contains', 'soundsLike', 'hasWord', 'wordStartsWith', 'dateBetween', 'ageOver', 'ageUnder'];
     }
 
     async initialize() {
         try {
             this.redis = createClient(this.redisConfig);
             await this.redis.connect();
+
+            if (!this.keyring) {
+                this.keyring = await loadHmacKeyring();
+                this.keys = new FieldIndexKeys(this.keyring);
+            }
+
             console.log('✅ Field-Aware Redis Indexer connected');
             return true;
         } catch (error) {
@@ -71,92 +76,56 @@ class FieldAwareRedisIndexer {
         }
     }
 
-    // HMAC hash function: H(s) = base64url(HMAC_SHA256(secret, s))
+    // HMAC hash function: H(s) = base64url(HMAC_SHA256(secret, s)) under the active key version
     H(s) {
-        return createHmac('sha256', this.secret).update(s).digest('base64url');
+        return this.keys.H(s);
     }
 
     // Normalize text: lowercase + Unicode NFKC + trim
     normalize(s) {
-        return s.normalize('NFKC').toLowerCase().trim();
+        return normalize(s);
     }
 
     // Get field alias from full field name
     getFieldAlias(fieldName) {
-        return this.fieldMap[fieldName.toUpperCase()] || fieldName.toLowerCase();
+        return getFieldAlias(fieldName);
     }
 
-    // Generate Redis keys for a specific field, operation, and query
-    // Matches the TypeScript interface: keysFor(field, op, q, k=3)
-    keysFor(field, op, q, k = this.k) {
-        const n = this.normalize(q);
-
-        if (op === 'eq') {
-            return [`idx:${field}:eq:${this.H(`${field}|${n}`)}`];
-        }
-
-        if (op === 'startsWith') {
-            return [`idx:${field}:pre:${this.H(`${field}|${n}`)}`];
-        }
-
-        if (op === 'endsWith') {
-            const r = [...n].reverse().join('');
-            return [`idx:${field}:suf:${this.H(`${field}|${r}`)}`];
-        }
-
-        // contains operation using k-grams (minimum k=3 required)
-        if (n.length < k) {
-            console.warn(`⚠️  Contains search requires minimum ${k} characters, got "${q}" (${n.length} chars)`);
-            return []; // No contains search for queries shorter than k
-        }
-
-        const grams = Array.from({length: n.length - k + 1}, (_, i) => n.slice(i, i + k));
-        return grams.map(g => `idx:${field}:g${k}:${this.H(`${field}|${g}`)}`);
+    // Generate Redis keys for a specific field, operation, and query (active key version)
+    // Matches the TypeScript interface: keysFor(field, op, q, k=3), scoped to a tenant
+    keysFor(field, op, q, k = this.k, tenantId = DEFAULT_TENANT) {
+        return this.keys.keysFor(field, op, q, { k, tenantId });
     }
 
     // Generate all keys needed for indexing a field value (for all operations)
-    generateAllIndexKeys(field, value, k = this.k) {
-        const n = this.normalize(value);
-        const r = [...n].reverse().join('');
-
-        const keys = [];
-
-        // Equality key
-        keys.push(`idx:${field}:eq:${this.H(`${field}|${n}`)}`);
-
-        // All prefix keys for startsWith
-        for (let i = 1; i <= n.length; i++) {
-            const prefix = n.slice(0, i);
-            keys.push(`idx:${field}:pre:${this.H(`${field}|${prefix}`)}`);
-        }
-
-        // All suffix keys for endsWith (using reversed prefixes)
-        for (let i = 1; i <= r.length; i++) {
-            const prefix = r.slice(0, i);
-            keys.push(`idx:${field}:suf:${this.H(`${field}|${prefix}`)}`);
-        }
-
-        // All k-gram keys for contains (only k=3 grams to avoid index explosion)
-        if (n.length >= k) {
-            for (let i = 0; i <= n.length - k; i++) {
-                const gram = n.slice(i, i + k);
-                keys.push(`idx:${field}:g${k}:${this.H(`${field}|${gram}`)}`);
-            }
-        }
+    generateAllIndexKeys(field, value, k = this.k, tenantId = DEFAULT_TENANT) {
+        return this.keys.generateAllIndexKeys(field, value, { k, tenantId });
+    }
 
-        return keys;
+    // Reverse map key: token → every idx key the token was added to
+    reverseKey(token) {
+        return `rev:${token}`;
     }
 
-    // Index a single field → token mapping
-    async indexFieldValue(fieldName, value, token, k = this.k) {
+    // Index a single field → token mapping for a tenant
+    async indexFieldValue(fieldName, value, token, tenantId = DEFAULT_TENANT, k = this.k) {
         try {
             const field = this.getFieldAlias(fieldName);
-            const keys = this.generateAllIndexKeys(field, value, k);
+            const keys = this.generateAllIndexKeys(field, value, k, tenantId);
             const pipe = this.redis.multi();
 
+            // Malformed values are still indexed (in canonical form); the log names the token, not the value
+            const problem = validateFieldValue(field, value);
+            if (problem) {
+                console.warn(`⚠️  ${fieldName} of ${token} is ${problem}`);
+            }
+
             // Add token to all generated keys
             keys.forEach(key => pipe.sAdd(key, token));
 
+            // Record the keys in the reverse map so the token can be removed without its plaintext
+            pipe.sAdd(this.reverseKey(token), keys);
+
             await pipe.exec();
             return { indexed: keys.length, field: fieldName, alias: field };
         } catch (error) {
@@ -166,7 +135,7 @@ class FieldAwareRedisIndexer {
     }
 
     // Index a complete multi-field record
-    async indexRecord(recordData, token, k = this.k) {
+    async indexRecord(recordData, token, tenantId = DEFAULT_TENANT, k = this.k) {
         try {
             let totalKeys = 0;
             const indexedFields = [];
@@ -174,7 +143,7 @@ class FieldAwareRedisIndexer {
             // Index each field in the record
             for (const [fieldName, value] of Object.entries(recordData)) {
                 if (value && typeof value === 'string' && value.trim()) {
-                    const result = await this.indexFieldValue(fieldName, value, token, k);
+                    const result = await this.indexFieldValue(fieldName, value, token, tenantId, k);
                     totalKeys += result.indexed;
                     indexedFields.push(fieldName);
                 }
@@ -192,22 +161,22 @@ class FieldAwareRedisIndexer {
         }
     }
 
-    // Remove field → token mapping
-    async removeFieldValue(fieldName, value, token, k = this.k) {
+    // Remove field → token mapping (when the value is known)
+    async removeFieldValue(fieldName, value, token, tenantId = DEFAULT_TENANT, k = this.k) {
         try {
-            const {eq, pres, sufs, gk} = this.generateFieldKeys(fieldName, value, token, k);
+            const field = this.getFieldAlias(fieldName);
+            // Every key version: the value may still be indexed under a version being rotated out
+            const keys = this.keyring.versions.flatMap(version => this.keys.generateAllIndexKeys(field, value, { k, version, tenantId }));
             const pipe = this.redis.multi();
 
-            // Remove token from all relevant sets
-            pipe.sRem(eq, token);
-            pres.forEach(key => pipe.sRem(key, token));
-            sufs.forEach(key => pipe.sRem(key, token));
-            gk.forEach(key => pipe.sRem(key, token));
+            // Remove token from all relevant sets and from its reverse map
+            keys.forEach(key => pipe.sRem(key, token));
+            pipe.sRem(this.reverseKey(token), keys);
 
             await pipe.exec();
 
             // Clean up empty sets
-            await this.cleanupEmptyKeys([eq, ...pres, ...sufs, ...gk]);
+            await this.cleanupEmptyKeys([...keys, this.reverseKey(token)]);
             return true;
         } catch (error) {
             console.error(`❌ Failed to remove ${fieldName}="${value}":`, error.message);
@@ -215,13 +184,77 @@ class FieldAwareRedisIndexer {
         }
     }
 
+    // Index keys a token was added to, from the reverse map
+    async getTokenKeys(token) {
+        return await this.redis.sMembers(this.reverseKey(token));
+    }
+
+    // Remove a token from every index key using the reverse map (no plaintext or decryption needed)
+    async removeToken(token) {
+        try {
+            const keys = await this.getTokenKeys(token);
+            const pipe = this.redis.multi();
+
+            keys.forEach(key => pipe.sRem(key, token));
+            pipe.del(this.reverseKey(token));
+
+            await pipe.exec();
+
+            // Clean up empty sets
+            await this.cleanupEmptyKeys(keys);
+            return { token, keysRemoved: keys.length };
+        } catch (error) {
+            console.error(`❌ Failed to remove token ${token}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Replace the value indexed for a token without knowing the previous value
+    async updateFieldValue(fieldName, newValue, token, tenantId = DEFAULT_TENANT, k = this.k) {
+        const removed = await this.removeToken(token);
+        const indexed = await this.indexFieldValue(fieldName, newValue, token, tenantId, k);
+        return { ...indexed, keysRemoved: removed.keysRemoved };
+    }
+
+    // Build reverse map entries for tokens indexed before the reverse map existed
+    // Scans every idx:* set once; safe to re-run
+    async backfillReverseMap(scanCount = 1000) {
+        let keysScanned = 0;
+
+        for await (const keys of this.redis.scanIterator({ MATCH: 'idx:*', COUNT: scanCount })) {
+            for (const key of keys) {
+                const tokens = await this.redis.sMembers(key);
+                const pipe = this.redis.multi();
+                tokens.forEach(token => pipe.sAdd(this.reverseKey(token), key));
+                await pipe.exec();
+                keysScanned++;
+            }
+        }
+
+        return { keysScanned };
+    }
+
     // Field-scoped search operations using the clean keysFor interface
-    async search(fieldName, op, query, k = this.k) {
+    // Only the tenant's own keys are read, so results never include another tenant's tokens.
+    // Reads every key version in the keyring, so results stay complete during a rotation
+    async search(fieldName, op, query, tenantId = DEFAULT_TENANT, k = this.k) {
         const field = this.getFieldAlias(fieldName);
-        const keys = this.keysFor(field, op, query, k);
+        const keyGroups = this.keys.keyGroupsFor(field, op, query, { k, tenantId });
 
-        if (keys.length === 0) return [];
+        if (keyGroups.length === 0) return [];
+        if (keyGroups.length === 1) return await this.searchKeys(keyGroups[0]);
 
+        // Single-key groups (date range buckets, single-key operations across versions): one SUNION
+        if (keyGroups.every(keys => keys.length === 1)) {
+            return await this.redis.sUnion(keyGroups.flat());
+        }
+
+        const results = await Promise.all(keyGroups.map(keys => this.searchKeys(keys)));
+        return Array.from(new Set(results.flat()));
+    }
+
+    // Tokens matching all keys of one key version
+    async searchKeys(keys) {
         // For single key operations (eq, startsWith, endsWith)
         if (keys.length === 1) {
             return await this.redis.sMembers(keys[0]);
@@ -232,74 +265,163 @@ class FieldAwareRedisIndexer {
     }
 
     // Convenience methods for specific operations
-    async searchFieldEquals(fieldName, query) {
-        return await this.search(fieldName, 'eq', query);
+    async searchFieldEquals(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'eq', query, tenantId);
     }
 
-    async searchFieldStartsWith(fieldName, query) {
-        return await this.search(fieldName, 'startsWith', query);
+    async searchFieldStartsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'startsWith', query, tenantId);
     }
 
-    async searchFieldEndsWith(fieldName, query) {
-        return await this.search(fieldName, 'endsWith', query);
+    async searchFieldEndsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'endsWith', query, tenantId);
     }
 
-    async searchFieldContains(fieldName, query, k = this.k) {
-        return await this.search(fieldName, 'contains', query, k);
+    async searchFieldContains(fieldName, query, tenantId = DEFAULT_TENANT, k = this.k) {
+        return await this.search(fieldName, 'contains', query, tenantId, k);
     }
 
-    // Complex query support: AND/OR operations
-    async executeComplexQuery(queryConditions, operator = 'AND') {
-        try {
-            const resultSets = [];
-
-            // Execute each condition
-            for (const condition of queryConditions) {
-                const { field, operation, value } = condition;
-                let tokens;
-
-                switch (operation.toLowerCase()) {
-                    case 'equals':
-                        tokens = await this.searchFieldEquals(field, value);
-                        break;
-                    case 'starts_with':
-                        tokens = await this.searchFieldStartsWith(field, value);
-                        break;
-                    case 'ends_with':
-                        tokens = await this.searchFieldEndsWith(field, value);
-                        break;
-                    case 'contains':
-                        tokens = await this.searchFieldContains(field, value);
-                        break;
-                    default:
-                        throw new Error(`Unsupported operation: ${operation}`);
-                }
+    async searchFieldSoundsLike(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'soundsLike', query, tenantId);
+    }
+
+    // Word searches on multi-word fields: "Karnataka" or "560001" anywhere in an address
+    async searchFieldHasWord(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'hasWord', query, tenantId);
+    }
+
+    async searchFieldWordStartsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'wordStartsWith', query, tenantId);
+    }
+
+    // Date range searches: range "1980..1985" (YYYY, YYYY-MM or YYYY-MM-DD endpoints), age in years
+    async searchFieldDateBetween(fieldName, range, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'dateBetween', range, tenantId);
+    }
+
+    async searchFieldAgeOver(fieldName, age, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'ageOver', String(age), tenantId);
+    }
+
+    async searchFieldAgeUnder(fieldName, age, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'ageUnder', String(age), tenantId);
+    }
 
-                resultSets.push(new Set(tokens));
+    // Email sub-field searches: all addresses at a domain ("example.com" includes its subdomains),
+    // local part prefix
+    async searchEmailDomain(domain, tenantId = DEFAULT_TENANT) {
+        return await this.search('EMAIL_DOMAIN', 'eq', domain, tenantId);
+    }
+
+    async searchEmailLocalStartsWith(prefix, tenantId = DEFAULT_TENANT) {
+        return await this.search('EMAIL_LOCAL', 'startsWith', prefix, tenantId);
+    }
+
+    // Typo-tolerant search: tokens ranked by the Dice coefficient of their bigrams and the query's
+    // options: { minScore (default FUZZY_MIN_SCORE), limit (default FUZZY_MAX_RESULTS) }
+    // Returns [{ token, score }], best match first
+    async searchFieldFuzzy(fieldName, query, tenantId = DEFAULT_TENANT, options = {}) {
+        const field = this.getFieldAlias(fieldName);
+        const minScore = resolveMinScore(options.minScore);
+        const keyGroups = this.keys.fuzzyKeyGroupsFor(field, query, minScore, { tenantId });
+
+        // A token keeps its best score across key versions
+        const scores = new Map();
+        for (const { gramKeys, lengthKeys } of keyGroups) {
+            const minMatches = minMatchingGrams(gramKeys.length, minScore);
+            for (const { token, matches, grams } of await this.countGramMatches(gramKeys, lengthKeys, minMatches)) {
+                const score = diceScore(matches, gramKeys.length, grams);
+                if (score >= minScore) scores.set(token, Math.max(scores.get(token) || 0, score));
             }
+        }
 
-            // Apply AND/OR logic
-            if (resultSets.length === 0) return [];
+        return rankFuzzyMatches(scores, options.limit);
+    }
 
-            let finalResult = resultSets[0];
+    // Tokens posted under at least minMatches of the gram keys: { token, matches, grams }, where
+    // grams is the token's bigram count from the first of lengthKeys (key → count) it is under
+    // ZUNIONSTORE over the plain sets scores every token 1 per key, so the counting runs in Redis.
+    // Tokens under none of lengthKeys are too short or too long to reach the score and are dropped.
+    async countGramMatches(gramKeys, lengthKeys, minMatches) {
+        const destination = `tmp:fuzzy:${crypto.randomUUID()}`;
+        const [, matches] = await this.redis.multi()
+            .zUnionStore(destination, gramKeys)
+            .zRangeWithScores(destination, '+inf', minMatches, { BY: 'SCORE', REV: true })
+            .del(destination)
+            .exec();
+        if (matches.length === 0 || lengthKeys.size === 0) return [];
+
+        const tokens = matches.map(({ value }) => value);
+        const lengths = Array.from(lengthKeys);
+        const pipe = this.redis.multi();
+        lengths.forEach(([key]) => pipe.smIsMember(key, tokens));
+        const memberships = await pipe.exec();
+
+        const grams = new Map();
+        memberships.forEach((flags, i) => flags.forEach((isMember, j) => {
+            if (Number(isMember) && !grams.has(tokens[j])) grams.set(tokens[j], lengths[i][1]);
+        }));
+
+        return matches
+            .filter(({ value }) => grams.has(value))
+            .map(({ value, score }) => ({ token: value, matches: Number(score), grams: grams.get(value) }));
+    }
 
-            for (let i = 1; i < resultSets.length; i++) {
-                if (operator.toUpperCase() === 'AND') {
-                    // Intersection for AND
-                    finalResult = new Set([...finalResult].filter(x => resultSets[i].has(x)));
-                } else if (operator.toUpperCase() === 'OR') {
-                    // Union for OR
-                    finalResult = new Set([...finalResult, ...resultSets[i]]);
-                }
+    // Complex query support: AND/OR operations within one tenant
+    // options: { level: 'subject' (default, person-level tokens) | 'token' (field tokens) }
+    async executeComplexQuery(queryConditions, operator = 'AND', tenantId = DEFAULT_TENANT, options = {}) {
+        if (queryConditions.length === 0) return [];
+        return await this.executeQueryExpression(conditionsToExpression(queryConditions, operator), tenantId, options);
+    }
+
+    // Boolean query expression (string or parsed tree) with nested groups and NOT, within one tenant
+    // e.g. (fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"
+    // Planned by key cardinality (SCARD) and executed server-side with SINTERSTORE/SUNIONSTORE/SDIFFSTORE
+    // Returns subject tokens unless options.level is 'token' (see subject-tokens.js). Conditions on
+    // several fields only meet per person, so they are combined in the planner instead of in Redis
+    async executeQueryExpression(expression, tenantId = DEFAULT_TENANT, options = {}) {
+        try {
+            const tree = typeof expression === 'string' ? parseQueryExpression(expression) : expression;
+            const level = resolveResultLevel(options.level);
+            const planner = new QueryPlanner(this, { tenantId, level });
+            const plan = await planner.plan(tree);
+
+            if (level === 'subject' && expressionFields(tree).size > 1) {
+                return Array.from(await planner.execute(plan));
             }
 
-            return Array.from(finalResult);
+            const tokens = await new RedisPlanExecutor(this.redis).execute(plan);
+            return level === 'subject' ? toSubjectTokens(tokens) : tokens;
         } catch (error) {
             console.error('❌ Complex query failed:', error.message);
             throw error;
         }
     }
 
+    // Number of tokens under each key (query planner input)
+    async keyCardinalities(keys) {
+        const pipe = this.redis.multi();
+        keys.forEach(key => pipe.sCard(key));
+        const sizes = await pipe.exec();
+        return new Map(keys.map((key, idx) => [key, Number(sizes[idx])]));
+    }
+
+    // Tokens under all keys, limited to candidates (planner execution of person-level queries)
+    // With candidates, only their membership is checked (SMISMEMBER) instead of reading whole sets
+    async fetchKeyGroup(keys, tenantId = DEFAULT_TENANT, candidates = null) {
+        if (!candidates) {
+            return new Set(keys.length === 1 ? await this.redis.sMembers(keys[0]) : await this.redis.sInter(keys));
+        }
+
+        const tokens = Array.from(candidates);
+        if (tokens.length === 0) return new Set();
+
+        const pipe = this.redis.multi();
+        keys.forEach(key => pipe.sMIsMember(key, tokens));
+        const memberships = await pipe.exec();
+        return new Set(tokens.filter((token, i) => memberships.every(member => Number(member[i]) === 1)));
+    }
+
     // Clean up keys that have empty sets
     async cleanupEmptyKeys(keys) {
         try {
@@ -314,26 +436,39 @@ class FieldAwareRedisIndexer {
         }
     }
 
-    // Get comprehensive indexing statistics
-    async getStats() {
+    // Get comprehensive indexing statistics, of one tenant's keys when a tenant is given
+    async getStats(tenantId = undefined) {
         try {
             const pattern = 'idx:*';
-            const keys = await this.redis.keys(pattern);
+            const tenant = tenantId === undefined ? null : resolveTenantId(tenantId);
+            let keys = await this.redis.keys(pattern);
+            if (tenant) {
+                keys = keys.filter(key => {
+                    const parsed = parseIndexKey(key);
+                    return parsed !== null && parsed.tenantId === tenant;
+                });
+            }
 
             const stats = {
+                tenantId: tenant,
                 totalKeys: keys.length,
                 keysByField: {},
-                keysByOperation: { eq: 0, pre: 0, suf: 0, g3: 0, g4: 0 },
+                keysByOperation: { eq: 0, pre: 0, suf: 0, g3: 0, g4: 0, f2: 0, fl: 0, ph: 0, w: 0, wp: 0, d10: 0, dy: 0, dm: 0, dd: 0, reg: 0 },
+                keysByVersion: {},
+                keysByTenant: {},
                 sampleTokenCount: 0,
                 estimatedTotalTokens: 0
             };
 
             // Analyze key patterns
             for (const key of keys.slice(0, 100)) { // Sample for performance
-                const parts = key.split(':');
-                if (parts.length >= 4) {
-                    const field = parts[1];
-                    const operation = parts[2];
+                const parsed = parseIndexKey(key);
+                if (parsed) {
+                    const { field, op: operation, version, tenantId } = parsed;
+
+                    // Count by key version and tenant
+                    stats.keysByVersion[version] = (stats.keysByVersion[version] || 0) + 1;
+                    stats.keysByTenant[tenantId] = (stats.keysByTenant[tenantId] || 0) + 1;
 
                     // Count by field
                     stats.keysByField[field] = (stats.keysByField[field] || 0) + 1;
@@ -351,7 +486,7 @@ class FieldAwareRedisIndexer {
 
             // Estimate total tokens
             const sampleSize = Math.min(keys.length, 100);
-            stats.estimatedTotalTokens = Math.round((stats.sampleTokenCount / sampleSize) * keys.length);
+            stats.estimatedTotalTokens = sampleSize > 0 ? Math.round((stats.sampleTokenCount / sampleSize) * keys.length) : 0;
 
             return stats;
         } catch (error) {
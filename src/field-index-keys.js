@@ -0,0 +1,327 @@
+const { LEGACY_VERSION } = require('./hmac-keyring.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
+const {
+    normalize,
+    normalizeFieldValue,
+    normalizeSearchableValue,
+    normalizeFieldQuery,
+    emailParts,
+    emailDomainQuery,
+    registrableDomain,
+    supportsWords,
+    wordTokens
+} = require('./field-normalizers.js');
+const { supportsPhonetic, phoneticCode } = require('./phonetic-encoder.js');
+const { valueGramRange } = require('./fuzzy-search.js');
+const { supportsDateRange, isDateRangeOperation, dateBucketValues, dateRangeBuckets } = require('./date-buckets.js');
+
+// Field-aware index keys
+// Shared by the Redis field-aware indexer, the PostgreSQL indexer and the PostgreSQL search API
+// so all of them generate identical keys:
+//   idx:{version}:{field}:{op}:{H(field|value)}            default tenant
+//   idx:{version}:@{tenant}:{field}:{op}:{H(field|value)}  any other tenant
+// op = eq | pre | suf | g{k} | f2 (fuzzy bigrams) | fl (fuzzy bigram count) | ph (phonetic code, name fields only) |
+// d10 / dy / dm / dd (decade / year / month / day buckets, date fields only) |
+// reg (registrable domain, emaildomain only) | w / wp (whole word / word prefix, multi-word fields only).
+// H is HMAC-SHA256 (base64url) under the keyring secret of that version, derived per tenant
+// for tenants other than the default one.
+
+// Field mapping to compact aliases used in index keys
+const FIELD_MAP = {
+    'FIRST_NAME': 'fn',
+    'LAST_NAME': 'ln',
+    'MIDDLE_NAME': 'mn',
+    'FULL_NAME': 'name',
+    'EMAIL': 'email',
+    'MOBILE_NUMBER': 'phone',
+    'DATE_OF_BIRTH': 'dob',
+    'ADDRESS': 'addr',
+    'COUNTRY': 'country',
+    'CITY': 'city',
+    'PAN_CARD': 'pan',
+    'PASSPORT_NUMBER': 'passport',
+    // Sub-fields of EMAIL (see DERIVED_FIELDS)
+    'EMAIL_DOMAIN': 'emaildomain',
+    'EMAIL_LOCAL': 'emaillocal'
+};
+
+const FIELD_ALIASES = Object.values(FIELD_MAP);
+
+// Sub-fields indexed from another field's value, searchable with their own operations only:
+//   emaildomain eq "example.com"     exact domain; a registrable domain also matches its subdomains
+//   emaillocal startsWith "john"     prefix of the local part (as written)
+const DERIVED_FIELDS = {
+    emaildomain: { source: 'email', operations: ['eq'] },
+    emaillocal: { source: 'email', operations: ['startsWith'] }
+};
+
+// Fuzzy queries shorter than this would match almost every value
+const FUZZY_MIN_QUERY_LENGTH = 3;
+
+// Get field alias from full field name
+function getFieldAlias(fieldName) {
+    return FIELD_MAP[fieldName.toUpperCase()] || fieldName.toLowerCase();
+}
+
+// Whether an operation can be answered for a field alias (sub-fields only have their own operations)
+function supportsFieldOperation(field, op) {
+    return !DERIVED_FIELDS[field] || DERIVED_FIELDS[field].operations.includes(op);
+}
+
+// Distinct character bigrams of a normalized value, with start/end markers
+// "anna" → ["^a", "an", "nn", "na", "a$"]
+function fuzzyGrams(n) {
+    const padded = `^${n}$`;
+    return Array.from(new Set(Array.from({length: padded.length - 1}, (_, i) => padded.slice(i, i + 2))));
+}
+
+class FieldIndexKeys {
+    constructor(keyring, k = 3) {
+        this.keyring = keyring;
+        this.k = k;
+    }
+
+    // options: { version (default: active), tenantId (default: default tenant) }
+    H(s, options = {}) {
+        return this.keyring.hmac(s, options.version || this.keyring.active, options.tenantId);
+    }
+
+    // idx:{version}[:@{tenant}]:{field}:{op}:{hash}
+    key(field, op, s, options = {}) {
+        const version = options.version || this.keyring.active;
+        const tenant = resolveTenantId(options.tenantId);
+        const scope = tenant === DEFAULT_TENANT ? '' : `:@${tenant}`;
+
+        return `${this.keyring.keyPrefix(version)}${scope}:${field}:${op}:${this.H(`${field}|${s}`, { version, tenantId: tenant })}`;
+    }
+
+    // Keys for a query under one key version
+    // The query is normalized like the indexed values of the field (see field-normalizers.js)
+    // options: { k, version (default: active), tenantId }
+    keysFor(field, op, q, options = {}) {
+        const k = options.k || this.k;
+
+        if (DERIVED_FIELDS[field]) {
+            return this.derivedKeysFor(field, op, q, options);
+        }
+
+        if (op === 'eq') {
+            return [this.key(field, 'eq', normalizeFieldValue(field, q), options)];
+        }
+
+        if (op === 'startsWith') {
+            return [this.key(field, 'pre', normalizeFieldQuery(field, op, q), options)];
+        }
+
+        if (op === 'endsWith') {
+            const r = [...normalizeFieldQuery(field, op, q)].reverse().join('');
+            return [this.key(field, 'suf', r, options)];
+        }
+
+        // soundsLike operation: phonetic code of the query (see phonetic-encoder.js)
+        if (op === 'soundsLike') {
+            if (!supportsPhonetic(field)) {
+                throw new Error(`soundsLike is only supported for name fields, not ${field}`);
+            }
+            const code = phoneticCode(normalizeFieldValue(field, q));
+            return code ? [this.key(field, 'ph', code, options)] : [];
+        }
+
+        // Word operations: every word of the query is a whole word of the value; for
+        // wordStartsWith the last one only needs to start a word ("karn", "mg ro")
+        if (op === 'hasWord' || op === 'wordStartsWith') {
+            if (!supportsWords(field)) {
+                throw new Error(`${op} is only supported for multi-word fields, not ${field}`);
+            }
+            const words = op === 'hasWord'
+                ? wordTokens(normalizeFieldValue(field, q))
+                : wordTokens(normalizeFieldQuery(field, 'startsWith', q));
+            return words.map((word, i) =>
+                this.key(field, op === 'wordStartsWith' && i === words.length - 1 ? 'wp' : 'w', word, options));
+        }
+
+        // Date range operations: bucket keys covering the range (see date-buckets.js), any of which matches
+        if (isDateRangeOperation(op)) {
+            if (!supportsDateRange(field)) {
+                throw new Error(`${op} is only supported for date fields, not ${field}`);
+            }
+            return dateRangeBuckets(op, q).map(bucket => this.key(field, bucket.op, bucket.value, options));
+        }
+
+        // fuzzy operation: one key per query bigram, scored rather than intersected (see fuzzy-search.js)
+        if (op === 'fuzzy') {
+            const n = normalizeFieldValue(field, q);
+            if (n.length < FUZZY_MIN_QUERY_LENGTH) {
+                console.warn(`⚠️  Fuzzy search requires minimum ${FUZZY_MIN_QUERY_LENGTH} characters, got "${q}" (${n.length} chars)`);
+                return [];
+            }
+            return fuzzyGrams(n).map(g => this.key(field, 'f2', g, options));
+        }
+
+        // contains operation using k-grams (minimum k=3 required)
+        const n = normalizeFieldQuery(field, op, q);
+        if (n.length < k) {
+            console.warn(`⚠️  Contains search requires minimum ${k} characters, got "${q}" (${n.length} chars)`);
+            return []; // No contains search for queries shorter than k
+        }
+
+        const grams = Array.from({length: n.length - k + 1}, (_, i) => n.slice(i, i + k));
+        return grams.map(g => this.key(field, `g${k}`, g, options));
+    }
+
+    // Keys for a query on an email sub-field
+    derivedKeysFor(field, op, q, options = {}) {
+        if (!supportsFieldOperation(field, op)) {
+            throw new Error(`${field} only supports ${DERIVED_FIELDS[field].operations.join(', ')}, not ${op}`);
+        }
+
+        // A registrable domain is answered by its reg key, which also holds the subdomains
+        if (field === 'emaildomain') {
+            const domain = emailDomainQuery(q);
+            if (!domain) return [];
+            return [this.key(field, registrableDomain(domain) === domain ? 'reg' : 'eq', domain, options)];
+        }
+
+        const n = normalize(q);
+        return n ? [this.key(field, 'pre', n, options)] : [];
+    }
+
+    // Key groups for a query: a token matches when it is under every key of any group
+    // One group per version in the keyring (dual-read while a rotation is in progress);
+    // date range keys are alternatives, so each of them is a group of its own
+    // options: { k, tenantId }
+    keyGroupsFor(field, op, q, options = {}) {
+        const [active, ...older] = this.keyring.versions;
+        const activeKeys = this.keysFor(field, op, q, { ...options, version: active });
+        if (activeKeys.length === 0) return [];
+
+        const groups = [activeKeys, ...older.map(version => this.keysFor(field, op, q, { ...options, version }))];
+        return isDateRangeOperation(op) ? groups.flat().map(key => [key]) : groups;
+    }
+
+    // Fuzzy query keys, one entry per version: the query's bigram keys and the bigram count
+    // keys (key → count) of the values that can still reach minScore (see fuzzy-search.js)
+    // options: { tenantId }
+    fuzzyKeyGroupsFor(field, q, minScore, options = {}) {
+        return this.keyGroupsFor(field, 'fuzzy', q, options).map((gramKeys, i) => {
+            const version = this.keyring.versions[i];
+            const { min, max } = valueGramRange(gramKeys.length, minScore);
+            const lengthKeys = new Map();
+            for (let count = min; count <= max; count++) {
+                lengthKeys.set(this.key(field, 'fl', String(count), { ...options, version }), count);
+            }
+            return { gramKeys, lengthKeys };
+        });
+    }
+
+    // All keys needed for indexing a field value (for all operations)
+    // Whole-value keys use the canonical form of the field, prefix / suffix / k-gram keys its
+    // searchable form (they only differ for email, see field-normalizers.js)
+    // options: { k, version (default: active), tenantId }
+    generateAllIndexKeys(field, value, options = {}) {
+        const k = options.k || this.k;
+        const c = normalizeFieldValue(field, value);
+        const n = normalizeSearchableValue(field, value);
+        const r = [...n].reverse().join('');
+
+        const keys = [];
+
+        // Equality key
+        keys.push(this.key(field, 'eq', c, options));
+
+        // All prefix keys for startsWith
+        for (let i = 1; i <= n.length; i++) {
+            keys.push(this.key(field, 'pre', n.slice(0, i), options));
+        }
+
+        // All suffix keys for endsWith (using reversed prefixes)
+        for (let i = 1; i <= r.length; i++) {
+            keys.push(this.key(field, 'suf', r.slice(0, i), options));
+        }
+
+        // All k-gram keys for contains (only k=3 grams to avoid index explosion)
+        if (n.length >= k) {
+            for (let i = 0; i <= n.length - k; i++) {
+                keys.push(this.key(field, `g${k}`, n.slice(i, i + k), options));
+            }
+        }
+
+        // Bigram keys and the bigram count key for fuzzy search
+        if (c.length > 0) {
+            const grams = fuzzyGrams(c);
+            grams.forEach(g => keys.push(this.key(field, 'f2', g, options)));
+            keys.push(this.key(field, 'fl', String(grams.length), options));
+        }
+
+        // Phonetic key for soundsLike on name fields
+        const code = supportsPhonetic(field) ? phoneticCode(c) : '';
+        if (code) {
+            keys.push(this.key(field, 'ph', code, options));
+        }
+
+        // Whole word and word prefix keys for hasWord / wordStartsWith on multi-word fields
+        if (supportsWords(field)) {
+            for (const word of new Set(wordTokens(c))) {
+                keys.push(this.key(field, 'w', word, options));
+                for (let i = 1; i <= word.length; i++) {
+                    keys.push(this.key(field, 'wp', word.slice(0, i), options));
+                }
+            }
+        }
+
+        // Decade / year / month / day bucket keys for range searches on date fields
+        if (supportsDateRange(field)) {
+            dateBucketValues(c).forEach(bucket => keys.push(this.key(field, bucket.op, bucket.value, options)));
+        }
+
+        // Domain, registrable domain and local part prefix keys of the email sub-fields
+        const parts = field === 'email' ? emailParts(value) : null;
+        if (parts) {
+            keys.push(this.key('emaildomain', 'eq', parts.domain, options));
+            keys.push(this.key('emaildomain', 'reg', parts.registrableDomain, options));
+            for (let i = 1; i <= parts.local.length; i++) {
+                keys.push(this.key('emaillocal', 'pre', parts.local.slice(0, i), options));
+            }
+        }
+
+        return keys;
+    }
+}
+
+// Split a field index key into its parts; null for keys of other indexes
+function parseIndexKey(key) {
+    const parts = key.split(':');
+    if (parts[0] !== 'idx') return null;
+
+    let version;
+    if (/^v\d+$/.test(parts[1])) {
+        version = parts[1];
+        parts.splice(0, 2);
+    } else if (FIELD_ALIASES.includes(parts[1])) {
+        version = LEGACY_VERSION;
+        parts.splice(0, 1);
+    } else {
+        return null;
+    }
+
+    let tenantId = DEFAULT_TENANT;
+    if (parts[0] && parts[0].startsWith('@')) {
+        tenantId = parts.shift().slice(1);
+    }
+
+    if (parts.length !== 3) return null;
+    return { version, tenantId, field: parts[0], op: parts[1], hash: parts[2] };
+}
+
+module.exports = {
+    FieldIndexKeys,
+    FIELD_MAP,
+    FIELD_ALIASES,
+    DERIVED_FIELDS,
+    FUZZY_MIN_QUERY_LENGTH,
+    normalize,
+    getFieldAlias,
+    supportsFieldOperation,
+    fuzzyGrams,
+    parseIndexKey
+};
@@ -0,0 +1,255 @@
+// Load environment variables
+require('dotenv').config();
+
+// Per-field normalization, applied identically at index time and at query time
+// (field-index-keys.js calls it for every key it builds). Each field alias can define:
+//   canonical(value)         full value → canonical form: eq keys, fuzzy, phonetic and date keys
+//   searchable(value)        full value → form for the prefix / suffix / k-gram keys (default: canonical)
+//   fragment(query, op)      partial query of startsWith / endsWith / contains (default: normalize)
+//   validate(canonical)      problem description, or null when the value looks valid
+// Fields without an entry use normalize() for everything.
+
+const config = {
+    phoneCountryCode: (process.env.PHONE_DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, ''),
+    phoneNationalLength: parseInt(process.env.PHONE_NATIONAL_NUMBER_LENGTH) || 10
+};
+
+// Normalize text: lowercase + Unicode NFKC + trim
+function normalize(s) {
+    return s.normalize('NFKC').toLowerCase().trim();
+}
+
+// ---------- Phone: E.164 ----------
+
+// Digits with a leading "+" when the number is written in international form ("00" prefix too)
+function phoneDigits(s) {
+    const text = normalize(s);
+    const digits = text.replace(/\D/g, '');
+    if (text.startsWith('+')) return `+${digits}`;
+    if (text.startsWith('00')) return `+${digits.slice(2)}`;
+    return digits;
+}
+
+// E.164 (+919876543210); national numbers get the default country code, a leading trunk 0 is dropped
+// Numbers that fit no known form are returned as their digits
+function canonicalPhone(s) {
+    const digits = phoneDigits(s);
+    if (digits.startsWith('+')) return digits;
+
+    const { phoneCountryCode: cc, phoneNationalLength: length } = config;
+    if (digits.length === length + 1 && digits.startsWith('0')) return `+${cc}${digits.slice(1)}`;
+    if (digits.length === length) return `+${cc}${digits}`;
+    if (digits.length === cc.length + length && digits.startsWith(cc)) return `+${digits}`;
+    return digits;
+}
+
+// A prefix without "+" is the start of a national number (987 → +91987); other fragments are digits
+function phoneFragment(query, op) {
+    const digits = phoneDigits(query);
+    if (op !== 'startsWith' || digits.startsWith('+')) return digits;
+    return `+${config.phoneCountryCode}${digits.replace(/^0/, '')}`;
+}
+
+function validatePhone(canonical) {
+    return /^\+[1-9]\d{7,14}$/.test(canonical) ? null : 'not an E.164 phone number';
+}
+
+// ---------- Email: local part + domain ----------
+
+// Mailbox providers that ignore dots in the local part / deliver "user+tag" to "user"
+const DOTLESS_DOMAINS = ['gmail.com'];
+const SUBADDRESS_DOMAINS = ['gmail.com', 'outlook.com', 'hotmail.com', 'live.com', 'icloud.com', 'protonmail.com', 'proton.me', 'fastmail.com'];
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+
+// { local, domain } with the domain lowercased, without a trailing dot and with aliases resolved
+// null when the value has no "@"
+function splitEmail(s) {
+    const text = normalize(s).replace(/^mailto:/, '');
+    const at = text.lastIndexOf('@');
+    if (at <= 0) return null;
+
+    const domain = text.slice(at + 1).replace(/\.$/, '');
+    return { local: text.slice(0, at), domain: DOMAIN_ALIASES[domain] || domain };
+}
+
+// The mailbox an address delivers to: John.Doe+news@GoogleMail.com → johndoe@gmail.com
+function canonicalEmail(s) {
+    const parts = splitEmail(s);
+    if (!parts) return normalize(s);
+
+    let local = parts.local;
+    if (SUBADDRESS_DOMAINS.includes(parts.domain)) local = local.replace(/\+.*$/, '');
+    if (DOTLESS_DOMAINS.includes(parts.domain)) local = local.replace(/\./g, '');
+    return `${local}@${parts.domain}`;
+}
+
+// Substring keys keep the address as written (john.doe+news@gmail.com), so "contains john.doe" still matches
+function searchableEmail(s) {
+    const parts = splitEmail(s);
+    return parts ? `${parts.local}@${parts.domain}` : normalize(s);
+}
+
+// Public suffixes that names are registered one level below (example.co.in, not co.in)
+const MULTI_LABEL_SUFFIXES = [
+    'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'res.in', 'gov.in', 'nic.in',
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'edu.au',
+    'co.nz', 'co.jp', 'co.za', 'com.sg', 'com.br', 'com.cn', 'com.my'
+];
+
+// Domain a host name is registered under: mail.example.co.in → example.co.in
+function registrableDomain(domain) {
+    const suffixLabels = MULTI_LABEL_SUFFIXES.some(suffix => domain === suffix || domain.endsWith(`.${suffix}`)) ? 2 : 1;
+    return domain.split('.').slice(-(suffixLabels + 1)).join('.');
+}
+
+// Sub-field values of an address: { local, domain, registrableDomain }, local part as written
+// null when the value has no "@" or no domain
+function emailParts(s) {
+    const parts = splitEmail(s);
+    if (!parts || !parts.domain) return null;
+    return { ...parts, registrableDomain: registrableDomain(parts.domain) };
+}
+
+// Domain of a domain query: "@Example.com", "example.com." and "john@example.com" → example.com
+function emailDomainQuery(q) {
+    const text = normalize(q);
+    const domain = text.slice(text.lastIndexOf('@') + 1).replace(/\.$/, '');
+    return DOMAIN_ALIASES[domain] || domain;
+}
+
+function validateEmail(canonical) {
+    return /^[^@\s]+@[^@\s]+\.[a-z0-9-]{2,}$/.test(canonical) ? null : 'not an email address';
+}
+
+// ---------- PAN / passport: uppercase identifiers ----------
+
+// Uppercase without spaces, dots and hyphens: "abcde 1234-f" → ABCDE1234F
+function canonicalIdentifier(s) {
+    return s.normalize('NFKC').toUpperCase().replace(/[\s.\-]/g, '');
+}
+
+// PAN: 5 letters, 4 digits, 1 letter
+function validatePan(canonical) {
+    return /^[A-Z]{5}\d{4}[A-Z]$/.test(canonical) ? null : 'not a PAN (AAAAA9999A)';
+}
+
+// Indian passport: 1 letter, 7 digits
+function validatePassport(canonical) {
+    return /^[A-Z]\d{7}$/.test(canonical) ? null : 'not a passport number (A9999999)';
+}
+
+// ---------- Address: token cleanup ----------
+
+// Whole-token abbreviations written out, so "12 Main St." and "12 main street" index the same
+const ADDRESS_ABBREVIATIONS = {
+    'st': 'street',
+    'rd': 'road',
+    'ave': 'avenue',
+    'av': 'avenue',
+    'blvd': 'boulevard',
+    'ln': 'lane',
+    'ct': 'court',
+    'pl': 'place',
+    'hwy': 'highway',
+    'apt': 'apartment',
+    'bldg': 'building',
+    'fl': 'floor',
+    'opp': 'opposite',
+    'nr': 'near'
+};
+
+// Tokens without punctuation: commas, periods, "#" and the like become single spaces
+function addressTokens(s) {
+    return normalize(s)
+        .replace(/[^\p{L}\p{N}\s/-]/gu, ' ')
+        .split(/\s+/)
+        .filter(token => token.length > 0);
+}
+
+function canonicalAddress(s) {
+    return addressTokens(s).map(token => ADDRESS_ABBREVIATIONS[token] || token).join(' ');
+}
+
+// A token is expanded once it is known to end where the user stopped typing: a later token
+// follows it, or the query is anchored at the end (eq, endsWith). The last token of a
+// startsWith / contains query may be cut off ("main st" → "main street" must still match)
+function addressFragment(query, op) {
+    const tokens = addressTokens(query);
+    const endsComplete = op === 'endsWith' || op === 'eq';
+
+    return tokens.map((token, i) =>
+        (i < tokens.length - 1 || endsComplete) ? (ADDRESS_ABBREVIATIONS[token] || token) : token
+    ).join(' ');
+}
+
+// ---------- Words of multi-word fields ----------
+
+// Fields (index key aliases) whose words are indexed on their own (hasWord, wordStartsWith)
+const WORD_FIELDS = ['addr', 'name', 'city'];
+
+function supportsWords(field) {
+    return WORD_FIELDS.includes(field);
+}
+
+// Words of a normalized value: "12 mg road bengaluru karnataka 560001" → [12, mg, road, ...]
+function wordTokens(s) {
+    return s.split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 0);
+}
+
+// Normalizers by field alias (see FIELD_MAP in field-index-keys.js)
+const FIELD_NORMALIZERS = {
+    phone: { canonical: canonicalPhone, fragment: phoneFragment, validate: validatePhone },
+    email: { canonical: canonicalEmail, searchable: searchableEmail, fragment: normalize, validate: validateEmail },
+    pan: { canonical: canonicalIdentifier, fragment: canonicalIdentifier, validate: validatePan },
+    passport: { canonical: canonicalIdentifier, fragment: canonicalIdentifier, validate: validatePassport },
+    addr: { canonical: canonicalAddress, fragment: addressFragment }
+};
+
+function getFieldNormalizer(field) {
+    return FIELD_NORMALIZERS[field] || {};
+}
+
+// Canonical form of a full value (eq keys at index and query time)
+function normalizeFieldValue(field, value) {
+    const normalizer = getFieldNormalizer(field);
+    return normalizer.canonical ? normalizer.canonical(value) : normalize(value);
+}
+
+// Form of a full value the prefix / suffix / k-gram keys are built from
+function normalizeSearchableValue(field, value) {
+    const normalizer = getFieldNormalizer(field);
+    if (normalizer.searchable) return normalizer.searchable(value);
+    return normalizeFieldValue(field, value);
+}
+
+// Form of a partial query for startsWith / endsWith / contains
+function normalizeFieldQuery(field, op, query) {
+    const normalizer = getFieldNormalizer(field);
+    return normalizer.fragment ? normalizer.fragment(query, op) : normalize(query);
+}
+
+// Problem with a value of a validated field (PAN, passport, phone, email); null when it looks valid
+function validateFieldValue(field, value) {
+    const normalizer = getFieldNormalizer(field);
+    return normalizer.validate ? normalizer.validate(normalizeFieldValue(field, value)) : null;
+}
+
+module.exports = {
+    FIELD_NORMALIZERS,
+    normalize,
+    canonicalPhone,
+    canonicalEmail,
+    canonicalIdentifier,
+    canonicalAddress,
+    registrableDomain,
+    emailParts,
+    emailDomainQuery,
+    WORD_FIELDS,
+    supportsWords,
+    wordTokens,
+    getFieldNormalizer,
+    normalizeFieldValue,
+    normalizeSearchableValue,
+    normalizeFieldQuery,
+    validateFieldValue
+};
@@ -0,0 +1,65 @@
+// Load environment variables
+require('dotenv').config();
+
+// Fuzzy (typo-tolerant) matching over HMAC'd grams
+// Every indexed value also gets one f2 key per distinct character bigram of "^value$"
+// (the markers make the first and last characters count) and one fl key holding its
+// number of bigrams. A fuzzy query looks up the keys of its own bigrams, counts how many
+// of them each token is posted under and scores it with the Dice coefficient:
+//   score = 2 * matching grams / (query grams + value grams)
+// "steven" vs an indexed "stephen": 5 matching grams, 7 + 8 grams → 0.667; a longer value
+// sharing all of the query's grams ("stevenson") scores below the exact value (1.0).
+// Only counts of HMAC'd keys are compared, so neither side's plaintext is exposed.
+
+const config = {
+    minScore: parseFloat(process.env.FUZZY_MIN_SCORE) || 0.6,
+    maxResults: parseInt(process.env.FUZZY_MAX_RESULTS) || 100
+};
+
+// Threshold for a search: options.minScore when given, FUZZY_MIN_SCORE otherwise
+function resolveMinScore(minScore) {
+    if (minScore === undefined || minScore === null) return config.minScore;
+
+    const value = Number(minScore);
+    if (!Number.isFinite(value) || value <= 0 || value > 1) {
+        throw new Error(`minScore must be a number greater than 0 and at most 1, got ${minScore}`);
+    }
+    return value;
+}
+
+// Dice coefficient of a value sharing `matches` of its `valueGrams` bigrams with the query's `queryGrams`
+function diceScore(matches, queryGrams, valueGrams) {
+    return (2 * matches) / (queryGrams + valueGrams);
+}
+
+// Fewest query grams a token has to match to reach minScore
+// A value has at least as many grams as it matches, so 2m / (q + m) >= minScore
+function minMatchingGrams(gramCount, minScore) {
+    // The epsilon keeps floating point noise (0.7 * 10 is 7.000000000000001) from rounding up
+    return Math.max(1, Math.ceil((minScore * gramCount) / (2 - minScore) - 1e-9));
+}
+
+// Gram counts of the values that can still reach minScore: { min, max }
+// Even a value matching every query gram drops below minScore beyond q * (2 / minScore - 1) grams
+function valueGramRange(gramCount, minScore) {
+    return {
+        min: minMatchingGrams(gramCount, minScore),
+        max: Math.floor(gramCount * (2 / minScore - 1) + 1e-9)
+    };
+}
+
+// Map token → score (0..1) → [{ token, score }], best match first
+function rankFuzzyMatches(scores, limit = config.maxResults) {
+    return Array.from(scores, ([token, score]) => ({ token, score: Math.round(score * 1000) / 1000 }))
+        .sort((a, b) => b.score - a.score || a.token.localeCompare(b.token))
+        .slice(0, limit || undefined);
+}
+
+module.exports = {
+    fuzzyConfig: config,
+    resolveMinScore,
+    diceScore,
+    minMatchingGrams,
+    valueGramRange,
+    rankFuzzyMatches
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const vault = require('node-vault');
+const { DEFAULT_TENANT, resolveTenantId, deriveTenantSecret } = require('./tenants.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// HMAC Keyring
+// Versioned HMAC secrets for the field-aware search indexes (Redis and PostgreSQL).
+// The keyring is stored in Vault as a single secret:
+//   { active: 'v2', v1: '<secret>', v2: '<secret>' }
+// New index keys are always written with the active version. Queries read every version in
+// the keyring, so search keeps working while a rotation re-indexes entries (dual-read).
+// The special version 'legacy' stands for index keys written before keys carried a version.
+// Without a keyring in Vault, REDIS_HMAC_SECRET is used as the active version v1 and, since it also
+// signed the keys written before keys were versioned, read as version legacy too.
+// Tenants other than the default one sign with a secret derived per tenant (see tenants.js).
+
+const config = {
+    path: process.env.HMAC_KEYRING_PATH || 'secret/pii-search/hmac-keys',
+    vault: {
+        endpoint: process.env.VAULT_ADDR,
+        token: process.env.VAULT_TOKEN,
+        requestOptions: {
+            rejectUnauthorized: process.env.VAULT_SKIP_VERIFY === 'true' ? false : true,
+            timeout: 10000,
+            strictSSL: process.env.VAULT_SKIP_VERIFY === 'true' ? false : true
+        }
+    }
+};
+
+const DEFAULT_VERSION = 'v1';
+const LEGACY_VERSION = 'legacy';
+const VERSION_PATTERN = /^v\d+$/;
+
+function isKeyVersion(version) {
+    return VERSION_PATTERN.test(version) || version === LEGACY_VERSION;
+}
+
+function versionNumber(version) {
+    return VERSION_PATTERN.test(version) ? parseInt(version.slice(1)) : 0;
+}
+
+class HmacKeyring {
+    constructor(secrets, active, source = 'static') {
+        if (!isKeyVersion(active) || active === LEGACY_VERSION) {
+            throw new Error(`Invalid active HMAC key version: ${active}`);
+        }
+        if (!secrets[active]) {
+            throw new Error(`HMAC keyring has no secret for active version ${active}`);
+        }
+
+        this.secrets = { ...secrets };
+        this.active = active;
+        this.source = source;
+        this.tenantSecrets = new Map(); // `${version}|${tenant}` → derived secret
+    }
+
+    // Single-version keyring from one secret
+    static fromSecret(secret, version = DEFAULT_VERSION, source = 'static') {
+        return new HmacKeyring({ [version]: secret }, version, source);
+    }
+
+    // Keyring from the Vault secret data
+    static fromVaultData(data) {
+        const secrets = {};
+        for (const [field, value] of Object.entries(data)) {
+            if (isKeyVersion(field) && value) secrets[field] = value;
+        }
+        return new HmacKeyring(secrets, data.active, 'vault');
+    }
+
+    toVaultData() {
+        return {
+            active: this.active,
+            ...this.secrets,
+            updated: new Date().toISOString()
+        };
+    }
+
+    // Versions queries read: active first, then older versions, legacy last
+    get versions() {
+        return Object.keys(this.secrets).sort((a, b) => {
+            if (a === this.active) return -1;
+            if (b === this.active) return 1;
+            return versionNumber(b) - versionNumber(a);
+        });
+    }
+
+    // More than one version means a rotation is in progress
+    isRotating() {
+        return this.versions.length > 1;
+    }
+
+    has(version) {
+        return Boolean(this.secrets[version]);
+    }
+
+    // Index key prefix for a version (legacy keys carry no version segment)
+    keyPrefix(version = this.active) {
+        return version === LEGACY_VERSION ? 'idx' : `idx:${version}`;
+    }
+
+    // Secret of a version for a tenant (the default tenant uses the version secret itself)
+    secretFor(version = this.active, tenantId = DEFAULT_TENANT) {
+        const secret = this.secrets[version];
+        if (!secret) {
+            throw new Error(`HMAC keyring has no version ${version}`);
+        }
+
+        const tenant = resolveTenantId(tenantId);
+        if (tenant === DEFAULT_TENANT) return secret;
+
+        const cacheKey = `${version}|${tenant}`;
+        if (!this.tenantSecrets.has(cacheKey)) {
+            this.tenantSecrets.set(cacheKey, deriveTenantSecret(secret, tenant));
+        }
+        return this.tenantSecrets.get(cacheKey);
+    }
+
+    // H(s) = base64url(HMAC_SHA256(secret[version, tenant], s))
+    hmac(s, version = this.active, tenantId = DEFAULT_TENANT) {
+        return crypto.createHmac('sha256', this.secretFor(version, tenantId)).update(s).digest('base64url');
+    }
+
+    // Next numbered version after every version in the keyring
+    nextVersion() {
+        const highest = Math.max(0, ...Object.keys(this.secrets).map(versionNumber));
+        return `v${highest + 1}`;
+    }
+
+    // New keyring with an extra version (optionally made active)
+    withVersion(version, secret, makeActive = false) {
+        if (!isKeyVersion(version)) {
+            throw new Error(`Invalid HMAC key version: ${version}`);
+        }
+        return new HmacKeyring({ ...this.secrets, [version]: secret }, makeActive ? version : this.active, this.source);
+    }
+
+    // New keyring without a retired version
+    withoutVersion(version) {
+        if (version === this.active) {
+            throw new Error(`Cannot remove the active HMAC key version ${version}`);
+        }
+        const secrets = { ...this.secrets };
+        delete secrets[version];
+        return new HmacKeyring(secrets, this.active, this.source);
+    }
+
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('base64');
+    }
+}
+
+function createVaultClient() {
+    if (!config.vault.endpoint || !config.vault.token) return null;
+    return vault(config.vault);
+}
+
+// Load the keyring from Vault, falling back to REDIS_HMAC_SECRET when Vault holds no keyring
+async function loadHmacKeyring(vaultClient = createVaultClient()) {
+    if (vaultClient) {
+        try {
+            const result = await vaultClient.read(config.path);
+            const keyring = HmacKeyring.fromVaultData(result.data);
+            console.log(`✅ Loaded HMAC keyring from Vault (active ${keyring.active}, reading ${keyring.versions.join(', ')})`);
+            return keyring;
+        } catch (error) {
+            if (!(error.response && error.response.statusCode === 404)) {
+                throw error;
+            }
+        }
+    }
+
+    if (!process.env.REDIS_HMAC_SECRET) {
+        throw new Error(`No HMAC keyring in Vault at ${config.path} and REDIS_HMAC_SECRET is not set`);
+    }
+
+    console.log(`✅ Using REDIS_HMAC_SECRET as HMAC key ${DEFAULT_VERSION} (also reading ${LEGACY_VERSION} keys)`);
+    return HmacKeyring.fromSecret(process.env.REDIS_HMAC_SECRET, DEFAULT_VERSION, 'env')
+        .withVersion(LEGACY_VERSION, process.env.REDIS_HMAC_SECRET);
+}
+
+async function saveHmacKeyring(vaultClient, keyring) {
+    await vaultClient.write(config.path, keyring.toVaultData());
+    keyring.source = 'vault';
+}
+
+module.exports = {
+    HmacKeyring,
+    loadHmacKeyring,
+    saveHmacKeyring,
+    createVaultClient,
+    isKeyVersion,
+    DEFAULT_VERSION,
+    LEGACY_VERSION,
+    hmacKeyringPath: config.path
+};
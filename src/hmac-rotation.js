@@ -0,0 +1,413 @@
+const { PIIDatabaseSearchIndexer } = require('./pii-db-search-indexer.js');
+const { FieldAwareRedisIndexer } = require('./field-aware-redis-indexer.js');
+const { HmacKeyring, saveHmacKeyring, isKeyVersion, LEGACY_VERSION, hmacKeyringPath } = require('./hmac-keyring.js');
+const { FIELD_ALIASES, parseIndexKey } = require('./field-index-keys.js');
+const { PipelineCheckpoint, CHECKPOINT_STATUS } = require('./pipeline-checkpoint.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Validate required environment variables
+const requiredEnvVars = [
+    'DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT',
+    'VAULT_ADDR', 'VAULT_TOKEN'
+];
+const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingVars.length > 0) {
+    console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
+    console.error('Please copy .env.template to .env and configure all required variables.');
+    process.exit(1);
+}
+
+// HMAC Key Rotation
+// Rotates the secret behind the field-aware index keys (idx:{version}:{field}:{op}:{hash}):
+// 1. --start    adds a new version to the Vault keyring and makes it active. Indexers now write
+//               the new version while every search reads both versions (dual-read).
+// 2. --migrate  re-indexes every PII record under the active version (resumable background job).
+// 3. --purge    deletes the old version's keys from Redis and PostgreSQL and retires its secret.
+
+const config = {
+    rotation: {
+        scanCount: parseInt(process.env.HMAC_ROTATION_SCAN_COUNT) || 1000
+    }
+};
+
+const STORES = ['redis', 'postgres'];
+
+class HmacRotationService {
+    constructor(options = {}) {
+        this.stores = options.stores || STORES;
+        this.dbIndexer = null;
+        this.redisIndexer = null;
+        this.keyring = null;
+        this.checkpoint = new PipelineCheckpoint('hmac-rotation');
+    }
+
+    async initialize() {
+        try {
+            console.log('🔑 Initializing HMAC key rotation...');
+
+            // The database indexer provides Vault, the decrypt pool, PostgreSQL and the keyring
+            this.dbIndexer = new PIIDatabaseSearchIndexer();
+            await this.dbIndexer.initialize();
+            this.keyring = this.dbIndexer.keyring;
+
+            if (this.stores.includes('redis')) {
+                this.redisIndexer = new FieldAwareRedisIndexer({}, this.keyring);
+                await this.redisIndexer.initialize();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize:', error.message);
+            throw error;
+        }
+    }
+
+    // Add a new active version to the keyring; the previous versions stay readable
+    async startRotation() {
+        let keyring = this.keyring;
+
+        if (keyring.source !== 'vault') {
+            // First rotation: REDIS_HMAC_SECRET moves into Vault. It also signed the keys written
+            // before index keys were versioned, so it is kept as the legacy version too
+            // (loadHmacKeyring already reads it as legacy; a keyring passed in directly may not).
+            keyring = keyring.withVersion(LEGACY_VERSION, keyring.secrets[keyring.active]);
+        } else if (keyring.isRotating()) {
+            throw new Error(`Rotation already in progress (versions ${keyring.versions.join(', ')}). Finish it with --migrate and --purge first.`);
+        }
+
+        const previous = keyring.versions;
+        const version = keyring.nextVersion();
+        keyring = keyring.withVersion(version, HmacKeyring.generateSecret(), true);
+
+        await saveHmacKeyring(this.dbIndexer.vaultClient, keyring);
+        this.keyring = keyring;
+
+        console.log(`✅ HMAC key ${version} is now active (still reading ${previous.join(', ')})`);
+        console.log('🔁 Restart indexers and search servers so they write the new version and read both, then run --migrate');
+
+        return { active: version, versions: keyring.versions };
+    }
+
+    // Re-index every PII record under the active key version
+    async migrate(options = {}) {
+        const version = this.keyring.active;
+        const identity = { version, stores: this.stores.join(',') };
+
+        const saved = this.checkpoint.resolve(options.resume, identity);
+        if (saved && saved.status === CHECKPOINT_STATUS.COMPLETED) {
+            console.log(`✅ Migration to ${version} already completed (${saved.migrated} records) - nothing to resume`);
+            return { version, migrated: saved.migrated, failed: saved.failed };
+        }
+
+        let lastId = saved ? saved.lastId : 0;
+        let migrated = saved ? saved.migrated : 0;
+        let failed = saved ? saved.failed : 0;
+
+        if (saved) {
+            console.log(`🔁 Resuming after record id ${lastId} (${migrated} migrated, ${failed} failed so far)`);
+        }
+
+        console.log(`🔨 Re-indexing PII records under HMAC key ${version} (${this.stores.join(', ')})...`);
+
+        const query = `
+            SELECT id, token, pii_data_point, tenant_id
+            FROM pii_token_data
+            WHERE pii_data_point IS NOT NULL
+            AND pii_data_point LIKE 'vault:v1:%'
+            AND id > $1
+            ORDER BY id ASC
+            LIMIT $2
+        `;
+
+        for (;;) {
+            const { rows } = await this.dbIndexer.dbClient.query(query, [lastId, this.dbIndexer.batchSize]);
+            if (rows.length === 0) break;
+
+            const decrypted = await this.dbIndexer.decryptPool.decryptBatch(rows.map(row => row.pii_data_point));
+            const entries = [];
+
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                try {
+                    if (decrypted[i].error) throw decrypted[i].error;
+                    const plaintext = decrypted[i].plaintext;
+
+                    // Field type comes from the token suffix, as in the database index build
+                    const entry = this.dbIndexer.prepareDecryptedRecord(row.id, plaintext, row.token, null, row.tenant_id);
+
+                    if (entry) {
+                        if (this.stores.includes('postgres')) {
+                            entries.push(entry);
+                        }
+                        if (this.stores.includes('redis')) {
+                            await this.redisIndexer.indexFieldValue(entry.fieldName, entry.normalizedValue, row.token, entry.tenantId);
+                        }
+                    }
+
+                    migrated++;
+                } catch (error) {
+                    console.error(`⚠️  Failed to migrate record ${row.id}: ${error.message}`);
+                    failed++;
+                }
+            }
+
+            if (entries.length > 0) {
+                await this.dbIndexer.writeIndexBatch(entries);
+            }
+
+            lastId = rows[rows.length - 1].id;
+            this.checkpoint.save({ ...identity, lastId, migrated, failed });
+            console.log(`📈 Progress: ${migrated} records migrated to ${version} (last id ${lastId})`);
+        }
+
+        this.checkpoint.complete({ ...identity, migrated, failed });
+
+        console.log(`\n🎯 Migration to ${version} complete:`);
+        console.log(`   ✅ Migrated: ${migrated} records`);
+        console.log(`   ❌ Failed: ${failed} records`);
+        console.log(`   🔓 Vault decrypt stats: ${JSON.stringify(this.dbIndexer.decryptPool.getStats())}`);
+
+        return { version, migrated, failed };
+    }
+
+    // Has --migrate completed for the active version in every selected store?
+    isMigrated() {
+        const saved = this.checkpoint.load();
+        if (!saved || saved.status !== CHECKPOINT_STATUS.COMPLETED || saved.version !== this.keyring.active) {
+            return false;
+        }
+        const migratedStores = saved.stores.split(',');
+        return this.stores.every(store => migratedStores.includes(store));
+    }
+
+    // Delete an old version's keys and retire its secret
+    async purge(version, options = {}) {
+        if (!isKeyVersion(version)) {
+            throw new Error(`Invalid HMAC key version: ${version}`);
+        }
+        if (version === this.keyring.active) {
+            throw new Error(`Cannot purge the active HMAC key version ${version}`);
+        }
+        if (!options.force && !this.isMigrated()) {
+            throw new Error(`Migration to ${this.keyring.active} has not completed for ${this.stores.join(', ')}. Run --migrate first (or --force).`);
+        }
+
+        console.log(`🧹 Purging HMAC key ${version} index entries...`);
+        const result = { version };
+
+        if (this.stores.includes('redis')) {
+            result.redis = await this.purgeRedis(version);
+            console.log(`✅ Redis: deleted ${result.redis.keysDeleted} keys`);
+        }
+
+        if (this.stores.includes('postgres')) {
+            result.postgres = await this.purgePostgres(version);
+            console.log(`✅ PostgreSQL: deleted ${result.postgres.keysDeleted} keys`);
+        }
+
+        // Only retire the secret once no store holds keys of that version any more
+        if (this.keyring.has(version)) {
+            if (this.stores.length === STORES.length) {
+                this.keyring = this.keyring.withoutVersion(version);
+                await saveHmacKeyring(this.dbIndexer.vaultClient, this.keyring);
+                console.log(`🔑 Removed ${version} from the HMAC keyring (reading ${this.keyring.versions.join(', ')})`);
+            } else {
+                console.warn(`⚠️  ${version} stays in the HMAC keyring until it is purged from every store`);
+            }
+        }
+
+        return result;
+    }
+
+    async purgeRedis(version) {
+        const redisClient = this.redisIndexer.redis;
+        const match = version === LEGACY_VERSION ? 'idx:*' : `idx:${version}:*`;
+        let keysDeleted = 0;
+
+        for await (const keys of redisClient.scanIterator({ MATCH: match, COUNT: config.rotation.scanCount })) {
+            for (const key of keys) {
+                const parsed = parseIndexKey(key);
+                if (!parsed || parsed.version !== version) continue;
+
+                // Drop the key from the reverse map of every token it holds
+                const tokens = await redisClient.sMembers(key);
+                const pipe = redisClient.multi();
+                tokens.forEach(token => pipe.sRem(this.redisIndexer.reverseKey(token), key));
+                pipe.del(key);
+                await pipe.exec();
+
+                keysDeleted++;
+            }
+        }
+
+        return { keysDeleted };
+    }
+
+    async purgePostgres(version) {
+        // Postings are removed by ON DELETE CASCADE
+        const result = version === LEGACY_VERSION
+            ? await this.dbIndexer.dbClient.query(
+                `DELETE FROM pii_search_index
+                 WHERE split_part(hmac_key, ':', 1) = 'idx' AND split_part(hmac_key, ':', 2) = ANY($1)`,
+                [FIELD_ALIASES])
+            : await this.dbIndexer.dbClient.query(
+                'DELETE FROM pii_search_index WHERE hmac_key LIKE $1',
+                [`idx:${version}:%`]);
+
+        return { keysDeleted: result.rowCount };
+    }
+
+    // Key counts per version in each store, plus migration progress
+    async getStatus() {
+        const status = {
+            keyring: { source: this.keyring.source, active: this.keyring.active, versions: this.keyring.versions },
+            migration: this.checkpoint.load()
+        };
+
+        if (this.stores.includes('redis')) {
+            const counts = {};
+            for await (const keys of this.redisIndexer.redis.scanIterator({ MATCH: 'idx:*', COUNT: config.rotation.scanCount })) {
+                for (const key of keys) {
+                    const parsed = parseIndexKey(key);
+                    if (parsed) counts[parsed.version] = (counts[parsed.version] || 0) + 1;
+                }
+            }
+            status.redis = counts;
+        }
+
+        if (this.stores.includes('postgres')) {
+            const result = await this.dbIndexer.dbClient.query(`
+                SELECT
+                    CASE WHEN split_part(hmac_key, ':', 2) ~ '^v[0-9]+$'
+                         THEN split_part(hmac_key, ':', 2) ELSE 'legacy' END as version,
+                    COUNT(*) as key_count
+                FROM pii_search_index
+                WHERE hmac_key LIKE 'idx:%'
+                GROUP BY 1
+            `);
+            status.postgres = Object.fromEntries(result.rows.map(row => [row.version, parseInt(row.key_count)]));
+        }
+
+        return status;
+    }
+
+    async close() {
+        if (this.redisIndexer) {
+            await this.redisIndexer.close();
+        }
+        if (this.dbIndexer) {
+            await this.dbIndexer.close();
+        }
+        console.log('🛑 HMAC key rotation closed');
+    }
+}
+
+async function main() {
+    console.log('🔑 HMAC Key Rotation Tool');
+    console.log('=========================');
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+Usage: node hmac-rotation.js [options]
+
+Rotates the HMAC secret behind the field-aware search index keys.
+
+Options:
+  --status                   Show the keyring, key counts per version and migration progress
+  --start                    Add a new active key version to the Vault keyring
+  --migrate                  Re-index every PII record under the active key version
+  --resume                   Continue an interrupted --migrate from its checkpoint
+  --purge <version>          Delete the index keys of an old version (e.g. v1, legacy) and retire it
+  --force                    Purge even if --migrate has not completed
+  --store <redis|postgres|all>  Limit to one index store (default: all)
+  --help                     Show this help message
+
+Environment Variables:
+  HMAC_KEYRING_PATH          Vault path of the keyring (default: ${hmacKeyringPath})
+  HMAC_ROTATION_SCAN_COUNT   Redis SCAN batch size (default: 1000)
+  VAULT_ADDR, VAULT_TOKEN    Vault connection settings
+  DB_*, REDIS_*              Database and Redis connection settings
+
+Rotation:
+  1. --start     new writes use the new version, searches read old and new
+  2. restart indexers and search servers so they load the new keyring
+  3. --migrate   background re-index (decrypts records through the Vault pool)
+  4. --purge     remove the old version from Redis, PostgreSQL and the keyring
+
+Keys written before index keys were versioned are the 'legacy' version. The first --start
+moves REDIS_HMAC_SECRET into Vault and keeps it readable as v1 and legacy.
+
+Example:
+  npm run rotate-hmac -- --start
+  npm run rotate-hmac -- --migrate --resume
+  npm run rotate-hmac -- --purge v1
+        `);
+        return;
+    }
+
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    const store = getArg('--store') || 'all';
+    if (store !== 'all' && !STORES.includes(store)) {
+        console.error(`❌ --store must be one of: ${STORES.join(', ')}, all`);
+        process.exit(1);
+    }
+
+    const service = new HmacRotationService({ stores: store === 'all' ? STORES : [store] });
+
+    try {
+        await service.initialize();
+
+        if (args.includes('--start')) {
+            await service.startRotation();
+        }
+
+        if (args.includes('--migrate')) {
+            await service.migrate({ resume: args.includes('--resume') });
+        }
+
+        if (args.includes('--purge')) {
+            await service.purge(getArg('--purge'), { force: args.includes('--force') });
+        }
+
+        if (args.includes('--status')) {
+            const status = await service.getStatus();
+            console.log('\n📊 HMAC Key Rotation Status:');
+            console.log(JSON.stringify(status, null, 2));
+        }
+    } catch (error) {
+        console.error('❌ HMAC key rotation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await service.close();
+    }
+}
+
+// Error handling
+process.on('unhandledRejection', (error) => {
+    console.error('Unhandled rejection:', error);
+    process.exit(1);
+});
+
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught exception:', error);
+    process.exit(1);
+});
+
+// Export for testing
+module.exports = {
+    HmacRotationService,
+    ROTATION_STORES: STORES
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+// Format-preserving masking of PII values
+// A masked value keeps the shape of the original (its length, separators and the few characters
+// needed to confirm a hit), so support staff can check a match without seeing the value:
+//   MOBILE_NUMBER 9876543210 → 98****3210        EMAIL steve@gmail.com → s****@gmail.com
+//   DATE_OF_BIRTH 1985-03-12 → 1985-**-**         ADDRESS 12 MG Road, Pune, 411001 → ** ** ****, Pune, 411001
+//
+// Rules come from config/masking-rules.json (MASKING_RULES_FILE): "default" maps field types to a
+// rule, "roles" holds per-role rules. A field is looked up in the caller's role (its field type,
+// then "*"), then in the defaults (field type, then "*"); a role's "*" therefore replaces the defaults.
+// Strategies:
+//   characters   letters and digits masked except the first keepStart and last keepEnd; separators stay
+//   phone        characters rule on the national number; a country code or trunk 0 before it stays
+//   email        local part masked except the first keepStart characters, domain kept
+//   date         YYYY-MM-DD with only the parts listed in keep (year, month, day) shown
+//   words        letters and digits masked in all but the last keepWords words
+//   full         every letter and digit masked
+//   hidden       no value at all (null)
+// A rule that would leave every character visible masks the whole value instead.
+
+const config = {
+    rulesFile: process.env.MASKING_RULES_FILE || path.join(__dirname, '..', 'config', 'masking-rules.json'),
+    phoneNationalLength: parseInt(process.env.PHONE_NATIONAL_NUMBER_LENGTH) || 10
+};
+
+const MASK_STRATEGIES = ['characters', 'phone', 'email', 'date', 'words', 'full', 'hidden'];
+const DATE_PARTS = ['year', 'month', 'day'];
+
+// Field types of the region index (pii-search-indexer.js FIELD_IDS) and the data generator → token field types
+const FIELD_TYPE_ALIASES = {
+    PHONE: 'MOBILE_NUMBER',
+    PASSPORT: 'PASSPORT_NUMBER',
+    NAME: 'FULL_NAME',
+    DOB: 'DATE_OF_BIRTH'
+};
+
+const MASKABLE = /[\p{L}\p{N}]/u;
+
+// Mask the maskable characters of s whose index (among maskable characters) is outside the kept ends
+function maskCharacters(s, keepStart, keepEnd, maskChar) {
+    const total = Array.from(s).filter(c => MASKABLE.test(c)).length;
+    if (keepStart + keepEnd >= total) {
+        keepStart = 0;
+        keepEnd = 0;
+    }
+
+    let index = 0;
+    return Array.from(s).map(c => {
+        if (!MASKABLE.test(c)) return c;
+        const keep = index < keepStart || index >= total - keepEnd;
+        index++;
+        return keep ? c : maskChar;
+    }).join('');
+}
+
+const STRATEGIES = {
+    characters: (value, rule, maskChar) =>
+        maskCharacters(value, rule.keepStart || 0, rule.keepEnd || 0, maskChar),
+
+    // +91 98765 43210 → +91 98*** *3210: the digits before the national number are not counted
+    phone: (value, rule, maskChar) => {
+        const digits = value.replace(/\D/g, '').length;
+        const prefix = Math.max(0, digits - config.phoneNationalLength);
+        return maskCharacters(value, prefix + (rule.keepStart || 0), rule.keepEnd || 0, maskChar);
+    },
+
+    // Every local part character counts, so "steve.rogers" does not give away its dot
+    email: (value, rule, maskChar) => {
+        const at = value.lastIndexOf('@');
+        if (at <= 0) return maskCharacters(value, 0, 0, maskChar);
+
+        const local = Array.from(value.slice(0, at));
+        const keep = local.length > (rule.keepStart || 0) ? (rule.keepStart || 0) : 0;
+        return local.map((c, i) => i < keep ? c : maskChar).join('') + value.slice(at);
+    },
+
+    date: (value, rule, maskChar) => {
+        const match = /^(\d{4})([-/])(\d{1,2})\2(\d{1,2})$/.exec(value.trim());
+        if (!match) return maskCharacters(value, 0, 0, maskChar);
+
+        const keep = rule.keep || ['year'];
+        const part = (name, s) => keep.includes(name) ? s : maskChar.repeat(s.length);
+        return [part('year', match[1]), part('month', match[3]), part('day', match[4])].join(match[2]);
+    },
+
+    // Words are separated by whitespace and commas, which are kept as they are
+    words: (value, rule, maskChar) => {
+        const parts = value.split(/([\s,]+)/);
+        const wordIndexes = parts.map((part, i) => i).filter(i => i % 2 === 0 && parts[i].length > 0);
+        const keepWords = wordIndexes.length > (rule.keepWords || 0) ? (rule.keepWords || 0) : 0;
+        const kept = new Set(wordIndexes.slice(wordIndexes.length - keepWords));
+
+        return parts.map((part, i) => (i % 2 === 1 || kept.has(i)) ? part : maskCharacters(part, 0, 0, maskChar)).join('');
+    },
+
+    full: (value, rule, maskChar) => maskCharacters(value, 0, 0, maskChar),
+
+    hidden: () => null
+};
+
+// Check a parsed rules file; throws with every problem found
+function validateMaskingRules(rules, source = 'rules') {
+    const problems = [];
+
+    if (!rules || typeof rules !== 'object') {
+        throw new Error(`Invalid masking rules ${source}: not a JSON object`);
+    }
+
+    if (rules.maskChar !== undefined && (typeof rules.maskChar !== 'string' || Array.from(rules.maskChar).length !== 1)) {
+        problems.push('maskChar must be a single character');
+    }
+
+    const ruleSets = [['default', rules.default || {}]];
+    for (const [role, roleRules] of Object.entries(rules.roles || {})) {
+        ruleSets.push([`role ${role}`, roleRules || {}]);
+    }
+
+    for (const [name, ruleSet] of ruleSets) {
+        for (const [fieldType, rule] of Object.entries(ruleSet)) {
+            if (!rule || !MASK_STRATEGIES.includes(rule.strategy)) {
+                problems.push(`${name}: ${fieldType} has strategy "${rule && rule.strategy}" (expected ${MASK_STRATEGIES.join(', ')})`);
+                continue;
+            }
+            for (const option of ['keepStart', 'keepEnd', 'keepWords']) {
+                if (rule[option] !== undefined && !(Number.isInteger(rule[option]) && rule[option] >= 0)) {
+                    problems.push(`${name}: ${fieldType}.${option} must be a non-negative integer`);
+                }
+            }
+            if (rule.keep !== undefined && !(Array.isArray(rule.keep) && rule.keep.every(p => DATE_PARTS.includes(p)))) {
+                problems.push(`${name}: ${fieldType}.keep must list date parts (${DATE_PARTS.join(', ')})`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid masking rules ${source}: ${problems.join('; ')}`);
+    }
+    return rules;
+}
+
+function loadMaskingRules(filePath = config.rulesFile) {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read masking rules ${filePath}: ${error.message}`);
+    }
+    return validateMaskingRules(rules, filePath);
+}
+
+class PIIMasker {
+    constructor(rules = loadMaskingRules()) {
+        this.rules = validateMaskingRules(rules);
+        this.maskChar = rules.maskChar || '*';
+    }
+
+    // Rule for a field type and caller role (see lookup order above); fields without any rule are fully masked
+    ruleFor(fieldType, role = null) {
+        const type = FIELD_TYPE_ALIASES[fieldType] || fieldType;
+        const roleRules = (role && this.rules.roles && this.rules.roles[role]) || {};
+        const defaults = this.rules.default || {};
+
+        return roleRules[type] || roleRules['*'] || defaults[type] || defaults['*'] || { strategy: 'full' };
+    }
+
+    // Whether the role gets no masked value at all for the field type (lets callers skip decryption)
+    hides(fieldType, role = null) {
+        return this.ruleFor(fieldType, role).strategy === 'hidden';
+    }
+
+    // Masked value, or null when the rule hides the field
+    mask(fieldType, value, role = null) {
+        if (value === null || value === undefined) return null;
+        const rule = this.ruleFor(fieldType, role);
+        return STRATEGIES[rule.strategy](String(value), rule, this.maskChar);
+    }
+
+    // Copies of result records with their value masked: records are { fieldType, [valueKey]: plaintext }
+    maskRecords(records, role = null, valueKey = 'value') {
+        return records.map(record => ({ ...record, [valueKey]: this.mask(record.fieldType, record[valueKey], role) }));
+    }
+}
+
+module.exports = {
+    MASK_STRATEGIES,
+    FIELD_TYPE_ALIASES,
+    PIIMasker,
+    loadMaskingRules,
+    validateMaskingRules,
+    maskCharacters
+};
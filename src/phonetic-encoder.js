@@ -0,0 +1,88 @@
+// Phonetic codes for name fields (soundsLike operation)
+// English Soundex merges too much (every sibilant and guttural into one class) and knows
+// nothing about romanized Indian names, where the same name is spelled many ways:
+// Shrinivas / Srinivas / Sreenivas, Chaudhary / Chowdhury, Lakshmi / Laxmi, Jyoti / Jyothi.
+// The encoder folds those spelling variants, then keeps the consonant skeleton:
+//   1. letters only (diacritics removed), lowercase
+//   2. digraphs: aspirates (bh dh gh jh kh th) → plain consonant, ch/chh → c, sh → s,
+//      ph → f, ksh/x → ks, ck/q → k, zh → j
+//   3. w before a vowel → v (Ashwin / Ashvin), otherwise it is part of a vowel (Chowdhury)
+//   4. f = v, z = s, c before e/i (English soft c) = s, other c = k
+//   5. vowels, y and h are dropped after the first letter; a leading vowel becomes A
+//   6. doubled letters collapse (Rammesh / Ramesh)
+// Multi-word values are encoded word by word: "Sita Ram" → "ST RM".
+// The code is only ever used as HMAC input, like every other index value.
+
+// Name fields (index key aliases) that get a phonetic key
+const PHONETIC_FIELDS = ['fn', 'ln', 'mn', 'name'];
+
+// Applied in order; longer patterns first
+const DIGRAPHS = [
+    [/chh/g, 'c'],
+    [/ksh/g, 'ks'],
+    [/zh/g, 'j'],     // pinyin (Zhang / Jang)
+    [/sch/g, 'sk'],
+    [/bh/g, 'b'],
+    [/dh/g, 'd'],
+    [/gh/g, 'g'],
+    [/jh/g, 'j'],
+    [/kh/g, 'k'],
+    [/th/g, 't'],
+    [/ch/g, 'C'],     // palatal c (Chandra), kept apart from the c rules below
+    [/sh/g, 's'],
+    [/ph/g, 'f'],
+    [/ck/g, 'k'],
+    [/x/g, 'ks'],
+    [/q/g, 'k'],
+    [/w(?=[aeiou])/g, 'v'],
+    [/w/g, ''],
+    [/c(?=[eiy])/g, 's'],
+    [/c/g, 'k'],
+    [/C/g, 'c'],
+    [/v/g, 'f'],
+    [/z/g, 's']
+];
+
+const VOWELS = /[aeiouyh]/;
+
+function supportsPhonetic(field) {
+    return PHONETIC_FIELDS.includes(field);
+}
+
+// Phonetic code of one word ('' when the word has no letters)
+function encodeWord(word) {
+    let s = word;
+    for (const [pattern, replacement] of DIGRAPHS) {
+        s = s.replace(pattern, replacement);
+    }
+    if (!s) return '';
+
+    let code = /[aeiou]/.test(s[0]) ? 'a' : s[0];
+    for (let i = 1; i < s.length; i++) {
+        if (VOWELS.test(s[i]) || s[i] === s[i - 1]) continue;
+        code += s[i];
+    }
+
+    return code.toUpperCase();
+}
+
+// Phonetic code of a name ('' when it has no letters)
+function phoneticCode(value) {
+    const letters = value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, '');
+
+    return letters
+        .split(/\s+/)
+        .map(encodeWord)
+        .filter(code => code.length > 0)
+        .join(' ');
+}
+
+module.exports = {
+    PHONETIC_FIELDS,
+    supportsPhonetic,
+    phoneticCode
+};
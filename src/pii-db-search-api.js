@@ -1,11 +1,18 @@
-const crypto = require('crypto');
 const { Client } = require('pg');
+const { loadHmacKeyring } = require('./hmac-keyring.js');
+const { FieldIndexKeys, FIELD_MAP, normalize, getFieldAlias } = require('./field-index-keys.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
+const { parseQueryExpression, conditionsToExpression, collectConditions } = require('./query-expression.js');
+const { QueryPlanner } = require('./query-planner.js');
+const { resolveMinScore, diceScore, minMatchingGrams, rankFuzzyMatches } = require('./fuzzy-search.js');
+const { AuditLog } = require('./audit-log.js');
+const { RateLimiter, MemoryRateLimitStore } = require('./rate-limiter.js');
 
 // Load environment variables
 require('dotenv').config();
 
 // Validate required environment variables
-const requiredEnvVars = ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT', 'REDIS_HMAC_SECRET'];
+const requiredEnvVars = ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT'];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
     console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
@@ -37,32 +44,50 @@ const QUERY_TYPES = {
     EQUALS: 'eq',
     STARTS_WITH: 'startsWith',
     ENDS_WITH: 'endsWith',
-    CONTAINS: 'contains'
-};
-
-// Field mapping (same as Redis indexer)
-const FIELD_MAP = {
-    'FIRST_NAME': 'fn',
-    'LAST_NAME': 'ln',
-    'MIDDLE_NAME': 'mn',
-    'FULL_NAME': 'name',
-    'EMAIL': 'email',
-    'MOBILE_NUMBER': 'phone',
-    'DATE_OF_BIRTH': 'dob',
-    'ADDRESS': 'addr',
-    'COUNTRY': 'country',
-    'CITY': 'city',
-    'PAN_CARD': 'pan',
-    'PASSPORT_NUMBER': 'passport'
+    CONTAINS: 'contains',
+    SOUNDS_LIKE: 'soundsLike',
+    HAS_WORD: 'hasWord',
+    WORD_STARTS_WITH: 'wordStartsWith',
+    DATE_BETWEEN: 'dateBetween',
+    AGE_OVER: 'ageOver',
+    AGE_UNDER: 'ageUnder',
+    FUZZY: 'fuzzy'
 };
 
 // Valid operations (same as Redis)
-const VALID_OPS = ['eq', 'startsWith', 'endsWith', 'contains'];
+const VALID_OPS = ['eq', 'startsWith', 'endsWith', 'contains', 'soundsLike', 'hasWord', 'wordStartsWith', 'dateBetween', 'ageOver', 'ageUnder'];
+
+// performSearch query type aliases → Redis operation
+const QUERY_TYPE_OPERATIONS = {
+    'exact': 'eq',
+    'equals': 'eq',
+    'starts_with': 'startsWith',
+    'startswith': 'startsWith',
+    'ends_with': 'endsWith',
+    'endswith': 'endsWith',
+    'contains': 'contains',
+    'soundslike': 'soundsLike',
+    'sounds_like': 'soundsLike',
+    'hasword': 'hasWord',
+    'has_word': 'hasWord',
+    'wordstartswith': 'wordStartsWith',
+    'word_starts_with': 'wordStartsWith',
+    'datebetween': 'dateBetween',
+    'date_between': 'dateBetween',
+    'ageover': 'ageOver',
+    'age_over': 'ageOver',
+    'ageunder': 'ageUnder',
+    'age_under': 'ageUnder',
+    'fuzzy': 'fuzzy'
+};
 
 class PIIDatabaseSearchAPI {
     constructor() {
         this.dbClient = null;
-        this.hmacSecret = null;
+        this.keyring = null;
+        this.keys = null;
+        this.auditTrail = null;
+        this.rateLimiter = null;
         this.k = 3; // Default k-gram size
     }
 
@@ -75,9 +100,16 @@ class PIIDatabaseSearchAPI {
             await this.dbClient.connect();
             console.log('✅ Database connected');
 
-            // Initialize HMAC secret (same as Redis indexer)
-            this.hmacSecret = process.env.REDIS_HMAC_SECRET;
-            console.log('✅ Using Redis-compatible HMAC secret');
+            // Versioned HMAC secrets (same keyring as the indexers)
+            this.keyring = await loadHmacKeyring();
+            this.keys = new FieldIndexKeys(this.keyring, this.k);
+
+            // Tamper-evident audit trail (pii_audit_log)
+            this.auditTrail = new AuditLog();
+            await this.auditTrail.initialize();
+
+            // Sliding-window quotas per client and field (per process: this API has no Redis)
+            this.rateLimiter = new RateLimiter(new MemoryRateLimitStore());
 
             console.log('🚀 PII Database Search API ready');
             return true;
@@ -89,63 +121,52 @@ class PIIDatabaseSearchAPI {
 
     // Normalize text (same as Redis)
     normalize(s) {
-        return s.normalize('NFKC').toLowerCase().trim();
+        return normalize(s);
     }
 
-    // HMAC hash function (same as Redis): H(s) = base64url(HMAC_SHA256(secret, s))
+    // HMAC hash function (same as Redis): H(s) = base64url(HMAC_SHA256(secret, s)) under the active key version
     H(s) {
-        return crypto.createHmac('sha256', this.hmacSecret).update(s).digest('base64url');
+        return this.keys.H(s);
     }
 
     // Get field alias from full field name (same as Redis)
     getFieldAlias(fieldName) {
-        return FIELD_MAP[fieldName.toUpperCase()] || fieldName.toLowerCase();
+        return getFieldAlias(fieldName);
     }
 
-    // Generate Redis-compatible keys for a search query (same logic as Redis)
-    keysFor(field, op, q, k = this.k) {
-        const n = this.normalize(q);
-
-        if (op === 'eq') {
-            return [`idx:${field}:eq:${this.H(`${field}|${n}`)}`];
-        }
-
-        if (op === 'startsWith') {
-            return [`idx:${field}:pre:${this.H(`${field}|${n}`)}`];
-        }
-
-        if (op === 'endsWith') {
-            const r = [...n].reverse().join('');
-            return [`idx:${field}:suf:${this.H(`${field}|${r}`)}`];
-        }
-
-        // contains operation using k-grams (minimum k=3 required)
-        if (n.length < k) {
-            console.warn(`⚠️  Contains search requires minimum ${k} characters, got "${q}" (${n.length} chars)`);
-            return []; // No contains search for queries shorter than k
-        }
-
-        const grams = Array.from({length: n.length - k + 1}, (_, i) => n.slice(i, i + k));
-        return grams.map(g => `idx:${field}:g${k}:${this.H(`${field}|${g}`)}`);
+    // Generate Redis-compatible keys for a search query (same logic as Redis, active key version)
+    keysFor(field, op, q, k = this.k, tenantId = DEFAULT_TENANT) {
+        return this.keys.keysFor(field, op, q, { k, tenantId });
     }
 
     // Search tokens in database index using Redis-compatible keys
-    async searchTokensInIndex(keys) {
+    // The tenant filter backs up the tenant-scoped keys: rows of other tenants are never read
+    // candidates (Set) limits the result to tokens already matched by other keys
+    async searchTokensInIndex(keys, tenantId = DEFAULT_TENANT, candidates = null) {
         if (keys.length === 0) return new Set();
 
         try {
             // Create placeholders for parameterized query
-            const placeholders = keys.map((_, idx) => `$${idx + 1}`).join(',');
+            const placeholders = keys.map((_, idx) => `$${idx + 2}`).join(',');
+            const params = [resolveTenantId(tenantId), ...keys];
+            let candidateFilter = '';
+            if (candidates) {
+                params.push(Array.from(candidates));
+                candidateFilter = `AND psp.token = ANY($${params.length})`;
+            }
 
             const query = `
-                SELECT DISTINCT unnest(string_to_array(token_set, ',')) as token
-                FROM pii_search_index
-                WHERE hmac_key IN (${placeholders})
-                  AND retention_until > NOW()
+                SELECT DISTINCT psp.token
+                FROM pii_search_index psi
+                JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
+                WHERE psi.hmac_key IN (${placeholders})
+                  AND psi.tenant_id = $1
+                  AND psi.retention_until > NOW()
+                  ${candidateFilter}
             `;
 
-            const result = await this.dbClient.query(query, keys);
-            return new Set(result.rows.map(row => row.token.trim()).filter(token => token));
+            const result = await this.dbClient.query(query, params);
+            return new Set(result.rows.map(row => row.token));
 
         } catch (error) {
             console.error('❌ Database search error:', error.message);
@@ -153,99 +174,260 @@ class PIIDatabaseSearchAPI {
         }
     }
 
-    // Core search method (same interface as Redis)
-    async search(fieldName, op, query, k = this.k) {
+    // Core search method (same interface as Redis), scoped to one tenant
+    // Reads every key version in the keyring, so results stay complete during a rotation
+    async search(fieldName, op, query, tenantId = DEFAULT_TENANT, k = this.k) {
         const field = this.getFieldAlias(fieldName);
-        const keys = this.keysFor(field, op, query, k);
+        const keyGroups = this.keys.keyGroupsFor(field, op, query, { k, tenantId });
+
+        if (keyGroups.length === 0) return [];
+        if (keyGroups.length === 1) return await this.searchKeys(keyGroups[0], tenantId);
+
+        // Single-key groups (date range buckets, single-key operations across versions): one IN query
+        if (keyGroups.every(keys => keys.length === 1)) {
+            return Array.from(await this.searchTokensInIndex(keyGroups.flat(), tenantId));
+        }
 
-        if (keys.length === 0) return [];
+        const results = await Promise.all(keyGroups.map(keys => this.searchKeys(keys, tenantId)));
+        return Array.from(new Set(results.flat()));
+    }
 
+    // Tokens matching all keys of one key version
+    async searchKeys(keys, tenantId = DEFAULT_TENANT) {
         // For single key operations (eq, startsWith, endsWith)
         if (keys.length === 1) {
-            const tokens = await this.searchTokensInIndex(keys);
+            const tokens = await this.searchTokensInIndex(keys, tenantId);
             return Array.from(tokens);
         }
 
-        // For multi-key operations (contains with multiple k-grams)
-        // Get intersection of all k-gram results
-        const tokenSets = [];
-        for (const key of keys) {
-            const tokens = await this.searchTokensInIndex([key]);
-            tokenSets.push(tokens);
-        }
+        // For multi-key operations (contains with multiple k-grams): intersected in the database
+        return Array.from(await this.searchTokensIntersection(keys, tenantId));
+    }
+
+    // Tokens posted under every key, in one statement: postings of all keys are grouped by
+    // token and only tokens found under each key are returned (same intersection as
+    // search_tokens_intersection() in sql/create_pii_search_index.sql, inline so it works
+    // without the helper functions installed)
+    // candidates (Set) limits the result to tokens already matched by other conditions
+    async searchTokensIntersection(keys, tenantId = DEFAULT_TENANT, candidates = null) {
+        // A repeated k-gram ("aaaa") yields the same key twice
+        const uniqueKeys = Array.from(new Set(keys));
+        if (uniqueKeys.length <= 1) return await this.searchTokensInIndex(uniqueKeys, tenantId, candidates);
 
-        // Find intersection (all k-grams must match)
-        let intersection = tokenSets[0];
-        for (let i = 1; i < tokenSets.length; i++) {
-            intersection = new Set([...intersection].filter(token => tokenSets[i].has(token)));
+        try {
+            const params = [resolveTenantId(tenantId), uniqueKeys, uniqueKeys.length];
+            let candidateFilter = '';
+            if (candidates) {
+                params.push(Array.from(candidates));
+                candidateFilter = 'AND psp.token = ANY($4)';
+            }
+
+            const query = `
+                SELECT psp.token
+                FROM pii_search_index psi
+                JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
+                WHERE psi.hmac_key = ANY($2)
+                  AND psi.tenant_id = $1
+                  AND psi.retention_until > NOW()
+                  ${candidateFilter}
+                GROUP BY psp.token
+                HAVING COUNT(*) = $3
+            `;
+
+            const result = await this.dbClient.query(query, params);
+            return new Set(result.rows.map(row => row.token));
+
+        } catch (error) {
+            console.error('❌ Database intersection search error:', error.message);
+            throw error;
         }
+    }
 
-        return Array.from(intersection);
+    // Number of live postings under each key (query planner input)
+    async keyCardinalities(keys, tenantId = DEFAULT_TENANT) {
+        const result = await this.dbClient.query(`
+            SELECT psi.hmac_key, COUNT(psp.token)::int AS token_count
+            FROM pii_search_index psi
+            JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
+            WHERE psi.hmac_key = ANY($2)
+              AND psi.tenant_id = $1
+              AND psi.retention_until > NOW()
+            GROUP BY psi.hmac_key
+        `, [resolveTenantId(tenantId), keys]);
+
+        const counts = new Map(keys.map(key => [key, 0]));
+        result.rows.forEach(row => counts.set(row.hmac_key, row.token_count));
+        return counts;
+    }
+
+    // Tokens under all keys, limited to candidates (query planner input)
+    async fetchKeyGroup(keys, tenantId = DEFAULT_TENANT, candidates = null) {
+        return await this.searchTokensIntersection(keys, tenantId, candidates);
     }
 
     // Convenience methods for specific operations (same as Redis)
-    async searchFieldEquals(fieldName, query) {
-        return await this.search(fieldName, 'eq', query);
+    async searchFieldEquals(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'eq', query, tenantId);
     }
 
-    async searchFieldStartsWith(fieldName, query) {
-        return await this.search(fieldName, 'startsWith', query);
+    async searchFieldStartsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'startsWith', query, tenantId);
     }
 
-    async searchFieldEndsWith(fieldName, query) {
-        return await this.search(fieldName, 'endsWith', query);
+    async searchFieldEndsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'endsWith', query, tenantId);
     }
 
-    async searchFieldContains(fieldName, query, k = this.k) {
-        return await this.search(fieldName, 'contains', query, k);
+    async searchFieldContains(fieldName, query, tenantId = DEFAULT_TENANT, k = this.k) {
+        return await this.search(fieldName, 'contains', query, tenantId, k);
     }
 
-    // Complex query support: AND/OR operations (same as Redis)
-    async executeComplexQuery(queryConditions, operator = 'AND') {
-        try {
-            const resultSets = [];
-
-            // Execute each condition
-            for (const condition of queryConditions) {
-                const { field, operation, value } = condition;
-                let tokens;
-
-                switch (operation.toLowerCase()) {
-                    case 'equals':
-                        tokens = await this.searchFieldEquals(field, value);
-                        break;
-                    case 'startswith':
-                        tokens = await this.searchFieldStartsWith(field, value);
-                        break;
-                    case 'endswith':
-                        tokens = await this.searchFieldEndsWith(field, value);
-                        break;
-                    case 'contains':
-                        tokens = await this.searchFieldContains(field, value);
-                        break;
-                    default:
-                        throw new Error(`Unsupported operation: ${operation}`);
-                }
+    async searchFieldSoundsLike(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'soundsLike', query, tenantId);
+    }
 
-                resultSets.push(new Set(tokens));
-            }
+    // Word searches on multi-word fields (same as Redis)
+    async searchFieldHasWord(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'hasWord', query, tenantId);
+    }
 
-            // Apply AND/OR logic
-            if (resultSets.length === 0) return [];
+    async searchFieldWordStartsWith(fieldName, query, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'wordStartsWith', query, tenantId);
+    }
 
-            let finalResult = resultSets[0];
+    // Date range searches (same as Redis): range "1980..1985", age in years
+    async searchFieldDateBetween(fieldName, range, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'dateBetween', range, tenantId);
+    }
 
-            for (let i = 1; i < resultSets.length; i++) {
-                if (operator.toUpperCase() === 'AND') {
-                    // Intersection for AND
-                    finalResult = new Set([...finalResult].filter(x => resultSets[i].has(x)));
-                } else if (operator.toUpperCase() === 'OR') {
-                    // Union for OR
-                    finalResult = new Set([...finalResult, ...resultSets[i]]);
-                }
+    async searchFieldAgeOver(fieldName, age, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'ageOver', String(age), tenantId);
+    }
+
+    async searchFieldAgeUnder(fieldName, age, tenantId = DEFAULT_TENANT) {
+        return await this.search(fieldName, 'ageUnder', String(age), tenantId);
+    }
+
+    // Email sub-field searches (same as Redis): addresses at a domain, local part prefix
+    async searchEmailDomain(domain, tenantId = DEFAULT_TENANT) {
+        return await this.search('EMAIL_DOMAIN', 'eq', domain, tenantId);
+    }
+
+    async searchEmailLocalStartsWith(prefix, tenantId = DEFAULT_TENANT) {
+        return await this.search('EMAIL_LOCAL', 'startsWith', prefix, tenantId);
+    }
+
+    // Typo-tolerant search (same as Redis): tokens ranked by the Dice coefficient of their bigrams and the query's
+    // options: { minScore (default FUZZY_MIN_SCORE), limit (default FUZZY_MAX_RESULTS) }
+    // Returns [{ token, score }], best match first
+    async searchFieldFuzzy(fieldName, query, tenantId = DEFAULT_TENANT, options = {}) {
+        const field = this.getFieldAlias(fieldName);
+        const minScore = resolveMinScore(options.minScore);
+        const keyGroups = this.keys.fuzzyKeyGroupsFor(field, query, minScore, { tenantId });
+
+        // A token keeps its best score across key versions
+        const scores = new Map();
+        for (const { gramKeys, lengthKeys } of keyGroups) {
+            const minMatches = minMatchingGrams(gramKeys.length, minScore);
+            for (const { token, matches, grams } of await this.countGramMatches(gramKeys, lengthKeys, minMatches, tenantId)) {
+                const score = diceScore(matches, gramKeys.length, grams);
+                if (score >= minScore) scores.set(token, Math.max(scores.get(token) || 0, score));
             }
+        }
 
-            return Array.from(finalResult);
+        return rankFuzzyMatches(scores, options.limit);
+    }
+
+    // Tokens posted under at least minMatches of the gram keys: { token, matches, grams }, where
+    // grams is the token's bigram count from the lengthKeys (key → count) it is under; tokens
+    // under none of them are too short or too long to reach the score and are dropped
+    async countGramMatches(gramKeys, lengthKeys, minMatches, tenantId = DEFAULT_TENANT) {
+        if (lengthKeys.size === 0) return [];
+
+        try {
+            const result = await this.dbClient.query(`
+                WITH matches AS (
+                    SELECT psp.token, COUNT(*)::int AS matches
+                    FROM pii_search_index psi
+                    JOIN pii_search_postings psp ON psp.hmac_key = psi.hmac_key
+                    WHERE psi.hmac_key = ANY($2)
+                      AND psi.tenant_id = $1
+                      AND psi.retention_until > NOW()
+                    GROUP BY psp.token
+                    HAVING COUNT(*) >= $3
+                )
+                SELECT DISTINCT ON (m.token) m.token, m.matches, lengths.grams
+                FROM matches m
+                JOIN pii_search_postings psp ON psp.token = m.token
+                JOIN unnest($4::text[], $5::int[]) AS lengths(hmac_key, grams) ON lengths.hmac_key = psp.hmac_key
+                JOIN pii_search_index psi ON psi.hmac_key = psp.hmac_key
+                WHERE psi.tenant_id = $1
+                  AND psi.retention_until > NOW()
+                ORDER BY m.token, lengths.grams
+            `, [resolveTenantId(tenantId), gramKeys, minMatches, Array.from(lengthKeys.keys()), Array.from(lengthKeys.values())]);
+
+            return result.rows.map(row => ({ token: row.token, matches: row.matches, grams: row.grams }));
+        } catch (error) {
+            console.error('❌ Database fuzzy search error:', error.message);
+            throw error;
+        }
+    }
+
+    // Audit logging (append-only, hash-chained pii_audit_log; see audit-log.js)
+    // Only the shape of a search is recorded (fields, operations, query length), never its values
+    // The actor is the caller (options.callerId), or the API client when no caller was named
+    async auditLog(event, { clientId, callerId }, tenantId, details) {
+        const actor = callerId || clientId;
+        const { seq } = await this.auditTrail.append({
+            event,
+            actor,
+            tenantId: resolveTenantId(tenantId),
+            details: clientId && clientId !== actor ? { ...details, clientId } : details
+        });
+        console.log(`📝 Audit #${seq}: ${event} by ${actor || 'anonymous'} returned ${details.resultCount} results`);
+    }
+
+    // Quota check before a search (see rate-limiter.js); throws RateLimitError when the client is over a quota
+    // clientId is the authenticated API client, never a caller id taken from the request
+    // fieldTypes: one entry per search and field, full names or aliases (fn → FIRST_NAME)
+    async checkRateLimit(clientId, fieldTypes, searches = 1) {
+        const fieldNames = fieldTypes.filter(Boolean).map(fieldType => {
+            const alias = getFieldAlias(fieldType);
+            return Object.keys(FIELD_MAP).find(name => FIELD_MAP[name] === alias) || fieldType;
+        });
+        await this.rateLimiter.consume(clientId, fieldNames, searches);
+    }
+
+    // Complex query support: AND/OR operations within one tenant (same as Redis)
+    // options: { level: 'subject' (default, person-level tokens) | 'token' (field tokens),
+    //            clientId (authenticated API client: rate limits), callerId (audit actor, defaults to clientId) }
+    async executeComplexQuery(queryConditions, operator = 'AND', tenantId = DEFAULT_TENANT, options = {}) {
+        if (queryConditions.length === 0) return [];
+        return await this.executeQueryExpression(conditionsToExpression(queryConditions, operator), tenantId, options);
+    }
+
+    // Boolean query expression (string or parsed tree) with nested groups and NOT, within one tenant
+    // e.g. (fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"
+    // Planned by per-key posting counts: most selective operands first, later ones limited to the remaining tokens
+    // Returns subject tokens unless options.level is 'token' (see subject-tokens.js)
+    async executeQueryExpression(expression, tenantId = DEFAULT_TENANT, options = {}) {
+        try {
+            const tree = typeof expression === 'string' ? parseQueryExpression(expression) : expression;
+            const conditions = collectConditions(tree);
+
+            // One search for the client quota, each condition counts for its field
+            await this.checkRateLimit(options.clientId, conditions.map(condition => condition.field));
+
+            const planner = new QueryPlanner(this, { tenantId, level: options.level });
+            const tokens = Array.from(await planner.run(tree));
+
+            await this.auditLog('db-query', options, tenantId, {
+                conditions: conditions.map(({ field, operation }) => ({ field, operation })),
+                level: planner.level,
+                resultCount: tokens.length
+            });
+
+            return tokens;
         } catch (error) {
             console.error('❌ Complex query failed:', error.message);
             throw error;
@@ -253,31 +435,60 @@ class PIIDatabaseSearchAPI {
     }
 
     // Get comprehensive search statistics (similar to Redis)
-    async getStats() {
+    // Index statistics of one tenant (default tenant unless given)
+    async getStats(tenantId = DEFAULT_TENANT) {
         try {
-            const pattern = 'idx:%';
+            const tenant = resolveTenantId(tenantId);
             const query = `
                 SELECT
                     COUNT(*) as total_keys,
                     COUNT(CASE WHEN hmac_key LIKE '%:eq:%' THEN 1 END) as eq_keys,
                     COUNT(CASE WHEN hmac_key LIKE '%:pre:%' THEN 1 END) as pre_keys,
                     COUNT(CASE WHEN hmac_key LIKE '%:suf:%' THEN 1 END) as suf_keys,
-                    COUNT(CASE WHEN hmac_key LIKE '%:g3:%' THEN 1 END) as g3_keys
+                    COUNT(CASE WHEN hmac_key LIKE '%:g3:%' THEN 1 END) as g3_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:f2:%' THEN 1 END) as f2_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:fl:%' THEN 1 END) as fl_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:ph:%' THEN 1 END) as ph_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:w:%' THEN 1 END) as w_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:wp:%' THEN 1 END) as wp_keys,
+                    COUNT(CASE WHEN hmac_key ~ ':(d10|dy|dm|dd):' THEN 1 END) as date_keys,
+                    COUNT(CASE WHEN hmac_key LIKE '%:reg:%' THEN 1 END) as reg_keys
+                FROM pii_search_index
+                WHERE tenant_id = $1
+            `;
+
+            // Keys per HMAC key version (unversioned keys predate the keyring)
+            const versionQuery = `
+                SELECT
+                    CASE WHEN split_part(hmac_key, ':', 2) ~ '^v[0-9]+$'
+                         THEN split_part(hmac_key, ':', 2) ELSE 'legacy' END as version,
+                    COUNT(*) as key_count
                 FROM pii_search_index
-                WHERE hmac_key LIKE $1
+                WHERE tenant_id = $1
+                GROUP BY 1
             `;
 
-            const result = await this.dbClient.query(query, [pattern]);
+            const result = await this.dbClient.query(query, [tenant]);
             const stats = result.rows[0];
+            const versions = await this.dbClient.query(versionQuery, [tenant]);
 
             return {
+                tenantId: tenant,
                 totalKeys: parseInt(stats.total_keys),
                 keysByOperation: {
                     eq: parseInt(stats.eq_keys),
                     pre: parseInt(stats.pre_keys),
                     suf: parseInt(stats.suf_keys),
-                    g3: parseInt(stats.g3_keys)
-                }
+                    g3: parseInt(stats.g3_keys),
+                    f2: parseInt(stats.f2_keys),
+                    fl: parseInt(stats.fl_keys),
+                    ph: parseInt(stats.ph_keys),
+                    w: parseInt(stats.w_keys),
+                    wp: parseInt(stats.wp_keys),
+                    date: parseInt(stats.date_keys),
+                    reg: parseInt(stats.reg_keys)
+                },
+                keysByVersion: Object.fromEntries(versions.rows.map(row => [row.version, parseInt(row.key_count)]))
             };
         } catch (error) {
             console.error('❌ Stats failed:', error.message);
@@ -285,8 +496,28 @@ class PIIDatabaseSearchAPI {
         }
     }
 
+    // k-anonymity protection: suppress result sets smaller than minResultSize
+    applyKAnonymity(tokens) {
+        const resultCount = tokens.length;
+        const anonymizedTokens = resultCount >= config.search.minResultSize ? tokens : [];
+        const kAnonymityApplied = resultCount > 0 && anonymizedTokens.length === 0;
+
+        if (kAnonymityApplied) {
+            console.log(`🔒 k-anonymity protection applied: ${resultCount} results (< ${config.search.minResultSize})`);
+        }
+
+        return { anonymizedTokens, resultCount, kAnonymityApplied };
+    }
+
     // High-level search with options (wrapper around core search)
+    // options: { tenantId, minScore (fuzzy), clientId (authenticated API client: rate limits), callerId (audit actor) }
     async performSearch(query, fieldType, queryType = 'contains', options = {}) {
+        await this.checkRateLimit(options.clientId, [fieldType]);
+        return await this.runSearch(query, fieldType, queryType, options);
+    }
+
+    // performSearch after its quota check
+    async runSearch(query, fieldType, queryType, options) {
         const startTime = Date.now();
 
         try {
@@ -295,54 +526,53 @@ class PIIDatabaseSearchAPI {
                 throw new Error(`Query must be at least ${config.search.minQueryLength} characters long`);
             }
 
-            // Map query type to Redis operation
-            let operation;
-            switch (queryType.toLowerCase()) {
-                case 'exact':
-                case 'equals':
-                    operation = 'eq';
-                    break;
-                case 'starts_with':
-                case 'startswith':
-                    operation = 'startsWith';
-                    break;
-                case 'ends_with':
-                case 'endswith':
-                    operation = 'endsWith';
-                    break;
-                case 'contains':
-                default:
-                    operation = 'contains';
-                    break;
-            }
+            // Map query type to Redis operation (unknown types fall back to contains)
+            const queryTypeKey = queryType.toLowerCase();
+            const operation = Object.hasOwn(QUERY_TYPE_OPERATIONS, queryTypeKey) ? QUERY_TYPE_OPERATIONS[queryTypeKey] : 'contains';
 
             console.log(`🔍 Searching: ${fieldType} ${operation} "${query}"`);
 
-            // Use core search method
-            const tokens = await this.search(fieldType, operation, query);
+            // Use core search method (options.tenantId scopes the search, default tenant otherwise)
+            // Fuzzy searches also return the similarity score of each token (options.minScore sets the threshold)
+            const matches = operation === 'fuzzy'
+                ? await this.searchFieldFuzzy(fieldType, query, options.tenantId, { minScore: options.minScore })
+                : null;
+            const tokens = matches ? matches.map(match => match.token) : await this.search(fieldType, operation, query, options.tenantId);
 
             console.log(`🎯 Found ${tokens.length} matching tokens`);
 
             // Apply k-anonymity protection
-            const resultCount = tokens.length;
-            const anonymizedTokens = resultCount >= config.search.minResultSize ? tokens : [];
-
-            if (resultCount > 0 && anonymizedTokens.length === 0) {
-                console.log(`🔒 k-anonymity protection applied: ${resultCount} results (< ${config.search.minResultSize})`);
-            }
+            const { anonymizedTokens, resultCount, kAnonymityApplied } = this.applyKAnonymity(tokens);
 
             const executionTime = Date.now() - startTime;
 
-            return {
+            const result = {
                 tokens: anonymizedTokens,
                 resultCount: resultCount,
                 anonymizedCount: anonymizedTokens.length,
                 queryType: queryType,
                 fieldType: fieldType,
+                tenantId: resolveTenantId(options.tenantId),
                 executionTime: executionTime,
-                kAnonymityApplied: resultCount > 0 && anonymizedTokens.length === 0
+                kAnonymityApplied: kAnonymityApplied
             };
 
+            // Ranked { token, score } list, suppressed together with the tokens
+            if (matches) {
+                result.matches = kAnonymityApplied ? [] : matches;
+            }
+
+            await this.auditLog('db-search', options, options.tenantId, {
+                fieldType,
+                operation,
+                queryLength: query.length,
+                resultCount,
+                returnedCount: anonymizedTokens.length,
+                kAnonymityApplied
+            });
+
+            return result;
+
         } catch (error) {
             console.error(`❌ Search failed: ${error.message}`);
             throw error;
@@ -350,16 +580,19 @@ class PIIDatabaseSearchAPI {
     }
 
     // Batch search with multiple queries
+    // The whole batch is checked against the quotas up front: it runs completely or not at all
     async batchSearch(queries, options = {}) {
+        await this.checkRateLimit(options.clientId, queries.map(queryConfig => queryConfig.fieldType), queries.length);
+
         const results = [];
 
         for (const queryConfig of queries) {
             try {
-                const result = await this.performSearch(
+                const result = await this.runSearch(
                     queryConfig.query,
                     queryConfig.fieldType,
                     queryConfig.queryType || 'contains',
-                    options
+                    { ...options, minScore: queryConfig.minScore }
                 );
                 results.push(result);
             } catch (error) {
@@ -378,6 +611,7 @@ class PIIDatabaseSearchAPI {
     // Clean up resources
     async close() {
         if (this.dbClient) await this.dbClient.end();
+        if (this.auditTrail) await this.auditTrail.close();
         console.log('🛑 PII Database Search API closed');
     }
 }
@@ -398,6 +632,7 @@ Test the Redis-compatible database-based PII search API functionality.
 Options:
   --test-search        Run sample search tests
   --stats              Show search index statistics
+  --tenant <id>        Tenant of --stats (default: default tenant)
   --help               Show this help message
 
 Environment Variables:
@@ -405,7 +640,8 @@ Environment Variables:
   DB_NAME              Database name (default: pii)
   DB_USER              Database user (default: postgres)
   DB_PASSWORD          Database password
-  REDIS_HMAC_SECRET    HMAC secret (same as Redis)
+  HMAC_KEYRING_PATH    Vault path of the versioned HMAC keyring (with VAULT_ADDR/VAULT_TOKEN)
+  REDIS_HMAC_SECRET    HMAC secret used as key version v1 when Vault holds no keyring
 
 Example:
   node pii-db-search-api.js --test-search
@@ -427,7 +663,13 @@ Example:
                 { query: 'gmail', fieldType: 'EMAIL', queryType: 'contains' },
                 { query: 'smith', fieldType: 'LAST_NAME', queryType: 'endsWith' },
                 { query: '999', fieldType: 'MOBILE_NUMBER', queryType: 'startsWith' },
-                { query: 'india', fieldType: 'COUNTRY', queryType: 'equals' }
+                { query: 'india', fieldType: 'COUNTRY', queryType: 'equals' },
+                { query: 'jonh', fieldType: 'FIRST_NAME', queryType: 'fuzzy' },
+                { query: 'shrinivas', fieldType: 'FIRST_NAME', queryType: 'soundsLike' },
+                { query: 'karnataka', fieldType: 'ADDRESS', queryType: 'hasWord' },
+                { query: '1980..1985', fieldType: 'DATE_OF_BIRTH', queryType: 'dateBetween' },
+                { query: '60', fieldType: 'DATE_OF_BIRTH', queryType: 'ageOver' },
+                { query: 'gmail.com', fieldType: 'EMAIL_DOMAIN', queryType: 'equals' }
             ];
 
             for (const testQuery of testQueries) {
@@ -452,13 +694,19 @@ Example:
         }
 
         if (args.includes('--stats')) {
-            const stats = await searchAPI.getStats();
-            console.log('\n📊 Search Index Statistics:');
+            const tenantIndex = args.indexOf('--tenant');
+            const stats = await searchAPI.getStats(tenantIndex !== -1 ? args[tenantIndex + 1] : DEFAULT_TENANT);
+            console.log(`\n📊 Search Index Statistics (tenant ${stats.tenantId || 'N/A'}):`);
             console.log(`   Total Keys: ${stats.totalKeys || 'N/A'}`);
             console.log(`   Equality Keys: ${stats.keysByOperation?.eq || 'N/A'}`);
             console.log(`   Prefix Keys: ${stats.keysByOperation?.pre || 'N/A'}`);
             console.log(`   Suffix Keys: ${stats.keysByOperation?.suf || 'N/A'}`);
             console.log(`   3-gram Keys: ${stats.keysByOperation?.g3 || 'N/A'}`);
+            console.log(`   Fuzzy Bigram Keys: ${stats.keysByOperation?.f2 || 'N/A'}`);
+            console.log(`   Phonetic Keys: ${stats.keysByOperation?.ph || 'N/A'}`);
+            console.log(`   Word / Word Prefix Keys: ${stats.keysByOperation?.w || 'N/A'} / ${stats.keysByOperation?.wp || 'N/A'}`);
+            console.log(`   Date Bucket Keys: ${stats.keysByOperation?.date || 'N/A'}`);
+            console.log(`   Registrable Domain Keys: ${stats.keysByOperation?.reg || 'N/A'}`);
         }
 
     } catch (error) {
@@ -474,7 +722,9 @@ module.exports = {
     PIIDatabaseSearchAPI,
     QUERY_TYPES,
     FIELD_MAP,
-    VALID_OPS
+    VALID_OPS,
+    QUERY_TYPE_OPERATIONS,
+    searchConfig: config.search
 };
 
 // Run if called directly
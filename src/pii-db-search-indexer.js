@@ -1,6 +1,13 @@
 const crypto = require('crypto');
 const vault = require('node-vault');
 const { Client } = require('pg');
+const { VaultDecryptPool } = require('./vault-decrypt-pool.js');
+const { PipelineCheckpoint, CHECKPOINT_STATUS } = require('./pipeline-checkpoint.js');
+const { loadHmacKeyring } = require('./hmac-keyring.js');
+const { FieldIndexKeys, FIELD_MAP, normalize, getFieldAlias } = require('./field-index-keys.js');
+const { validateFieldValue } = require('./field-normalizers.js');
+const { tokenFieldType } = require('./subject-tokens.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -44,6 +51,9 @@ const config = {
         version: '1',
         minResultSize: parseInt(process.env.MIN_RESULT_SIZE) || 5, // k-anonymity protection
         maxResults: parseInt(process.env.MAX_RESULTS) || 1000
+    },
+    index: {
+        batchSize: parseInt(process.env.INDEX_BATCH_SIZE) || 500 // records per batched upsert
     }
 };
 
@@ -72,10 +82,11 @@ const BOUNDARY_START = '\u0001';
 const BOUNDARY_END = '\u0002';
 
 class PIIDatabaseSearchIndexer {
-    constructor() {
+    constructor(options = {}) {
         this.vaultClient = null;
         this.dbClient = null;
         this.regionKey = null;
+        this.batchSize = options.batchSize || config.index.batchSize;
 
         // Set global HTTPS agent to ignore SSL errors for Vault
         process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
@@ -89,6 +100,7 @@ class PIIDatabaseSearchIndexer {
             this.vaultClient = vault(config.vault);
             const status = await this.vaultClient.status();
             console.log(`✅ Vault connected (sealed: ${status.sealed})`);
+            this.decryptPool = new VaultDecryptPool(this.vaultClient);
 
             // Initialize Database
             this.dbClient = new Client(config.database);
@@ -123,7 +135,36 @@ class PIIDatabaseSearchIndexer {
                 throw new Error('pii_search_index table not found. Please create it first.');
             }
 
-            console.log('✅ pii_search_index table verified');
+            // Detect the legacy layout (comma-separated token_set column, no posting table)
+            const layoutQuery = `
+                SELECT
+                    EXISTS (
+                        SELECT 1 FROM information_schema.tables
+                        WHERE table_schema = 'public' AND table_name = 'pii_search_postings'
+                    ) as has_postings,
+                    EXISTS (
+                        SELECT 1 FROM information_schema.columns
+                        WHERE table_schema = 'public' AND table_name = 'pii_search_index'
+                        AND column_name = 'token_set'
+                    ) as has_token_set,
+                    EXISTS (
+                        SELECT 1 FROM information_schema.columns
+                        WHERE table_schema = 'public' AND table_name = 'pii_search_index'
+                        AND column_name = 'tenant_id'
+                    ) as has_tenant_id
+            `;
+            const layout = (await this.dbClient.query(layoutQuery)).rows[0];
+            this.legacyLayout = !layout.has_postings || layout.has_token_set;
+
+            if (!layout.has_tenant_id) {
+                throw new Error('pii_search_index has no tenant_id column. Run sql/add_tenant_columns.sql first.');
+            }
+
+            if (this.legacyLayout) {
+                console.warn('⚠️  pii_search_index uses the legacy token_set layout. Run with --migrate-postings to move tokens into pii_search_postings.');
+            } else {
+                console.log('✅ pii_search_index and pii_search_postings tables verified');
+            }
         } catch (error) {
             console.error('❌ Failed to verify index table:', error.message);
             throw error;
@@ -131,72 +172,32 @@ class PIIDatabaseSearchIndexer {
     }
 
     async initializeHmacSecret() {
-        // Use the same HMAC secret as Redis indexer for consistency
-        this.hmacSecret = process.env.REDIS_HMAC_SECRET || 'default-secret-key';
-        console.log(`✅ Using Redis-compatible HMAC secret`);
+        // Versioned HMAC secrets shared with the Redis indexer (Vault keyring, REDIS_HMAC_SECRET fallback)
+        this.keyring = await loadHmacKeyring(this.vaultClient);
+        this.keys = new FieldIndexKeys(this.keyring);
 
         // Field mapping to compact aliases (same as Redis)
-        this.fieldMap = {
-            'FIRST_NAME': 'fn',
-            'LAST_NAME': 'ln',
-            'MIDDLE_NAME': 'mn',
-            'FULL_NAME': 'name',
-            'EMAIL': 'email',
-            'MOBILE_NUMBER': 'phone',
-            'DATE_OF_BIRTH': 'dob',
-            'ADDRESS': 'addr',
-            'COUNTRY': 'country',
-            'CITY': 'city',
-            'PAN_CARD': 'pan',
-            'PASSPORT_NUMBER': 'passport'
-        };
+        this.fieldMap = FIELD_MAP;
     }
 
     // Normalize text (same as Redis)
     normalize(s) {
-        return s.normalize('NFKC').toLowerCase().trim();
+        return normalize(s);
     }
 
-    // HMAC hash function (same as Redis): H(s) = base64url(HMAC_SHA256(secret, s))
+    // HMAC hash function (same as Redis): H(s) = base64url(HMAC_SHA256(secret, s)) under the active key version
     H(s) {
-        return crypto.createHmac('sha256', this.hmacSecret).update(s).digest('base64url');
+        return this.keys.H(s);
     }
 
     // Get field alias from full field name (same as Redis)
     getFieldAlias(fieldName) {
-        return this.fieldMap[fieldName.toUpperCase()] || fieldName.toLowerCase();
+        return getFieldAlias(fieldName);
     }
 
     // Generate all Redis-compatible index keys for a field value (for all operations)
-    generateAllIndexKeys(field, value, k = 3) {
-        const n = this.normalize(value);
-        const r = [...n].reverse().join('');
-        const keys = [];
-
-        // Equality key
-        keys.push(`idx:${field}:eq:${this.H(`${field}|${n}`)}`);
-
-        // All prefix keys for startsWith
-        for (let i = 1; i <= n.length; i++) {
-            const prefix = n.slice(0, i);
-            keys.push(`idx:${field}:pre:${this.H(`${field}|${prefix}`)}`);
-        }
-
-        // All suffix keys for endsWith (using reversed prefixes)
-        for (let i = 1; i <= r.length; i++) {
-            const prefix = r.slice(0, i);
-            keys.push(`idx:${field}:suf:${this.H(`${field}|${prefix}`)}`);
-        }
-
-        // All k-gram keys for contains (only k=3 grams to avoid index explosion)
-        if (n.length >= k) {
-            for (let i = 0; i <= n.length - k; i++) {
-                const gram = n.slice(i, i + k);
-                keys.push(`idx:${field}:g${k}:${this.H(`${field}|${gram}`)}`);
-            }
-        }
-
-        return keys;
+    generateAllIndexKeys(field, value, k = 3, tenantId = DEFAULT_TENANT) {
+        return this.keys.generateAllIndexKeys(field, value, { k, tenantId });
     }
 
     // Generate opaque token for a record
@@ -240,18 +241,11 @@ class PIIDatabaseSearchIndexer {
 
     // Determine field name from token suffix or PII data pattern
     determineFieldName(decryptedValue, token = null) {
-        // First, try to extract field type from token suffix (most reliable)
+        // First, try to extract field type from token suffix (most reliable, see subject-tokens.js)
         if (token && typeof token === 'string') {
-            const tokenParts = token.split('_');
-            if (tokenParts.length >= 3) {
-                const fieldType = tokenParts.slice(2).join('_'); // Handle multi-word field types
-                // Validate it's a known field type
-                const validFieldTypes = ['FIRST_NAME', 'LAST_NAME', 'MIDDLE_NAME', 'FULL_NAME', 'EMAIL',
-                                       'MOBILE_NUMBER', 'DATE_OF_BIRTH', 'ADDRESS', 'CITY', 'COUNTRY',
-                                       'PAN_CARD', 'PASSPORT_NUMBER', 'CREDIT_CARD', 'SSN'];
-                if (validFieldTypes.includes(fieldType)) {
-                    return fieldType;
-                }
+            const fieldType = tokenFieldType(token);
+            if (fieldType) {
+                return fieldType;
             }
         }
 
@@ -282,30 +276,44 @@ class PIIDatabaseSearchIndexer {
     // Note: Token mapping not needed since we use existing tokens from pii_token_data
 
     // Add token to search index for a specific HMAC key
-    async addTokenToIndex(hmacKey, opaqueToken, fieldType, retentionDate = null) {
+    async addTokenToIndex(hmacKey, opaqueToken, fieldType, retentionDate = null, tenantId = DEFAULT_TENANT) {
         // Calculate retention date (1 year from now if not specified)
         const retention = retentionDate || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
 
-        const query = `
-            INSERT INTO pii_search_index (hmac_key, token_set, field_type, created_at, retention_until)
-            VALUES ($1, $2, $3, NOW(), $4)
+        // Key metadata: one row per HMAC key, retention extended to the newest posting
+        const keyQuery = `
+            INSERT INTO pii_search_index (hmac_key, field_type, tenant_id, created_at, retention_until)
+            VALUES ($1, $2, $4, NOW(), $3)
             ON CONFLICT (hmac_key) DO UPDATE SET
-                token_set = CASE
-                    WHEN pii_search_index.token_set LIKE '%' || $2 || '%'
-                    THEN pii_search_index.token_set
-                    ELSE pii_search_index.token_set || ',' || $2
-                END,
-                retention_until = GREATEST(pii_search_index.retention_until, $4)
+                retention_until = GREATEST(pii_search_index.retention_until, $3)
+        `;
+
+        // Posting: exact (hmac_key, token) de-duplication via the primary key
+        const postingQuery = `
+            INSERT INTO pii_search_postings (hmac_key, token, created_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (hmac_key, token) DO NOTHING
         `;
 
-        await this.dbClient.query(query, [hmacKey, opaqueToken, fieldType, retention]);
+        await this.dbClient.query(keyQuery, [hmacKey, fieldType, retention, resolveTenantId(tenantId)]);
+        await this.dbClient.query(postingQuery, [hmacKey, opaqueToken]);
+    }
+
+    // Malformed values (PAN, passport, phone, email) are still indexed in canonical form;
+    // the warning names the token, never the value
+    warnInvalidValue(field, value, token, fieldName) {
+        const problem = validateFieldValue(field, value);
+        if (problem) {
+            console.warn(`⚠️  ${fieldName} of ${token} is ${problem}`);
+        }
     }
 
     // Index a single PII record using Redis-compatible approach
-    async indexFieldValue(fieldName, value, token) {
+    async indexFieldValue(fieldName, value, token, tenantId = DEFAULT_TENANT) {
         try {
             const field = this.getFieldAlias(fieldName);
-            const keys = this.generateAllIndexKeys(field, value);
+            const keys = this.generateAllIndexKeys(field, value, 3, tenantId);
+            this.warnInvalidValue(field, value, token, fieldName);
 
             // Use transaction for consistency
             await this.dbClient.query('BEGIN');
@@ -313,7 +321,7 @@ class PIIDatabaseSearchIndexer {
             try {
                 // Add token to all generated keys (same as Redis approach)
                 for (const key of keys) {
-                    await this.addTokenToIndex(key, token, fieldName);
+                    await this.addTokenToIndex(key, token, fieldName, null, tenantId);
                 }
 
                 await this.dbClient.query('COMMIT');
@@ -329,33 +337,185 @@ class PIIDatabaseSearchIndexer {
         }
     }
 
-    // Index a single PII record using existing token from database
-    async indexRecord(recordId, encryptedPiiData, existingToken, fieldName, tenantId = null) {
+    // HMAC keys a token is posted under (reverse map via the postings token index)
+    async getTokenKeys(token) {
+        const result = await this.dbClient.query(
+            'SELECT hmac_key FROM pii_search_postings WHERE token = $1',
+            [token]
+        );
+        return result.rows.map(row => row.hmac_key);
+    }
+
+    // Remove a token from every key it is posted under; no plaintext or decryption needed
+    // Keys left without postings are dropped. Runs inside the caller's transaction if one is open.
+    async removeTokenPostings(token) {
+        const postings = await this.dbClient.query(
+            'DELETE FROM pii_search_postings WHERE token = $1 RETURNING hmac_key',
+            [token]
+        );
+        const keys = postings.rows.map(row => row.hmac_key);
+
+        const emptyKeys = await this.dbClient.query(
+            `DELETE FROM pii_search_index psi
+             WHERE psi.hmac_key = ANY($1)
+               AND NOT EXISTS (SELECT 1 FROM pii_search_postings psp WHERE psp.hmac_key = psi.hmac_key)`,
+            [keys]
+        );
+
+        return { token, keysRemoved: keys.length, keysDeleted: emptyKeys.rowCount };
+    }
+
+    async removeToken(token) {
+        try {
+            await this.dbClient.query('BEGIN');
+            const result = await this.removeTokenPostings(token);
+            await this.dbClient.query('COMMIT');
+            return result;
+        } catch (error) {
+            await this.dbClient.query('ROLLBACK');
+            console.error(`❌ Failed to remove token ${token}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Replace the value indexed for a token without knowing the previous value
+    async updateFieldValue(fieldName, newValue, token, tenantId = DEFAULT_TENANT) {
         try {
-            // Decrypt the PII data
-            const decryptedValue = await this.decryptPIIData(encryptedPiiData);
+            const field = this.getFieldAlias(fieldName);
+            const keys = this.generateAllIndexKeys(field, this.normalize(newValue), 3, tenantId);
+
+            await this.dbClient.query('BEGIN');
+
+            try {
+                const removed = await this.removeTokenPostings(token);
+                for (const key of keys) {
+                    await this.addTokenToIndex(key, token, fieldName, null, tenantId);
+                }
+
+                await this.dbClient.query('COMMIT');
+
+                return { indexed: keys.length, field: fieldName, alias: field, keysRemoved: removed.keysRemoved };
+            } catch (error) {
+                await this.dbClient.query('ROLLBACK');
+                throw error;
+            }
+        } catch (error) {
+            console.error(`❌ Failed to update ${fieldName} for token ${token}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Write the index keys of many records with two multi-row upserts in one transaction
+    // entries: [{ token, fieldName, tenantId, keys }]
+    async writeIndexBatch(entries, retentionDate = null) {
+        if (entries.length === 0) return { keys: 0, postings: 0 };
+
+        const retention = retentionDate || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+        // De-duplicate in memory: ON CONFLICT DO UPDATE cannot touch the same row twice per statement
+        const keyFieldTypes = new Map();
+        const postings = new Map();
+        for (const entry of entries) {
+            const tenantId = resolveTenantId(entry.tenantId);
+            for (const key of entry.keys) {
+                if (!keyFieldTypes.has(key)) keyFieldTypes.set(key, [entry.fieldName, tenantId]);
+                postings.set(`${key}\u0000${entry.token}`, [key, entry.token]);
+            }
+        }
 
-            // Normalize the text
-            const normalizedText = this.normalize(decryptedValue);
+        const keyQuery = `
+            INSERT INTO pii_search_index (hmac_key, field_type, tenant_id, created_at, retention_until)
+            SELECT k.hmac_key, k.field_type, k.tenant_id, NOW(), $3
+            FROM unnest($1::text[], $2::text[], $4::text[]) AS k(hmac_key, field_type, tenant_id)
+            ON CONFLICT (hmac_key) DO UPDATE SET
+                retention_until = GREATEST(pii_search_index.retention_until, EXCLUDED.retention_until)
+        `;
 
-            if (!normalizedText) return null;
+        const postingQuery = `
+            INSERT INTO pii_search_postings (hmac_key, token, created_at)
+            SELECT p.hmac_key, p.token, NOW()
+            FROM unnest($1::text[], $2::text[]) AS p(hmac_key, token)
+            ON CONFLICT (hmac_key, token) DO NOTHING
+        `;
 
-            // Use existing token instead of generating new one
-            const opaqueToken = existingToken;
+        const postingRows = Array.from(postings.values());
+        const keyRows = Array.from(keyFieldTypes.entries());
 
-            // Determine field type if not provided (pass token for suffix-based detection)
-            const actualFieldName = fieldName || this.determineFieldName(decryptedValue, opaqueToken);
+        await this.dbClient.query('BEGIN');
+
+        try {
+            await this.dbClient.query(keyQuery, [
+                keyRows.map(([key]) => key),
+                keyRows.map(([, [fieldType]]) => fieldType),
+                retention,
+                keyRows.map(([, [, tenantId]]) => tenantId)
+            ]);
+            await this.dbClient.query(postingQuery, [
+                postingRows.map(([key]) => key),
+                postingRows.map(([, token]) => token)
+            ]);
+
+            await this.dbClient.query('COMMIT');
+
+            return { keys: keyFieldTypes.size, postings: postingRows.length };
+        } catch (error) {
+            await this.dbClient.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Decrypt and normalize a record and generate its index keys without writing them
+    async prepareRecord(recordId, encryptedPiiData, existingToken, fieldName = null, tenantId = DEFAULT_TENANT) {
+        // Decrypt the PII data
+        const decryptedValue = await this.decryptPIIData(encryptedPiiData);
+
+        return this.prepareDecryptedRecord(recordId, decryptedValue, existingToken, fieldName, tenantId);
+    }
+
+    // Normalize an already decrypted record and generate its index keys
+    prepareDecryptedRecord(recordId, decryptedValue, existingToken, fieldName = null, tenantId = DEFAULT_TENANT) {
+        // Normalize the text
+        const normalizedText = this.normalize(decryptedValue);
+
+        if (!normalizedText) return null;
+
+        // Use existing token instead of generating new one
+        const opaqueToken = existingToken;
+
+        // Determine field type if not provided (pass token for suffix-based detection)
+        const actualFieldName = fieldName || this.determineFieldName(decryptedValue, opaqueToken);
+        const alias = this.getFieldAlias(actualFieldName);
+        const tenant = resolveTenantId(tenantId);
+        this.warnInvalidValue(alias, normalizedText, opaqueToken, actualFieldName);
+
+        return {
+            recordId,
+            token: opaqueToken,
+            tenantId: tenant,
+            fieldName: actualFieldName,
+            alias,
+            normalizedValue: normalizedText,
+            keys: this.generateAllIndexKeys(alias, normalizedText, 3, tenant)
+        };
+    }
+
+    // Index a single PII record using existing token from database
+    async indexRecord(recordId, encryptedPiiData, existingToken, fieldName, tenantId = DEFAULT_TENANT) {
+        try {
+            const entry = await this.prepareRecord(recordId, encryptedPiiData, existingToken, fieldName, tenantId);
+
+            if (!entry) return null;
 
             // Index using Redis-compatible approach
-            const result = await this.indexFieldValue(actualFieldName, normalizedText, opaqueToken);
+            const result = await this.indexFieldValue(entry.fieldName, entry.normalizedValue, entry.token, entry.tenantId);
 
             return {
                 recordId,
-                opaqueToken,
+                opaqueToken: entry.token,
                 fieldName: result.field,
                 fieldAlias: result.alias,
                 keyCount: result.indexed,
-                normalizedValue: normalizedText
+                normalizedValue: entry.normalizedValue
             };
 
         } catch (error) {
@@ -393,45 +553,136 @@ class PIIDatabaseSearchIndexer {
     }
 
     // Process all records from the database and build the index
-    async buildIndexFromDatabase() {
+    // options.resume continues after the last checkpointed record id; writes are idempotent
+    // (ON CONFLICT), so re-processing the batch that was in flight adds no duplicates
+    async buildIndexFromDatabase(options = {}) {
         try {
             console.log('🔨 Building database search index from PII records...');
 
-            const query = `
-                SELECT id, pii_data_point, token
+            if (this.legacyLayout) {
+                throw new Error('Index uses the legacy token_set layout. Run with --migrate-postings first.');
+            }
+
+            const checkpoint = new PipelineCheckpoint('build-db-index');
+            const saved = checkpoint.resolve(options.resume, { database: config.database.database });
+            if (saved && saved.status === CHECKPOINT_STATUS.COMPLETED) {
+                console.log(`✅ Index build already completed (${saved.indexed} records) - nothing to resume`);
+                return { indexed: saved.indexed, failed: saved.failed, total: saved.indexed + saved.failed };
+            }
+
+            let lastId = saved ? saved.lastId : 0;
+            if (saved) {
+                console.log(`🔁 Resuming after record id ${lastId} (${saved.indexed} indexed, ${saved.failed} failed so far)`);
+            }
+
+            // Records are read a page at a time in id order, so memory stays bounded by the batch size
+            // and the last processed id is a stable cursor
+            const filter = `
                 FROM pii_token_data
                 WHERE pii_data_point IS NOT NULL
                 AND pii_data_point LIKE 'vault:v1:%'
-                ORDER BY created_at ASC
+                AND id > $1
+            `;
+            const query = `
+                SELECT id, pii_data_point, token, tenant_id
+                ${filter}
+                ORDER BY id ASC
+                LIMIT $2
             `;
 
-            const result = await this.dbClient.query(query);
-            console.log(`📊 Found ${result.rows.length} encrypted PII records to index`);
+            const countResult = await this.dbClient.query(`SELECT COUNT(*) AS remaining ${filter}`, [lastId]);
+            const remaining = parseInt(countResult.rows[0].remaining);
+            console.log(`📊 Found ${remaining} encrypted PII records to index`);
+            console.log(`📦 Batch size: ${this.batchSize} records per write`);
+            console.log(`🔓 Vault decryption: ${this.decryptPool.concurrency} concurrent requests, ${this.decryptPool.batchSize} ciphertexts each`);
+
+            const previouslyIndexed = saved ? saved.indexed : 0;
+            let indexed = previouslyIndexed;
+            let failed = saved ? saved.failed : 0;
+            let batch = [];
+            const total = previouslyIndexed + (saved ? saved.failed : 0) + remaining;
+
+            const recordIndexed = () => {
+                indexed++;
+                if (indexed % 100 === 0) {
+                    console.log(`📈 Progress: ${indexed}/${total} records indexed`);
+                }
+            };
+
+            const recordFailed = (recordId, error) => {
+                console.error(`⚠️  Failed to index record ${recordId}: ${error.message}`);
+                failed++;
+            };
 
-            let indexed = 0;
-            let failed = 0;
+            const flush = async () => {
+                const entries = batch;
+                batch = [];
 
-            for (const row of result.rows) {
                 try {
-                    // Since field_name doesn't exist, we'll determine the field type from the decrypted content
-                    await this.indexRecord(row.id, row.pii_data_point, row.token, null);
-                    indexed++;
+                    await this.writeIndexBatch(entries);
+                    entries.forEach(recordIndexed);
+                } catch (error) {
+                    // Retry record by record so one bad record doesn't fail the whole batch
+                    console.warn(`⚠️  Batch write of ${entries.length} records failed (${error.message}), retrying individually`);
+                    for (const entry of entries) {
+                        try {
+                            await this.writeIndexBatch([entry]);
+                            recordIndexed();
+                        } catch (recordError) {
+                            recordFailed(entry.recordId, recordError);
+                        }
+                    }
+                }
+            };
+
+            for (;;) {
+                const { rows } = await this.dbClient.query(query, [lastId, this.batchSize]);
+                if (rows.length === 0) break;
+
+                // Decrypt the whole chunk through the pool (parallel batch_input requests)
+                const decrypted = await this.decryptPool.decryptBatch(rows.map(row => row.pii_data_point));
+
+                rows.forEach((row, idx) => {
+                    try {
+                        if (decrypted[idx].error) throw decrypted[idx].error;
 
-                    if (indexed % 100 === 0) {
-                        console.log(`📈 Progress: ${indexed}/${result.rows.length} records indexed`);
+                        // Since field_name doesn't exist, we'll determine the field type from the decrypted content
+                        const entry = this.prepareDecryptedRecord(row.id, decrypted[idx].plaintext, row.token, null, row.tenant_id);
+
+                        // Empty values have nothing to index but still count as processed
+                        if (!entry) {
+                            recordIndexed();
+                            return;
+                        }
+
+                        batch.push(entry);
+                    } catch (error) {
+                        recordFailed(row.id, error);
                     }
-                } catch (error) {
-                    console.error(`⚠️  Failed to index record ${row.id}: ${error.message}`);
-                    failed++;
+                });
+
+                if (batch.length > 0) {
+                    await flush();
                 }
+
+                lastId = rows[rows.length - 1].id;
+                checkpoint.save({
+                    database: config.database.database,
+                    lastId,
+                    indexed,
+                    failed
+                });
             }
 
+            checkpoint.complete({ database: config.database.database, indexed, failed });
+
             console.log(`\n🎯 Database index build complete:`);
             console.log(`   ✅ Successfully indexed: ${indexed} records`);
             console.log(`   ❌ Failed to index: ${failed} records`);
+            console.log(`   🔓 Vault decrypt stats: ${JSON.stringify(this.decryptPool.getStats())}`);
             console.log(`   📊 Index statistics: ${JSON.stringify(await this.getIndexStats(), null, 2)}`);
 
-            return { indexed, failed, total: result.rows.length };
+            return { indexed, failed, total };
 
         } catch (error) {
             console.error('❌ Failed to build database index:', error.message);
@@ -446,6 +697,7 @@ class PIIDatabaseSearchIndexer {
                 'SELECT COUNT(*) as total_hmac_keys FROM pii_search_index',
                 'SELECT field_type, COUNT(*) as count FROM pii_search_index GROUP BY field_type ORDER BY count DESC',
                 'SELECT COUNT(*) as total_tokens FROM pii_token_mappings',
+                'SELECT COUNT(*) as total_postings, COUNT(DISTINCT token) as indexed_tokens FROM pii_search_postings',
                 `SELECT
                     MIN(created_at) as oldest_entry,
                     MAX(created_at) as newest_entry,
@@ -453,13 +705,15 @@ class PIIDatabaseSearchIndexer {
                  FROM pii_search_index`
             ];
 
-            const [totalKeys, fieldDistribution, totalTokens, dateStats] = await Promise.all(
+            const [totalKeys, fieldDistribution, totalTokens, postings, dateStats] = await Promise.all(
                 queries.map(query => this.dbClient.query(query))
             );
 
             return {
                 totalHmacKeys: parseInt(totalKeys.rows[0].total_hmac_keys),
                 totalTokens: parseInt(totalTokens.rows[0].total_tokens),
+                totalPostings: parseInt(postings.rows[0].total_postings),
+                indexedTokens: parseInt(postings.rows[0].indexed_tokens),
                 fieldDistribution: fieldDistribution.rows,
                 oldestEntry: dateStats.rows[0].oldest_entry,
                 newestEntry: dateStats.rows[0].newest_entry,
@@ -472,6 +726,7 @@ class PIIDatabaseSearchIndexer {
     }
 
     // Clean up expired entries (GDPR retention compliance)
+    // Postings of expired keys are removed by ON DELETE CASCADE
     async cleanupExpiredEntries() {
         try {
             const deleteQuery = 'DELETE FROM pii_search_index WHERE retention_until < NOW()';
@@ -484,6 +739,63 @@ class PIIDatabaseSearchIndexer {
         }
     }
 
+    // Move tokens from the legacy comma-separated token_set column into pii_search_postings
+    // Same steps as sql/migrate_token_set_to_postings.sql, safe to re-run
+    async migrateTokenSetsToPostings() {
+        try {
+            console.log('🔄 Migrating token_set column to pii_search_postings...');
+
+            await this.dbClient.query('BEGIN');
+
+            try {
+                await this.dbClient.query(`
+                    CREATE TABLE IF NOT EXISTS pii_search_postings (
+                        hmac_key VARCHAR(255) NOT NULL REFERENCES pii_search_index(hmac_key) ON DELETE CASCADE,
+                        token VARCHAR(255) NOT NULL,
+                        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                        PRIMARY KEY (hmac_key, token)
+                    )
+                `);
+                await this.dbClient.query('CREATE INDEX IF NOT EXISTS idx_pii_search_postings_token ON pii_search_postings(token)');
+
+                const columnResult = await this.dbClient.query(`
+                    SELECT 1 FROM information_schema.columns
+                    WHERE table_schema = 'public' AND table_name = 'pii_search_index'
+                    AND column_name = 'token_set'
+                `);
+
+                let migrated = 0;
+                if (columnResult.rows.length > 0) {
+                    const insertResult = await this.dbClient.query(`
+                        INSERT INTO pii_search_postings (hmac_key, token, created_at)
+                        SELECT psi.hmac_key, btrim(t.token), psi.created_at
+                        FROM pii_search_index psi
+                        CROSS JOIN LATERAL unnest(string_to_array(psi.token_set, ',')) AS t(token)
+                        WHERE btrim(t.token) <> ''
+                        ON CONFLICT (hmac_key, token) DO NOTHING
+                    `);
+                    migrated = insertResult.rowCount;
+
+                    await this.dbClient.query('ALTER TABLE pii_search_index DROP COLUMN token_set');
+                } else {
+                    console.log('ℹ️  token_set column not present - nothing to migrate');
+                }
+
+                await this.dbClient.query('COMMIT');
+                this.legacyLayout = false;
+
+                console.log(`✅ Migration complete: ${migrated} postings created`);
+                return { migrated };
+            } catch (error) {
+                await this.dbClient.query('ROLLBACK');
+                throw error;
+            }
+        } catch (error) {
+            console.error('❌ Failed to migrate token_set:', error.message);
+            throw error;
+        }
+    }
+
     // Clean up resources
     async close() {
         if (this.dbClient) await this.dbClient.end();
@@ -508,21 +820,30 @@ Options:
   --build-index         Build search index from database records
   --stats              Show index statistics
   --cleanup            Clean up expired entries
+  --migrate-postings   Move legacy token_set values into pii_search_postings
+  --batch-size <n>     Records written per batched upsert (default: INDEX_BATCH_SIZE or 500)
+  --resume             Continue an interrupted --build-index run from its checkpoint
   --help               Show this help message
 
 Environment Variables:
   VAULT_ADDR           Vault server address
   VAULT_TOKEN          Vault authentication token
+  HMAC_KEYRING_PATH    Vault path of the versioned HMAC keyring (default: secret/pii-search/hmac-keys)
+  REDIS_HMAC_SECRET    HMAC secret used as key version v1 when Vault holds no keyring
   DB_HOST              Database host (default: localhost)
   DB_NAME              Database name (default: pii)
   DB_USER              Database user (default: postgres)
   DB_PASSWORD          Database password
   PII_REGION           Region identifier (default: us-east-1)
   MIN_RESULT_SIZE      Minimum result size for k-anonymity (default: 5)
+  INDEX_BATCH_SIZE     Records written per batched upsert (default: 500)
+  VAULT_DECRYPT_CONCURRENCY  Parallel Vault decrypt requests (default: 4)
+  VAULT_DECRYPT_BATCH_SIZE   Ciphertexts per Vault batch_input request (default: 100)
+  VAULT_DECRYPT_MAX_RETRIES  Retries on transient Vault errors (default: 3)
 
 Database Requirements:
-- Table 'pii_search_index' must exist with proper schema
-- Recommended indexes on hmac_key, field_type, retention_until
+- Tables 'pii_search_index' and 'pii_search_postings' must exist with proper schema
+- Recommended indexes on hmac_key, field_type, retention_until, postings token
 
 Architecture:
 - Generates trigrams from decrypted PII data
@@ -530,23 +851,38 @@ Architecture:
 - Stores opaque tokens in PostgreSQL instead of Redis
 - Identical GDPR compliance to Redis approach
 - ACID transaction support for consistency
+- Batched multi-row upserts (one transaction per batch, per-record fallback on failure)
 
 Example:
   node pii-db-search-indexer.js --build-index
+  node pii-db-search-indexer.js --build-index --batch-size 1000
+  node pii-db-search-indexer.js --build-index --resume
   node pii-db-search-indexer.js --stats
   node pii-db-search-indexer.js --cleanup
+  node pii-db-search-indexer.js --migrate-postings
         `);
         return;
     }
 
-    const indexer = new PIIDatabaseSearchIndexer();
+    const batchSizeIndex = args.indexOf('--batch-size');
+    const batchSize = batchSizeIndex !== -1 ? parseInt(args[batchSizeIndex + 1]) : null;
+    if (batchSizeIndex !== -1 && !(batchSize > 0)) {
+        console.error('❌ --batch-size must be a positive integer');
+        process.exit(1);
+    }
+
+    const indexer = new PIIDatabaseSearchIndexer({ batchSize });
 
     try {
         await indexer.initialize();
 
+        if (args.includes('--migrate-postings')) {
+            await indexer.migrateTokenSetsToPostings();
+        }
+
         if (args.includes('--build-index')) {
             const startTime = Date.now();
-            const result = await indexer.buildIndexFromDatabase();
+            const result = await indexer.buildIndexFromDatabase({ resume: args.includes('--resume') });
             const duration = ((Date.now() - startTime) / 1000).toFixed(2);
             console.log(`⏱️  Build time: ${duration} seconds`);
         }
@@ -556,6 +892,7 @@ Example:
             console.log('\n📊 Database Index Statistics:');
             console.log(`   Total HMAC Keys: ${stats.totalHmacKeys || 'N/A'}`);
             console.log(`   Total Tokens: ${stats.totalTokens || 'N/A'}`);
+            console.log(`   Total Postings: ${stats.totalPostings || 'N/A'} (${stats.indexedTokens || 'N/A'} distinct tokens)`);
             console.log(`   Expired Entries: ${stats.expiredEntries || 'N/A'}`);
             console.log(`   Date Range: ${stats.oldestEntry || 'N/A'} to ${stats.newestEntry || 'N/A'}`);
             if (stats.fieldDistribution && stats.fieldDistribution.length > 0) {
@@ -0,0 +1,721 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Load environment variables
+require('dotenv').config();
+
+const {
+    PIIDatabaseSearchAPI,
+    FIELD_MAP,
+    QUERY_TYPE_OPERATIONS,
+    searchConfig
+} = require('./pii-db-search-api.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./tenants.js');
+const { ApiClientRegistry, CALLER_ID_PATTERN } = require('./api-clients.js');
+const { RESULT_LEVELS, resolveResultLevel } = require('./subject-tokens.js');
+const {
+    normalizeOperation,
+    checkFieldOperation,
+    parseQueryExpression,
+    collectConditions,
+    formatQueryExpression,
+    QueryExpressionError
+} = require('./query-expression.js');
+
+// HTTP REST server in front of PIIDatabaseSearchAPI
+// Exposes performSearch, batchSearch, executeComplexQuery and getStats as JSON endpoints,
+// plus POST /detokenize (DetokenizationService) when SEARCH_API_DETOKENIZE=true
+
+// Configuration (from environment variables only)
+const config = {
+    host: process.env.SEARCH_API_HOST || '127.0.0.1',
+    port: parseInt(process.env.SEARCH_API_PORT) || 3000,
+    maxBodyBytes: parseInt(process.env.SEARCH_API_MAX_BODY_BYTES) || 1024 * 1024, // 1 MB
+    maxBatchSize: parseInt(process.env.SEARCH_API_MAX_BATCH_SIZE) || 50,
+    maxConditions: parseInt(process.env.SEARCH_API_MAX_CONDITIONS) || 10,
+    shutdownTimeoutMs: parseInt(process.env.SEARCH_API_SHUTDOWN_TIMEOUT_MS) || 10000,
+    detokenize: process.env.SEARCH_API_DETOKENIZE === 'true'
+};
+
+// Operations accepted by executeComplexQuery (matched case-insensitively)
+const COMPLEX_OPERATIONS = ['equals', 'startswith', 'endswith', 'contains', 'soundslike', 'hasword', 'wordstartswith', 'datebetween', 'ageover', 'ageunder'];
+const COMPLEX_OPERATORS = ['AND', 'OR'];
+
+// Error carrying an HTTP status and a stable machine-readable code
+class ApiError extends Error {
+    constructor(statusCode, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// 429 for a search over a client or field quota (RateLimitError from rate-limiter.js)
+function rateLimitApiError(error) {
+    return new ApiError(429, 'RATE_LIMITED', error.message, {
+        retryAfter: error.retryAfter,
+        scope: error.scope,
+        ...(error.fieldType ? { fieldType: error.fieldType } : {}),
+        limit: error.limit,
+        windowSeconds: error.windowSeconds
+    });
+}
+
+// Accept both full field names (FIRST_NAME) and aliases (fn)
+function isKnownField(fieldName) {
+    if (typeof fieldName !== 'string' || !fieldName.trim()) return false;
+    return FIELD_MAP[fieldName.toUpperCase()] !== undefined ||
+        Object.values(FIELD_MAP).includes(fieldName.toLowerCase());
+}
+
+// Tenant of a request, checked against the authenticated API client
+// A client works in the tenants of its registry entry: the X-Tenant-Id header or body.tenantId
+// picks one of them (needed when it has several) and any other is 403. Requests without an API
+// key only reach the default tenant, so naming another tenant needs a key (401).
+function resolveRequestTenant(headers, body, client = null) {
+    const headerTenant = headers['x-tenant-id'];
+    const bodyTenant = body && typeof body === 'object' ? body.tenantId : undefined;
+    const requested = headerTenant || bodyTenant;
+
+    let tenantId;
+    try {
+        tenantId = resolveTenantId(requested);
+        if (headerTenant && bodyTenant && resolveTenantId(bodyTenant) !== tenantId) {
+            throw new ApiError(400, 'TENANT_MISMATCH', 'X-Tenant-Id header and body tenantId differ');
+        }
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(400, 'INVALID_TENANT', error.message);
+    }
+
+    if (!client) {
+        if (tenantId !== DEFAULT_TENANT) {
+            throw new ApiError(401, 'UNAUTHENTICATED', `An API key (X-Api-Key) is required for tenant ${tenantId}`);
+        }
+        return tenantId;
+    }
+
+    if (!requested) {
+        if (client.tenants.length > 1) {
+            throw new ApiError(400, 'TENANT_REQUIRED', `Client ${client.clientId} has several tenants; set X-Tenant-Id`,
+                { tenants: client.tenants });
+        }
+        return client.tenants[0];
+    }
+    if (!client.tenants.includes(tenantId)) {
+        throw new ApiError(403, 'TENANT_FORBIDDEN', `Client ${client.clientId} has no access to tenant ${tenantId}`);
+    }
+    return tenantId;
+}
+
+// Authenticated API client of a request ({ clientId, role } from the X-Api-Key header); null without a key
+function authenticateRequest(clients, headers) {
+    const apiKey = headers['x-api-key'];
+    if (apiKey === undefined) return null;
+
+    const client = clients.authenticate(apiKey);
+    if (!client) {
+        throw new ApiError(401, 'INVALID_API_KEY', 'Unknown API key');
+    }
+    return client;
+}
+
+// Client of a request for the audit log: X-Caller-Id header ('anonymous' when not set)
+// Checked here so an id the audit log cannot store is a 400 before anything runs
+function resolveRequestClient(headers) {
+    const callerId = headers['x-caller-id'];
+    if (!callerId) return 'anonymous';
+    if (!CALLER_ID_PATTERN.test(callerId)) {
+        throw new ApiError(400, 'INVALID_CALLER', 'X-Caller-Id must be 1-128 of A-Z, a-z, 0-9, ".", "_", "@" and "-"');
+    }
+    return callerId;
+}
+
+// Identity of a search: quotas are kept per authenticated API client (requests without a key
+// share the 'anonymous' quota), the audit actor is the X-Caller-Id header or else the client
+function resolveSearchIdentity(headers, client) {
+    const clientId = client ? client.clientId : 'anonymous';
+    return { clientId, callerId: headers['x-caller-id'] ? resolveRequestClient(headers) : clientId };
+}
+
+// Reject canonical operations the field is not indexed for (soundsLike on a non-name field,
+// word operations on a single-word field, date ranges on a non-date field, anything but eq / startsWith on the email sub-fields) and
+// unparseable date range values
+function validateFieldOperation(field, operation, value, path) {
+    try {
+        checkFieldOperation(field, operation, value);
+    } catch (error) {
+        throw new ApiError(400, 'UNSUPPORTED_OPERATION', error.message, { path });
+    }
+}
+
+// Validate a single performSearch request body; returns normalized parameters
+function validateSearchRequest(body, path = '') {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'Request body must be a JSON object', { path });
+    }
+
+    const { query, fieldType, queryType = 'contains', minScore } = body;
+
+    if (typeof query !== 'string' || query.trim().length < searchConfig.minQueryLength) {
+        throw new ApiError(400, 'INVALID_QUERY',
+            `query must be a string of at least ${searchConfig.minQueryLength} characters`, { path: `${path}query` });
+    }
+
+    if (!isKnownField(fieldType)) {
+        throw new ApiError(400, 'INVALID_FIELD', `Unknown fieldType: ${fieldType}`, {
+            path: `${path}fieldType`,
+            allowed: Object.keys(FIELD_MAP)
+        });
+    }
+
+    if (typeof queryType !== 'string' || !Object.hasOwn(QUERY_TYPE_OPERATIONS, queryType.toLowerCase())) {
+        throw new ApiError(400, 'INVALID_QUERY_TYPE', `Unsupported queryType: ${queryType}`, {
+            path: `${path}queryType`,
+            allowed: Object.keys(QUERY_TYPE_OPERATIONS)
+        });
+    }
+
+    validateFieldOperation(fieldType, QUERY_TYPE_OPERATIONS[queryType.toLowerCase()], query, `${path}queryType`);
+
+    // Similarity threshold of fuzzy searches (FUZZY_MIN_SCORE when omitted)
+    if (minScore !== undefined && (typeof minScore !== 'number' || !(minScore > 0 && minScore <= 1))) {
+        throw new ApiError(400, 'INVALID_MIN_SCORE', 'minScore must be a number greater than 0 and at most 1', {
+            path: `${path}minScore`
+        });
+    }
+
+    return { query, fieldType, queryType, minScore };
+}
+
+// Validate a batchSearch request body
+function validateBatchRequest(body) {
+    if (!body || !Array.isArray(body.queries) || body.queries.length === 0) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'queries must be a non-empty array');
+    }
+
+    if (body.queries.length > config.maxBatchSize) {
+        throw new ApiError(400, 'BATCH_TOO_LARGE', `A batch may contain at most ${config.maxBatchSize} queries`);
+    }
+
+    return body.queries.map((queryConfig, idx) => validateSearchRequest(queryConfig, `queries[${idx}].`));
+}
+
+// Result level of a complex or expression query: "subject" (person tokens, default) or "token"
+function validateResultLevel(level) {
+    try {
+        return resolveResultLevel(level);
+    } catch (error) {
+        throw new ApiError(400, 'INVALID_LEVEL', error.message, { path: 'level', allowed: RESULT_LEVELS });
+    }
+}
+
+// Validate an executeComplexQuery request body
+function validateComplexRequest(body) {
+    if (!body || !Array.isArray(body.conditions) || body.conditions.length === 0) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'conditions must be a non-empty array');
+    }
+
+    if (body.conditions.length > config.maxConditions) {
+        throw new ApiError(400, 'TOO_MANY_CONDITIONS', `A complex query may contain at most ${config.maxConditions} conditions`);
+    }
+
+    const operator = (body.operator || 'AND').toString().toUpperCase();
+    if (!COMPLEX_OPERATORS.includes(operator)) {
+        throw new ApiError(400, 'INVALID_OPERATOR', `Unsupported operator: ${body.operator}`, { allowed: COMPLEX_OPERATORS });
+    }
+
+    const conditions = body.conditions.map((condition, idx) => {
+        const path = `conditions[${idx}].`;
+        if (!condition || typeof condition !== 'object') {
+            throw new ApiError(400, 'INVALID_REQUEST', 'Each condition must be an object', { path });
+        }
+
+        const { field, operation, value } = condition;
+        if (!isKnownField(field)) {
+            throw new ApiError(400, 'INVALID_FIELD', `Unknown field: ${field}`, { path: `${path}field` });
+        }
+        if (typeof operation !== 'string' || !COMPLEX_OPERATIONS.includes(operation.toLowerCase())) {
+            throw new ApiError(400, 'INVALID_OPERATION', `Unsupported operation: ${operation}`, {
+                path: `${path}operation`,
+                allowed: COMPLEX_OPERATIONS
+            });
+        }
+        if (typeof value !== 'string' || value.trim().length < searchConfig.minQueryLength) {
+            throw new ApiError(400, 'INVALID_QUERY',
+                `value must be a string of at least ${searchConfig.minQueryLength} characters`, { path: `${path}value` });
+        }
+        validateFieldOperation(field, normalizeOperation(operation), value, `${path}operation`);
+
+        return { field, operation, value };
+    });
+
+    return { conditions, operator, level: validateResultLevel(body.level) };
+}
+
+// Validate a boolean query expression request body; returns the parsed expression tree
+function validateExpressionRequest(body) {
+    if (!body || typeof body.expression !== 'string' || !body.expression.trim()) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'expression must be a non-empty string');
+    }
+
+    let tree;
+    try {
+        tree = parseQueryExpression(body.expression);
+    } catch (error) {
+        if (!(error instanceof QueryExpressionError)) throw error;
+        throw new ApiError(400, 'INVALID_EXPRESSION', error.message,
+            error.position === null ? null : { position: error.position });
+    }
+
+    const conditions = collectConditions(tree);
+    if (conditions.length > config.maxConditions) {
+        throw new ApiError(400, 'TOO_MANY_CONDITIONS', `A query expression may contain at most ${config.maxConditions} conditions`);
+    }
+
+    const shortCondition = conditions.find(condition => condition.value.trim().length < searchConfig.minQueryLength);
+    if (shortCondition) {
+        throw new ApiError(400, 'INVALID_QUERY',
+            `values must be at least ${searchConfig.minQueryLength} characters`, { condition: formatQueryExpression(shortCondition) });
+    }
+
+    return { tree, conditionCount: conditions.length, level: validateResultLevel(body.level) };
+}
+
+// Validate a detokenize request; the role is the authenticated API client's (never a request header),
+// the caller is the X-Caller-Id header or else the client itself (policy checks are left to DetokenizationService)
+function validateDetokenizeRequest(body, headers, client) {
+    if (!client) {
+        throw new ApiError(401, 'UNAUTHENTICATED', 'An API key (X-Api-Key header) is required');
+    }
+    if (!body || !Array.isArray(body.tokens) || body.tokens.length === 0) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'tokens must be a non-empty array');
+    }
+    if (typeof body.purpose !== 'string' || !body.purpose.trim()) {
+        throw new ApiError(400, 'MISSING_PURPOSE', 'purpose must be a non-empty string', { path: 'purpose' });
+    }
+    if (body.reveal !== undefined && typeof body.reveal !== 'boolean') {
+        throw new ApiError(400, 'INVALID_REQUEST', 'reveal must be a boolean', { path: 'reveal' });
+    }
+
+    return {
+        tokens: body.tokens,
+        purpose: body.purpose.trim(),
+        reveal: body.reveal === true,
+        callerId: headers['x-caller-id'] ? resolveRequestClient(headers) : client.clientId,
+        clientId: client.clientId,
+        role: client.role
+    };
+}
+
+class PIIDatabaseSearchServer {
+    // detokenizer: optional DetokenizationService behind POST /detokenize
+    // clients: ApiClientRegistry the X-Api-Key header is checked against
+    constructor(searchAPI = new PIIDatabaseSearchAPI(), options = {}, detokenizer = null, clients = new ApiClientRegistry()) {
+        this.searchAPI = searchAPI;
+        this.detokenizer = detokenizer;
+        this.clients = clients;
+        this.options = { ...config, ...options };
+        this.server = null;
+        this.shuttingDown = false;
+        this.inFlight = 0;
+
+        // Route table: "METHOD path" → handler
+        this.routes = {
+            'GET /health': () => this.handleHealth(),
+            'GET /stats': (body, tenantId) => this.handleStats(tenantId),
+            'POST /search': (body, tenantId, headers, client) => this.handleSearch(body, tenantId, headers, client),
+            'POST /search/batch': (body, tenantId, headers, client) => this.handleBatchSearch(body, tenantId, headers, client),
+            'POST /search/complex': (body, tenantId, headers, client) => this.handleComplexQuery(body, tenantId, headers, client),
+            'POST /search/query': (body, tenantId, headers, client) => this.handleExpressionQuery(body, tenantId, headers, client)
+        };
+
+        if (this.detokenizer) {
+            this.routes['POST /detokenize'] = (body, tenantId, headers, client) => this.handleDetokenize(body, tenantId, headers, client);
+        }
+    }
+
+    async start() {
+        await this.searchAPI.initialize();
+        if (this.detokenizer) await this.detokenizer.initialize();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, resolve);
+        });
+
+        console.log(`🌐 PII Database Search Server listening on http://${this.options.host}:${this.options.port}`);
+        return this.server;
+    }
+
+    // Top-level request handler: routing, body parsing and error mapping
+    async handleRequest(req, res) {
+        const requestId = crypto.randomUUID();
+        const startTime = Date.now();
+        this.inFlight++;
+
+        try {
+            if (this.shuttingDown) {
+                res.setHeader('Connection', 'close');
+                throw new ApiError(503, 'SHUTTING_DOWN', 'Server is shutting down');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const handler = this.routes[`${req.method} ${pathname}`];
+
+            if (!handler) {
+                const knownPath = Object.keys(this.routes).some(route => route.split(' ')[1] === pathname);
+                throw knownPath
+                    ? new ApiError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not supported on ${pathname}`)
+                    : new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${pathname}`);
+            }
+
+            const client = authenticateRequest(this.clients, req.headers);
+            const body = req.method === 'POST' ? await this.readJsonBody(req, res) : null;
+            const tenantId = resolveRequestTenant(req.headers, body, client);
+            const payload = await handler(body, tenantId, req.headers, client);
+
+            this.sendJson(res, 200, { success: true, requestId, ...payload });
+        } catch (error) {
+            let apiError = error;
+            if (error.name === 'RateLimitError') {
+                apiError = rateLimitApiError(error);
+                if (error.retryAfter !== null) res.setHeader('Retry-After', String(error.retryAfter));
+            } else if (!(error instanceof ApiError)) {
+                apiError = new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+                console.error(`❌ Request ${requestId} failed:`, error.message);
+            }
+
+            this.sendJson(res, apiError.statusCode, {
+                success: false,
+                requestId,
+                error: {
+                    code: apiError.code,
+                    message: apiError.message,
+                    ...(apiError.details ? { details: apiError.details } : {})
+                }
+            });
+        } finally {
+            this.inFlight--;
+            console.log(`📡 ${req.method} ${req.url} → ${res.statusCode} (${Date.now() - startTime}ms)`);
+        }
+    }
+
+    // Read and parse a JSON request body with a size limit
+    // An oversized body is drained, not buffered, so the 413 still reaches the client; the
+    // connection is closed after the response rather than reused
+    readJsonBody(req, res) {
+        return new Promise((resolve, reject) => {
+            const contentType = req.headers['content-type'] || '';
+            if (!contentType.includes('application/json')) {
+                reject(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json'));
+                req.resume();
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+
+            const onData = (chunk) => {
+                size += chunk.length;
+                if (size > this.options.maxBodyBytes) {
+                    req.removeListener('data', onData);
+                    req.resume();
+                    res.setHeader('Connection', 'close');
+                    reject(new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${this.options.maxBodyBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            req.on('data', onData);
+
+            req.on('end', () => {
+                if (size > this.options.maxBodyBytes) return;
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+                } catch (error) {
+                    reject(new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, payload) {
+        if (res.headersSent) return;
+        const body = JSON.stringify(payload);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    }
+
+    async handleHealth() {
+        return { status: 'ok', inFlight: this.inFlight };
+    }
+
+    async handleStats(tenantId) {
+        const stats = await this.searchAPI.getStats(tenantId);
+        if (stats.error) {
+            throw new ApiError(500, 'STATS_FAILED', 'Failed to read index statistics');
+        }
+        return { stats };
+    }
+
+    async handleSearch(body, tenantId, headers, client) {
+        const { query, fieldType, queryType, minScore } = validateSearchRequest(body);
+        const identity = resolveSearchIdentity(headers, client);
+        const result = await this.searchAPI.performSearch(query, fieldType, queryType, { tenantId, minScore, ...identity });
+        return { result };
+    }
+
+    async handleBatchSearch(body, tenantId, headers, client) {
+        const queries = validateBatchRequest(body);
+        const results = await this.searchAPI.batchSearch(queries, { tenantId, ...resolveSearchIdentity(headers, client) });
+        return {
+            results,
+            summary: {
+                totalQueries: results.length,
+                successfulQueries: results.filter(r => !r.error).length,
+                failedQueries: results.filter(r => r.error).length
+            }
+        };
+    }
+
+    async handleComplexQuery(body, tenantId, headers, client) {
+        const { conditions, operator, level } = validateComplexRequest(body);
+        const startTime = Date.now();
+
+        const identity = resolveSearchIdentity(headers, client);
+        const tokens = await this.searchAPI.executeComplexQuery(conditions, operator, tenantId, { level, ...identity });
+
+        // Same k-anonymity protection as performSearch
+        const { anonymizedTokens, resultCount, kAnonymityApplied } = this.searchAPI.applyKAnonymity(tokens);
+
+        return {
+            result: {
+                tokens: anonymizedTokens,
+                resultCount,
+                anonymizedCount: anonymizedTokens.length,
+                operator,
+                level,
+                tenantId,
+                conditionCount: conditions.length,
+                executionTime: Date.now() - startTime,
+                kAnonymityApplied
+            }
+        };
+    }
+
+    async handleExpressionQuery(body, tenantId, headers, client) {
+        const { tree, conditionCount, level } = validateExpressionRequest(body);
+        const startTime = Date.now();
+
+        const identity = resolveSearchIdentity(headers, client);
+        const tokens = await this.searchAPI.executeQueryExpression(tree, tenantId, { level, ...identity });
+
+        // Same k-anonymity protection as performSearch
+        const { anonymizedTokens, resultCount, kAnonymityApplied } = this.searchAPI.applyKAnonymity(tokens);
+
+        return {
+            result: {
+                tokens: anonymizedTokens,
+                resultCount,
+                anonymizedCount: anonymizedTokens.length,
+                expression: formatQueryExpression(tree),
+                level,
+                tenantId,
+                conditionCount,
+                executionTime: Date.now() - startTime,
+                kAnonymityApplied
+            }
+        };
+    }
+
+    async handleDetokenize(body, tenantId, headers, client) {
+        const { tokens, ...request } = validateDetokenizeRequest(body, headers, client);
+
+        try {
+            const result = await this.detokenizer.detokenize(tokens, { ...request, tenantId });
+            return { result };
+        } catch (error) {
+            // Matched by name: the service module is only loaded when detokenization is enabled
+            if (error.name !== 'DetokenizationError') throw error;
+            throw new ApiError(error.denied ? 403 : 400, error.code, error.message);
+        }
+    }
+
+    // Graceful shutdown: stop accepting connections, drain in-flight requests, then close the API
+    async stop() {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+        console.log('🛑 Shutting down PII Database Search Server...');
+
+        if (this.server) {
+            const closed = new Promise(resolve => this.server.close(resolve));
+            this.server.closeIdleConnections();
+
+            const timeout = new Promise(resolve => setTimeout(() => {
+                console.warn(`⚠️  Shutdown timeout after ${this.options.shutdownTimeoutMs}ms, closing remaining connections`);
+                this.server.closeAllConnections();
+                resolve();
+            }, this.options.shutdownTimeoutMs).unref());
+
+            await Promise.race([closed, timeout]);
+        }
+
+        await this.searchAPI.close();
+        if (this.detokenizer) await this.detokenizer.close();
+        console.log('✅ PII Database Search Server stopped');
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        console.log(`
+Usage: node pii-db-search-server.js [options]
+
+Starts an HTTP JSON server in front of the database-based PII search API.
+
+Options:
+  --port <port>        Port to listen on (default: SEARCH_API_PORT or 3000)
+  --host <host>        Host to bind to (default: SEARCH_API_HOST or 127.0.0.1)
+  --help               Show this help message
+
+Endpoints:
+  GET  /health         Liveness check
+  GET  /stats          Search index statistics of the request's tenant (getStats)
+  POST /search         { "query", "fieldType", "queryType" }          (performSearch)
+                       queryType "fuzzy" ranks typo-tolerant matches: "matches": [{ "token", "score" }],
+                       optional "minScore" (0-1, default FUZZY_MIN_SCORE)
+  POST /search/batch   { "queries": [{ "query", "fieldType", "queryType" }] } (batchSearch)
+  POST /search/complex { "conditions": [{ "field", "operation", "value" }], "operator": "AND" | "OR" }
+  POST /search/query   { "expression": "(fn startsWith \"ste\" OR email contains \"gmail\") AND NOT city eq \"pune\"" }
+                       Boolean expression: AND, OR, NOT (inside AND) and parentheses
+                       Both return person (subject) tokens, so conditions on different fields
+                       combine per person; "level": "token" returns the matching field tokens
+
+Operations: equals, startsWith, endsWith, contains, soundsLike (name fields: FIRST_NAME,
+LAST_NAME, MIDDLE_NAME, FULL_NAME), hasWord / wordStartsWith (ADDRESS, FULL_NAME, CITY:
+a word anywhere in the value), dateBetween "1980..1985" / ageOver "60" / ageUnder "30"
+(DATE_OF_BIRTH) and fuzzy (POST /search only)
+
+  POST /detokenize     { "tokens": [...], "purpose": "customer-support", "reveal": false }
+                       Only with SEARCH_API_DETOKENIZE=true. Needs an API key (X-Api-Key); the role is the
+                       client's role in API_CLIENTS_FILE, checked with the purpose against
+                       DETOKENIZE_POLICY_FILE. X-Caller-Id names the person acting (default: the client).
+                       Values are masked unless "reveal" is set and the role may reveal the field type;
+                       every request is audited (401 without an API key, 403 when not allowed)
+
+Email sub-fields: EMAIL_DOMAIN equals "example.com" (also matches its subdomains) and
+EMAIL_LOCAL startsWith "john"; other operations are rejected on them
+
+Every request is scoped to one tenant of its API client ("tenants" in API_CLIENTS_FILE, default
+tenant when not set). The X-Tenant-Id header or a "tenantId" body field picks one of them
+(required when the client has several); another tenant is answered 403. Without an API key
+only the default tenant can be searched (401 for any other). Other tenants' tokens are never returned.
+Searches are recorded in the audit log (pii_audit_log) under the X-Caller-Id header
+(default: the API client, else 'anonymous'; 1-128 of A-Z, a-z, 0-9, ".", "_", "@" and "-",
+else 400); only fields, operations and result counts are kept.
+Searches are rate limited per API client (X-Api-Key; requests without a key share the
+'anonymous' quota), never per X-Caller-Id: sliding window, quotas per client and per field in
+RATE_LIMITS_FILE. Over a quota the search is answered 429 with a Retry-After header.
+A batch counts every query and is rejected as a whole.
+
+Errors are returned as { "success": false, "error": { "code", "message", "details" } }
+with an appropriate HTTP status (400 validation, 401/403 caller, 404/405 routing, 413/415 body,
+429 rate limit, 500 internal).
+
+Environment Variables:
+  SEARCH_API_HOST                  Bind address (default: 127.0.0.1)
+  SEARCH_API_PORT                  Port (default: 3000)
+  SEARCH_API_MAX_BODY_BYTES        Max request body size (default: 1048576)
+  SEARCH_API_MAX_BATCH_SIZE        Max queries per batch (default: 50)
+  SEARCH_API_MAX_CONDITIONS        Max conditions per complex query (default: 10)
+  SEARCH_API_SHUTDOWN_TIMEOUT_MS   Grace period for in-flight requests (default: 10000)
+  SEARCH_API_DETOKENIZE            Enable POST /detokenize (needs Vault, default: false)
+  API_CLIENTS_FILE                 API key hashes, roles and tenants (default: config/api-clients.json)
+  RATE_LIMITS_FILE                 Quotas per client and field (default: config/rate-limits.json)
+  RATE_LIMIT_MAX / RATE_LIMIT_WINDOW  Override the default client quota (searches / seconds)
+
+Example:
+  curl -X POST http://127.0.0.1:3000/search \\
+       -H 'Content-Type: application/json' \\
+       -H 'X-Api-Key: <key of a client with tenant acme>' \\
+       -H 'X-Tenant-Id: acme' \\
+       -d '{"query": "gmail", "fieldType": "EMAIL", "queryType": "contains"}'
+        `);
+        return;
+    }
+
+    const options = {};
+    const portIndex = args.indexOf('--port');
+    if (portIndex !== -1 && args[portIndex + 1]) {
+        options.port = parseInt(args[portIndex + 1]);
+    }
+    const hostIndex = args.indexOf('--host');
+    if (hostIndex !== -1 && args[hostIndex + 1]) {
+        options.host = args[hostIndex + 1];
+    }
+
+    // Loaded only when enabled: the detokenization service requires Vault settings
+    let detokenizer = null;
+    if (config.detokenize) {
+        const { DetokenizationService } = require('./detokenization-service.js');
+        detokenizer = new DetokenizationService();
+    }
+
+    const server = new PIIDatabaseSearchServer(new PIIDatabaseSearchAPI(), options, detokenizer);
+
+    const shutdown = (signal) => {
+        console.log(`\n📴 Received ${signal}`);
+        server.stop()
+            .then(() => process.exit(0))
+            .catch((error) => {
+                console.error('❌ Shutdown failed:', error.message);
+                process.exit(1);
+            });
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    try {
+        await server.start();
+    } catch (error) {
+        console.error('❌ Failed to start search server:', error.message);
+        await server.stop().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Export for use in other modules
+module.exports = {
+    PIIDatabaseSearchServer,
+    ApiError,
+    resolveRequestTenant,
+    authenticateRequest,
+    resolveRequestClient,
+    resolveSearchIdentity,
+    rateLimitApiError,
+    validateSearchRequest,
+    validateBatchRequest,
+    validateComplexRequest,
+    validateExpressionRequest,
+    validateDetokenizeRequest
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const redis = require('redis');
+const { Client } = require('pg');
+const { canonicalize } = require('./audit-log.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Validate required environment variables
+const requiredEnvVars = [
+    'DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT',
+    'REDIS_HOST', 'REDIS_PORT',
+    'ERASURE_RECEIPT_SECRET'
+];
+const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingVars.length > 0) {
+    console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
+    console.error('Please copy .env.template to .env and configure all required variables.');
+    process.exit(1);
+}
+
+// Right-to-Erasure Service (GDPR Art. 17)
+// Removes a person, identified by their base token (e.g. TKN_LK5AKXXK5K77), from every store:
+// - pii_token_data rows (TKN_LK5AKXXK5K77_FIRST_NAME, TKN_LK5AKXXK5K77_EMAIL, ...)
+// - pii_search_postings / pii_search_index entries of the database search index
+// - Redis idx:* sets of the field-aware index (located through the rev:{token} reverse map)
+// - Redis region index entries (idx:{version}:{region}:*, token:* and ridx:* keys)
+// and emits an HMAC-signed erasure receipt.
+
+const config = {
+    database: {
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST,
+        database: process.env.DB_DATABASE,
+        password: process.env.DB_PASSWORD,
+        port: parseInt(process.env.DB_PORT),
+    },
+    redis: {
+        host: process.env.REDIS_HOST,
+        port: parseInt(process.env.REDIS_PORT),
+        password: process.env.REDIS_PASSWORD || null
+    },
+    erasure: {
+        receiptSecret: process.env.ERASURE_RECEIPT_SECRET,
+        scanCount: parseInt(process.env.ERASURE_SCAN_COUNT) || 1000
+    }
+};
+
+// Base tokens are generated as TKN_ + 12 uppercase alphanumerics (see pii-data-generator.js)
+const BASE_TOKEN_PATTERN = /^TKN_[A-Z0-9]+$/;
+
+function signReceipt(receipt, secret = config.erasure.receiptSecret) {
+    return crypto.createHmac('sha256', secret).update(canonicalize(receipt)).digest('base64url');
+}
+
+// Check a receipt's signature: returns true only if no field was altered
+function verifyReceipt(signedReceipt, secret = config.erasure.receiptSecret) {
+    const { signature, ...receipt } = signedReceipt;
+    if (typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(signReceipt(receipt, secret));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+class PIIErasureService {
+    constructor() {
+        this.dbClient = null;
+        this.redisClient = null;
+    }
+
+    async initialize() {
+        try {
+            console.log('🚀 Initializing PII Erasure Service...');
+
+            this.dbClient = new Client(config.database);
+            await this.dbClient.connect();
+            console.log('✅ Database connected');
+
+            this.redisClient = redis.createClient(config.redis);
+            await this.redisClient.connect();
+            console.log('✅ Redis connected');
+
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize:', error.message);
+            throw error;
+        }
+    }
+
+    validateBaseToken(baseToken) {
+        if (typeof baseToken !== 'string' || !BASE_TOKEN_PATTERN.test(baseToken)) {
+            throw new Error(`Invalid base token: ${baseToken} (expected e.g. TKN_LK5AKXXK5K77)`);
+        }
+    }
+
+    // Field tokens belonging to the person: the base token itself or <base>_<FIELD_TYPE>
+    isSubjectToken(token, baseToken) {
+        return token === baseToken || token.startsWith(`${baseToken}_`);
+    }
+
+    // LIKE pattern matching <base>_% with the underscore escaped
+    subjectTokenPattern(baseToken) {
+        return `${baseToken.replace(/_/g, '\\_')}\\_%`;
+    }
+
+    // Look up the person's rows in pii_token_data
+    async findSubjectRecords(baseToken) {
+        const result = await this.dbClient.query(
+            `SELECT id, token
+             FROM pii_token_data
+             WHERE token = $1 OR token LIKE $2
+             ORDER BY id`,
+            [baseToken, this.subjectTokenPattern(baseToken)]
+        );
+        return result.rows;
+    }
+
+    // Remove tokens from the Redis field-aware index (idx:{field}:{op}:{hash} sets)
+    // The rev:{token} reverse map lists the sets of each token; tokens indexed before the
+    // reverse map existed fall back to scanning every idx:* set
+    async eraseFromFieldIndex(tokens) {
+        let keysUpdated = 0;
+        let keysDeleted = 0;
+        const unmapped = [];
+
+        for (const token of tokens) {
+            const keys = await this.redisClient.sMembers(`rev:${token}`);
+            if (keys.length === 0) {
+                unmapped.push(token);
+                continue;
+            }
+
+            const removal = this.redisClient.multi();
+            keys.forEach(key => removal.sRem(key, token));
+            removal.del(`rev:${token}`);
+            const removed = await removal.exec();
+
+            const touched = keys.filter((_, idx) => Number(removed[idx]) > 0);
+            keysUpdated += touched.length;
+
+            for (const key of touched) {
+                if (await this.redisClient.sCard(key) === 0) {
+                    await this.redisClient.del(key);
+                    keysDeleted++;
+                }
+            }
+        }
+
+        const scanned = await this.scanFieldIndex(unmapped);
+
+        return {
+            keysScanned: scanned.keysScanned,
+            keysUpdated: keysUpdated + scanned.keysUpdated,
+            keysDeleted: keysDeleted + scanned.keysDeleted
+        };
+    }
+
+    // Fallback for tokens without a reverse map: remove them from every idx:* set
+    async scanFieldIndex(tokens) {
+        let keysScanned = 0;
+        let keysUpdated = 0;
+        let keysDeleted = 0;
+
+        if (tokens.length === 0) return { keysScanned, keysUpdated, keysDeleted };
+
+        console.log(`⚠️  ${tokens.length} tokens have no reverse map, scanning all idx:* sets`);
+
+        for await (const batch of this.redisClient.scanIterator({ MATCH: 'idx:*', COUNT: config.erasure.scanCount })) {
+            if (batch.length === 0) continue;
+            keysScanned += batch.length;
+
+            const removal = this.redisClient.multi();
+            batch.forEach(key => removal.sRem(key, tokens));
+            const removed = await removal.exec();
+
+            const touched = batch.filter((_, idx) => Number(removed[idx]) > 0);
+            keysUpdated += touched.length;
+
+            for (const key of touched) {
+                if (await this.redisClient.sCard(key) === 0) {
+                    await this.redisClient.del(key);
+                    keysDeleted++;
+                }
+            }
+        }
+
+        return { keysScanned, keysUpdated, keysDeleted };
+    }
+
+    // Remove records from the region index (pii-search-indexer.js), which stores random opaque
+    // tokens per record: ridx:{tenant}:{recordId}:{fieldId} lists the record's posting keys and
+    // token:{opaque} maps the opaque token back to the record id
+    async eraseFromRegionIndex(recordIds) {
+        let reverseMappings = 0;
+        let opaqueTokens = 0;
+        let keysDeleted = 0;
+
+        for (const recordId of recordIds) {
+            for await (const reverseKeys of this.redisClient.scanIterator({ MATCH: `ridx:*:${recordId}:*`, COUNT: config.erasure.scanCount })) {
+                for (const reverseKey of reverseKeys) {
+                    const postingKeys = Array.from(new Set(await this.redisClient.lRange(reverseKey, 0, -1)));
+                    reverseMappings++;
+
+                    // Tokens present in all of the record's posting lists, confirmed by their mapping
+                    const candidates = postingKeys.length > 0 ? await this.redisClient.sInter(postingKeys) : [];
+                    for (const opaqueToken of candidates) {
+                        const mappedRecord = await this.redisClient.hGet(`token:${opaqueToken}`, 'recordId');
+                        if (String(mappedRecord) !== String(recordId)) continue;
+
+                        const removal = this.redisClient.multi();
+                        postingKeys.forEach(key => removal.sRem(key, opaqueToken));
+                        removal.del(`token:${opaqueToken}`);
+                        await removal.exec();
+                        opaqueTokens++;
+                    }
+
+                    for (const key of postingKeys) {
+                        if (await this.redisClient.sCard(key) === 0) {
+                            await this.redisClient.del(key);
+                            keysDeleted++;
+                        }
+                    }
+
+                    await this.redisClient.del(reverseKey);
+                }
+            }
+        }
+
+        return { reverseMappings, opaqueTokens, keysDeleted };
+    }
+
+    // Remove the person from the database search index and pii_token_data in one transaction
+    async eraseFromDatabase(baseToken) {
+        const pattern = this.subjectTokenPattern(baseToken);
+
+        await this.dbClient.query('BEGIN');
+
+        try {
+            const postings = await this.dbClient.query(
+                `DELETE FROM pii_search_postings
+                 WHERE token = $1 OR token LIKE $2
+                 RETURNING hmac_key`,
+                [baseToken, pattern]
+            );
+
+            // Keys that no longer have any posting carry no information: drop them
+            const affectedKeys = Array.from(new Set(postings.rows.map(row => row.hmac_key)));
+            const emptyKeys = await this.dbClient.query(
+                `DELETE FROM pii_search_index psi
+                 WHERE psi.hmac_key = ANY($1)
+                   AND NOT EXISTS (SELECT 1 FROM pii_search_postings psp WHERE psp.hmac_key = psi.hmac_key)`,
+                [affectedKeys]
+            );
+
+            const records = await this.dbClient.query(
+                `DELETE FROM pii_token_data
+                 WHERE token = $1 OR token LIKE $2`,
+                [baseToken, pattern]
+            );
+
+            await this.dbClient.query('COMMIT');
+
+            return {
+                tokenDataRows: records.rowCount,
+                searchPostings: postings.rowCount,
+                searchKeysDeleted: emptyKeys.rowCount
+            };
+        } catch (error) {
+            await this.dbClient.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Erase a person everywhere and return a signed receipt
+    // Redis is cleaned first: if the database step fails the tokens are still known and the
+    // erasure can simply be re-run
+    async eraseSubject(baseToken, options = {}) {
+        this.validateBaseToken(baseToken);
+
+        const startedAt = new Date().toISOString();
+        console.log(`🗑️  Erasing subject ${baseToken}...`);
+
+        const records = await this.findSubjectRecords(baseToken);
+        const tokens = records.map(row => row.token).filter(token => this.isSubjectToken(token, baseToken));
+        console.log(`📋 Found ${records.length} pii_token_data rows`);
+
+        const fieldIndex = await this.eraseFromFieldIndex(tokens);
+        console.log(`✅ Redis field index: ${fieldIndex.keysUpdated} sets updated, ${fieldIndex.keysDeleted} emptied sets deleted`);
+
+        const regionIndex = await this.eraseFromRegionIndex(records.map(row => row.id));
+        console.log(`✅ Redis region index: ${regionIndex.opaqueTokens} opaque tokens removed`);
+
+        const database = await this.eraseFromDatabase(baseToken);
+        console.log(`✅ Database: ${database.tokenDataRows} records, ${database.searchPostings} search postings removed`);
+
+        const receipt = {
+            receiptId: crypto.randomUUID(),
+            type: 'gdpr-erasure',
+            subject: baseToken,
+            fieldTypes: tokens.map(token => token.slice(baseToken.length + 1)).filter(Boolean).sort(),
+            requestedBy: options.requestedBy || 'unknown',
+            reason: options.reason || 'data subject request',
+            startedAt,
+            completedAt: new Date().toISOString(),
+            stores: {
+                pii_token_data: { rowsDeleted: database.tokenDataRows },
+                pii_search_index: { postingsDeleted: database.searchPostings, keysDeleted: database.searchKeysDeleted },
+                redis_field_index: { setsUpdated: fieldIndex.keysUpdated, setsDeleted: fieldIndex.keysDeleted },
+                redis_region_index: { opaqueTokensDeleted: regionIndex.opaqueTokens, setsDeleted: regionIndex.keysDeleted }
+            },
+            signatureAlgorithm: 'HMAC-SHA256'
+        };
+
+        return { ...receipt, signature: signReceipt(receipt) };
+    }
+
+    async close() {
+        if (this.redisClient) await this.redisClient.quit();
+        if (this.dbClient) await this.dbClient.end();
+        console.log('🛑 PII Erasure Service closed');
+    }
+}
+
+// Main execution
+async function main() {
+    console.log('🗑️  PII Right-to-Erasure Tool');
+    console.log('=============================');
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+Usage: node pii-erasure.js [options]
+
+Removes a person from every store and emits a signed erasure receipt.
+
+Options:
+  --erase <baseToken>        Erase the person with this base token (e.g. TKN_LK5AKXXK5K77)
+  --reason <text>            Reason recorded in the receipt (default: data subject request)
+  --requested-by <id>        Requester recorded in the receipt
+  --receipt-file <file>      Also write the signed receipt to this file
+  --verify-receipt <file>    Verify the signature of a saved receipt
+  --help                     Show this help message
+
+Environment Variables:
+  ERASURE_RECEIPT_SECRET     Secret used to sign and verify erasure receipts
+  ERASURE_SCAN_COUNT         Redis SCAN batch size (default: 1000)
+  DB_*, REDIS_*              Database and Redis connection settings
+
+Stores cleaned:
+- pii_token_data rows of all the person's field tokens
+- pii_search_postings / pii_search_index (database search index)
+- Redis idx:* sets (field-aware index)
+- Redis region index posting lists, token:* and ridx:* keys
+
+Example:
+  npm run erase-subject -- --erase TKN_LK5AKXXK5K77 --requested-by dpo@example.com
+  node src/pii-erasure.js --verify-receipt receipts/TKN_LK5AKXXK5K77.json
+        `);
+        return;
+    }
+
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    const receiptPath = getArg('--verify-receipt');
+    if (receiptPath) {
+        const receipt = JSON.parse(fs.readFileSync(receiptPath, 'utf8'));
+        if (verifyReceipt(receipt)) {
+            console.log(`✅ Receipt ${receipt.receiptId} for ${receipt.subject} is authentic`);
+        } else {
+            console.error(`❌ Receipt signature is invalid`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    const baseToken = getArg('--erase');
+    if (!baseToken) {
+        console.error('❌ --erase <baseToken> is required');
+        process.exit(1);
+    }
+
+    const service = new PIIErasureService();
+
+    try {
+        await service.initialize();
+
+        const receipt = await service.eraseSubject(baseToken, {
+            reason: getArg('--reason'),
+            requestedBy: getArg('--requested-by')
+        });
+
+        console.log('\n🧾 Erasure Receipt:');
+        console.log(JSON.stringify(receipt, null, 2));
+
+        const receiptFile = getArg('--receipt-file');
+        if (receiptFile) {
+            fs.writeFileSync(receiptFile, JSON.stringify(receipt, null, 2));
+            console.log(`📁 Receipt written to ${receiptFile}`);
+        }
+    } catch (error) {
+        console.error('❌ Erasure failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await service.close();
+    }
+}
+
+// Error handling
+process.on('unhandledRejection', (error) => {
+    console.error('Unhandled rejection:', error);
+    process.exit(1);
+});
+
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught exception:', error);
+    process.exit(1);
+});
+
+// Export for testing
+module.exports = {
+    PIIErasureService,
+    signReceipt,
+    verifyReceipt,
+    canonicalize
+};
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -12,6 +12,10 @@ const crypto = require('crypto');
 const redis = require('redis');
 const vault = require('node-vault');
 const { Client } = require('pg');
+const { FIELD_TYPE_ALIASES } = require('./masking.js');
+const { DetokenizationService } = require('./detokenization-service.js');
+const { AuditLog } = require('./audit-log.js');
+const { RateLimiter, RedisRateLimitStore } = require('./rate-limiter.js');
 
 // PII-Safe Search Query API
 // Implements privacy-preserving search with k-anonymity protection and audit logging
@@ -47,9 +51,7 @@ const config = {
         version: '1',
         minResultSize: parseInt(process.env.MIN_RESULT_SIZE) || 5, // k-anonymity protection
         maxResults: parseInt(process.env.MAX_RESULTS) || 1000,
-        minQueryLength: parseInt(process.env.MIN_QUERY_LENGTH) || 2,
-        rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 3600, // 1 hour
-        rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100 // queries per hour
+        minQueryLength: parseInt(process.env.MIN_QUERY_LENGTH) || 2
     }
 };
 
@@ -72,6 +74,9 @@ class PIISearchAPI {
         this.redisClient = null;
         this.vaultClient = null;
         this.dbClient = null;
+        this.detokenizer = null;
+        this.auditTrail = null;
+        this.rateLimiter = null;
         this.regionKey = null;
 
         // Set global HTTPS agent to ignore SSL errors for Vault
@@ -87,16 +92,27 @@ class PIISearchAPI {
             await this.redisClient.connect();
             console.log('✅ Redis connected');
 
+            // Sliding-window quotas per client and field, shared through Redis
+            this.rateLimiter = new RateLimiter(new RedisRateLimitStore(this.redisClient));
+
             // Initialize Vault
             this.vaultClient = vault(config.vault);
             const status = await this.vaultClient.status();
             console.log(`✅ Vault connected (sealed: ${status.sealed})`);
 
+            // maskedValues results are detokenized under the detokenization policy and audit
+            this.detokenizer = new DetokenizationService();
+            await this.detokenizer.initialize();
+
             // Initialize Database
             this.dbClient = new Client(config.database);
             await this.dbClient.connect();
             console.log('✅ Database connected');
 
+            // Tamper-evident audit trail (pii_audit_log)
+            this.auditTrail = new AuditLog();
+            await this.auditTrail.initialize();
+
             // Load region key from Vault
             await this.loadRegionKey();
 
@@ -191,43 +207,36 @@ class PIISearchAPI {
         return `idx:${config.search.version}:${config.search.region}:${prefix}:${hmac}`;
     }
 
-    // Rate limiting check
-    async checkRateLimit(clientId) {
-        const key = `rate:${clientId}`;
-        const current = await this.redisClient.get(key);
-
-        if (current && parseInt(current) >= config.search.rateLimitMax) {
-            throw new Error(`Rate limit exceeded. Max ${config.search.rateLimitMax} queries per hour.`);
-        }
-
-        // Increment counter
-        await this.redisClient.multi()
-            .incr(key)
-            .expire(key, config.search.rateLimitWindow)
-            .exec();
-    }
-
-    // Audit logging
+    // Audit logging (append-only, hash-chained pii_audit_log; see audit-log.js)
     async auditLog(queryInfo) {
-        const auditEntry = {
-            timestamp: new Date().toISOString(),
-            queryId: crypto.randomUUID(),
-            clientId: queryInfo.clientId,
-            queryType: queryInfo.queryType,
-            fieldIds: queryInfo.fieldIds,
-            queryLength: queryInfo.normalizedQuery.length,
-            resultCount: queryInfo.resultCount,
-            region: config.search.region,
-            version: config.search.version
-        };
+        const queryId = crypto.randomUUID();
+        const { seq } = await this.auditTrail.append({
+            event: 'search',
+            actor: queryInfo.clientId,
+            tenantId: queryInfo.tenantId,
+            details: {
+                queryId,
+                queryType: queryInfo.queryType,
+                fieldIds: queryInfo.fieldIds,
+                queryLength: queryInfo.normalizedQuery.length,
+                resultCount: queryInfo.resultCount,
+                maskedValues: Boolean(queryInfo.maskedValues),
+                role: queryInfo.role || null,
+                purpose: queryInfo.purpose || null,
+                region: config.search.region,
+                version: config.search.version
+            }
+        });
 
-        // Store audit log (in production, use secure audit storage)
-        await this.redisClient.lPush('audit:search', JSON.stringify(auditEntry));
-        console.log(`📝 Audit: ${auditEntry.queryId} - ${queryInfo.queryType} query returned ${queryInfo.resultCount} results`);
+        console.log(`📝 Audit #${seq}: ${queryId} - ${queryInfo.queryType} query returned ${queryInfo.resultCount} results`);
     }
 
     // Resolve opaque tokens to record information
-    async resolveTokens(opaqueTokens, includeDecrypted = false) {
+    // Plaintext never leaves here: with maskedValues each result carries its value as the
+    // detokenization policy discloses it to the caller's role and purpose, always masked
+    // options: { maskedValues, clientId, role, purpose, tenantId }
+    async resolveTokens(opaqueTokens, options = {}) {
+        const { maskedValues = false } = options;
         const results = [];
 
         for (const token of opaqueTokens) {
@@ -245,24 +254,6 @@ class PIISearchAPI {
                         created: tokenMapping.created
                     };
 
-                    // Optionally decrypt the actual PII value (only for authorized queries)
-                    if (includeDecrypted) {
-                        try {
-                            // Fetch encrypted PII from database
-                            const dbResult = await this.dbClient.query(
-                                'SELECT pii_data_point FROM pii_token_data WHERE id = $1',
-                                [tokenMapping.recordId]
-                            );
-
-                            if (dbResult.rows.length > 0) {
-                                const decrypted = await this.decryptPIIData(dbResult.rows[0].pii_data_point);
-                                result.decryptedValue = decrypted;
-                            }
-                        } catch (decryptError) {
-                            console.error(`⚠️  Failed to decrypt token ${token}: ${decryptError.message}`);
-                        }
-                    }
-
                     results.push(result);
                 }
             } catch (error) {
@@ -270,20 +261,39 @@ class PIISearchAPI {
             }
         }
 
+        if (maskedValues) {
+            await this.attachMaskedValues(results, options);
+        }
+
         return results;
     }
 
-    // Decrypt PII data using Vault
-    async decryptPIIData(ciphertext) {
-        try {
-            const response = await this.vaultClient.write('transit/decrypt/pii-encryption-key', {
-                ciphertext: ciphertext
-            });
-            return Buffer.from(response.data.plaintext, 'base64').toString('utf8');
-        } catch (error) {
-            console.error(`❌ Failed to decrypt: ${ciphertext.substring(0, 50)}...`);
-            throw error;
-        }
+    // Add maskedValue to each result through DetokenizationService (never revealed): the role must
+    // exist in the detokenization policy and may declare the purpose, fields the policy or the
+    // masking rules withhold stay null, and the request is audited like any other detokenization
+    async attachMaskedValues(results, { clientId, role, purpose, tenantId }) {
+        results.forEach(result => { result.maskedValue = null; });
+        if (results.length === 0) return;
+
+        const dbResult = await this.dbClient.query(
+            'SELECT id, token FROM pii_token_data WHERE id = ANY($1)',
+            [results.map(result => parseInt(result.recordId))]
+        );
+        const tokens = new Map(dbResult.rows.map(row => [String(row.id), row.token]));
+        const found = results.filter(result => tokens.has(String(result.recordId)));
+        if (found.length === 0) return;
+
+        const { results: disclosed } = await this.detokenizer.detokenize(
+            found.map(result => tokens.get(String(result.recordId))),
+            { callerId: clientId, role, purpose, reveal: false, tenantId }
+        );
+        const maskedValues = new Map(disclosed
+            .filter(entry => entry.disclosure === 'masked')
+            .map(entry => [entry.token, entry.value]));
+
+        found.forEach(result => {
+            result.maskedValue = maskedValues.get(tokens.get(String(result.recordId))) ?? null;
+        });
     }
 
     // Perform intersection of posting lists for multiple trigrams
@@ -317,9 +327,13 @@ class PIISearchAPI {
                 fieldIds = null, // null means search all fields
                 tenantId = null,
                 clientId = 'anonymous',
-                includeDecrypted = false,
-                maxResults = config.search.maxResults
+                maskedValues = false,
+                role = null,
+                purpose = null
             } = options;
+            // Masked values are detokenized, so they are limited like a detokenization request
+            const maxResults = Math.min(options.maxResults ?? config.search.maxResults,
+                maskedValues ? this.detokenizer.maxTokens : Infinity);
 
             // Input validation
             if (!query || typeof query !== 'string') {
@@ -334,8 +348,17 @@ class PIISearchAPI {
                 throw new Error(`Invalid query type: ${queryType}`);
             }
 
-            // Rate limiting
-            await this.checkRateLimit(clientId);
+            if (options.includeDecrypted) {
+                throw new Error('includeDecrypted is no longer supported: detokenize through detokenization-service.js with a caller identity and purpose');
+            }
+
+            // Rate limiting: the client quota, plus the quota of each field asked for by fieldIds
+            // (an all-field search only counts for the client). clientId must be an authenticated
+            // identity, never an id the caller chose.
+            await this.rateLimiter.consume(clientId, (fieldIds || []).map(fieldId => {
+                const fieldName = FIELD_NAMES[fieldId];
+                return FIELD_TYPE_ALIASES[fieldName] || fieldName;
+            }));
 
             // Normalize query
             const normalizedQuery = this.normalizeText(query);
@@ -349,7 +372,6 @@ class PIISearchAPI {
                 throw new Error('Query too short to generate searchable trigrams');
             }
 
-            // Determine which fields to search
             const searchFieldIds = fieldIds || Object.values(FIELD_IDS);
             const allHmacKeys = [];
 
@@ -377,15 +399,19 @@ class PIISearchAPI {
             const limitedTokens = matchingTokens.slice(0, maxResults);
 
             // Resolve tokens to record information
-            const results = await this.resolveTokens(limitedTokens, includeDecrypted);
+            const results = await this.resolveTokens(limitedTokens, { maskedValues, clientId, role, purpose, tenantId });
 
             // Audit the search
             await this.auditLog({
                 clientId,
+                tenantId,
                 queryType,
                 fieldIds: searchFieldIds,
                 normalizedQuery,
-                resultCount: results.length
+                resultCount: results.length,
+                maskedValues,
+                role,
+                purpose
             });
 
             const duration = Date.now() - startTime;
@@ -418,6 +444,16 @@ class PIISearchAPI {
                     original: query,
                     type: options.queryType || QUERY_TYPES.CONTAINS
                 },
+                // Rejected by a quota: when to retry (seconds, null if the request can never fit)
+                ...(error.name === 'RateLimitError' ? {
+                    rateLimit: {
+                        retryAfter: error.retryAfter,
+                        scope: error.scope,
+                        fieldType: error.fieldType,
+                        limit: error.limit,
+                        windowSeconds: error.windowSeconds
+                    }
+                } : {}),
                 metadata: {
                     durationMs: Date.now() - startTime
                 }
@@ -445,21 +481,23 @@ class PIISearchAPI {
     }
 
     // Get search statistics
-    async getSearchStats() {
+    // Statistics of the whole index, or of one tenant when given (null: records indexed without a tenant)
+    // Posting list keys hash the tenant in, so a tenant's share is counted from its ridx:* reverse keys
+    async getSearchStats(tenantId = undefined) {
         try {
-            const indexKeys = await this.redisClient.keys(`idx:${config.search.version}:${config.search.region}:*`);
-            const auditEntries = await this.redisClient.lLen('audit:search');
+            const scoped = tenantId !== undefined;
+            const indexKeys = scoped
+                ? await this.redisClient.keys(`ridx:${tenantId || 'null'}:*`)
+                : await this.redisClient.keys(`idx:${config.search.version}:${config.search.region}:*`);
+            const auditEntries = await this.auditTrail.count(tenantId);
 
             return {
-                indexKeys: indexKeys.length,
+                ...(scoped ? { tenantId, indexedFields: indexKeys.length } : { indexKeys: indexKeys.length }),
                 auditEntries: auditEntries,
                 region: config.search.region,
                 version: config.search.version,
                 kAnonymityThreshold: config.search.minResultSize,
-                rateLimits: {
-                    maxQueriesPerHour: config.search.rateLimitMax,
-                    windowSeconds: config.search.rateLimitWindow
-                }
+                rateLimits: this.rateLimiter.limits
             };
         } catch (error) {
             console.error('❌ Failed to get search stats:', error.message);
@@ -471,6 +509,8 @@ class PIISearchAPI {
     async close() {
         if (this.redisClient) await this.redisClient.quit();
         if (this.dbClient) await this.dbClient.end();
+        if (this.detokenizer) await this.detokenizer.close();
+        if (this.auditTrail) await this.auditTrail.close();
         console.log('🛑 PII Search API closed');
     }
 }
@@ -499,7 +539,10 @@ Environment Variables:
   VAULT_ADDR           Vault server address
   VAULT_TOKEN          Vault authentication token
   MIN_RESULT_SIZE      Minimum result size for k-anonymity (default: 5)
-  RATE_LIMIT_MAX       Max queries per hour per client (default: 100)
+  RATE_LIMIT_MAX       Max queries per client per window (default: 100, see RATE_LIMITS_FILE)
+  RATE_LIMIT_WINDOW    Rate limit window in seconds (default: 3600)
+  RATE_LIMITS_FILE     Per-client and per-field quotas (default: config/rate-limits.json)
+  MASKING_RULES_FILE   Per-role masking rules (default: config/masking-rules.json)
 
 Search Types:
   exact                Exact match with boundaries
@@ -515,14 +558,21 @@ Example API Usage:
   const results = await api.search('john', {
     queryType: 'contains',
     fieldIds: [FIELD_IDS.NAME, FIELD_IDS.EMAIL],
-    includeDecrypted: true
+    clientId: 'support-portal',  // authenticated client (audit log, rate limits)
+    maskedValues: true,          // add maskedValue (98****3210, s****@gmail.com) to each result
+    role: 'support-agent',       // detokenization policy role (config/detokenization-policy.json)
+    purpose: 'customer-support'  // a purpose the role may declare
   });
 
+  Results never carry plaintext. Masked values go through detokenization-service.js: the role
+  and purpose are checked against the detokenization policy, fields it withholds stay null,
+  every request is audited, and at most DETOKENIZE_MAX_TOKENS results are returned.
+
 Privacy Features:
 - HMAC'd search keys prevent enumeration attacks
 - k-anonymity protection blocks small result sets
-- Rate limiting prevents bulk queries
-- Audit logging for compliance
+- Sliding-window rate limits per client and per field prevent bulk queries
+- Tamper-evident audit log (hash-chained pii_audit_log) for compliance
 - Opaque tokens hide direct record references
         `);
         return;
@@ -553,8 +603,7 @@ Privacy Features:
                 console.log(`\n--- Testing ${demo.type} search for "${demo.query}" ---`);
                 const result = await searchAPI.search(demo.query, {
                     queryType: demo.type,
-                    clientId: 'demo-client',
-                    includeDecrypted: false // Set to true if you want to see decrypted values
+                    clientId: 'demo-client'
                 });
 
                 console.log(JSON.stringify(result, null, 2));
@@ -12,6 +12,7 @@ const crypto = require('crypto');
 const redis = require('redis');
 const vault = require('node-vault');
 const { Client } = require('pg');
+const { PipelineCheckpoint, CHECKPOINT_STATUS } = require('./pipeline-checkpoint.js');
 
 // PII-Safe Search Index Builder
 // Implements reverse index with HMAC'd keys and opaque tokens for GDPR-compliant PII search
@@ -215,7 +216,8 @@ class PIISearchIndexer {
     }
 
     // Index a single PII record
-    async indexRecord(recordId, encryptedPiiData, tenantId = null) {
+    // options.skipIfIndexed leaves records that already have a reverse mapping untouched (resume)
+    async indexRecord(recordId, encryptedPiiData, tenantId = null, options = {}) {
         try {
             // Decrypt the PII data
             const decryptedValue = await this.decryptPIIData(encryptedPiiData);
@@ -228,6 +230,14 @@ class PIISearchIndexer {
 
             if (!normalizedText) return null;
 
+            // Reverse mapping key (also marks the record as fully indexed)
+            const reverseKey = `ridx:${tenantId || 'null'}:${recordId}:${fieldId}`;
+
+            if (options.skipIfIndexed && await this.redisClient.exists(reverseKey)) {
+                console.log(`⏭️  Record ${recordId} already indexed, skipping`);
+                return { recordId, fieldId, skipped: true };
+            }
+
             // Generate opaque token
             const opaqueToken = this.generateOpaqueToken();
 
@@ -250,11 +260,14 @@ class PIISearchIndexer {
                 created: new Date().toISOString()
             };
 
+            // All writes for the record go in one MULTI/EXEC so an interrupted build never
+            // leaves a half-indexed record behind (the token is random per run)
+            const transaction = this.redisClient.multi();
+
             // Store token mapping (in production, use encrypted secure storage)
-            await this.redisClient.hSet(`token:${opaqueToken}`, tokenMapping);
+            transaction.hSet(`token:${opaqueToken}`, tokenMapping);
 
             // Create reverse mapping for deletion support
-            const reverseKey = `ridx:${tenantId || 'null'}:${recordId}:${fieldId}`;
             const hmacKeys = [];
 
             // Index each trigram
@@ -263,11 +276,13 @@ class PIISearchIndexer {
                 hmacKeys.push(hmacKey);
 
                 // Add token to the posting list
-                await this.redisClient.sAdd(hmacKey, opaqueToken);
+                transaction.sAdd(hmacKey, opaqueToken);
             }
 
             // Store reverse mapping for deletion
-            await this.redisClient.lPush(reverseKey, ...hmacKeys);
+            transaction.lPush(reverseKey, hmacKeys);
+
+            await transaction.exec();
 
             console.log(`✅ Indexed ${trigrams.length} trigrams for record ${recordId}`);
 
@@ -286,44 +301,68 @@ class PIISearchIndexer {
     }
 
     // Process all records from the database and build the index
-    async buildIndexFromDatabase() {
+    // options.resume continues after the last checkpointed record id; records indexed after
+    // the checkpoint was written are detected by their reverse mapping and skipped
+    async buildIndexFromDatabase(options = {}) {
         try {
             console.log('🔨 Building search index from database...');
 
+            const checkpoint = new PipelineCheckpoint('build-index');
+            const identity = { database: config.database.database, region: config.search.region };
+            const saved = checkpoint.resolve(options.resume, identity);
+            if (saved && saved.status === CHECKPOINT_STATUS.COMPLETED) {
+                console.log(`✅ Index build already completed (${saved.indexed} records) - nothing to resume`);
+                return { indexed: saved.indexed, failed: saved.failed, total: saved.indexed + saved.failed };
+            }
+
+            const lastId = saved ? saved.lastId : 0;
+            if (saved) {
+                console.log(`🔁 Resuming after record id ${lastId} (${saved.indexed} indexed, ${saved.failed} failed so far)`);
+            }
+
+            // Records are processed in id order so the last processed id is a stable cursor
             const query = `
                 SELECT id, pii_data_point, token
                 FROM pii_token_data
                 WHERE pii_data_point IS NOT NULL
                 AND pii_data_point LIKE 'vault:v1:%'
-                ORDER BY creation_date ASC
+                AND id > $1
+                ORDER BY id ASC
             `;
 
-            const result = await this.dbClient.query(query);
+            const result = await this.dbClient.query(query, [lastId]);
             console.log(`📊 Found ${result.rows.length} encrypted PII records to index`);
 
-            let indexed = 0;
-            let failed = 0;
+            let indexed = saved ? saved.indexed : 0;
+            let failed = saved ? saved.failed : 0;
+            const total = indexed + failed + result.rows.length;
 
             for (const row of result.rows) {
                 try {
-                    await this.indexRecord(row.id, row.pii_data_point);
+                    await this.indexRecord(row.id, row.pii_data_point, null, { skipIfIndexed: Boolean(saved) });
                     indexed++;
 
                     if (indexed % 100 === 0) {
-                        console.log(`📈 Progress: ${indexed}/${result.rows.length} records indexed`);
+                        console.log(`📈 Progress: ${indexed}/${total} records indexed`);
                     }
                 } catch (error) {
                     console.error(`⚠️  Failed to index record ${row.id}: ${error.message}`);
                     failed++;
                 }
+
+                if ((indexed + failed) % 100 === 0) {
+                    checkpoint.save({ ...identity, lastId: row.id, indexed, failed });
+                }
             }
 
+            checkpoint.complete({ ...identity, indexed, failed });
+
             console.log(`\n🎯 Index build complete:`);
             console.log(`   ✅ Successfully indexed: ${indexed} records`);
             console.log(`   ❌ Failed to index: ${failed} records`);
             console.log(`   📊 Total trigrams in index: ${await this.getIndexStats()}`);
 
-            return { indexed, failed, total: result.rows.length };
+            return { indexed, failed, total };
 
         } catch (error) {
             console.error('❌ Failed to build index:', error.message);
@@ -377,6 +416,7 @@ This script builds a privacy-preserving search index for encrypted PII data.
 Options:
   --build-index         Build search index from database records
   --stats              Show index statistics
+  --resume             Continue an interrupted --build-index run from its checkpoint
   --help               Show this help message
 
 Environment Variables:
@@ -397,6 +437,7 @@ Architecture:
 
 Example:
   node pii-search-indexer.js --build-index
+  node pii-search-indexer.js --build-index --resume
   node pii-search-indexer.js --stats
         `);
         return;
@@ -409,7 +450,7 @@ Example:
 
         if (args.includes('--build-index')) {
             const startTime = Date.now();
-            const result = await indexer.buildIndexFromDatabase();
+            const result = await indexer.buildIndexFromDatabase({ resume: args.includes('--resume') });
             const duration = ((Date.now() - startTime) / 1000).toFixed(2);
             console.log(`⏱️  Build time: ${duration} seconds`);
         }
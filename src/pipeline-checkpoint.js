@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+// Pipeline Checkpoints
+// Each pipeline step (encrypt, import, index builds) records how far it got in a small
+// JSON file so an interrupted run can continue with --resume instead of starting over.
+// Files are written atomically (temp file + rename) so a crash never leaves a torn checkpoint.
+
+const CHECKPOINT_DIR = process.env.PIPELINE_CHECKPOINT_DIR || '.checkpoints';
+
+const STATUS = {
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+};
+
+class PipelineCheckpoint {
+    constructor(step, options = {}) {
+        this.step = step;
+        this.dir = options.dir || CHECKPOINT_DIR;
+        this.filePath = path.join(this.dir, `${step}.json`);
+    }
+
+    // Read the saved checkpoint, or null if none exists
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Corrupt checkpoint ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    // Persist progress for the step
+    save(state, status = STATUS.IN_PROGRESS) {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const checkpoint = {
+            step: this.step,
+            status,
+            updatedAt: new Date().toISOString(),
+            ...state
+        };
+
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+
+        return checkpoint;
+    }
+
+    complete(state) {
+        return this.save(state, STATUS.COMPLETED);
+    }
+
+    clear() {
+        if (fs.existsSync(this.filePath)) fs.unlinkSync(this.filePath);
+    }
+
+    // Resolve the state a run should start from
+    // - fresh run: discard any old checkpoint and start from scratch (returns null)
+    // - --resume: return the saved checkpoint, after checking it belongs to the same inputs
+    resolve(resume, identity = {}) {
+        if (!resume) {
+            this.clear();
+            return null;
+        }
+
+        const checkpoint = this.load();
+        if (!checkpoint) {
+            console.log(`ℹ️  No ${this.step} checkpoint found - starting from the beginning`);
+            return null;
+        }
+
+        for (const [key, value] of Object.entries(identity)) {
+            if (checkpoint[key] !== value) {
+                throw new Error(`Checkpoint ${this.filePath} was recorded for ${key}=${checkpoint[key]}, not ${value}. Run without --resume to start over.`);
+            }
+        }
+
+        return checkpoint;
+    }
+}
+
+module.exports = {
+    PipelineCheckpoint,
+    CHECKPOINT_STATUS: STATUS,
+    CHECKPOINT_DIR
+};
@@ -0,0 +1,376 @@
+const { FIELD_MAP, FIELD_ALIASES, DERIVED_FIELDS, getFieldAlias, supportsFieldOperation } = require('./field-index-keys.js');
+const { supportsPhonetic } = require('./phonetic-encoder.js');
+const { supportsWords } = require('./field-normalizers.js');
+const { supportsDateRange, isDateRangeOperation, dateRangeFor } = require('./date-buckets.js');
+
+// Boolean query expressions over field conditions
+// Parses expressions such as
+//   (fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"
+// into a tree and evaluates it with set operations over the tokens each condition matches.
+// Precedence: NOT > AND > OR; parentheses group. Keywords are case-insensitive.
+//
+// Tree nodes:
+//   { type: 'condition', field, operation, value }   operation is canonical (eq, startsWith, ...)
+//   { type: 'and' | 'or', children: [node, ...] }
+//   { type: 'not', child: node }
+//
+// The index can only list tokens that match something, so NOT is evaluated as a set
+// difference: it must appear inside an AND that also has a positive operand
+// ("a AND NOT b"). A bare "NOT b" or "a OR NOT b" is rejected.
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+const CANONICAL_OPS = ['eq', 'startsWith', 'endsWith', 'contains', 'soundsLike', 'hasWord', 'wordStartsWith', 'dateBetween', 'ageOver', 'ageUnder'];
+
+// Operation aliases used across the existing APIs → canonical operation
+const OPERATION_ALIASES = {
+    'eq': 'eq',
+    'equals': 'eq',
+    'exact': 'eq',
+    'startswith': 'startsWith',
+    'starts_with': 'startsWith',
+    'endswith': 'endsWith',
+    'ends_with': 'endsWith',
+    'contains': 'contains',
+    'partial': 'contains',
+    'soundslike': 'soundsLike',
+    'sounds_like': 'soundsLike',
+    'hasword': 'hasWord',
+    'has_word': 'hasWord',
+    'wordstartswith': 'wordStartsWith',
+    'word_starts_with': 'wordStartsWith',
+    'datebetween': 'dateBetween',
+    'date_between': 'dateBetween',
+    'ageover': 'ageOver',
+    'age_over': 'ageOver',
+    'ageunder': 'ageUnder',
+    'age_under': 'ageUnder'
+};
+
+// Map any supported operation alias to its canonical name
+// (own keys only: "constructor" or "__proto__" must not resolve to an inherited property)
+function normalizeOperation(operation) {
+    const key = typeof operation === 'string' ? operation.toLowerCase() : null;
+    const canonical = key !== null && Object.hasOwn(OPERATION_ALIASES, key) ? OPERATION_ALIASES[key] : null;
+    if (!canonical) {
+        throw new Error(`Unsupported operation: ${operation} (supported: ${CANONICAL_OPS.join(', ')})`);
+    }
+    return canonical;
+}
+
+// Reject operations a field has no index keys for (soundsLike needs a name field, word
+// operations a multi-word field, date ranges a date field, email sub-fields have their own
+// operations) and date range values that cannot be parsed (when value is given)
+function checkFieldOperation(field, operation, value) {
+    const alias = getFieldAlias(field);
+    if (!supportsFieldOperation(alias, operation)) {
+        throw new Error(`${field} only supports ${DERIVED_FIELDS[alias].operations.join(', ')}, not ${operation}`);
+    }
+
+    if (operation === 'soundsLike' && !supportsPhonetic(alias)) {
+        throw new Error(`soundsLike is only supported for name fields, not ${field}`);
+    }
+
+    if ((operation === 'hasWord' || operation === 'wordStartsWith') && !supportsWords(alias)) {
+        throw new Error(`${operation} is only supported for multi-word fields, not ${field}`);
+    }
+
+    if (isDateRangeOperation(operation)) {
+        if (!supportsDateRange(alias)) {
+            throw new Error(`${operation} is only supported for date fields, not ${field}`);
+        }
+        if (value !== undefined) dateRangeFor(operation, value);
+    }
+}
+
+// Error with the character offset in the expression where parsing failed
+class QueryExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} (at position ${position})`);
+        this.name = 'QueryExpressionError';
+        this.position = position;
+    }
+}
+
+function isKnownField(field) {
+    return FIELD_MAP[field.toUpperCase()] !== undefined || FIELD_ALIASES.includes(field.toLowerCase());
+}
+
+// Split an expression into tokens: parentheses, quoted strings and words
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i });
+            i++;
+        } else if (char === '"' || char === '\'') {
+            const start = i;
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                // Backslash escapes the next character (\" or \\)
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i];
+                i++;
+            }
+            if (i >= text.length) {
+                throw new QueryExpressionError('Unterminated string', start);
+            }
+            tokens.push({ type: 'string', value, position: start });
+            i++;
+        } else {
+            const start = i;
+            while (i < text.length && !/[\s()"']/.test(text[i])) i++;
+            const word = text.slice(start, i);
+            const keyword = word.toUpperCase();
+            tokens.push(KEYWORDS.includes(keyword)
+                ? { type: keyword, position: start }
+                : { type: 'word', value: word, position: start });
+        }
+    }
+
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+}
+
+// Recursive descent parser:
+//   or        := and (OR and)*
+//   and       := unary (AND unary)*
+//   unary     := NOT unary | primary
+//   primary   := '(' or ')' | condition
+//   condition := field operation string
+class QueryExpressionParser {
+    constructor(text) {
+        this.tokens = tokenize(text);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    expect(type, description) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw new QueryExpressionError(`Expected ${description}`, token.position);
+        }
+        return token;
+    }
+
+    parse() {
+        if (this.peek().type === 'end') {
+            throw new QueryExpressionError('Empty query expression', 0);
+        }
+
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new QueryExpressionError(`Unexpected ${token.value || token.type}`, token.position);
+        }
+        return node;
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+        while (this.peek().type === 'OR') {
+            this.next();
+            children.push(this.parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [this.parseUnary()];
+        while (this.peek().type === 'AND') {
+            this.next();
+            children.push(this.parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary() {
+        if (this.peek().type === 'NOT') {
+            this.next();
+            const child = this.parseUnary();
+            // NOT NOT x is x
+            return child.type === 'not' ? child.child : { type: 'not', child };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.peek().type === '(') {
+            this.next();
+            const node = this.parseOr();
+            this.expect(')', 'closing parenthesis');
+            return node;
+        }
+        return this.parseCondition();
+    }
+
+    parseCondition() {
+        const fieldToken = this.expect('word', 'field name or "("');
+        if (!isKnownField(fieldToken.value)) {
+            throw new QueryExpressionError(`Unknown field: ${fieldToken.value}`, fieldToken.position);
+        }
+
+        const operationToken = this.expect('word', `operation after ${fieldToken.value}`);
+        let operation;
+        try {
+            operation = normalizeOperation(operationToken.value);
+            checkFieldOperation(fieldToken.value, operation);
+        } catch (error) {
+            throw new QueryExpressionError(error.message, operationToken.position);
+        }
+
+        const valueToken = this.expect('string', `quoted value after ${operationToken.value}`);
+        if (!valueToken.value.trim()) {
+            throw new QueryExpressionError('Empty value', valueToken.position);
+        }
+        try {
+            checkFieldOperation(fieldToken.value, operation, valueToken.value);
+        } catch (error) {
+            throw new QueryExpressionError(error.message, valueToken.position);
+        }
+
+        return { type: 'condition', field: fieldToken.value, operation, value: valueToken.value };
+    }
+}
+
+// Reject NOT where it would need the complement of the whole index
+function validateNegations(node, allowNot = false) {
+    switch (node.type) {
+        case 'condition':
+            return;
+        case 'not':
+            if (!allowNot) {
+                throw new QueryExpressionError('NOT must be combined with AND and a positive condition, e.g. "a AND NOT b"');
+            }
+            validateNegations(node.child);
+            return;
+        case 'and': {
+            const positives = node.children.filter(child => child.type !== 'not');
+            if (positives.length === 0) {
+                throw new QueryExpressionError('AND needs at least one condition that is not negated');
+            }
+            node.children.forEach(child => validateNegations(child, true));
+            return;
+        }
+        case 'or':
+            node.children.forEach(child => validateNegations(child));
+            return;
+        default:
+            throw new QueryExpressionError(`Unknown query node type: ${node.type}`);
+    }
+}
+
+// Parse an expression string into a validated tree
+function parseQueryExpression(text) {
+    if (typeof text !== 'string') {
+        throw new QueryExpressionError('Query expression must be a string');
+    }
+
+    const tree = new QueryExpressionParser(text).parse();
+    validateNegations(tree);
+    return tree;
+}
+
+// Build the tree for a flat condition list ([{ field, operation, value }] joined by AND or OR)
+function conditionsToExpression(conditions, operator = 'AND') {
+    const type = operator.toLowerCase();
+    if (type !== 'and' && type !== 'or') {
+        throw new QueryExpressionError(`Unsupported operator: ${operator}`);
+    }
+
+    const children = conditions.map(({ field, operation, value }) => {
+        const canonical = normalizeOperation(operation);
+        checkFieldOperation(field, canonical, value);
+        return { type: 'condition', field, operation: canonical, value };
+    });
+
+    return children.length === 1 ? children[0] : { type, children };
+}
+
+// Conditions of a tree, in evaluation order
+function collectConditions(node) {
+    if (node.type === 'condition') return [node];
+    if (node.type === 'not') return collectConditions(node.child);
+    return node.children.flatMap(collectConditions);
+}
+
+// Expression string for a tree (fully parenthesized groups, canonical operations)
+function formatQueryExpression(node) {
+    switch (node.type) {
+        case 'condition':
+            return `${node.field} ${node.operation} ${JSON.stringify(node.value)}`;
+        case 'not':
+            return `NOT ${node.child.type === 'condition' ? formatQueryExpression(node.child) : `(${formatQueryExpression(node.child)})`}`;
+        default:
+            return node.children
+                .map(child => (child.type === 'and' || child.type === 'or') ? `(${formatQueryExpression(child)})` : formatQueryExpression(child))
+                .join(` ${node.type.toUpperCase()} `);
+    }
+}
+
+// Evaluate a tree; searchCondition(field, operation, value) returns the matching tokens
+// Returns a Set of tokens
+async function evaluateQueryExpression(node, searchCondition) {
+    switch (node.type) {
+        case 'condition':
+            return new Set(await searchCondition(node.field, node.operation, node.value));
+
+        case 'or': {
+            const result = new Set();
+            for (const child of node.children) {
+                const tokens = await evaluateQueryExpression(child, searchCondition);
+                tokens.forEach(token => result.add(token));
+            }
+            return result;
+        }
+
+        case 'and': {
+            const positives = node.children.filter(child => child.type !== 'not');
+            const negated = node.children.filter(child => child.type === 'not');
+
+            let result = null;
+            for (const child of positives) {
+                const tokens = await evaluateQueryExpression(child, searchCondition);
+                result = result === null ? tokens : new Set([...result].filter(token => tokens.has(token)));
+            }
+
+            for (const child of negated) {
+                const excluded = await evaluateQueryExpression(child.child, searchCondition);
+                result = new Set([...result].filter(token => !excluded.has(token)));
+            }
+
+            return result || new Set();
+        }
+
+        default:
+            throw new QueryExpressionError(`Cannot evaluate ${node.type} outside of AND`);
+    }
+}
+
+module.exports = {
+    CANONICAL_OPS,
+    OPERATION_ALIASES,
+    normalizeOperation,
+    checkFieldOperation,
+    QueryExpressionError,
+    parseQueryExpression,
+    evaluateQueryExpression,
+    conditionsToExpression,
+    collectConditions,
+    formatQueryExpression,
+    tokenize
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { getFieldAlias } = require('./field-index-keys.js');
+const { QueryExpressionError } = require('./query-expression.js');
+const { DEFAULT_TENANT } = require('./tenants.js');
+const { resolveResultLevel, subjectToken, subjectFieldTokens } = require('./subject-tokens.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Query planner for boolean query expressions (see query-expression.js)
+// Estimates how many tokens each condition can match from the size of its index keys,
+// evaluates the most selective operands of an AND first and stops as soon as an
+// intersection is empty.
+// At the subject level (default, see subject-tokens.js) every condition's field tokens are
+// mapped to subject tokens, so operands on different fields combine per person; candidates
+// are then subjects, handed to the store as the field tokens those subjects can have.
+//
+// A store provides:
+//   keys                                          FieldIndexKeys of the store
+//   keyCardinalities(keys, tenantId)              Map key → number of tokens under the key
+//   fetchKeyGroup(keys, tenantId, candidates)     tokens under all keys, limited to candidates (Set or null);
+//                                                 only needed by QueryPlanner.execute (Redis uses RedisPlanExecutor)
+//
+// Plan nodes:
+//   { type: 'condition', condition, groups: [[key, ...], ...], estimate }   one key group per key version
+//   { type: 'and', children: [plan, ...], excluded: [plan, ...], estimate } children sorted by estimate
+//   { type: 'or', children: [plan, ...], estimate }
+
+const config = {
+    tempKeyTtlSeconds: parseInt(process.env.QUERY_PLANNER_TEMP_KEY_TTL) || 60
+};
+
+class QueryPlanner {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.tenantId = options.tenantId || DEFAULT_TENANT;
+        this.k = options.k;
+        this.level = resolveResultLevel(options.level);
+    }
+
+    // Build the plan for an expression tree: one cardinality lookup for all keys of all conditions
+    async plan(tree) {
+        const conditionGroups = new Map();
+        const collect = (node) => {
+            if (node.type === 'condition') {
+                const field = getFieldAlias(node.field);
+                conditionGroups.set(node, this.store.keys.keyGroupsFor(field, node.operation, node.value, {
+                    k: this.k,
+                    tenantId: this.tenantId
+                }));
+            } else if (node.type === 'not') {
+                collect(node.child);
+            } else {
+                node.children.forEach(collect);
+            }
+        };
+        collect(tree);
+
+        const allKeys = Array.from(new Set(Array.from(conditionGroups.values()).flat(2)));
+        const counts = allKeys.length > 0
+            ? await this.store.keyCardinalities(allKeys, this.tenantId)
+            : new Map();
+
+        return this.planNode(tree, conditionGroups, counts);
+    }
+
+    planNode(node, conditionGroups, counts) {
+        switch (node.type) {
+            case 'condition': {
+                // Smallest key first; a group with an empty key cannot match anything
+                const groups = conditionGroups.get(node)
+                    .map(keys => [...keys].sort((a, b) => (counts.get(a) || 0) - (counts.get(b) || 0)))
+                    .filter(keys => keys.every(key => counts.get(key) > 0));
+
+                // Upper bound: the intersection is at most as large as its smallest key
+                const estimate = groups.reduce((sum, keys) => sum + counts.get(keys[0]), 0);
+
+                return {
+                    type: 'condition',
+                    condition: { field: node.field, operation: node.operation, value: node.value },
+                    groups,
+                    estimate
+                };
+            }
+
+            case 'and': {
+                const children = node.children
+                    .filter(child => child.type !== 'not')
+                    .map(child => this.planNode(child, conditionGroups, counts))
+                    .sort((a, b) => a.estimate - b.estimate);
+                const excluded = node.children
+                    .filter(child => child.type === 'not')
+                    .map(child => this.planNode(child.child, conditionGroups, counts))
+                    .filter(child => child.estimate > 0)
+                    .sort((a, b) => a.estimate - b.estimate);
+
+                if (children.length === 0) {
+                    throw new QueryExpressionError('AND needs at least one condition that is not negated');
+                }
+
+                return { type: 'and', children, excluded, estimate: children[0].estimate };
+            }
+
+            case 'or': {
+                const children = node.children
+                    .map(child => this.planNode(child, conditionGroups, counts))
+                    .filter(child => child.estimate > 0);
+
+                return { type: 'or', children, estimate: children.reduce((sum, child) => sum + child.estimate, 0) };
+            }
+
+            default:
+                throw new QueryExpressionError('NOT must be combined with AND and a positive condition, e.g. "a AND NOT b"');
+        }
+    }
+
+    // Execute a plan through the store; candidates (Set) limits the tokens fetched for a node
+    async execute(plan, candidates = null) {
+        if (plan.estimate === 0) return new Set();
+
+        switch (plan.type) {
+            case 'condition': {
+                const subjects = this.level === 'subject';
+                const fieldCandidates = subjects && candidates
+                    ? subjectFieldTokens(candidates, plan.condition.field)
+                    : candidates;
+
+                const result = new Set();
+                for (const keys of plan.groups) {
+                    const tokens = await this.store.fetchKeyGroup(keys, this.tenantId, fieldCandidates);
+                    tokens.forEach(token => result.add(subjects ? subjectToken(token) : token));
+                }
+                return result;
+            }
+
+            case 'and': {
+                // Most selective operand first; each later operand only looks at the remaining tokens
+                let result = candidates;
+                for (const child of plan.children) {
+                    result = await this.execute(child, result);
+                    if (result.size === 0) return result;
+                }
+
+                for (const child of plan.excluded) {
+                    const excluded = await this.execute(child, result);
+                    result = new Set([...result].filter(token => !excluded.has(token)));
+                    if (result.size === 0) return result;
+                }
+
+                return result;
+            }
+
+            case 'or': {
+                const result = new Set();
+                for (const child of plan.children) {
+                    const tokens = await this.execute(child, candidates);
+                    tokens.forEach(token => result.add(token));
+                }
+                return result;
+            }
+
+            default:
+                throw new Error(`Unknown plan node type: ${plan.type}`);
+        }
+    }
+
+    // Plan and execute an expression tree; returns a Set of tokens (subject tokens at the subject level)
+    async run(tree) {
+        return await this.execute(await this.plan(tree));
+    }
+}
+
+// Executes a plan inside Redis: intersections, unions and differences run server-side
+// (SINTERSTORE / SUNIONSTORE / SDIFFSTORE into short-lived temporary keys), so only the
+// final result set is transferred. Every store returns the result size, so an empty
+// intersection stops the evaluation of the remaining operands.
+class RedisPlanExecutor {
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.ttlSeconds = options.ttlSeconds || config.tempKeyTtlSeconds;
+        this.prefix = `tmp:query:${crypto.randomUUID()}`;
+        this.tempKeys = [];
+    }
+
+    nextTempKey() {
+        const key = `${this.prefix}:${this.tempKeys.length}`;
+        this.tempKeys.push(key);
+        return key;
+    }
+
+    // Run one set command into a temporary key (expiring in case the cleanup never runs)
+    async store(command, keys) {
+        const destination = this.nextTempKey();
+        const [size] = await this.redis.multi()[command](destination, keys).expire(destination, this.ttlSeconds).exec();
+        return { key: destination, size: Number(size) };
+    }
+
+    // Redis key holding the tokens of a plan node; null when the node matches nothing
+    async materialize(plan) {
+        if (plan.estimate === 0) return null;
+
+        switch (plan.type) {
+            case 'condition': {
+                const groupKeys = [];
+                for (const keys of plan.groups) {
+                    if (keys.length === 1) {
+                        groupKeys.push(keys[0]);
+                        continue;
+                    }
+                    const group = await this.store('sInterStore', keys);
+                    if (group.size > 0) groupKeys.push(group.key);
+                }
+
+                if (groupKeys.length === 0) return null;
+                if (groupKeys.length === 1) return groupKeys[0];
+                return (await this.store('sUnionStore', groupKeys)).key;
+            }
+
+            case 'and': {
+                // Conditions with a single key group are pushed into one SINTER with all their keys
+                const keys = [];
+                for (const child of plan.children) {
+                    if (child.type === 'condition' && child.groups.length === 1) {
+                        keys.push(...child.groups[0]);
+                    } else {
+                        const key = await this.materialize(child);
+                        if (key === null) return null;
+                        keys.push(key);
+                    }
+                }
+
+                let result = keys.length === 1 && plan.excluded.length === 0
+                    ? { key: keys[0], size: null }
+                    : await this.store('sInterStore', keys);
+                if (result.size === 0) return null;
+
+                for (const child of plan.excluded) {
+                    const excluded = await this.materialize(child);
+                    if (excluded === null) continue;
+                    result = await this.store('sDiffStore', [result.key, excluded]);
+                    if (result.size === 0) return null;
+                }
+
+                return result.key;
+            }
+
+            case 'or': {
+                const keys = [];
+                for (const child of plan.children) {
+                    const key = await this.materialize(child);
+                    if (key !== null) keys.push(key);
+                }
+
+                if (keys.length === 0) return null;
+                if (keys.length === 1) return keys[0];
+                return (await this.store('sUnionStore', keys)).key;
+            }
+
+            default:
+                throw new Error(`Unknown plan node type: ${plan.type}`);
+        }
+    }
+
+    // Tokens of a plan (array); temporary keys are removed afterwards
+    async execute(plan) {
+        try {
+            const key = await this.materialize(plan);
+            return key === null ? [] : await this.redis.sMembers(key);
+        } finally {
+            if (this.tempKeys.length > 0) {
+                await this.redis.del(this.tempKeys);
+            }
+        }
+    }
+}
+
+module.exports = {
+    QueryPlanner,
+    RedisPlanExecutor
+};
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+// Sliding-window rate limiting for the search APIs
+// Every search is logged with its timestamp in one bucket per client and, for quota-limited fields,
+// one bucket per client and field; a search is allowed while each of its buckets holds fewer than
+// `limit` searches from the last `windowSeconds`. Unlike a fixed window there is no reset burst:
+// capacity comes back one search at a time, as each logged search leaves the window.
+//
+// Quotas come from config/rate-limits.json (RATE_LIMITS_FILE):
+//   "default"   quota of every client (RATE_LIMIT_MAX / RATE_LIMIT_WINDOW override it when set)
+//   "clients"   per-client quota replacing the default, by authenticated client id (api-clients.js)
+//   "fields"    per-field quota on top of the client quota (e.g. SSN searches per client)
+// A rejected search uses no quota and reports when to retry (RateLimitError.retryAfter, seconds).
+//
+// Stores: RedisRateLimitStore (sorted set per bucket, shared by every process on the same Redis)
+// or MemoryRateLimitStore (per process). Both check and record all buckets of a request in one
+// atomic step, so concurrent requests never exceed a quota.
+
+const config = {
+    limitsFile: process.env.RATE_LIMITS_FILE || path.join(__dirname, '..', 'config', 'rate-limits.json'),
+    defaultLimit: parseInt(process.env.RATE_LIMIT_MAX) || null,
+    defaultWindowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW) || null
+};
+
+class RateLimitError extends Error {
+    // retryAfter: seconds until the search would be allowed (null when it exceeds the quota on its own)
+    constructor(message, { retryAfter, scope, fieldType = null, limit, windowSeconds }) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.code = 'RATE_LIMITED';
+        this.retryAfter = retryAfter;
+        this.scope = scope;
+        this.fieldType = fieldType;
+        this.limit = limit;
+        this.windowSeconds = windowSeconds;
+    }
+}
+
+// Check a parsed limits file; throws with every problem found
+function validateRateLimits(limits, source = 'limits') {
+    const problems = [];
+
+    if (!limits || typeof limits !== 'object') {
+        throw new Error(`Invalid rate limits ${source}: not a JSON object`);
+    }
+
+    const quotas = [['default', limits.default]];
+    for (const [clientId, quota] of Object.entries(limits.clients || {})) {
+        quotas.push([`client ${clientId}`, quota]);
+    }
+    for (const [fieldType, quota] of Object.entries(limits.fields || {})) {
+        quotas.push([`field ${fieldType}`, quota]);
+    }
+
+    for (const [name, quota] of quotas) {
+        if (!quota || !Number.isInteger(quota.limit) || quota.limit < 1) {
+            problems.push(`${name}: limit must be a positive integer`);
+        }
+        if (!quota || !Number.isInteger(quota.windowSeconds) || quota.windowSeconds < 1) {
+            problems.push(`${name}: windowSeconds must be a positive integer`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid rate limits ${source}: ${problems.join('; ')}`);
+    }
+    return limits;
+}
+
+function loadRateLimits(filePath = config.limitsFile) {
+    let limits;
+    try {
+        limits = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read rate limits ${filePath}: ${error.message}`);
+    }
+
+    // Environment overrides of the default quota (kept from the fixed-window limiter)
+    limits.default = {
+        ...limits.default,
+        ...(config.defaultLimit ? { limit: config.defaultLimit } : {}),
+        ...(config.defaultWindowSeconds ? { windowSeconds: config.defaultWindowSeconds } : {})
+    };
+
+    return validateRateLimits(limits, filePath);
+}
+
+// Search timestamps per bucket in process memory
+// consume() checks and records without yielding, so concurrent requests of one process cannot
+// both take the last slot. Buckets are dropped once their newest search has left the window,
+// swept at most every sweepIntervalMs, so ids that are never seen again do not pile up.
+class MemoryRateLimitStore {
+    constructor(options = {}) {
+        this.buckets = new Map(); // key → { times (ms, oldest first), windowMs }
+        this.sweepIntervalMs = options.sweepIntervalMs || 60000;
+        this.lastSweep = 0;
+    }
+
+    // Drop every bucket with no search left in its window
+    sweep(now) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.times.length === 0 || bucket.times[bucket.times.length - 1] <= now - bucket.windowMs) {
+                this.buckets.delete(key);
+            }
+        }
+        this.lastSweep = now;
+    }
+
+    // Window state of every bucket, recording the request in all of them only if each has room
+    // buckets: [{ key, limit, cost, windowMs }]
+    // Returns [{ count, releaseAt }]: searches in the window, and the time of the search that has to
+    // leave the window before the request fits (null when it fits or can never fit)
+    async consume(buckets, now) {
+        if (now - this.lastSweep >= this.sweepIntervalMs) this.sweep(now);
+
+        const states = buckets.map(({ key, limit, cost, windowMs }) => {
+            const bucket = this.buckets.get(key) || { times: [], windowMs };
+            bucket.times = bucket.times.filter(time => time > now - windowMs);
+            bucket.windowMs = windowMs;
+
+            const count = bucket.times.length;
+            const fits = count + cost <= limit;
+            const releaseAt = !fits && cost <= limit ? bucket.times[count + cost - limit - 1] : null;
+            return { bucket, key, cost, count, fits, releaseAt };
+        });
+
+        if (states.every(state => state.fits)) {
+            for (const { bucket, key, cost } of states) {
+                for (let i = 0; i < cost; i++) bucket.times.push(now);
+                this.buckets.set(key, bucket);
+            }
+        }
+
+        return states.map(({ count, releaseAt }) => ({ count, releaseAt }));
+    }
+}
+
+// Checks and records all buckets of a request in one step inside Redis (see MemoryRateLimitStore.consume)
+// KEYS: bucket keys; ARGV: now, member prefix, then limit, cost and windowMs of each bucket
+// Returns { count, releaseAt } per bucket, releaseAt -1 for none
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local prefix = ARGV[2]
+local states = {}
+local allowed = true
+
+for i, key in ipairs(KEYS) do
+    local limit = tonumber(ARGV[3 * i])
+    local cost = tonumber(ARGV[3 * i + 1])
+    local windowMs = tonumber(ARGV[3 * i + 2])
+
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now - windowMs)
+    local count = redis.call('ZCARD', key)
+    local releaseAt = -1
+    if count + cost > limit then
+        allowed = false
+        if cost <= limit then
+            local index = count + cost - limit - 1
+            releaseAt = tonumber(redis.call('ZRANGE', key, index, index, 'WITHSCORES')[2])
+        end
+    end
+    states[i] = { count, releaseAt }
+end
+
+if allowed then
+    for i, key in ipairs(KEYS) do
+        local cost = tonumber(ARGV[3 * i + 1])
+        for n = 1, cost do
+            redis.call('ZADD', key, now, prefix .. ':' .. i .. ':' .. n)
+        end
+        redis.call('PEXPIRE', key, tonumber(ARGV[3 * i + 2]))
+    end
+end
+
+return states
+`;
+
+// Search timestamps per bucket in Redis sorted sets (score = timestamp), expiring with their window
+// One script per request, so processes sharing the Redis never admit more than a quota between them
+class RedisRateLimitStore {
+    constructor(redisClient) {
+        this.redisClient = redisClient;
+    }
+
+    async consume(buckets, now) {
+        const states = await this.redisClient.eval(CONSUME_SCRIPT, {
+            keys: buckets.map(bucket => bucket.key),
+            // Members must be unique within the set, the score carries the time
+            arguments: [String(now), `${now}:${crypto.randomUUID()}`,
+                ...buckets.flatMap(({ limit, cost, windowMs }) => [String(limit), String(cost), String(windowMs)])]
+        });
+        return states.map(([count, releaseAt]) => ({
+            count: Number(count),
+            releaseAt: Number(releaseAt) < 0 ? null : Number(releaseAt)
+        }));
+    }
+}
+
+class RateLimiter {
+    constructor(store = new MemoryRateLimitStore(), limits = loadRateLimits()) {
+        this.store = store;
+        this.limits = validateRateLimits(limits);
+    }
+
+    // Own entries only: a client id or field type such as "constructor" gets no inherited "quota"
+    clientQuota(clientId) {
+        const clients = this.limits.clients || {};
+        return Object.hasOwn(clients, clientId) ? clients[clientId] : this.limits.default;
+    }
+
+    fieldQuota(fieldType) {
+        const fields = this.limits.fields || {};
+        const type = String(fieldType).toUpperCase();
+        return Object.hasOwn(fields, type) ? fields[type] : null;
+    }
+
+    // Buckets a request touches, with the number of searches it adds to each
+    bucketsFor(clientId, fieldTypes, searches) {
+        const buckets = [{ key: `ratelimit:${clientId}`, scope: 'client', fieldType: null, cost: searches, ...this.clientQuota(clientId) }];
+
+        const fieldCounts = new Map();
+        for (const fieldType of fieldTypes) {
+            const type = String(fieldType).toUpperCase();
+            fieldCounts.set(type, (fieldCounts.get(type) || 0) + 1);
+        }
+        for (const [fieldType, cost] of fieldCounts) {
+            const quota = this.fieldQuota(fieldType);
+            if (quota) {
+                buckets.push({ key: `ratelimit:${clientId}:${fieldType}`, scope: 'field', fieldType, cost, ...quota });
+            }
+        }
+
+        return buckets;
+    }
+
+    // Allow `searches` searches of a client over the given field types (one entry per search and field)
+    // or throw RateLimitError; nothing is recorded unless every bucket has room
+    // clientId must be an authenticated identity: quotas are only as strong as the id they are keyed on
+    // Returns { limit, remaining, windowSeconds } of the client quota
+    async consume(clientId = 'anonymous', fieldTypes = [], searches = 1) {
+        const now = Date.now();
+        const buckets = this.bucketsFor(clientId || 'anonymous', fieldTypes, searches);
+        buckets.forEach(bucket => { bucket.windowMs = bucket.windowSeconds * 1000; });
+
+        const states = await this.store.consume(buckets, now);
+        let denied = null;
+
+        buckets.forEach((bucket, idx) => {
+            bucket.remaining = bucket.limit - states[idx].count - bucket.cost;
+            if (bucket.remaining >= 0) return;
+
+            // Room for the request once the search at releaseAt has left the window
+            bucket.retryAfter = bucket.cost > bucket.limit
+                ? null
+                : Math.max(1, Math.ceil((states[idx].releaseAt + bucket.windowMs - now) / 1000));
+            if (!denied || (denied.retryAfter !== null && (bucket.retryAfter === null || bucket.retryAfter > denied.retryAfter))) {
+                denied = bucket;
+            }
+        });
+
+        if (denied) {
+            const quota = denied.scope === 'field' ? `${denied.fieldType} searches` : 'searches';
+            const when = denied.retryAfter === null
+                ? `a request of ${denied.cost} can never fit`
+                : `retry after ${denied.retryAfter}s`;
+            throw new RateLimitError(
+                `Rate limit exceeded: max ${denied.limit} ${quota} per ${denied.windowSeconds}s (${when})`,
+                denied
+            );
+        }
+
+        const [client] = buckets;
+        return { limit: client.limit, remaining: client.remaining, windowSeconds: client.windowSeconds };
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    RateLimitError,
+    MemoryRateLimitStore,
+    RedisRateLimitStore,
+    loadRateLimits,
+    validateRateLimits
+};
@@ -0,0 +1,296 @@
+const {
+    CANONICAL_OPS,
+    OPERATION_ALIASES,
+    normalizeOperation,
+    evaluateQueryExpression,
+    parseQueryExpression,
+    conditionsToExpression
+} = require('./query-expression.js');
+const { resolveResultLevel, toSubjectTokens } = require('./subject-tokens.js');
+const { DEFAULT_TENANT } = require('./tenants.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Unified search backend contract
+// Every backend exposes the same operations, options and result shape so callers
+// (performance tester, HTTP server, scripts) can pick an implementation by configuration.
+//
+// Operations (canonical names): eq, startsWith, endsWith, contains, soundsLike (name fields),
+// hasWord / wordStartsWith (multi-word fields), dateBetween / ageOver / ageUnder (date fields);
+// EMAIL_DOMAIN eq and EMAIL_LOCAL startsWith on the email sub-fields (field-aware backends)
+// Options: tenantId (default tenant when omitted), k, limit, level (complex queries)
+// Result shape: { backend, field, operation, value, tokens, count, executionTime }
+// Complex queries: flat AND/OR condition lists or boolean expressions (see query-expression.js),
+// returning person (subject) tokens unless options.level is 'token' (see subject-tokens.js)
+// Fuzzy search (field-aware backends): searchFuzzy() adds matches: [{ token, score }], best first
+
+class SearchBackend {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+    }
+
+    // Connect to the underlying store
+    async initialize() {
+        throw new Error(`${this.constructor.name} must implement initialize()`);
+    }
+
+    // Backend-specific lookup: returns an array of matching tokens for a canonical operation
+    async searchTokens(field, operation, value, options) {
+        throw new Error(`${this.constructor.name} must implement searchTokens()`);
+    }
+
+    // Search with the shared contract: canonical operation names and a uniform result object
+    async search(field, operation, value, options = {}) {
+        const op = normalizeOperation(operation);
+        const startTime = Date.now();
+
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new Error('Search value must be a non-empty string');
+        }
+
+        const tokens = await this.searchTokens(field, op, value, options);
+        const limited = options.limit ? tokens.slice(0, options.limit) : tokens;
+
+        return {
+            backend: this.name,
+            field,
+            operation: op,
+            value,
+            tokens: limited,
+            count: tokens.length,
+            executionTime: Date.now() - startTime
+        };
+    }
+
+    // Backend-specific fuzzy lookup: returns [{ token, score }], best match first
+    async fuzzyMatches(field, value, options) {
+        throw new Error(`Fuzzy search is not supported by the ${this.name} backend`);
+    }
+
+    // Typo-tolerant search; options.minScore overrides FUZZY_MIN_SCORE
+    async searchFuzzy(field, value, options = {}) {
+        const startTime = Date.now();
+
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new Error('Search value must be a non-empty string');
+        }
+
+        const matches = await this.fuzzyMatches(field, value, options);
+        const limited = options.limit ? matches.slice(0, options.limit) : matches;
+
+        return {
+            backend: this.name,
+            field,
+            operation: 'fuzzy',
+            value,
+            matches: limited,
+            tokens: limited.map(match => match.token),
+            count: matches.length,
+            executionTime: Date.now() - startTime
+        };
+    }
+
+    // AND/OR over multiple conditions: [{ field, operation, value }]
+    async executeComplexQuery(conditions, operator = 'AND', options = {}) {
+        const op = operator.toUpperCase();
+        const result = await this.executeQueryExpression(conditionsToExpression(conditions, op), options);
+
+        return {
+            backend: this.name,
+            operator: op,
+            conditions,
+            level: result.level,
+            tokens: result.tokens,
+            count: result.count,
+            executionTime: result.executionTime
+        };
+    }
+
+    // Boolean query expression (string or parsed tree) with nested groups and NOT
+    async executeQueryExpression(expression, options = {}) {
+        const startTime = Date.now();
+        const tree = typeof expression === 'string' ? parseQueryExpression(expression) : expression;
+        const level = resolveResultLevel(options.level);
+
+        const tokens = Array.from(await evaluateQueryExpression(tree, async (field, operation, value) => {
+            const result = await this.search(field, operation, value, { ...options, limit: null });
+            return level === 'subject' ? toSubjectTokens(result.tokens) : result.tokens;
+        }));
+
+        return {
+            backend: this.name,
+            expression: typeof expression === 'string' ? expression : null,
+            level,
+            tokens,
+            count: tokens.length,
+            executionTime: Date.now() - startTime
+        };
+    }
+
+    // Index statistics of one tenant (default tenant when omitted)
+    async getStats(tenantId = DEFAULT_TENANT) {
+        return {};
+    }
+
+    async close() {}
+}
+
+// Approach 2: field-aware HMAC index in Redis (FieldAwareRedisIndexer)
+class RedisSearchBackend extends SearchBackend {
+    constructor(options = {}) {
+        super('redis', options);
+        // Required lazily: each implementation validates its own environment on load
+        const { FieldAwareRedisIndexer } = require('./field-aware-redis-indexer.js');
+        this.indexer = new FieldAwareRedisIndexer(options.redisConfig || {}, options.secret || null);
+    }
+
+    async initialize() {
+        return await this.indexer.initialize();
+    }
+
+    async searchTokens(field, operation, value, options) {
+        return await this.indexer.search(field, operation, value, options.tenantId, options.k);
+    }
+
+    async fuzzyMatches(field, value, options) {
+        return await this.indexer.searchFieldFuzzy(field, value, options.tenantId, { minScore: options.minScore });
+    }
+
+    async getStats(tenantId = DEFAULT_TENANT) {
+        return await this.indexer.getStats(tenantId);
+    }
+
+    async close() {
+        await this.indexer.close();
+    }
+}
+
+// Approach 1: field-aware HMAC index in PostgreSQL (PIIDatabaseSearchAPI)
+class PostgresSearchBackend extends SearchBackend {
+    constructor(options = {}) {
+        super('postgres', options);
+        const { PIIDatabaseSearchAPI } = require('./pii-db-search-api.js');
+        this.api = new PIIDatabaseSearchAPI();
+    }
+
+    async initialize() {
+        return await this.api.initialize();
+    }
+
+    async searchTokens(field, operation, value, options) {
+        return await this.api.search(field, operation, value, options.tenantId, options.k);
+    }
+
+    async fuzzyMatches(field, value, options) {
+        return await this.api.searchFieldFuzzy(field, value, options.tenantId, { minScore: options.minScore });
+    }
+
+    async getStats(tenantId = DEFAULT_TENANT) {
+        return await this.api.getStats(tenantId);
+    }
+
+    async close() {
+        await this.api.close();
+    }
+}
+
+// Region-keyed trigram index in Redis (PIISearchAPI / pii-search-indexer.js)
+// This index is keyed by field type ids rather than field aliases, so name parts share the NAME id
+class RegionIndexSearchBackend extends SearchBackend {
+    constructor(options = {}) {
+        super('redis-region', options);
+        const { PIISearchAPI, QUERY_TYPES, FIELD_IDS } = require('./pii-search-api.js');
+        this.api = new PIISearchAPI();
+        this.fieldIds = FIELD_IDS;
+        this.queryTypes = {
+            eq: QUERY_TYPES.EXACT,
+            startsWith: QUERY_TYPES.STARTS_WITH,
+            endsWith: QUERY_TYPES.ENDS_WITH,
+            contains: QUERY_TYPES.CONTAINS
+        };
+        this.fieldAliases = {
+            'FIRST_NAME': 'NAME', 'fn': 'NAME',
+            'LAST_NAME': 'NAME', 'ln': 'NAME',
+            'MIDDLE_NAME': 'NAME', 'mn': 'NAME',
+            'FULL_NAME': 'NAME', 'name': 'NAME',
+            'MOBILE_NUMBER': 'PHONE', 'phone': 'PHONE',
+            'PASSPORT_NUMBER': 'PASSPORT', 'passport': 'PASSPORT',
+            'email': 'EMAIL', 'addr': 'ADDRESS', 'pan': 'PAN_CARD'
+        };
+    }
+
+    async initialize() {
+        return await this.api.initialize();
+    }
+
+    resolveFieldId(field) {
+        const alias = [field, field.toUpperCase()].find(name => Object.hasOwn(this.fieldAliases, name));
+        const fieldName = alias ? this.fieldAliases[alias] : field.toUpperCase();
+        const fieldId = this.fieldIds[fieldName];
+        if (fieldId === undefined) {
+            throw new Error(`Field ${field} is not indexed by the ${this.name} backend`);
+        }
+        return fieldId;
+    }
+
+    async searchTokens(field, operation, value, options) {
+        if (!this.queryTypes[operation]) {
+            throw new Error(`Operation ${operation} is not supported by the ${this.name} backend`);
+        }
+        const fieldId = this.resolveFieldId(field);
+        const normalized = this.api.normalizeText(value);
+        const grams = this.api.generateQueryTrigrams(normalized, this.queryTypes[operation]);
+        const keys = grams.map(gram => this.api.generateHmacKey(options.tenantId || null, fieldId, gram));
+        return await this.api.intersectPostingLists(keys);
+    }
+
+    async getStats(tenantId) {
+        return await this.api.getSearchStats(tenantId || null);
+    }
+
+    async close() {
+        await this.api.close();
+    }
+}
+
+// Backend registry: name → SearchBackend subclass
+const SEARCH_BACKENDS = new Map();
+
+function registerSearchBackend(name, BackendClass) {
+    if (!(BackendClass.prototype instanceof SearchBackend)) {
+        throw new Error(`Search backend "${name}" must extend SearchBackend`);
+    }
+    SEARCH_BACKENDS.set(name, BackendClass);
+}
+
+function listSearchBackends() {
+    return Array.from(SEARCH_BACKENDS.keys());
+}
+
+// Create a backend by name (defaults to SEARCH_BACKEND environment variable, then redis)
+function createSearchBackend(name = process.env.SEARCH_BACKEND || 'redis', options = {}) {
+    const BackendClass = SEARCH_BACKENDS.get(name);
+    if (!BackendClass) {
+        throw new Error(`Unknown search backend: ${name} (registered: ${listSearchBackends().join(', ')})`);
+    }
+    return new BackendClass(options);
+}
+
+registerSearchBackend('redis', RedisSearchBackend);
+registerSearchBackend('postgres', PostgresSearchBackend);
+registerSearchBackend('redis-region', RegionIndexSearchBackend);
+
+module.exports = {
+    SearchBackend,
+    RedisSearchBackend,
+    PostgresSearchBackend,
+    RegionIndexSearchBackend,
+    CANONICAL_OPS,
+    OPERATION_ALIASES,
+    normalizeOperation,
+    registerSearchBackend,
+    listSearchBackends,
+    createSearchBackend
+};
@@ -1,81 +1,35 @@
 require('dotenv').config();
 
-// Environment variable validation
-const requiredEnvVars = ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT', 'VAULT_ADDR', 'VAULT_TOKEN', 'REDIS_HOST', 'REDIS_PORT'];
-const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingVars.length > 0) {
-    console.error(`❌ Missing required environment variables: ${missingVars.join(', ')}`);
-    console.error('Please copy .env.template to .env and configure all required variables.');
-    process.exit(1);
-}
-const { Client } = require('pg');
-const vault = require('node-vault');
-const { FieldAwareRedisIndexer } = require('./field-aware-redis-indexer.js');
-const { PIIDatabaseSearchAPI, QUERY_TYPES } = require('./pii-db-search-api.js');
+const { createSearchBackend, listSearchBackends } = require('./search-backends.js');
 
 // Performance Testing for PII Search Approaches
-// Compares Redis HMAC indexing vs Database table HMAC indexing (identical approach, different storage)
+// Compares any registered search backends (default: Database table HMAC vs Redis HMAC indexing)
+// The first backend is the reference: every other backend is validated and timed against it
 
-class SearchPerformanceTester {
-    constructor() {
-        // Database configuration
-        this.dbConfig = {
-            user: process.env.DB_USER,
-            host: process.env.DB_HOST,
-            database: process.env.DB_DATABASE,
-            password: process.env.DB_PASSWORD,
-            port: parseInt(process.env.DB_PORT),
-        };
+const DEFAULT_BACKENDS = (process.env.SEARCH_BACKENDS || 'postgres,redis').split(',').map(name => name.trim());
 
-        // Vault configuration
-        this.vaultConfig = {
-            endpoint: process.env.VAULT_ADDR,
-            token: process.env.VAULT_TOKEN,
-            requestOptions: {
-                rejectUnauthorized: false,
-                timeout: 10000,
-                strictSSL: false
-            }
-        };
-
-        // Redis configuration
-        this.redisConfig = {
-            host: process.env.REDIS_HOST,
-            port: parseInt(process.env.REDIS_PORT),
-            password: process.env.REDIS_PASSWORD || null
-        };
+class SearchPerformanceTester {
+    constructor(backendNames = DEFAULT_BACKENDS) {
+        if (backendNames.length < 1) {
+            throw new Error('At least one search backend is required');
+        }
 
-        this.dbClient = null;
-        this.vaultClient = null;
-        this.redisIndexer = null;
-        this.dbSearchAPI = null;
+        this.backendNames = backendNames;
+        this.backends = [];
     }
 
     async initialize() {
         try {
             console.log('🚀 Initializing Search Performance Tester...');
 
-            // Initialize database
-            this.dbClient = new Client(this.dbConfig);
-            await this.dbClient.connect();
-            console.log('✅ Database connected');
-
-            // Initialize Vault
-            this.vaultClient = vault(this.vaultConfig);
-            await this.vaultClient.status();
-            console.log('✅ Vault connected');
-
-            // Initialize Redis indexer
-            this.redisIndexer = new FieldAwareRedisIndexer(this.redisConfig);
-            await this.redisIndexer.initialize();
-            console.log('✅ Redis indexer connected');
-
-            // Initialize Database Search API
-            this.dbSearchAPI = new PIIDatabaseSearchAPI();
-            await this.dbSearchAPI.initialize();
-            console.log('✅ Database search API connected');
+            for (const name of this.backendNames) {
+                const backend = createSearchBackend(name);
+                await backend.initialize();
+                this.backends.push(backend);
+                console.log(`✅ ${name} backend connected`);
+            }
 
-            console.log('🎯 Search Performance Tester ready\n');
+            console.log(`🎯 Search Performance Tester ready (reference: ${this.backends[0].name})\n`);
             return true;
         } catch (error) {
             console.error('❌ Failed to initialize:', error.message);
@@ -83,122 +37,73 @@ class SearchPerformanceTester {
         }
     }
 
-    // Approach 1: Database table search (HMAC-indexed)
-    async searchDatabaseTable(fieldName, operation, searchValue) {
-        const startTime = Date.now();
-
-        try {
-            // Use the Redis-compatible database search API
-            const tokens = await this.dbSearchAPI.search(fieldName, operation, searchValue);
-
-            const endTime = Date.now();
-            return {
-                approach: 'Database Table (Approach 1)',
-                tokens: tokens,
-                matchingRecords: tokens.length,
-                totalResults: tokens.length,
-                executionTime: endTime - startTime,
-                decryptionCalls: 0, // No decryption needed with HMAC approach
-                kAnonymityApplied: false // Using core search method without k-anonymity wrapper
-            };
-
-        } catch (error) {
-            console.error(`❌ Database table search failed: ${error.message}`);
-            return {
-                approach: 'Database Table (Approach 1)',
-                error: error.message,
-                executionTime: Date.now() - startTime
-            };
-        }
+    get referenceBackend() {
+        return this.backends[0];
     }
 
-
-    // Approach 2: Redis field-scoped search (pre-indexed)
-    async searchRedis(fieldName, operation, searchValue) {
+    // Run a single search against one backend, capturing errors instead of throwing
+    async searchBackend(backend, fieldName, operation, searchValue) {
         const startTime = Date.now();
 
         try {
-            // Use the field-aware search
-            const matchingTokens = await this.redisIndexer.search(fieldName, operation, searchValue);
-
-            const endTime = Date.now();
+            const result = await backend.search(fieldName, operation, searchValue);
             return {
-                approach: 'Redis HMAC (Approach 2)',
-                tokens: matchingTokens,
-                matchingRecords: matchingTokens.length,
-                executionTime: endTime - startTime,
-                decryptionCalls: 0 // No decryption needed
+                approach: backend.name,
+                tokens: result.tokens,
+                matchingRecords: result.count,
+                executionTime: result.executionTime,
+                decryptionCalls: 0 // No decryption needed with HMAC approach
             };
-
         } catch (error) {
-            console.error(`❌ Redis search failed: ${error.message}`);
+            console.error(`❌ ${backend.name} search failed: ${error.message}`);
             return {
-                approach: 'Redis HMAC (Approach 2)',
+                approach: backend.name,
                 error: error.message,
                 executionTime: Date.now() - startTime
             };
         }
     }
 
-    // Text matching logic for database approach
-    matchesOperation(text, operation, searchValue) {
-        const normalizedText = text.toLowerCase().trim();
-        const normalizedSearch = searchValue.toLowerCase().trim();
-
-        switch (operation) {
-            case 'eq':
-            case 'equals':
-                return normalizedText === normalizedSearch;
-            case 'startsWith':
-                return normalizedText.startsWith(normalizedSearch);
-            case 'endsWith':
-                return normalizedText.endsWith(normalizedSearch);
-            case 'contains':
-                return normalizedText.includes(normalizedSearch);
-            default:
-                return false;
-        }
-    }
-
-    // Validate that both approaches return the same set of tokens
-    validateResults(dbResult, redisResult) {
+    // Validate that a backend returns the same set of tokens as the reference backend
+    validateResults(referenceResult, candidateResult) {
         try {
             // Extract tokens from both results
-            const dbTokens = new Set(dbResult.tokens || []);
-            const redisTokens = new Set(redisResult.tokens || []);
+            const referenceTokens = new Set(referenceResult.tokens || []);
+            const candidateTokens = new Set(candidateResult.tokens || []);
 
             // Find differences
-            const dbOnlyTokens = [...dbTokens].filter(token => !redisTokens.has(token));
-            const redisOnlyTokens = [...redisTokens].filter(token => !dbTokens.has(token));
-            const commonTokens = [...dbTokens].filter(token => redisTokens.has(token));
+            const referenceOnlyTokens = [...referenceTokens].filter(token => !candidateTokens.has(token));
+            const candidateOnlyTokens = [...candidateTokens].filter(token => !referenceTokens.has(token));
+            const commonTokens = [...referenceTokens].filter(token => candidateTokens.has(token));
 
             // Validate results
-            const isValid = dbOnlyTokens.length === 0 && redisOnlyTokens.length === 0;
+            const isValid = !referenceResult.error && !candidateResult.error &&
+                referenceOnlyTokens.length === 0 && candidateOnlyTokens.length === 0;
 
-            const validation = {
+            return {
                 isValid,
-                dbTokenCount: dbTokens.size,
-                redisTokenCount: redisTokens.size,
+                reference: referenceResult.approach,
+                candidate: candidateResult.approach,
+                referenceTokenCount: referenceTokens.size,
+                candidateTokenCount: candidateTokens.size,
                 commonTokens: commonTokens.length,
-                dbOnlyTokens,
-                redisOnlyTokens,
-                dbTokens: [...dbTokens],
-                redisTokens: [...redisTokens],
-                accuracy: dbTokens.size > 0 ? (commonTokens.length / Math.max(dbTokens.size, redisTokens.size)) * 100 : 100
+                referenceOnlyTokens,
+                candidateOnlyTokens,
+                accuracy: referenceTokens.size > 0
+                    ? (commonTokens.length / Math.max(referenceTokens.size, candidateTokens.size)) * 100
+                    : (candidateTokens.size === 0 ? 100 : 0)
             };
 
-            return validation;
-
         } catch (error) {
             console.error('❌ Result validation failed:', error.message);
             return {
                 isValid: false,
                 error: error.message,
-                dbTokenCount: 0,
-                redisTokenCount: 0,
+                referenceTokenCount: 0,
+                candidateTokenCount: 0,
                 commonTokens: 0,
-                dbOnlyTokens: [],
-                redisOnlyTokens: [],
+                referenceOnlyTokens: [],
+                candidateOnlyTokens: [],
                 accuracy: 0
             };
         }
@@ -209,63 +114,67 @@ class SearchPerformanceTester {
         console.log(`🔍 Testing: ${fieldName} ${operation} "${searchValue}"`);
         console.log('=' .repeat(60));
 
-        // Run both approaches
-        const [dbResult, redisResult] = await Promise.all([
-            this.searchDatabaseTable(fieldName, operation, searchValue),
-            this.searchRedis(fieldName, operation, searchValue)
-        ]);
+        // Run all backends
+        const results = await Promise.all(
+            this.backends.map(backend => this.searchBackend(backend, fieldName, operation, searchValue))
+        );
+        const [referenceResult, ...candidateResults] = results;
 
-        // Validate result correctness
-        const validation = this.validateResults(dbResult, redisResult);
+        // Validate result correctness against the reference backend
+        const validations = candidateResults.map(candidate => this.validateResults(referenceResult, candidate));
 
         // Display results
         console.log(`\n📊 Performance Comparison Results:`);
-        console.log(`\nApproach 1 (Database Table):`);
-        console.log(`   ⏱️  Execution Time: ${dbResult.executionTime}ms`);
-        console.log(`   🔑 Hash Lookups: O(1) or O(k) for intersections`);
-        console.log(`   🔓 Decryption Calls: ${dbResult.decryptionCalls || 0}`);
-        console.log(`   ✅ Matching Records: ${dbResult.matchingRecords || 0}`);
-
-        console.log(`\nApproach 2 (Redis):`);
-        console.log(`   ⏱️  Execution Time: ${redisResult.executionTime}ms`);
-        console.log(`   🔑 Hash Lookups: O(1) or O(k) for intersections`);
-        console.log(`   🔓 Decryption Calls: ${redisResult.decryptionCalls}`);
-        console.log(`   ✅ Matching Tokens: ${redisResult.matchingRecords || 0}`);
-
-        // Result validation
-        console.log(`\n🔍 Result Validation:`);
-        if (validation.isValid) {
-            console.log(`   ✅ Results MATCH: Both approaches found same tokens`);
-            console.log(`   🎯 Correctness: ${validation.commonTokens} identical tokens`);
-        } else {
-            console.log(`   ❌ Results MISMATCH: Different tokens found`);
-            console.log(`   📊 DB only: ${validation.dbOnlyTokens.length} tokens`);
-            console.log(`   📊 Redis only: ${validation.redisOnlyTokens.length} tokens`);
-            console.log(`   📊 Common: ${validation.commonTokens} tokens`);
-
-            if (validation.dbOnlyTokens.length > 0) {
-                console.log(`   🔍 DB-only tokens: ${validation.dbOnlyTokens.slice(0, 3).join(', ')}${validation.dbOnlyTokens.length > 3 ? '...' : ''}`);
+        results.forEach((result, idx) => {
+            console.log(`\n${result.approach}${idx === 0 ? ' (reference)' : ''}:`);
+            if (result.error) {
+                console.log(`   ❌ Error: ${result.error}`);
+                return;
             }
-            if (validation.redisOnlyTokens.length > 0) {
-                console.log(`   🔍 Redis-only tokens: ${validation.redisOnlyTokens.slice(0, 3).join(', ')}${validation.redisOnlyTokens.length > 3 ? '...' : ''}`);
+            console.log(`   ⏱️  Execution Time: ${result.executionTime}ms`);
+            console.log(`   🔑 Hash Lookups: O(1) or O(k) for intersections`);
+            console.log(`   🔓 Decryption Calls: ${result.decryptionCalls || 0}`);
+            console.log(`   ✅ Matching Tokens: ${result.matchingRecords || 0}`);
+        });
+
+        validations.forEach((validation, idx) => {
+            const candidateResult = candidateResults[idx];
+
+            // Result validation
+            console.log(`\n🔍 Result Validation (${validation.candidate} vs ${validation.reference}):`);
+            if (validation.isValid) {
+                console.log(`   ✅ Results MATCH: Both approaches found same tokens`);
+                console.log(`   🎯 Correctness: ${validation.commonTokens} identical tokens`);
+            } else {
+                console.log(`   ❌ Results MISMATCH: Different tokens found`);
+                console.log(`   📊 ${validation.reference} only: ${validation.referenceOnlyTokens.length} tokens`);
+                console.log(`   📊 ${validation.candidate} only: ${validation.candidateOnlyTokens.length} tokens`);
+                console.log(`   📊 Common: ${validation.commonTokens} tokens`);
+
+                if (validation.referenceOnlyTokens.length > 0) {
+                    console.log(`   🔍 ${validation.reference}-only tokens: ${validation.referenceOnlyTokens.slice(0, 3).join(', ')}${validation.referenceOnlyTokens.length > 3 ? '...' : ''}`);
+                }
+                if (validation.candidateOnlyTokens.length > 0) {
+                    console.log(`   🔍 ${validation.candidate}-only tokens: ${validation.candidateOnlyTokens.slice(0, 3).join(', ')}${validation.candidateOnlyTokens.length > 3 ? '...' : ''}`);
+                }
             }
-        }
 
-        // Performance analysis
-        if (dbResult.executionTime && redisResult.executionTime && validation.isValid) {
-            const speedup = (dbResult.executionTime / redisResult.executionTime).toFixed(2);
-            console.log(`\n🚀 Performance Summary:`);
-            console.log(`   Redis is ${speedup}x faster than Database approach`);
-            console.log(`   Time saved: ${dbResult.executionTime - redisResult.executionTime}ms`);
-            console.log(`   ✅ Correctness: VERIFIED (same results)`);
-        } else if (!validation.isValid) {
-            console.log(`\n⚠️  Performance comparison skipped due to result mismatch`);
-            console.log(`   🔧 Debug: Check indexing consistency`);
-        }
+            // Performance analysis
+            if (referenceResult.executionTime && candidateResult.executionTime && validation.isValid) {
+                const speedup = (referenceResult.executionTime / candidateResult.executionTime).toFixed(2);
+                console.log(`\n🚀 Performance Summary:`);
+                console.log(`   ${validation.candidate} is ${speedup}x faster than ${validation.reference}`);
+                console.log(`   Time saved: ${referenceResult.executionTime - candidateResult.executionTime}ms`);
+                console.log(`   ✅ Correctness: VERIFIED (same results)`);
+            } else if (!validation.isValid) {
+                console.log(`\n⚠️  Performance comparison skipped due to result mismatch`);
+                console.log(`   🔧 Debug: Check indexing consistency`);
+            }
+        });
 
         console.log('\n' + '='.repeat(60) + '\n');
 
-        return { dbResult, redisResult, validation };
+        return { results, validations };
     }
 
     // Run comprehensive performance test suite
@@ -316,72 +225,82 @@ class SearchPerformanceTester {
         console.log('📈 Overall Performance Summary');
         console.log('============================');
 
-        let totalDbTime = 0;
-        let totalRedisTime = 0;
-        let totalDecryptionCalls = 0;
+        const reference = this.referenceBackend.name;
+        const totals = {};
+        this.backends.forEach(backend => { totals[backend.name] = 0; });
+
         let successfulTests = 0;
         let validResults = 0;
+        let totalValidations = 0;
         let totalAccuracy = 0;
 
         results.forEach(result => {
-            if (result.dbResult.executionTime && result.redisResult.executionTime) {
-                totalDbTime += result.dbResult.executionTime;
-                totalRedisTime += result.redisResult.executionTime;
-                totalDecryptionCalls += result.dbResult.decryptionCalls || 0;
+            // Only count tests where every backend succeeded
+            if (result.results.every(r => !r.error)) {
+                result.results.forEach(r => { totals[r.approach] += r.executionTime; });
                 successfulTests++;
 
                 // Track validation results
-                if (result.validation) {
-                    if (result.validation.isValid) {
+                result.validations.forEach(validation => {
+                    totalValidations++;
+                    if (validation.isValid) {
                         validResults++;
                     }
-                    totalAccuracy += result.validation.accuracy || 0;
-                }
+                    totalAccuracy += validation.accuracy || 0;
+                });
             }
         });
 
         if (successfulTests > 0) {
-            const avgDbTime = (totalDbTime / successfulTests).toFixed(2);
-            const avgRedisTime = (totalRedisTime / successfulTests).toFixed(2);
-            const overallSpeedup = (totalDbTime / totalRedisTime).toFixed(2);
-            const avgAccuracy = (totalAccuracy / successfulTests).toFixed(1);
-
             console.log(`\n📊 Aggregate Results (${successfulTests} tests):`);
-            console.log(`   Database avg time: ${avgDbTime}ms`);
-            console.log(`   Redis avg time: ${avgRedisTime}ms`);
-            console.log(`   Overall speedup: ${overallSpeedup}x`);
-            console.log(`   Total decryptions avoided: ${totalDecryptionCalls}`);
-            console.log(`   Total time saved: ${(totalDbTime - totalRedisTime).toFixed(0)}ms`);
+            Object.entries(totals).forEach(([name, total]) => {
+                console.log(`   ${name} avg time: ${(total / successfulTests).toFixed(2)}ms`);
+            });
+
+            const speedups = Object.entries(totals)
+                .filter(([name]) => name !== reference)
+                .map(([name, total]) => ({ name, speedup: total > 0 ? totals[reference] / total : 1 }));
+
+            speedups.forEach(({ name, speedup }) => {
+                console.log(`   ${name} speedup vs ${reference}: ${speedup.toFixed(2)}x`);
+                console.log(`   ${name} total time saved: ${(totals[reference] - totals[name]).toFixed(0)}ms`);
+            });
+
+            if (totalValidations === 0) return;
+
+            const avgAccuracy = (totalAccuracy / totalValidations).toFixed(1);
 
             // Validation summary
             console.log(`\n🔍 Result Validation Summary:`);
-            console.log(`   ✅ Exact matches: ${validResults}/${successfulTests} tests`);
+            console.log(`   ✅ Exact matches: ${validResults}/${totalValidations} comparisons`);
             console.log(`   🎯 Average accuracy: ${avgAccuracy}%`);
 
-            if (validResults === successfulTests) {
+            if (validResults === totalValidations) {
                 console.log(`   ✅ PERFECT: All approaches returned identical tokens`);
-            } else if (validResults > successfulTests * 0.8) {
+            } else if (validResults > totalValidations * 0.8) {
                 console.log(`   ⚠️  MOSTLY ACCURATE: Some minor discrepancies found`);
             } else {
                 console.log(`   ❌ SIGNIFICANT ISSUES: Many result mismatches detected`);
             }
 
             // Performance categories (only if results are valid)
-            if (validResults === successfulTests) {
-                if (parseFloat(overallSpeedup) > 10) {
-                    console.log(`\n🎯 Final Result: Redis provides SIGNIFICANT performance advantage with VERIFIED correctness`);
-                } else if (parseFloat(overallSpeedup) > 2) {
-                    console.log(`\n🎯 Final Result: Redis provides MODERATE performance advantage with VERIFIED correctness`);
-                } else {
-                    console.log(`\n🎯 Final Result: Performance difference is MINIMAL but correctness is VERIFIED`);
-                }
+            if (validResults === totalValidations) {
+                speedups.forEach(({ name, speedup }) => {
+                    if (speedup > 10) {
+                        console.log(`\n🎯 Final Result: ${name} provides SIGNIFICANT performance advantage over ${reference} with VERIFIED correctness`);
+                    } else if (speedup > 2) {
+                        console.log(`\n🎯 Final Result: ${name} provides MODERATE performance advantage over ${reference} with VERIFIED correctness`);
+                    } else {
+                        console.log(`\n🎯 Final Result: ${name} vs ${reference} performance difference is MINIMAL but correctness is VERIFIED`);
+                    }
+                });
             } else {
                 console.log(`\n⚠️  Final Result: Performance gains exist but correctness issues need investigation`);
             }
         }
     }
 
-    // Complex query testing (AND/OR operations)
+    // Complex query testing (AND/OR operations and boolean expressions)
     async testComplexQueries() {
         console.log('\n🔗 Testing Complex Queries (AND/OR operations)');
         console.log('===============================================');
@@ -392,7 +311,7 @@ class SearchPerformanceTester {
                 name: 'AND Query: first name',
                 description: 'FIRST_NAME endsWith "hen" AND FIRST_NAME startsWith "Ste"',
                 conditions: [
-                    { field: 'FIRST_NAME', operation: 'endsWith', value: 'hen' }, 
+                    { field: 'FIRST_NAME', operation: 'endsWith', value: 'hen' },
                     { field: 'FIRST_NAME', operation: 'startsWith', value: 'Ste' }
                 ],
                 operator: 'AND'
@@ -405,6 +324,11 @@ class SearchPerformanceTester {
                     { field: 'EMAIL', operation: 'contains', value: 'yahoo' }
                 ],
                 operator: 'OR'
+            },
+            {
+                name: 'Expression Query: nested groups and NOT',
+                description: '(fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"',
+                expression: '(fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"'
             }
         ];
 
@@ -416,105 +340,58 @@ class SearchPerformanceTester {
             console.log('============================================================\n');
 
             try {
-                // Test Database approach
-                const dbStartTime = Date.now();
-                let dbTokens = [];
-
-                if (query.operator === 'AND') {
-                    // For AND: get intersection of all conditions
-                    const dbConditions = query.conditions.map(c => ({
-                        field: c.field,
-                        operation: c.operation.toLowerCase(),
-                        value: c.value
-                    }));
-                    dbTokens = await this.dbSearchAPI.executeComplexQuery(dbConditions, 'AND');
-                } else {
-                    // For OR: get union of all conditions
-                    const dbConditions = query.conditions.map(c => ({
-                        field: c.field,
-                        operation: c.operation.toLowerCase(),
-                        value: c.value
-                    }));
-                    dbTokens = await this.dbSearchAPI.executeComplexQuery(dbConditions, 'OR');
+                // Same conditions and operator for every backend
+                const results = [];
+                for (const backend of this.backends) {
+                    const result = query.expression
+                        ? await backend.executeQueryExpression(query.expression)
+                        : await backend.executeComplexQuery(query.conditions, query.operator);
+                    results.push(result);
                 }
 
-                const dbTime = Date.now() - dbStartTime;
-
-                // Test Redis approach
-                const redisStartTime = Date.now();
-                let redisTokens = [];
-
-                if (query.operator === 'AND') {
-                    // For AND: get intersection
-                    const resultSets = [];
-                    for (const condition of query.conditions) {
-                        const tokens = await this.redisIndexer.search(
-                            condition.field,
-                            condition.operation,
-                            condition.value
-                        );
-                        resultSets.push(new Set(tokens));
-                    }
-
-                    // Apply AND operation (intersection)
-                    let intersection = resultSets[0];
-                    for (let j = 1; j < resultSets.length; j++) {
-                        intersection = new Set([...intersection].filter(x => resultSets[j].has(x)));
-                    }
-                    redisTokens = Array.from(intersection);
-                } else {
-                    // For OR: get union
-                    const allTokens = new Set();
-                    for (const condition of query.conditions) {
-                        const tokens = await this.redisIndexer.search(
-                            condition.field,
-                            condition.operation,
-                            condition.value
-                        );
-                        tokens.forEach(token => allTokens.add(token));
-                    }
-                    redisTokens = Array.from(allTokens);
-                }
-
-                const redisTime = Date.now() - redisStartTime;
-
                 // Display results
                 console.log(`📊 Performance Comparison Results:\n`);
 
-                console.log(`Approach 1 (Database):`);
-                console.log(`   ⏱️  Execution Time: ${dbTime}ms`);
-                console.log(`   🔑 Complex Query: ${query.operator} operation`);
-                console.log(`   ✅ Matching Records: ${dbTokens.length}\n`);
-
-                console.log(`Approach 2 (Redis):`);
-                console.log(`   ⏱️  Execution Time: ${redisTime}ms`);
-                console.log(`   🔑 Set Operations: ${query.operator} intersection/union`);
-                console.log(`   ✅ Matching Tokens: ${redisTokens.length}\n`);
-
-                // Validate results match
-                const dbSet = new Set(dbTokens);
-                const redisSet = new Set(redisTokens);
-                const identical = dbSet.size === redisSet.size &&
-                                [...dbSet].every(token => redisSet.has(token));
-
-                console.log(`🔍 Result Validation:`);
-                if (identical) {
-                    console.log(`   ✅ Results MATCH: Both approaches found same tokens`);
-                    console.log(`   🎯 Correctness: ${dbTokens.length} identical tokens`);
-                } else {
-                    console.log(`   ❌ Results MISMATCH: Different tokens found`);
-                    console.log(`   📊 DB tokens: ${dbTokens.length}, Redis tokens: ${redisTokens.length}`);
-                    console.log(`   📊 Common: ${[...dbSet].filter(t => redisSet.has(t)).length} tokens`);
-                }
+                results.forEach(result => {
+                    console.log(`${result.backend}:`);
+                    console.log(`   ⏱️  Execution Time: ${result.executionTime}ms`);
+                    const setOperations = query.expression
+                        ? 'intersection, union and difference'
+                        : `${query.operator} ${query.operator === 'AND' ? 'intersection' : 'union'}`;
+                    console.log(`   🔑 Set Operations: ${setOperations}`);
+                    console.log(`   ✅ Matching Tokens: ${result.count}\n`);
+                });
+
+                // Validate results match the reference backend
+                const [referenceResult, ...candidateResults] = results;
+                const referenceSet = new Set(referenceResult.tokens);
+
+                candidateResults.forEach(candidateResult => {
+                    const candidateSet = new Set(candidateResult.tokens);
+                    const identical = referenceSet.size === candidateSet.size &&
+                                    [...referenceSet].every(token => candidateSet.has(token));
+
+                    console.log(`🔍 Result Validation (${candidateResult.backend} vs ${referenceResult.backend}):`);
+                    if (identical) {
+                        console.log(`   ✅ Results MATCH: Both approaches found same tokens`);
+                        console.log(`   🎯 Correctness: ${referenceResult.count} identical tokens`);
+                    } else {
+                        console.log(`   ❌ Results MISMATCH: Different tokens found`);
+                        console.log(`   📊 ${referenceResult.backend} tokens: ${referenceResult.count}, ${candidateResult.backend} tokens: ${candidateResult.count}`);
+                        console.log(`   📊 Common: ${[...referenceSet].filter(t => candidateSet.has(t)).length} tokens`);
+                    }
 
-                // Performance summary
-                if (identical && dbTokens.length > 0) {
-                    const speedup = dbTime > 0 ? (dbTime / redisTime).toFixed(2) : 1;
-                    console.log(`\n🚀 Performance Summary:`);
-                    console.log(`   Redis is ${speedup}x faster than Database approach`);
-                    console.log(`   Time saved: ${Math.max(0, dbTime - redisTime)}ms`);
-                    console.log(`   ✅ Correctness: VERIFIED (same results)`);
-                }
+                    // Performance summary
+                    if (identical && referenceResult.count > 0) {
+                        const speedup = candidateResult.executionTime > 0
+                            ? (referenceResult.executionTime / candidateResult.executionTime).toFixed(2)
+                            : 1;
+                        console.log(`\n🚀 Performance Summary:`);
+                        console.log(`   ${candidateResult.backend} is ${speedup}x faster than ${referenceResult.backend}`);
+                        console.log(`   Time saved: ${Math.max(0, referenceResult.executionTime - candidateResult.executionTime)}ms`);
+                        console.log(`   ✅ Correctness: VERIFIED (same results)`);
+                    }
+                });
 
                 console.log('\n============================================================');
 
@@ -528,6 +405,7 @@ class SearchPerformanceTester {
         console.log('============================');
         console.log('✅ Tested AND operations (intersection logic)');
         console.log('✅ Tested OR operations (union logic)');
+        console.log('✅ Tested nested expressions with NOT (difference logic)');
         console.log('✅ Verified functional equivalence between approaches');
         console.log('✅ Performance comparison for complex queries');
         console.log('\n🎯 Complex queries demonstrate the power of pre-computed HMAC indices');
@@ -560,24 +438,19 @@ class SearchPerformanceTester {
             console.log(`🔍 Validating: ${testCase.field} ${testCase.operation} "${testCase.value}"`);
 
             try {
-                const [dbResult, redisResult] = await Promise.all([
-                    this.searchDatabase(testCase.field, testCase.operation, testCase.value),
-                    this.searchRedis(testCase.field, testCase.operation, testCase.value)
-                ]);
-
-                const validation = this.validateResults(dbResult, redisResult);
-
-                if (validation.isValid) {
-                    console.log(`   ✅ PASS: ${validation.commonTokens} matching tokens`);
+                const results = await Promise.all(
+                    this.backends.map(backend => this.searchBackend(backend, testCase.field, testCase.operation, testCase.value))
+                );
+                const [referenceResult, ...candidateResults] = results;
+                const validations = candidateResults.map(candidate => this.validateResults(referenceResult, candidate));
+
+                if (validations.every(validation => validation.isValid)) {
+                    console.log(`   ✅ PASS: ${referenceResult.matchingRecords || 0} matching tokens`);
                     passedTests++;
                 } else {
-                    console.log(`   ❌ FAIL: DB=${validation.dbTokenCount}, Redis=${validation.redisTokenCount} tokens`);
-                    failedTests.push({
-                        testCase,
-                        validation,
-                        dbResult: dbResult.matchingRecords,
-                        redisResult: redisResult.matchingRecords
-                    });
+                    const counts = results.map(r => `${r.approach}=${r.error ? 'error' : r.matchingRecords}`).join(', ');
+                    console.log(`   ❌ FAIL: ${counts} tokens`);
+                    failedTests.push({ testCase, validations: validations.filter(v => !v.isValid) });
                 }
             } catch (error) {
                 console.log(`   ❌ ERROR: ${error.message}`);
@@ -600,15 +473,17 @@ class SearchPerformanceTester {
             console.log('\n❌ Failed Test Details:');
             failedTests.forEach((failed, index) => {
                 console.log(`\n${index + 1}. ${failed.testCase.field} ${failed.testCase.operation} "${failed.testCase.value}"`);
-                if (failed.validation) {
-                    console.log(`   DB tokens: ${failed.validation.dbTokenCount}`);
-                    console.log(`   Redis tokens: ${failed.validation.redisTokenCount}`);
-                    if (failed.validation.dbOnlyTokens.length > 0) {
-                        console.log(`   DB-only: ${failed.validation.dbOnlyTokens.slice(0, 3).join(', ')}`);
-                    }
-                    if (failed.validation.redisOnlyTokens.length > 0) {
-                        console.log(`   Redis-only: ${failed.validation.redisOnlyTokens.slice(0, 3).join(', ')}`);
-                    }
+                if (failed.validations) {
+                    failed.validations.forEach(validation => {
+                        console.log(`   ${validation.reference} tokens: ${validation.referenceTokenCount}`);
+                        console.log(`   ${validation.candidate} tokens: ${validation.candidateTokenCount}`);
+                        if (validation.referenceOnlyTokens.length > 0) {
+                            console.log(`   ${validation.reference}-only: ${validation.referenceOnlyTokens.slice(0, 3).join(', ')}`);
+                        }
+                        if (validation.candidateOnlyTokens.length > 0) {
+                            console.log(`   ${validation.candidate}-only: ${validation.candidateOnlyTokens.slice(0, 3).join(', ')}`);
+                        }
+                    });
                 } else if (failed.error) {
                     console.log(`   Error: ${failed.error}`);
                 }
@@ -625,9 +500,9 @@ class SearchPerformanceTester {
 
     // Close all connections
     async close() {
-        if (this.dbClient) await this.dbClient.end();
-        if (this.redisIndexer) await this.redisIndexer.close();
-        if (this.dbSearchAPI) await this.dbSearchAPI.close();
+        for (const backend of this.backends) {
+            await backend.close();
+        }
         console.log('🛑 Search Performance Tester closed');
     }
 }
@@ -644,6 +519,8 @@ async function main() {
 Usage: node search-performance-tester.js [options]
 
 Options:
+  --backends <a,b,...>                    Backends to compare, first is the reference
+                                         (default: SEARCH_BACKENDS or postgres,redis)
   --single <field> <operation> <value>    Run single comparison test
   --comprehensive                         Run full test suite
   --complex                              Test complex AND/OR queries
@@ -655,13 +532,21 @@ Examples:
   node search-performance-tester.js --comprehensive
   node search-performance-tester.js --complex
 
-Operations supported: eq, startsWith, endsWith, contains
+  node search-performance-tester.js --backends redis,redis-region --validate
+
+Operations supported: eq, startsWith, endsWith, contains (aliases: equals, exact, starts_with, ends_with, partial)
 Fields supported: FIRST_NAME, LAST_NAME, EMAIL, MOBILE_NUMBER, ADDRESS, CITY, COUNTRY, etc.
+Registered backends: ${listSearchBackends().join(', ')}
         `);
         return;
     }
 
-    const tester = new SearchPerformanceTester();
+    const backendsIndex = args.indexOf('--backends');
+    const backendNames = backendsIndex !== -1 && args[backendsIndex + 1]
+        ? args[backendsIndex + 1].split(',').map(name => name.trim())
+        : DEFAULT_BACKENDS;
+
+    const tester = new SearchPerformanceTester(backendNames);
 
     try {
         await tester.initialize();
@@ -702,6 +587,9 @@ process.on('uncaughtException', (error) => {
     process.exit(1);
 });
 
+// Export for use in other modules
+module.exports = { SearchPerformanceTester };
+
 // Run if called directly
 if (require.main === module) {
     main().catch(console.error);
@@ -0,0 +1,88 @@
+const { FIELD_MAP, DERIVED_FIELDS, getFieldAlias } = require('./field-index-keys.js');
+const { collectConditions } = require('./query-expression.js');
+
+// Person (subject) level results
+// Every field value of a person is tokenized on its own, with the field type as suffix:
+//   TKN_LK5AKXXK5K77_FIRST_NAME, TKN_LK5AKXXK5K77_LAST_NAME, TKN_LK5AKXXK5K77_EMAIL, ...
+// The part before the suffix is the person's subject token (TKN_LK5AKXXK5K77, the token
+// pii-erasure.js takes). Searches match field tokens, so "fn startsWith ste AND ln endsWith son"
+// can only intersect once both sides are mapped to subject tokens.
+// A token without a field type suffix (one token for a whole record) is its own subject.
+//
+// Result levels of complex queries and expressions:
+//   subject (default)   subject tokens; AND / OR / NOT combine persons across fields
+//   token               field tokens as indexed; AND only matches within one token
+
+const RESULT_LEVELS = ['subject', 'token'];
+
+// Field types used as token suffixes: indexed fields (not the sub-fields derived from them)
+// plus the types that are tokenized but not searchable; longest first so a suffix is never cut short
+const TOKEN_FIELD_TYPES = [
+    ...Object.keys(FIELD_MAP).filter(name => !DERIVED_FIELDS[FIELD_MAP[name]]),
+    'CREDIT_CARD',
+    'SSN'
+].sort((a, b) => b.length - a.length);
+
+// Result level of a query ('subject' when not given)
+function resolveResultLevel(level) {
+    if (level === undefined || level === null) return 'subject';
+    if (!RESULT_LEVELS.includes(level)) {
+        throw new Error(`Unsupported result level: ${level} (supported: ${RESULT_LEVELS.join(', ')})`);
+    }
+    return level;
+}
+
+// Field type suffix of a token (TKN_LK5AKXXK5K77_FIRST_NAME → FIRST_NAME); null without one
+function tokenFieldType(token) {
+    return TOKEN_FIELD_TYPES.find(type => token.length > type.length + 1 && token.endsWith(`_${type}`)) || null;
+}
+
+// Subject token of a field token (TKN_LK5AKXXK5K77_FIRST_NAME → TKN_LK5AKXXK5K77)
+function subjectToken(token) {
+    const type = tokenFieldType(token);
+    return type ? token.slice(0, -(type.length + 1)) : token;
+}
+
+// Distinct subject tokens of field tokens
+function toSubjectTokens(tokens) {
+    return Array.from(new Set(Array.from(tokens, subjectToken)));
+}
+
+// Field type suffix of a query field (name or alias; sub-fields use the field they come from)
+function fieldTokenType(field) {
+    const alias = getFieldAlias(field);
+    const source = DERIVED_FIELDS[alias] ? DERIVED_FIELDS[alias].source : alias;
+    return Object.keys(FIELD_MAP).find(name => FIELD_MAP[name] === source) || null;
+}
+
+// Field tokens the given subjects can have for a field: the subject token itself and <subject>_<FIELD_TYPE>
+// Lets a condition on one field be limited to the persons matched by conditions on other fields
+function subjectFieldTokens(subjects, field) {
+    const type = fieldTokenType(field);
+    const tokens = new Set();
+    for (const subject of subjects) {
+        tokens.add(subject);
+        if (type) tokens.add(`${subject}_${type}`);
+    }
+    return tokens;
+}
+
+// Index fields (source aliases) an expression tree has conditions on
+function expressionFields(tree) {
+    return new Set(collectConditions(tree).map(condition => {
+        const alias = getFieldAlias(condition.field);
+        return DERIVED_FIELDS[alias] ? DERIVED_FIELDS[alias].source : alias;
+    }));
+}
+
+module.exports = {
+    RESULT_LEVELS,
+    TOKEN_FIELD_TYPES,
+    resolveResultLevel,
+    tokenFieldType,
+    subjectToken,
+    toSubjectTokens,
+    fieldTokenType,
+    subjectFieldTokens,
+    expressionFields
+};
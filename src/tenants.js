@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Tenants
+// Every PII record, index key and search belongs to a tenant. A tenant's index keys are signed
+// with a secret derived from the keyring secret (HKDF-SHA256, tenant id as info) and carry the
+// tenant in the key, so a query of one tenant can never hit another tenant's keys.
+// Data indexed before tenants existed belongs to the default tenant, whose keys are unchanged.
+
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const HKDF_SALT = 'pii-search-tenant';
+
+// Validate a tenant id; missing ids resolve to the default tenant
+function resolveTenantId(tenantId) {
+    if (tenantId === undefined || tenantId === null || tenantId === '') {
+        return DEFAULT_TENANT;
+    }
+
+    const id = String(tenantId).toLowerCase();
+    if (!TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid tenant id: ${tenantId} (expected 1-64 of a-z, 0-9, _ and -)`);
+    }
+    return id;
+}
+
+function isDefaultTenant(tenantId) {
+    return resolveTenantId(tenantId) === DEFAULT_TENANT;
+}
+
+// Per-tenant HMAC secret: HKDF-SHA256(secret, salt, info = tenant id)
+function deriveTenantSecret(secret, tenantId) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, HKDF_SALT, resolveTenantId(tenantId), 32));
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    TENANT_ID_PATTERN,
+    resolveTenantId,
+    isDefaultTenant,
+    deriveTenantSecret
+};
@@ -1,6 +1,8 @@
 const vault = require('node-vault');
 const fs = require('fs');
 const csv = require('csv-parser');
+const { pipeline } = require('stream/promises');
+const { PipelineCheckpoint, CHECKPOINT_STATUS } = require('./pipeline-checkpoint.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -119,69 +121,139 @@ class VaultCSVEncryptor {
     }
 }
 
+// Records encrypted between checkpoint writes
+const CHECKPOINT_INTERVAL = 1000;
+
+// Find the complete (newline-terminated) rows already in an output file
+// Returns { lines, bytes, lastLine } where bytes is the length of the complete part
+async function scanCompleteLines(file) {
+    let lines = 0;
+    let bytes = 0;
+    let offset = 0;
+    let lastLine = '';
+    let current = [];
+
+    for await (const chunk of fs.createReadStream(file)) {
+        let start = 0;
+        for (let i = chunk.indexOf(10); i !== -1; i = chunk.indexOf(10, i + 1)) {
+            current.push(chunk.subarray(start, i));
+            lastLine = Buffer.concat(current).toString('utf8');
+            current = [];
+            lines++;
+            bytes = offset + i + 1;
+            start = i + 1;
+        }
+        current.push(chunk.subarray(start));
+        offset += chunk.length;
+    }
+
+    return { lines, bytes, lastLine };
+}
+
 // Transform plaintext CSV to encrypted CSV
-async function transformCSV(inputFile, outputFile) {
+// options.resume continues an interrupted run: complete rows already in the output are kept,
+// a trailing partial row is truncated and encryption restarts from the next input row
+async function transformCSV(inputFile, outputFile, options = {}) {
     const encryptor = new VaultCSVEncryptor();
+    const checkpoint = new PipelineCheckpoint('encrypt-csv');
 
     try {
+        const saved = checkpoint.resolve(options.resume, { inputFile, outputFile });
+        if (saved && saved.status === CHECKPOINT_STATUS.COMPLETED) {
+            console.log(`✅ Encryption already completed (${saved.rowsWritten} records) - nothing to resume`);
+            return outputFile;
+        }
+
         await encryptor.initialize();
 
-        console.log(`\n📄 Reading plaintext CSV: ${inputFile}`);
+        // The output file is the source of truth for what was written: the checkpoint may
+        // lag behind by up to CHECKPOINT_INTERVAL rows
+        let skipRows = 0;
+        let lastToken = null;
+        let writeHeader = true;
+        if (saved && fs.existsSync(outputFile)) {
+            const existing = await scanCompleteLines(outputFile);
+            fs.truncateSync(outputFile, existing.bytes);
+
+            if (existing.lines > 0) {
+                writeHeader = false;
+                skipRows = existing.lines - 1;
+                lastToken = skipRows > 0 ? existing.lastLine.split(',')[2] : null;
+            }
+            console.log(`🔁 Resuming after ${skipRows} encrypted records${lastToken ? ` (last token ${lastToken})` : ''}`);
+        }
 
-        // Read input CSV
-        const rows = [];
-        await new Promise((resolve, reject) => {
-            fs.createReadStream(inputFile)
-                .pipe(csv())
-                .on('data', (row) => {
-                    rows.push(row);
-                })
-                .on('end', resolve)
-                .on('error', reject);
-        });
-
-        console.log(`🔄 Encrypting ${rows.length} records...`);
-
-        // Create output CSV with encrypted data
-        let outputContent = 'data_type,pii_data_point,token,is_active,hash,created_by,modified_by\n';
-
-        const progressInterval = Math.max(1, Math.floor(rows.length / 20));
-
-        for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-
-            try {
-                // Encrypt the pii_data_point field
-                const encryptedData = await encryptor.encryptData(row.pii_data_point);
-
-                // Create new row with encrypted pii_data_point
-                const escapedValues = [
-                    row.data_type,         // preserve data_type field
-                    `"${encryptedData}"`,  // encrypted pii_data_point
-                    row.token,
-                    row.is_active,
-                    row.hash,
-                    row.created_by,
-                    row.modified_by
-                ];
-
-                outputContent += escapedValues.join(',') + '\n';
-
-                // Progress update
-                if ((i + 1) % progressInterval === 0) {
-                    console.log(`   Encrypted ${i + 1}/${rows.length} records (${Math.round(((i + 1) / rows.length) * 100)}%)`);
+        console.log(`\n📄 Reading plaintext CSV: ${inputFile}`);
+        console.log(`🔄 Encrypting records...`);
+
+        // Progress is reported by bytes read, since the row count isn't known while streaming
+        const inputSize = fs.statSync(inputFile).size;
+        const input = fs.createReadStream(inputFile);
+        let nextProgress = 5;
+        let count = 0;
+
+        // Stream rows through encryption into the output file: one row is held in memory
+        // at a time and reading pauses whenever the output stream is backed up
+        await pipeline(
+            input,
+            csv(),
+            async function* (rows) {
+                if (writeHeader) {
+                    yield 'data_type,pii_data_point,token,is_active,hash,created_by,modified_by\n';
                 }
 
-            } catch (error) {
-                console.error(`❌ Failed to encrypt row ${i + 1}:`, error.message);
-                throw error;
-            }
-        }
+                for await (const row of rows) {
+                    count++;
+
+                    // Skip rows already present in the output of the interrupted run
+                    if (count <= skipRows) {
+                        if (count === skipRows && row.token !== lastToken) {
+                            throw new Error(`Output file does not match input at row ${count} (expected token ${lastToken}, found ${row.token})`);
+                        }
+                        continue;
+                    }
+
+                    try {
+                        // Encrypt the pii_data_point field
+                        const encryptedData = await encryptor.encryptData(row.pii_data_point);
+
+                        // Create new row with encrypted pii_data_point
+                        const escapedValues = [
+                            row.data_type,         // preserve data_type field
+                            `"${encryptedData}"`,  // encrypted pii_data_point
+                            row.token,
+                            row.is_active,
+                            row.hash,
+                            row.created_by,
+                            row.modified_by
+                        ];
+
+                        yield escapedValues.join(',') + '\n';
+
+                    } catch (error) {
+                        console.error(`❌ Failed to encrypt row ${count}:`, error.message);
+                        throw error;
+                    }
+
+                    if (count % CHECKPOINT_INTERVAL === 0) {
+                        checkpoint.save({ inputFile, outputFile, rowsWritten: count, lastToken: row.token });
+                    }
+
+                    // Progress update
+                    const percent = inputSize > 0 ? Math.floor((input.bytesRead / inputSize) * 100) : 100;
+                    if (percent >= nextProgress) {
+                        console.log(`   Encrypted ${count} records (${percent}% of input read)`);
+                        nextProgress = (Math.floor(percent / 5) + 1) * 5;
+                    }
+                }
+            },
+            fs.createWriteStream(outputFile, { flags: writeHeader ? 'w' : 'a' })
+        );
 
-        // Write encrypted CSV
-        fs.writeFileSync(outputFile, outputContent);
+        checkpoint.complete({ inputFile, outputFile, rowsWritten: count });
 
         console.log(`\n✅ Encryption complete!`);
+        console.log(`🔐 Encrypted records: ${count}`);
         console.log(`📁 Encrypted CSV: ${outputFile}`);
         console.log(`📊 File size: ${(fs.statSync(outputFile).size / 1024).toFixed(2)} KB`);
 
@@ -208,6 +280,7 @@ This script transforms a plaintext CSV file to an encrypted CSV file using Vault
 Options:
   --input <file>     Input plaintext CSV file (default: resources/generated_pii_data.csv)
   --output <file>    Output encrypted CSV file (default: resources/encrypted_pii_data.csv)
+  --resume           Continue an interrupted run from its checkpoint
   --help             Show this help message
 
 Environment Variables:
@@ -227,6 +300,7 @@ Pipeline:
 Example:
   npm run encrypt-csv
   npm run encrypt-csv -- --input resources/my-data.csv --output resources/my-encrypted.csv
+  npm run encrypt-csv -- --resume
         `);
         return;
     }
@@ -254,7 +328,7 @@ Example:
 
     try {
         const startTime = Date.now();
-        await transformCSV(inputFile, outputFile);
+        await transformCSV(inputFile, outputFile, { resume: args.includes('--resume') });
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log(`⏱️  Total time: ${duration} seconds`);
         console.log(`\n🎯 Next step: npm run import-csv`);
@@ -0,0 +1,158 @@
+// Load environment variables
+require('dotenv').config();
+
+// Vault Transit Decrypt Pool
+// Decrypts many ciphertexts with a bounded number of concurrent Vault requests.
+// Each request uses the transit batch_input API, transient failures (5xx, 429,
+// connection resets, timeouts) are retried with exponential backoff, and a batch
+// rejected outright is retried item by item so one bad ciphertext only fails itself.
+
+const config = {
+    keyName: 'pii-encryption-key',
+    concurrency: parseInt(process.env.VAULT_DECRYPT_CONCURRENCY) || 4,
+    batchSize: parseInt(process.env.VAULT_DECRYPT_BATCH_SIZE) || 100,
+    maxRetries: parseInt(process.env.VAULT_DECRYPT_MAX_RETRIES) || 3,
+    retryDelayMs: parseInt(process.env.VAULT_DECRYPT_RETRY_DELAY_MS) || 200
+};
+
+// Network errors worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Decide whether a failed Vault call may succeed on retry
+function isTransientVaultError(error) {
+    const statusCode = error.response && error.response.statusCode;
+    if (statusCode) {
+        return statusCode === 429 || statusCode >= 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class VaultDecryptPool {
+    constructor(vaultClient, options = {}) {
+        this.vaultClient = vaultClient;
+        this.keyName = options.keyName || config.keyName;
+        this.concurrency = Math.max(1, options.concurrency || config.concurrency);
+        this.batchSize = Math.max(1, options.batchSize || config.batchSize);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : config.maxRetries;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : config.retryDelayMs;
+
+        this.stats = { requests: 0, retries: 0, decrypted: 0, failed: 0 };
+    }
+
+    // Call Vault, retrying transient failures with exponential backoff and jitter
+    async writeWithRetry(path, data) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                this.stats.requests++;
+                return await this.vaultClient.write(path, data);
+            } catch (error) {
+                if (attempt >= this.maxRetries || !isTransientVaultError(error)) {
+                    throw error;
+                }
+
+                this.stats.retries++;
+                const delay = this.retryDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * this.retryDelayMs);
+                await sleep(delay);
+            }
+        }
+    }
+
+    decodePlaintext(plaintext) {
+        return Buffer.from(plaintext, 'base64').toString('utf8');
+    }
+
+    // Decrypt a single ciphertext
+    async decrypt(ciphertext) {
+        const [result] = await this.decryptBatch([ciphertext]);
+        if (result.error) throw result.error;
+        return result.plaintext;
+    }
+
+    // Decrypt one chunk with a single batch_input request
+    // Returns results aligned with the input: { plaintext } or { error }
+    async decryptChunk(ciphertexts) {
+        const path = `transit/decrypt/${this.keyName}`;
+
+        if (ciphertexts.length === 1) {
+            try {
+                const response = await this.writeWithRetry(path, { ciphertext: ciphertexts[0] });
+                return [{ plaintext: this.decodePlaintext(response.data.plaintext) }];
+            } catch (error) {
+                return [{ error }];
+            }
+        }
+
+        let response;
+        try {
+            response = await this.writeWithRetry(path, {
+                batch_input: ciphertexts.map(ciphertext => ({ ciphertext }))
+            });
+        } catch (error) {
+            if (isTransientVaultError(error)) {
+                return ciphertexts.map(() => ({ error }));
+            }
+
+            // Vault rejects the whole batch when any item is invalid: isolate the bad items
+            const results = [];
+            for (const ciphertext of ciphertexts) {
+                results.push(...await this.decryptChunk([ciphertext]));
+            }
+            return results;
+        }
+
+        const batchResults = (response.data && response.data.batch_results) || [];
+        return ciphertexts.map((_, idx) => {
+            const item = batchResults[idx];
+            if (!item || item.error) {
+                return { error: new Error(item ? item.error : 'Missing batch result from Vault') };
+            }
+            return { plaintext: this.decodePlaintext(item.plaintext) };
+        });
+    }
+
+    // Decrypt many ciphertexts using up to `concurrency` parallel batch requests
+    // Results are aligned with the input: { plaintext } or { error }
+    async decryptBatch(ciphertexts) {
+        const chunks = [];
+        for (let i = 0; i < ciphertexts.length; i += this.batchSize) {
+            chunks.push({ offset: i, items: ciphertexts.slice(i, i + this.batchSize) });
+        }
+
+        const results = new Array(ciphertexts.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < chunks.length) {
+                const chunk = chunks[next++];
+                const chunkResults = await this.decryptChunk(chunk.items);
+                chunkResults.forEach((result, idx) => {
+                    if (result.error) this.stats.failed++;
+                    else this.stats.decrypted++;
+                    results[chunk.offset + idx] = result;
+                });
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, chunks.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = {
+    VaultDecryptPool,
+    isTransientVaultError,
+    vaultDecryptConfig: config
+};
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+const { dateBucketValues, dateRangeFor, dateRangeBuckets, coverDateRange, parseDate } = require('./src/date-buckets.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for bucketed date ranges and age searches (src/date-buckets.js)
+// A date matches a range when one of its four bucket values is among the range's buckets,
+// which is exactly the union the indexers compute.
+
+const run = new TestRun('Testing Date Buckets');
+const { check, checkEqual } = run;
+
+function bucketNames(buckets) {
+    return buckets.map(bucket => `${bucket.op}:${bucket.value}`);
+}
+
+// Would a range operation find a person born on `date` (YYYY-MM-DD)?
+function matches(operation, value, date, today) {
+    const range = new Set(bucketNames(dateRangeBuckets(operation, value, today)));
+    return bucketNames(dateBucketValues(date)).some(name => range.has(name));
+}
+
+// Every day from `from` to `to` (YYYY-MM-DD, inclusive)
+function days(from, to) {
+    const result = [];
+    for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += 86400000) {
+        result.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return result;
+}
+
+function rejects(operation, value) {
+    try {
+        dateRangeFor(operation, value);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+function testCover() {
+    console.log('🪣 Range cover');
+
+    checkEqual('"1979-12-30..1992-01-01" is 2 days, a decade, 2 years and a day',
+        bucketNames(dateRangeBuckets('dateBetween', '1979-12-30..1992-01-01')).join(' '),
+        'dd:1979-12-30 dd:1979-12-31 d10:1980 dy:1990 dy:1991 dd:1992-01-01');
+    checkEqual('"1980..1985" is 6 years', bucketNames(dateRangeBuckets('dateBetween', '1980..1985')).join(' '),
+        'dy:1980 dy:1981 dy:1982 dy:1983 dy:1984 dy:1985');
+    checkEqual('"1985-03..1985-04" is 2 months', bucketNames(dateRangeBuckets('dateBetween', '1985-03..1985-04')).join(' '),
+        'dm:1985-03 dm:1985-04');
+    checkEqual('partial end month covers the leap day', bucketNames(dateRangeBuckets('dateBetween', '1984-02-28..1984-02')).join(' '),
+        'dd:1984-02-28 dd:1984-02-29');
+    checkEqual('"1985-03-15..1987-02-10" needs 38 buckets',
+        dateRangeBuckets('dateBetween', '1985-03-15..1987-02-10').length, 38);
+
+    // Each day inside the range is under exactly one bucket, each day outside under none
+    for (const [start, end] of [['1979-12-30', '1992-01-01'], ['1985-03-15', '1987-02-10'], ['1999-12-31', '2000-01-01']]) {
+        const range = new Set(bucketNames(coverDateRange(parseDate(start), parseDate(end))));
+        const window = days(`${parseInt(start) - 1}-06-01`, `${parseInt(end) + 1}-06-30`);
+        const wrong = window.filter(date => {
+            const hits = bucketNames(dateBucketValues(date)).filter(name => range.has(name)).length;
+            return hits !== (date >= start && date <= end ? 1 : 0);
+        });
+        check(`${start}..${end} covers every day once and nothing outside`, wrong.length === 0);
+    }
+    console.log('');
+}
+
+function testRangeValues() {
+    console.log('🧾 Range values');
+
+    const today = { year: 2026, month: 10, day: 18 };
+    checkEqual('open start begins at DATE_RANGE_MIN_YEAR', JSON.stringify(dateRangeFor('dateBetween', '..1985', today).start),
+        JSON.stringify({ year: 1900, month: 1, day: 1 }));
+    checkEqual('open end runs to today', JSON.stringify(dateRangeFor('dateBetween', '2020..', today).end), JSON.stringify(today));
+    check('single day range is allowed', !rejects('dateBetween', '1985-03-12..1985-03-12'));
+    check('reversed range is rejected', rejects('dateBetween', '1985..1980'));
+    check('reversed days are rejected', rejects('dateBetween', '1985-03-12..1985-03-11'));
+    check('missing separator is rejected', rejects('dateBetween', '1980'));
+    check('invalid day is rejected', rejects('dateBetween', '1985-02-29..1986'));
+    check('non-numeric age is rejected', rejects('ageOver', 'sixty'));
+    console.log('');
+}
+
+function testAges() {
+    console.log('🎂 Age boundaries');
+
+    const today = { year: 2026, month: 10, day: 18 };
+    check('30th birthday today is ageOver 30', matches('ageOver', '30', '1996-10-18', today));
+    check('30th birthday tomorrow is not ageOver 30', !matches('ageOver', '30', '1996-10-19', today));
+    check('30th birthday tomorrow is ageUnder 30', matches('ageUnder', '30', '1996-10-19', today));
+    check('30th birthday today is not ageUnder 30', !matches('ageUnder', '30', '1996-10-18', today));
+    check('born today is ageUnder 1', matches('ageUnder', '1', '2026-10-18', today));
+    check('ageOver and ageUnder of one age never overlap',
+        days('1995-01-01', '1998-12-31').every(date => !(matches('ageOver', '30', date, today) && matches('ageUnder', '30', date, today))));
+
+    // Born on 29 February: a birthday on 1 March in common years
+    const commonYear = { year: 2025, month: 2, day: 28 };
+    check('29 February birth is not yet 25 on 28 February of a common year', !matches('ageOver', '25', '2000-02-29', commonYear));
+    check('... but is ageUnder 25 that day', matches('ageUnder', '25', '2000-02-29', commonYear));
+    check('... and turns 25 on 1 March', matches('ageOver', '25', '2000-02-29', { year: 2025, month: 3, day: 1 }));
+    check('29 February birth turns 24 on 29 February of a leap year', matches('ageOver', '24', '2000-02-29', { year: 2024, month: 2, day: 29 }));
+    check('on 29 February, a 28 February birth a year earlier is 1', matches('ageOver', '1', '2023-02-28', { year: 2024, month: 2, day: 29 }));
+    check('on 29 February, a 1 March birth a year earlier is not 1', !matches('ageOver', '1', '2023-03-01', { year: 2024, month: 2, day: 29 }));
+    console.log('');
+}
+
+function testDateBuckets() {
+    run.start();
+
+    try {
+        testCover();
+        testRangeValues();
+        testAges();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Date ranges and ages resolve to the fewest covering buckets.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testDateBuckets();
+}
+
+module.exports = { testDateBuckets };
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const { HmacKeyring } = require('./src/hmac-keyring.js');
+const { FieldIndexKeys, DERIVED_FIELDS, getFieldAlias } = require('./src/field-index-keys.js');
+const {
+    normalizeFieldValue,
+    normalizeSearchableValue,
+    normalizeFieldQuery,
+    validateFieldValue,
+    registrableDomain
+} = require('./src/field-normalizers.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for the per-field normalizers (src/field-normalizers.js)
+// A query matches a stored value when all its index keys are among the keys generated for
+// that value, which is exactly what Redis and PostgreSQL intersect.
+
+const run = new TestRun('Testing Field Normalizers');
+const { check, checkEqual } = run;
+
+const keys = new FieldIndexKeys(HmacKeyring.fromSecret(crypto.randomBytes(32).toString('base64')));
+
+// Would a search for `query` find the stored `value`? (sub-fields are indexed with their source field)
+function matches(fieldName, op, query, value) {
+    const field = getFieldAlias(fieldName);
+    const queryKeys = keys.keysFor(field, op, query);
+    const indexKeys = new Set(keys.generateAllIndexKeys(DERIVED_FIELDS[field] ? DERIVED_FIELDS[field].source : field, value));
+    return queryKeys.length > 0 && queryKeys.every(key => indexKeys.has(key));
+}
+
+function checkMatch(fieldName, op, query, value, expected = true) {
+    check(`${fieldName} ${op} "${query}" ${expected ? 'finds' : 'does not find'} "${value}"`,
+        matches(fieldName, op, query, value) === expected);
+}
+
+function testPhone() {
+    console.log('📞 Phone (E.164)');
+
+    checkEqual('national number', normalizeFieldValue('phone', '9876543210'), '+919876543210');
+    checkEqual('spaced international', normalizeFieldValue('phone', '+91 98765 43210'), '+919876543210');
+    checkEqual('trunk prefix 0', normalizeFieldValue('phone', '098765-43210'), '+919876543210');
+    checkEqual('00 international prefix', normalizeFieldValue('phone', '0091 98765 43210'), '+919876543210');
+    checkEqual('country code without +', normalizeFieldValue('phone', '(91) 98765.43210'), '+919876543210');
+    checkEqual('other country', normalizeFieldValue('phone', '+1 (415) 555-2671'), '+14155552671');
+
+    checkEqual('prefix fragment is national', normalizeFieldQuery('phone', 'startsWith', '987'), '+91987');
+    checkEqual('international prefix fragment', normalizeFieldQuery('phone', 'startsWith', '+91 987'), '+91987');
+    checkEqual('suffix fragment keeps digits', normalizeFieldQuery('phone', 'endsWith', '432-10'), '43210');
+
+    checkMatch('MOBILE_NUMBER', 'eq', '+91 98765 43210', '9876543210');
+    checkMatch('MOBILE_NUMBER', 'eq', '09876543210', '+91-98765-43210');
+    checkMatch('MOBILE_NUMBER', 'startsWith', '98765', '9876543210');
+    checkMatch('MOBILE_NUMBER', 'startsWith', '+91 98765', '9876543210');
+    checkMatch('MOBILE_NUMBER', 'endsWith', '43210', '+91 98765 43210');
+    checkMatch('MOBILE_NUMBER', 'contains', '765 43', '9876543210');
+    checkMatch('MOBILE_NUMBER', 'eq', '9876543211', '9876543210', false);
+
+    check('E.164 number is valid', validateFieldValue('phone', '98765 43210') === null);
+    check('short number is flagged', validateFieldValue('phone', '12345') !== null);
+    console.log('');
+}
+
+function testEmail() {
+    console.log('📧 Email (local part + domain)');
+
+    checkEqual('case folded', normalizeFieldValue('email', 'John.Doe@Example.COM'), 'john.doe@example.com');
+    checkEqual('gmail ignores dots', normalizeFieldValue('email', 'John.Doe@Gmail.com'), 'johndoe@gmail.com');
+    checkEqual('gmail subaddress and alias domain', normalizeFieldValue('email', 'john.doe+news@googlemail.com'), 'johndoe@gmail.com');
+    checkEqual('outlook subaddress', normalizeFieldValue('email', 'jane+shop@outlook.com'), 'jane@outlook.com');
+    checkEqual('other providers keep dots and tags', normalizeFieldValue('email', 'j.doe+x@company.in'), 'j.doe+x@company.in');
+    checkEqual('trailing dot in domain', normalizeFieldValue('email', 'ravi@yahoo.com.'), 'ravi@yahoo.com');
+    checkEqual('searchable form keeps the local part', normalizeSearchableValue('email', 'John.Doe+news@GoogleMail.com'), 'john.doe+news@gmail.com');
+
+    checkMatch('EMAIL', 'eq', 'John.Doe@Gmail.com', 'johndoe@gmail.com');
+    checkMatch('EMAIL', 'eq', 'johndoe+promo@gmail.com', 'John.Doe@gmail.com');
+    checkMatch('EMAIL', 'eq', 'john.doe@example.com', 'johndoe@example.com', false);
+    checkMatch('EMAIL', 'contains', 'john.doe', 'John.Doe@Gmail.com');
+    checkMatch('EMAIL', 'startsWith', 'John.D', 'john.doe@gmail.com');
+    checkMatch('EMAIL', 'endsWith', '@GMAIL.COM', 'john.doe@gmail.com');
+
+    checkEqual('registrable domain', registrableDomain('mail.example.com'), 'example.com');
+    checkEqual('registrable domain under a two-label suffix', registrableDomain('corp.example.co.in'), 'example.co.in');
+    checkMatch('EMAIL_DOMAIN', 'eq', 'Example.com', 'john@example.com');
+    checkMatch('EMAIL_DOMAIN', 'eq', 'example.com', 'jane@mail.example.com');
+    checkMatch('EMAIL_DOMAIN', 'eq', '@mail.example.com', 'jane@mail.example.com');
+    checkMatch('EMAIL_DOMAIN', 'eq', 'mail.example.com', 'john@example.com', false);
+    checkMatch('EMAIL_DOMAIN', 'eq', 'co.in', 'raj@example.co.in', false);
+    checkMatch('EMAIL_DOMAIN', 'eq', 'gmail.com', 'john@googlemail.com');
+    checkMatch('EMAIL_LOCAL', 'startsWith', 'John.', 'john.doe@gmail.com');
+    checkMatch('EMAIL_LOCAL', 'startsWith', 'gmail', 'john.doe@gmail.com', false);
+
+    check('address is valid', validateFieldValue('email', 'john@example.com') === null);
+    check('missing domain is flagged', validateFieldValue('email', 'john@') !== null);
+    console.log('');
+}
+
+function testIdentifiers() {
+    console.log('🪪 PAN / passport (uppercase)');
+
+    checkEqual('PAN uppercased and compacted', normalizeFieldValue('pan', ' abcde 1234-f '), 'ABCDE1234F');
+    checkEqual('passport uppercased', normalizeFieldValue('passport', 'a1234567'), 'A1234567');
+
+    checkMatch('PAN_CARD', 'eq', 'abcde1234f', 'ABCDE1234F');
+    checkMatch('PAN_CARD', 'startsWith', 'abcde', 'ABCDE1234F');
+    checkMatch('PAN_CARD', 'contains', 'de 12', 'ABCDE1234F');
+    checkMatch('PASSPORT_NUMBER', 'eq', 'a 1234567', 'A1234567');
+
+    check('PAN is valid', validateFieldValue('pan', 'abcde1234f') === null);
+    check('PAN with 4 letters is flagged', validateFieldValue('pan', 'ABCD1234F') !== null);
+    check('passport is valid', validateFieldValue('passport', 'Z7654321') === null);
+    check('short passport is flagged', validateFieldValue('passport', 'A123') !== null);
+    console.log('');
+}
+
+function testAddress() {
+    console.log('🏠 Address (token cleanup)');
+
+    checkEqual('punctuation and abbreviations', normalizeFieldValue('addr', '12, Main St., Apt #4'), '12 main street apartment 4');
+    checkEqual('whitespace collapsed', normalizeFieldValue('addr', '  221B   Baker   Street '), '221b baker street');
+    checkEqual('last contains token may be cut off', normalizeFieldQuery('addr', 'contains', 'main st'), 'main st');
+    checkEqual('complete tokens expanded', normalizeFieldQuery('addr', 'endsWith', 'lake rd.'), 'lake road');
+
+    checkMatch('ADDRESS', 'eq', '12 Main Street, Apartment 4', '12, Main St., Apt #4');
+    checkMatch('ADDRESS', 'contains', 'main st', '12 Main Street');
+    checkMatch('ADDRESS', 'contains', 'apt 4', 'Apt 4, Lake Rd');
+    checkMatch('ADDRESS', 'endsWith', 'Lake Rd.', 'Apt 4, Lake Road');
+    checkMatch('ADDRESS', 'startsWith', '12, main', '12 Main Street');
+    checkMatch('ADDRESS', 'hasWord', 'Karnataka', '12 MG Road, Bengaluru, Karnataka, 560001');
+    checkMatch('ADDRESS', 'hasWord', '560001', '12 MG Road, Bengaluru, Karnataka, 560001');
+    checkMatch('ADDRESS', 'hasWord', 'mg rd', '12 MG Road, Bengaluru');
+    checkMatch('ADDRESS', 'wordStartsWith', 'benga', '12 MG Road, Bengaluru');
+    checkMatch('ADDRESS', 'hasWord', 'benga', '12 MG Road, Bengaluru', false);
+    console.log('');
+}
+
+function testDefaults() {
+    console.log('🔤 Fields without a normalizer');
+
+    checkEqual('names are trimmed and lowercased', normalizeFieldValue('fn', '  JOHN '), 'john');
+    checkEqual('full-width letters folded (NFKC)', normalizeFieldValue('city', 'Ｐｕｎｅ'), 'pune');
+    check('no validation for names', validateFieldValue('fn', '???') === null);
+    checkMatch('FIRST_NAME', 'eq', 'John', ' john ');
+    console.log('');
+}
+
+async function testFieldNormalizers() {
+    run.start();
+
+    try {
+        testPhone();
+        testEmail();
+        testIdentifiers();
+        testAddress();
+        testDefaults();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Index-time and query-time normalization agree for every field.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testFieldNormalizers().catch(console.error);
+}
+
+module.exports = { testFieldNormalizers };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const { FieldAwareRedisIndexer } = require('./src/field-aware-redis-indexer.js');
+const { diceScore, minMatchingGrams, valueGramRange } = require('./src/fuzzy-search.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for fuzzy search scoring (src/fuzzy-search.js) through the Redis indexer's
+// searchFieldFuzzy, run against an in-memory index (no Redis needed)
+
+const run = new TestRun('Testing Fuzzy Search');
+const { check, checkEqual } = run;
+
+const NAMES = { T1: 'Steven', T2: 'Stephen', T3: 'Stevenson', T4: 'Steve', T5: 'Ravi' };
+
+// Just enough of a node-redis client for the fuzzy lookup: ZUNIONSTORE, ZRANGE BYSCORE, SMISMEMBER
+class MemoryRedis {
+    constructor(sets) {
+        this.sets = sets;
+        this.zsets = new Map();
+    }
+
+    multi() {
+        const commands = [];
+        const transaction = {
+            zUnionStore: (destination, keys) => {
+                commands.push(() => {
+                    const scores = new Map();
+                    keys.forEach(key => (this.sets.get(key) || new Set()).forEach(token => scores.set(token, (scores.get(token) || 0) + 1)));
+                    this.zsets.set(destination, scores);
+                    return scores.size;
+                });
+                return transaction;
+            },
+            zRangeWithScores: (key, max, min) => {
+                commands.push(() => Array.from(this.zsets.get(key) || [], ([value, score]) => ({ value, score }))
+                    .filter(({ score }) => score >= min)
+                    .sort((a, b) => b.score - a.score));
+                return transaction;
+            },
+            del: (key) => {
+                commands.push(() => Number(this.zsets.delete(key)));
+                return transaction;
+            },
+            smIsMember: (key, members) => {
+                commands.push(() => members.map(member => Number((this.sets.get(key) || new Set()).has(member))));
+                return transaction;
+            },
+            exec: async () => commands.map(command => command())
+        };
+        return transaction;
+    }
+}
+
+const indexer = new FieldAwareRedisIndexer({ host: 'memory', port: 6379 }, crypto.randomBytes(32).toString('base64'));
+const sets = new Map();
+for (const [token, name] of Object.entries(NAMES)) {
+    for (const key of indexer.keys.generateAllIndexKeys('fn', name)) {
+        if (!sets.has(key)) sets.set(key, new Set());
+        sets.get(key).add(token);
+    }
+}
+indexer.redis = new MemoryRedis(sets);
+
+async function scoresFor(query, minScore) {
+    const matches = await indexer.searchFieldFuzzy('FIRST_NAME', query, undefined, { minScore });
+    return new Map(matches.map(({ token, score }) => [NAMES[token], score]));
+}
+
+function testScore() {
+    console.log('🎯 Dice score');
+
+    checkEqual('"steven" vs "stephen": 5 matches, 7 + 8 grams', Math.round(diceScore(5, 7, 8) * 1000) / 1000, 0.667);
+    checkEqual('equal gram counts score the share of matches', diceScore(8, 11, 11), 8 / 11);
+    checkEqual('fewest matches for 0.6 of 7 query grams', minMatchingGrams(7, 0.6), 3);
+    checkEqual('every gram is needed for a score of 1', minMatchingGrams(7, 1), 7);
+    checkEqual('value gram counts that can reach 0.6', JSON.stringify(valueGramRange(7, 0.6)), JSON.stringify({ min: 3, max: 16 }));
+    checkEqual('only the query length can reach 1', JSON.stringify(valueGramRange(7, 1)), JSON.stringify({ min: 7, max: 7 }));
+    console.log('');
+}
+
+async function testRanking() {
+    console.log('📊 Ranking');
+
+    const scores = await scoresFor('steven', 0.6);
+    checkEqual('exact value scores 1', scores.get('Steven'), 1);
+    check('a longer value sharing the query\'s grams ranks below the exact value', scores.get('Stevenson') < scores.get('Steven'));
+    checkEqual('"stevenson" has all 7 query grams among its own 10', scores.get('Stevenson'), 0.824);
+    checkEqual('"stephen"', scores.get('Stephen'), 0.667);
+    check('unrelated value is not returned', !scores.has('Ravi'));
+
+    const strict = await scoresFor('steven', 0.9);
+    checkEqual('minScore drops the looser matches', Array.from(strict.keys()).join(','), 'Steven');
+
+    const short = await scoresFor('steve', 0.6);
+    check('"steve" ranks the exact value above the longer ones',
+        short.get('Steve') === 1 && short.get('Steven') < 1 && short.get('Stevenson') < short.get('Steven'));
+    console.log('');
+}
+
+async function testFuzzySearch() {
+    run.start();
+
+    try {
+        testScore();
+        await testRanking();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Fuzzy scores weigh the matches against both the query and the value.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testFuzzySearch().catch(console.error);
+}
+
+module.exports = { testFuzzySearch };
@@ -0,0 +1,57 @@
+// Shared pass/fail bookkeeping for the check-style test scripts (test-*.js)
+// Each script creates one TestRun, reports checks through it and ends with summary().
+
+class TestRun {
+    constructor(title) {
+        this.title = title;
+        this.passed = 0;
+        this.failed = 0;
+
+        // Bound so scripts can destructure them: const { check, checkEqual } = run;
+        this.check = this.check.bind(this);
+        this.checkEqual = this.checkEqual.bind(this);
+    }
+
+    start() {
+        console.log(`🧪 ${this.title}`);
+        console.log(`${'='.repeat(this.title.length + 3)}\n`);
+    }
+
+    check(description, condition) {
+        if (condition) {
+            this.passed++;
+            console.log(`   ✅ ${description}`);
+        } else {
+            this.failed++;
+            console.log(`   ❌ ${description}`);
+        }
+    }
+
+    // Check with the actual value in the description and the expected one printed on failure
+    checkEqual(description, actual, expected) {
+        this.check(`${description} → ${JSON.stringify(actual)}`, actual === expected);
+        if (actual !== expected) console.log(`      expected ${JSON.stringify(expected)}`);
+    }
+
+    // An error that stopped the run counts as a failure
+    abort(error) {
+        this.failed++;
+        console.error(`❌ Test run failed: ${error.message}`);
+    }
+
+    // Print the totals; a failed run sets a non-zero exit code
+    summary(successMessage) {
+        console.log('📋 Test Summary');
+        console.log('===============');
+        console.log(`✅ Tests passed: ${this.passed}`);
+        console.log(`❌ Tests failed: ${this.failed}`);
+
+        if (this.failed === 0) {
+            console.log(`\n🎉 ${successMessage}`);
+        } else {
+            process.exitCode = 1;
+        }
+    }
+}
+
+module.exports = { TestRun };
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+const { PIIMasker, loadMaskingRules, validateMaskingRules } = require('./src/masking.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for format-preserving masking (src/masking.js) with config/masking-rules.json,
+// on plaintext values as detokenization passes them after decryption
+
+const run = new TestRun('Testing Masking');
+const { check } = run;
+
+const masker = new PIIMasker(loadMaskingRules());
+
+function checkMask(fieldType, value, expected, role = null) {
+    const actual = masker.mask(fieldType, value, role);
+    check(`${fieldType} "${value}"${role ? ` (${role})` : ''} → ${JSON.stringify(actual)}`, actual === expected);
+    if (actual !== expected) console.log(`      expected ${JSON.stringify(expected)}`);
+}
+
+function testDefaultRules() {
+    console.log('🎭 Default rules');
+
+    checkMask('MOBILE_NUMBER', '9876543210', '98****3210');
+    checkMask('MOBILE_NUMBER', '+91 98765 43210', '+91 98*** *3210');
+    checkMask('PHONE', '098765-43210', '098***-*3210');
+    checkMask('EMAIL', 'steve@gmail.com', 's****@gmail.com');
+    checkMask('EMAIL', 'steve.rogers@example.co.in', 's***********@example.co.in');
+    checkMask('PAN_CARD', 'ABCDE1234F', '******234F');
+    checkMask('PASSPORT_NUMBER', 'A1234567', 'A*****67');
+    checkMask('DATE_OF_BIRTH', '1985-03-12', '1985-**-**');
+    checkMask('ADDRESS', '12 MG Road, Pune, 411001', '** ** ****, Pune, 411001');
+    checkMask('FIRST_NAME', 'Shaan', 'S****');
+    checkMask('COUNTRY', 'India', '*****');
+    console.log('');
+}
+
+function testShortValues() {
+    console.log('📏 Values too short for their rule');
+
+    checkMask('FIRST_NAME', 'L', '*');
+    checkMask('PAN_CARD', 'AB12', '****');
+    checkMask('EMAIL', 's@x.com', '*@x.com');
+    checkMask('DATE_OF_BIRTH', '12/03/1985', '**/**/****');
+    console.log('');
+}
+
+function testRoleRules() {
+    console.log('👤 Per-role rules');
+
+    checkMask('DATE_OF_BIRTH', '1985-03-12', '****-03-12', 'support-agent');
+    checkMask('ADDRESS', '12 MG Road, Pune, 411001', '** ** ****, ****, 411001', 'support-agent');
+    checkMask('CREDIT_CARD', '4111111111111111', null, 'support-agent');
+    checkMask('MOBILE_NUMBER', '9876543210', '98****3210', 'support-agent');
+    checkMask('PAN_CARD', 'ABCDE1234F', 'ABC*****4F', 'fraud-analyst');
+    checkMask('EMAIL', 'steve@gmail.com', null, 'auditor');
+    checkMask('EMAIL', 'steve@gmail.com', 's****@gmail.com', 'unknown-role');
+    check('hidden fields are reported before decryption', masker.hides('CREDIT_CARD', 'support-agent') && !masker.hides('CREDIT_CARD'));
+    console.log('');
+}
+
+function testValidation() {
+    console.log('🧾 Rule validation');
+
+    const rejects = (rules) => {
+        try {
+            validateMaskingRules(rules);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+
+    check('unknown strategy is rejected', rejects({ default: { EMAIL: { strategy: 'scramble' } } }));
+    check('negative keepEnd is rejected', rejects({ default: { PAN_CARD: { strategy: 'characters', keepEnd: -1 } } }));
+    check('unknown date part is rejected', rejects({ roles: { x: { DATE_OF_BIRTH: { strategy: 'date', keep: ['week'] } } } }));
+    check('multi-character maskChar is rejected', rejects({ maskChar: '**', default: {} }));
+    check('shipped rules are valid', !rejects(loadMaskingRules()));
+    console.log('');
+}
+
+async function testMasking() {
+    run.start();
+
+    try {
+        testDefaultRules();
+        testShortValues();
+        testRoleRules();
+        testValidation();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Every field is masked as its rules describe.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testMasking().catch(console.error);
+}
+
+module.exports = { testMasking };
@@ -35,21 +35,23 @@ async function quickPerformanceTest() {
             await new Promise(resolve => setTimeout(resolve, 500));
         }
 
-        // Quick summary
+        // Quick summary (each candidate backend vs the reference backend)
         let totalSpeedup = 0;
         let validTests = 0;
 
         results.forEach(result => {
-            if (result.dbResult.executionTime && result.redisResult.executionTime) {
-                totalSpeedup += result.dbResult.executionTime / result.redisResult.executionTime;
+            const [referenceResult, candidateResult] = result.results;
+            if (candidateResult && referenceResult.executionTime && candidateResult.executionTime) {
+                totalSpeedup += referenceResult.executionTime / candidateResult.executionTime;
                 validTests++;
             }
         });
 
         if (validTests > 0) {
+            const [reference, candidate] = tester.backends.map(backend => backend.name);
             const avgSpeedup = (totalSpeedup / validTests).toFixed(2);
             console.log(`\n🎯 Quick Test Summary:`);
-            console.log(`   Average speedup: ${avgSpeedup}x faster with Redis`);
+            console.log(`   Average speedup: ${avgSpeedup}x faster with ${candidate} than ${reference}`);
             console.log(`   Tests completed: ${validTests}/${quickTests.length}`);
         }
 
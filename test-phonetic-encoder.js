@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const { HmacKeyring } = require('./src/hmac-keyring.js');
+const { FieldIndexKeys } = require('./src/field-index-keys.js');
+const { phoneticCode, supportsPhonetic } = require('./src/phonetic-encoder.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for the phonetic name codes behind soundsLike (src/phonetic-encoder.js)
+
+const run = new TestRun('Testing Phonetic Encoder');
+const { check, checkEqual } = run;
+
+const keys = new FieldIndexKeys(HmacKeyring.fromSecret(crypto.randomBytes(32).toString('base64')));
+
+function checkSame(a, b) {
+    check(`${a} sounds like ${b} (${phoneticCode(a)})`, phoneticCode(a) !== '' && phoneticCode(a) === phoneticCode(b));
+}
+
+function checkDifferent(a, b) {
+    check(`${a} (${phoneticCode(a)}) does not sound like ${b} (${phoneticCode(b)})`, phoneticCode(a) !== phoneticCode(b));
+}
+
+// Would fn soundsLike `query` find the stored `value`?
+function soundsLike(query, value) {
+    const queryKeys = keys.keysFor('fn', 'soundsLike', query);
+    const indexKeys = new Set(keys.generateAllIndexKeys('fn', value));
+    return queryKeys.length > 0 && queryKeys.every(key => indexKeys.has(key));
+}
+
+function testIndianNames() {
+    console.log('🇮🇳 Romanized Indian names');
+
+    checkSame('Shrinivas', 'Srinivas');
+    checkSame('Sreenivas', 'Srinivas');
+    checkSame('Chaudhary', 'Chowdhury');
+    checkSame('Lakshmi', 'Laxmi');
+    checkSame('Jyoti', 'Jyothi');
+    checkSame('Ashwin', 'Ashvin');
+    checkSame('Rammesh', 'Ramesh');
+    console.log('');
+}
+
+function testSpellingRules() {
+    console.log('🔡 Spelling rules');
+
+    checkSame('Steven', 'Stephen');
+    checkSame('Smith', 'Smyth');
+    checkSame('Zhang', 'Jang');
+    checkSame('José', 'Jose');
+    checkEqual('soft c before e/i', phoneticCode('Cecil'), 'SSL');
+    checkEqual('leading vowel', phoneticCode('Anand'), 'ANND');
+    checkEqual('words are encoded one by one', phoneticCode('Sita  Ram'), 'ST RM');
+    checkEqual('no letters, no code', phoneticCode('123'), '');
+
+    checkDifferent('Chandra', 'Kandra');
+    checkDifferent('Sharma', 'Verma');
+    checkDifferent('Ravi', 'Rahul');
+    checkDifferent('Kumar', 'Kamal');
+    console.log('');
+}
+
+function testIndexKeys() {
+    console.log('🔑 soundsLike index keys');
+
+    check('name fields get a phonetic key', supportsPhonetic('fn') && supportsPhonetic('name'));
+    check('other fields do not', !supportsPhonetic('city') && !supportsPhonetic('email'));
+    check('fn soundsLike "Srinivas" finds "Shrinivas"', soundsLike('Srinivas', 'Shrinivas'));
+    check('fn soundsLike "chowdhury" finds "CHAUDHARY"', soundsLike('chowdhury', 'CHAUDHARY'));
+    check('fn soundsLike "Laxmi" does not find "Lakshman"', !soundsLike('Laxmi', 'Lakshman'));
+    checkEqual('a query without letters has no keys', keys.keysFor('fn', 'soundsLike', '42').length, 0);
+    console.log('');
+}
+
+function testPhoneticEncoder() {
+    run.start();
+
+    try {
+        testIndianNames();
+        testSpellingRules();
+        testIndexKeys();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Spelling variants share one phonetic code.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testPhoneticEncoder();
+}
+
+module.exports = { testPhoneticEncoder };
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+const {
+    parseQueryExpression,
+    formatQueryExpression,
+    evaluateQueryExpression,
+    conditionsToExpression,
+    tokenize
+} = require('./src/query-expression.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for boolean query expressions (src/query-expression.js): tokenizer,
+// precedence, error positions, the NOT placement rules and set evaluation
+
+const run = new TestRun('Testing Query Expressions');
+const { check, checkEqual } = run;
+
+// The QueryExpressionError of a rejected expression, null when it parses
+function parseError(text) {
+    try {
+        parseQueryExpression(text);
+        return null;
+    } catch (error) {
+        if (error.name !== 'QueryExpressionError') throw error;
+        return error;
+    }
+}
+
+function checkFormat(description, text, expected) {
+    checkEqual(description, formatQueryExpression(parseQueryExpression(text)), expected);
+}
+
+function checkRejected(description, text, position = null) {
+    const error = parseError(text);
+    check(`${description}: ${text}`, error !== null && error.position === position);
+    if (error !== null && error.position !== position) console.log(`      ${error.message}`);
+}
+
+function testTokenizer() {
+    console.log('🔤 Tokenizer');
+
+    const tokens = tokenize('(fn eq "a b") and not ln');
+    checkEqual('token types', tokens.map(token => token.type).join(' '), '( word word string ) AND NOT word end');
+    checkEqual('token positions', tokens.map(token => token.position).join(' '), '0 1 4 7 12 14 18 22 24');
+    checkEqual('quoted value keeps spaces', tokens[3].value, 'a b');
+    checkEqual('escaped quote', tokenize('"say \\"hi\\""')[0].value, 'say "hi"');
+    checkEqual('single quotes', tokenize('\'o"neil\'')[0].value, 'o"neil');
+    console.log('');
+}
+
+function testPrecedence() {
+    console.log('🧮 Precedence and round-trips');
+
+    checkFormat('AND binds tighter than OR', 'fn eq "a" OR ln eq "b" AND city eq "c"',
+        'fn eq "a" OR (ln eq "b" AND city eq "c")');
+    checkFormat('parentheses group', '(fn eq "a" OR ln eq "b") AND city eq "c"',
+        '(fn eq "a" OR ln eq "b") AND city eq "c"');
+    checkFormat('NOT binds tighter than AND', 'fn eq "a" AND NOT ln eq "b" AND city eq "c"',
+        'fn eq "a" AND NOT ln eq "b" AND city eq "c"');
+    checkFormat('NOT of a group', 'fn eq "a" AND NOT (ln eq "b" OR city eq "c")',
+        'fn eq "a" AND NOT (ln eq "b" OR city eq "c")');
+    checkFormat('keywords and operations are case-insensitive', 'fn EQUALS "a" and ln starts_with "b"',
+        'fn eq "a" AND ln startsWith "b"');
+    checkFormat('double negation cancels', 'NOT NOT fn eq "a"', 'fn eq "a"');
+    checkFormat('field names resolve like aliases', 'FIRST_NAME partial "ste"', 'FIRST_NAME contains "ste"');
+
+    const text = '(fn startsWith "ste" AND ln endsWith "son") OR email contains "gmail" AND NOT city eq "pune"';
+    const formatted = formatQueryExpression(parseQueryExpression(text));
+    checkEqual('format output parses to the same expression', formatQueryExpression(parseQueryExpression(formatted)), formatted);
+    checkEqual('quotes in values survive a round-trip',
+        parseQueryExpression(formatQueryExpression(parseQueryExpression('ln eq "o\\"neil"'))).value, 'o"neil');
+
+    checkEqual('condition list joined by OR',
+        formatQueryExpression(conditionsToExpression([
+            { field: 'fn', operation: 'starts_with', value: 'ste' },
+            { field: 'city', operation: 'exact', value: 'pune' }
+        ], 'OR')),
+        'fn startsWith "ste" OR city eq "pune"');
+    console.log('');
+}
+
+function testErrors() {
+    console.log('📍 Error positions');
+
+    checkRejected('empty expression', '   ', 0);
+    checkRejected('unknown field', 'fn eq "a" AND zz eq "b"', 14);
+    checkRejected('unknown operation', 'fn like "a"', 3);
+    checkRejected('inherited property is no operation', 'fn constructor "a"', 3);
+    checkRejected('unquoted value', 'fn eq steve', 6);
+    checkRejected('empty value', 'fn eq "  "', 6);
+    checkRejected('unterminated string', 'fn eq "steve', 6);
+    checkRejected('missing closing parenthesis', '(fn eq "a" OR ln eq "b"', 23);
+    checkRejected('trailing condition without operator', 'fn eq "a" ln eq "b"', 10);
+    checkRejected('dangling AND', 'fn eq "a" AND', 13);
+    checkRejected('operation the field has no keys for', 'city soundsLike "pune"', 5);
+    checkRejected('unparseable date range', 'dob dateBetween "soon"', 16);
+    console.log('');
+}
+
+function testNegation() {
+    console.log('🚫 NOT placement');
+
+    checkRejected('bare NOT', 'NOT fn eq "a"');
+    checkRejected('NOT in an OR', 'fn eq "a" OR NOT ln eq "b"');
+    checkRejected('AND of negations only', 'NOT fn eq "a" AND NOT ln eq "b"');
+    checkRejected('NOT in an OR group of an AND', 'fn eq "a" AND (NOT ln eq "b" OR city eq "c")');
+    check('NOT next to a positive operand parses', parseError('fn eq "a" AND NOT ln eq "b"') === null);
+    check('NOT inside a nested AND parses', parseError('city eq "x" OR (fn eq "a" AND NOT ln eq "b")') === null);
+    console.log('');
+}
+
+async function testEvaluation() {
+    console.log('🧪 Evaluation');
+
+    // Tokens each condition matches, by "field value"
+    const index = {
+        'fn a': ['T1', 'T2', 'T3'],
+        'ln b': ['T2', 'T3', 'T4'],
+        'city c': ['T3', 'T5'],
+        'city d': []
+    };
+    const searched = [];
+    const searchCondition = async (field, operation, value) => {
+        searched.push(`${field} ${value}`);
+        return index[`${field} ${value}`] || [];
+    };
+    const evaluate = async (text) => Array.from(await evaluateQueryExpression(parseQueryExpression(text), searchCondition)).sort().join(',');
+
+    checkEqual('AND intersects', await evaluate('fn eq "a" AND ln eq "b"'), 'T2,T3');
+    checkEqual('OR unites', await evaluate('fn eq "a" OR city eq "c"'), 'T1,T2,T3,T5');
+    checkEqual('AND NOT subtracts', await evaluate('fn eq "a" AND NOT city eq "c"'), 'T1,T2');
+    checkEqual('nested groups', await evaluate('(fn eq "a" AND NOT ln eq "b") OR city eq "c"'), 'T1,T3,T5');
+    checkEqual('NOT of a group', await evaluate('ln eq "b" AND NOT (fn eq "a" OR city eq "c")'), 'T4');
+    checkEqual('empty operand empties an AND', await evaluate('fn eq "a" AND city eq "d"'), '');
+
+    searched.length = 0;
+    await evaluate('city eq "c" OR fn eq "a"');
+    checkEqual('conditions are searched in expression order', searched.join(' | '), 'city c | fn a');
+    console.log('');
+}
+
+async function testQueryExpression() {
+    run.start();
+
+    try {
+        testTokenizer();
+        testPrecedence();
+        testErrors();
+        testNegation();
+        await testEvaluation();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Query expressions parse, format and evaluate as specified.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testQueryExpression().catch(console.error);
+}
+
+module.exports = { testQueryExpression };
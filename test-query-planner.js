@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const { HmacKeyring } = require('./src/hmac-keyring.js');
+const { FieldIndexKeys } = require('./src/field-index-keys.js');
+const { parseQueryExpression, evaluateQueryExpression } = require('./src/query-expression.js');
+const { QueryPlanner, RedisPlanExecutor } = require('./src/query-planner.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for the query planner (src/query-planner.js): operand ordering by key
+// cardinality, short-circuiting on empty intersections, and the Redis set-operation push-down,
+// all against an in-memory index (no Redis or PostgreSQL needed)
+
+const run = new TestRun('Testing Query Planner');
+const { check, checkEqual } = run;
+
+const PEOPLE = [
+    { token: 'T1', fn: 'Zara', ln: 'Shah', city: 'Pune' },
+    { token: 'T2', fn: 'Steve', ln: 'Shah', city: 'Pune' },
+    { token: 'T3', fn: 'Steven', ln: 'Jobson', city: 'Pune' },
+    { token: 'T4', fn: 'Stella', ln: 'Patel', city: 'Pune' },
+    { token: 'T5', fn: 'Ravi', ln: 'Shah', city: 'Delhi' },
+    { token: 'T6', fn: 'Anita', ln: 'Patel', city: 'Pune' }
+];
+
+// Index keys → tokens, as the Redis sets would hold them
+function buildIndex(keys) {
+    const sets = new Map();
+    for (const person of PEOPLE) {
+        for (const field of ['fn', 'ln', 'city']) {
+            for (const key of keys.generateAllIndexKeys(field, person[field])) {
+                if (!sets.has(key)) sets.set(key, new Set());
+                sets.get(key).add(person.token);
+            }
+        }
+    }
+    return sets;
+}
+
+// Planner store over the in-memory index; logs every fetch as "<field> <candidates>"
+class MemoryPlanStore {
+    constructor(keys, sets) {
+        this.keys = keys;
+        this.sets = sets;
+        this.fetches = [];
+    }
+
+    async keyCardinalities(keys) {
+        return new Map(keys.map(key => [key, this.sets.has(key) ? this.sets.get(key).size : 0]));
+    }
+
+    async fetchKeyGroup(keys, tenantId, candidates = null) {
+        const field = keys[0].split(':')[2];
+        this.fetches.push(`${field} ${candidates ? Array.from(candidates).sort().join(',') || '-' : '*'}`);
+
+        const [first, ...rest] = keys.map(key => this.sets.get(key) || new Set());
+        return new Set([...first].filter(token =>
+            rest.every(set => set.has(token)) && (!candidates || candidates.has(token))));
+    }
+}
+
+// Just enough of a node-redis client for RedisPlanExecutor; logs every set-operation command
+class MemoryRedis {
+    constructor(sets) {
+        this.sets = new Map(Array.from(sets, ([key, tokens]) => [key, new Set(tokens)]));
+        this.commands = [];
+        this.expiring = new Set();
+    }
+
+    members(key) {
+        return this.sets.get(key) || new Set();
+    }
+
+    // Stores the result like Redis: an empty result leaves no key behind
+    storeSet(command, destination, keys) {
+        this.commands.push(command);
+        const sets = keys.map(key => this.members(key));
+        let result;
+        if (command === 'sInterStore') {
+            result = [...sets[0]].filter(token => sets.every(set => set.has(token)));
+        } else if (command === 'sUnionStore') {
+            result = sets.flatMap(set => [...set]);
+        } else {
+            result = [...sets[0]].filter(token => sets.slice(1).every(set => !set.has(token)));
+        }
+
+        this.sets.delete(destination);
+        if (result.length > 0) this.sets.set(destination, new Set(result));
+        return this.members(destination).size;
+    }
+
+    multi() {
+        const replies = [];
+        const transaction = {
+            expire: (key) => {
+                this.expiring.add(key);
+                replies.push(1);
+                return transaction;
+            },
+            exec: async () => replies
+        };
+        for (const command of ['sInterStore', 'sUnionStore', 'sDiffStore']) {
+            transaction[command] = (destination, keys) => {
+                replies.push(this.storeSet(command, destination, keys));
+                return transaction;
+            };
+        }
+        return transaction;
+    }
+
+    async sMembers(key) {
+        return Array.from(this.members(key));
+    }
+
+    async del(keys) {
+        [].concat(keys).forEach(key => this.sets.delete(key));
+    }
+}
+
+const keys = new FieldIndexKeys(HmacKeyring.fromSecret(crypto.randomBytes(32).toString('base64')));
+const sets = buildIndex(keys);
+
+// Reference result of an expression: plain set evaluation of every condition
+async function expected(text) {
+    const tokens = await evaluateQueryExpression(parseQueryExpression(text), async (field, operation, value) => {
+        const groups = keys.keyGroupsFor(field, operation, value);
+        return PEOPLE.map(person => person.token).filter(token =>
+            groups.some(group => group.every(key => sets.has(key) && sets.get(key).has(token))));
+    });
+    return Array.from(tokens).sort().join(',');
+}
+
+async function testPlanning() {
+    console.log('🗺️  Planning');
+
+    const store = new MemoryPlanStore(keys, sets);
+    const planner = new QueryPlanner(store);
+
+    const plan = await planner.plan(parseQueryExpression('city eq "pune" AND ln eq "shah" AND fn eq "zara"'));
+    checkEqual('AND operands sorted by estimate', plan.children.map(child => child.condition.field).join(' '), 'fn ln city');
+    checkEqual('AND estimate is its most selective operand', plan.estimate, 1);
+
+    const contains = await planner.plan(parseQueryExpression('fn contains "steve"'));
+    checkEqual('contains estimate is its smallest k-gram key', contains.estimate, 2);
+
+    const missing = await planner.plan(parseQueryExpression('fn eq "nobody" OR ln eq "shah" AND NOT city eq "mumbai"'));
+    checkEqual('OR drops operands that match nothing', missing.children.length, 1);
+    checkEqual('AND drops exclusions that match nothing', missing.children[0].excluded.length, 0);
+    console.log('');
+}
+
+async function testExecution() {
+    console.log('⚙️  Planner execution');
+
+    // Token level keeps the logged candidates to the indexed tokens (no per-field subject tokens)
+    const store = new MemoryPlanStore(keys, sets);
+    const planner = new QueryPlanner(store, { level: 'token' });
+    const runQuery = async (text) => {
+        store.fetches = [];
+        return Array.from(await planner.run(parseQueryExpression(text))).sort().join(',');
+    };
+
+    const ordered = 'city eq "pune" AND ln eq "shah" AND fn startsWith "ste"';
+    checkEqual('AND result', await runQuery(ordered), await expected(ordered));
+    checkEqual('selective operand fetched first, later ones only for its matches',
+        store.fetches.join(' | '), 'ln * | fn T1,T2,T5 | city T2');
+
+    const empty = 'city eq "pune" AND fn eq "ravi" AND ln eq "patel"';
+    checkEqual('empty intersection', await runQuery(empty), '');
+    checkEqual('evaluation stops at the first empty intersection', store.fetches.join(' | '), 'fn * | ln T5');
+
+    await runQuery('fn eq "ravi" AND ln eq "shah" AND city eq "pune" AND NOT fn eq "zara"');
+    checkEqual('exclusions are skipped once the result is empty', store.fetches.join(' | '), 'fn * | ln T5 | city T5');
+
+    await runQuery('fn eq "nobody" AND city eq "pune"');
+    checkEqual('operand without index keys skips the whole AND', store.fetches.length, 0);
+
+    // Subject level (default) gives the same persons for these single-token records
+    const subjects = new QueryPlanner(new MemoryPlanStore(keys, sets));
+    for (const text of [
+        'ln eq "shah" AND NOT fn eq "zara"',
+        '(fn startsWith "ste" AND NOT ln eq "shah") OR city eq "delhi"',
+        'fn contains "ste" AND NOT (ln eq "jobson" OR city eq "delhi")',
+        'ln eq "patel" OR fn eq "ravi" OR fn eq "nobody"'
+    ]) {
+        const tokens = Array.from(await subjects.run(parseQueryExpression(text))).sort().join(',');
+        checkEqual(`matches plain evaluation: ${text}`, tokens, await expected(text));
+    }
+    console.log('');
+}
+
+async function testRedisPushDown() {
+    console.log('🟥 Redis push-down');
+
+    const planner = new QueryPlanner(new MemoryPlanStore(keys, sets), { level: 'token' });
+    const runRedis = async (text) => {
+        const redis = new MemoryRedis(sets);
+        const executor = new RedisPlanExecutor(redis);
+        const tokens = await executor.execute(await planner.plan(parseQueryExpression(text)));
+        return {
+            tokens: tokens.sort().join(','),
+            commands: redis.commands.join(' '),
+            leftover: executor.tempKeys.filter(key => redis.sets.has(key)).length,
+            unexpiring: executor.tempKeys.filter(key => !redis.expiring.has(key)).length
+        };
+    };
+
+    const single = await runRedis('ln eq "shah"');
+    checkEqual('single key is read directly', single.commands, '');
+    checkEqual('single key result', single.tokens, 'T1,T2,T5');
+
+    const and = await runRedis('city eq "pune" AND ln eq "shah" AND fn startsWith "ste"');
+    checkEqual('single-key operands share one SINTERSTORE', and.commands, 'sInterStore');
+    checkEqual('AND result', and.tokens, 'T2');
+
+    const not = 'city eq "pune" AND ln eq "shah" AND NOT fn eq "zara"';
+    const diff = await runRedis(not);
+    checkEqual('NOT becomes SDIFFSTORE', diff.commands, 'sInterStore sDiffStore');
+    checkEqual('AND NOT result', diff.tokens, await expected(not));
+
+    const empty = await runRedis('city eq "delhi" AND fn eq "zara" AND NOT ln eq "patel"');
+    checkEqual('no SDIFFSTORE after an empty intersection', empty.commands, 'sInterStore');
+    checkEqual('empty intersection result', empty.tokens, '');
+
+    const or = 'fn contains "stev" OR ln eq "patel"';
+    const union = await runRedis(or);
+    checkEqual('contains group intersected, then united', union.commands, 'sInterStore sUnionStore');
+    checkEqual('OR result', union.tokens, await expected(or));
+
+    check('temporary keys are removed afterwards', [and, diff, empty, union].every(result => result.leftover === 0));
+    check('every temporary key gets an expiry', [and, diff, empty, union].every(result => result.unexpiring === 0));
+    console.log('');
+}
+
+async function testQueryPlanner() {
+    run.start();
+
+    try {
+        await testPlanning();
+        await testExecution();
+        await testRedisPushDown();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Plans run the most selective operands first and push set operations down to Redis.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testQueryPlanner().catch(console.error);
+}
+
+module.exports = { testQueryPlanner };
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+const { RateLimiter, MemoryRateLimitStore, loadRateLimits, validateRateLimits } = require('./src/rate-limiter.js');
+const { TestRun } = require('./test-harness.js');
+
+// Regression tests for sliding-window rate limiting (src/rate-limiter.js) on the in-memory store
+
+const run = new TestRun('Testing Rate Limiter');
+const { check } = run;
+
+const limits = {
+    default: { limit: 3, windowSeconds: 60 },
+    clients: { partner: { limit: 5, windowSeconds: 60 } },
+    fields: { SSN: { limit: 1, windowSeconds: 10 } }
+};
+
+// The RateLimitError of a rejected consume, null when it is allowed
+async function rejection(limiter, ...args) {
+    try {
+        await limiter.consume(...args);
+        return null;
+    } catch (error) {
+        if (error.name !== 'RateLimitError') throw error;
+        return error;
+    }
+}
+
+async function testClientQuota() {
+    console.log('👤 Client quotas');
+
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), limits);
+    const first = await limiter.consume('alice');
+    check('first search is allowed with 2 remaining', first.remaining === 2);
+    await limiter.consume('alice');
+    await limiter.consume('alice');
+
+    const error = await rejection(limiter, 'alice');
+    check('fourth search in the window is rejected', error !== null && error.scope === 'client');
+    check('rejection reports Retry-After of the oldest search', error !== null && error.retryAfter === 60);
+    check('other clients keep their own quota', await rejection(limiter, 'bob') === null);
+
+    for (let i = 0; i < 5; i++) await limiter.consume('partner');
+    check('per-client quota replaces the default', await rejection(limiter, 'partner') !== null);
+    console.log('');
+}
+
+async function testFieldQuota() {
+    console.log('🏷️  Field quotas');
+
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), limits);
+    await limiter.consume('alice', ['SSN']);
+
+    const error = await rejection(limiter, 'alice', ['ssn']);
+    check('second SSN search is rejected by the field quota', error !== null && error.scope === 'field' && error.fieldType === 'SSN');
+    check('field rejection retries after the field window', error !== null && error.retryAfter === 10);
+    check('a rejected search uses no client quota', (await limiter.consume('alice', ['EMAIL'])).remaining === 1);
+    console.log('');
+}
+
+async function testSlidingWindow() {
+    console.log('🪟 Sliding window');
+
+    const store = new MemoryRateLimitStore();
+    const limiter = new RateLimiter(store, limits);
+    const now = Date.now();
+    store.buckets.set('ratelimit:alice', { times: [now - 70000, now - 50000, now - 5000], windowMs: 60000 });
+
+    const allowed = await limiter.consume('alice');
+    check('searches older than the window no longer count', allowed.remaining === 0);
+
+    const error = await rejection(limiter, 'alice');
+    check('capacity returns when the oldest search leaves the window', error !== null && error.retryAfter === 10);
+
+    const batch = await rejection(limiter, 'bob', ['EMAIL', 'EMAIL', 'EMAIL', 'EMAIL'], 4);
+    check('a batch larger than the quota can never fit', batch !== null && batch.retryAfter === null);
+    console.log('');
+}
+
+async function testAtomicity() {
+    console.log('⚛️  Concurrent requests');
+
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), limits);
+    const outcomes = await Promise.all(Array.from({ length: 6 }, () => rejection(limiter, 'alice')));
+    check('concurrent searches never exceed the quota', outcomes.filter(error => error === null).length === 3);
+
+    const fields = await Promise.all(Array.from({ length: 3 }, () => rejection(limiter, 'bob', ['SSN'])));
+    check('concurrent field searches never exceed the field quota', fields.filter(error => error === null).length === 1);
+    console.log('');
+}
+
+async function testQuotaLookups() {
+    console.log('🔎 Quota lookups');
+
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), limits);
+    check('inherited property is no client quota', (await limiter.consume('constructor')).limit === 3);
+    check('__proto__ gets the default quota', (await limiter.consume('__proto__')).remaining === 2);
+    check('inherited property is no field quota', limiter.fieldQuota('constructor') === null && limiter.fieldQuota('toString') === null);
+    console.log('');
+}
+
+async function testEviction() {
+    console.log('🧹 Idle buckets');
+
+    const store = new MemoryRateLimitStore({ sweepIntervalMs: 1000 });
+    const limiter = new RateLimiter(store, limits);
+    for (let i = 0; i < 50; i++) await limiter.consume(`client-${i}`, ['SSN']);
+    check('each client and field has a bucket', store.buckets.size === 100);
+
+    // Field buckets leave their 10s window first, client buckets their 60s window
+    store.sweep(Date.now() + 11000);
+    check('buckets past their window are swept', store.buckets.size === 50);
+    store.sweep(Date.now() + 61000);
+    check('nothing is kept for ids that are never seen again', store.buckets.size === 0);
+    console.log('');
+}
+
+// PIISearchAPI over in-memory stand-ins for Redis and the audit trail (nothing connects). The
+// module checks its connection settings when loaded, so unset ones get placeholders.
+function offlineSearchAPI(rateLimiter) {
+    for (const name of ['REDIS_HOST', 'REDIS_PORT', 'VAULT_ADDR', 'VAULT_TOKEN', 'DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT']) {
+        process.env[name] = process.env[name] || 'unused';
+    }
+    const { PIISearchAPI } = require('./src/pii-search-api.js');
+
+    // Every trigram key holds the same five tokens, enough to pass the k-anonymity threshold
+    const tokens = ['T1', 'T2', 'T3', 'T4', 'T5'];
+    const api = new PIISearchAPI();
+    api.regionKey = Buffer.alloc(32, 1);
+    api.rateLimiter = rateLimiter;
+    api.redisClient = {
+        sMembers: async () => tokens,
+        sInterStore: async () => tokens.length,
+        del: async () => 1,
+        hGetAll: async (key) => ({ recordId: key.slice('token:T'.length), fieldId: '1', valueHash: 'h', version: '1' })
+    };
+    api.auditTrail = { append: async () => ({ seq: 1 }) };
+    return api;
+}
+
+async function testSearchQuotas() {
+    console.log('🔍 Redis API searches');
+
+    const limiter = new RateLimiter(new MemoryRateLimitStore(), { ...limits, default: { limit: 10, windowSeconds: 60 } });
+    const api = offlineSearchAPI(limiter);
+    const { FIELD_IDS } = require('./src/pii-search-api.js');
+
+    const all = await api.search('john', { clientId: 'alice' });
+    check('search without fieldIds runs over every field', all.success && all.metadata.fieldsSearched.length === Object.keys(FIELD_IDS).length);
+    check('... and returns its results', all.success && all.results.length === 5);
+    const again = await api.search('john', { clientId: 'alice' });
+    check('search without fieldIds is not charged the SSN quota', again.success);
+
+    const ssn = await api.search('1234', { clientId: 'alice', fieldIds: [FIELD_IDS.SSN] });
+    check('search naming SSN is allowed once', ssn.success && ssn.metadata.fieldsSearched.join() === 'SSN');
+    const rejected = await api.search('1234', { clientId: 'alice', fieldIds: [FIELD_IDS.SSN] });
+    check('second search naming SSN is rejected by the field quota',
+        !rejected.success && rejected.rateLimit !== undefined && rejected.rateLimit.scope === 'field');
+    console.log('');
+}
+
+function testValidation() {
+    console.log('🧾 Limits validation');
+
+    const rejects = (value) => {
+        try {
+            validateRateLimits(value);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+
+    check('missing default quota is rejected', rejects({ fields: {} }));
+    check('zero limit is rejected', rejects({ default: { limit: 0, windowSeconds: 60 } }));
+    check('fractional window is rejected', rejects({ default: { limit: 1, windowSeconds: 1.5 }, fields: {} }));
+    check('shipped limits are valid', !rejects(loadRateLimits()));
+    console.log('');
+}
+
+async function testRateLimiter() {
+    run.start();
+
+    try {
+        await testClientQuota();
+        await testFieldQuota();
+        await testSlidingWindow();
+        await testAtomicity();
+        await testQuotaLookups();
+        await testEviction();
+        await testSearchQuotas();
+        testValidation();
+    } catch (error) {
+        run.abort(error);
+    }
+
+    run.summary('Every quota is enforced over its sliding window.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testRateLimiter().catch(console.error);
+}
+
+module.exports = { testRateLimiter };
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const http = require('http');
+const { HmacKeyring } = require('./src/hmac-keyring.js');
+const { FieldIndexKeys, getFieldAlias, parseIndexKey } = require('./src/field-index-keys.js');
+const { DEFAULT_TENANT, resolveTenantId } = require('./src/tenants.js');
+const { TestRun } = require('./test-harness.js');
+
+// Load environment variables
+require('dotenv').config();
+
+// Test that one tenant's query can never return another tenant's tokens
+// Parts 1 and 2 check the index keys and the request tenant (no services needed), parts 3 and 4
+// run real searches against Redis and PostgreSQL (the latter also through the HTTP server)
+
+const run = new TestRun('Testing Multi-Tenant Isolation');
+const { check } = run;
+
+const TENANTS = ['acme', 'globex'];
+
+// Checked before part 2 fills in placeholders for the server module
+const HAS_DATABASE = ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT'].every(name => process.env[name]);
+
+// Same PII value indexed for every tenant (worst case: identical plaintext)
+const TEST_RECORDS = [
+    { field: 'EMAIL', value: 'john.doe@example.com' },
+    { field: 'FIRST_NAME', value: 'John' },
+    { field: 'MOBILE_NUMBER', value: '9876543210' }
+];
+
+const SEARCHES = [
+    { field: 'EMAIL', op: 'eq', query: 'john.doe@example.com' },
+    { field: 'EMAIL', op: 'startsWith', query: 'john' },
+    { field: 'EMAIL', op: 'endsWith', query: 'example.com' },
+    { field: 'EMAIL', op: 'contains', query: 'doe@ex' },
+    { field: 'FIRST_NAME', op: 'eq', query: 'john' },
+    { field: 'MOBILE_NUMBER', op: 'startsWith', query: '987' }
+];
+
+// Part 1: tenant-scoped keys
+function testKeyIsolation() {
+    console.log('1️⃣  Tenant-scoped index keys');
+
+    const secret = crypto.randomBytes(32).toString('base64');
+    const keys = new FieldIndexKeys(HmacKeyring.fromSecret(secret));
+    const keyring = keys.keyring;
+
+    // The default tenant keeps the key format of data indexed before tenants existed
+    const defaultKey = keys.key('fn', 'eq', 'john');
+    const expectedHash = crypto.createHmac('sha256', secret).update('fn|john').digest('base64url');
+    check('default tenant keys are unchanged', defaultKey === `idx:v1:fn:eq:${expectedHash}`);
+    check('missing tenant resolves to the default tenant', keys.key('fn', 'eq', 'john', { tenantId: null }) === defaultKey);
+
+    for (const tenantId of TENANTS) {
+        const key = keys.key('fn', 'eq', 'john', { tenantId });
+        const parsed = parseIndexKey(key);
+
+        check(`${tenantId} keys carry the tenant (${key.split(':').slice(0, 3).join(':')}:...)`,
+            parsed && parsed.tenantId === tenantId && parsed.field === 'fn');
+        check(`${tenantId} hashes use a derived secret`, parsed && parsed.hash !== expectedHash);
+    }
+
+    // Two tenants indexing the same value share no key at all
+    for (const record of TEST_RECORDS) {
+        const field = getFieldAlias(record.field);
+        const keySets = [DEFAULT_TENANT, ...TENANTS].map(tenantId =>
+            new Set(keys.generateAllIndexKeys(field, record.value, { tenantId })));
+
+        const overlap = keySets.some((a, i) => keySets.some((b, j) => i !== j && [...a].some(key => b.has(key))));
+        check(`no shared keys across tenants for ${record.field}`, !overlap);
+    }
+
+    // The same value hashes differently per tenant, so hashes cannot be compared across tenants
+    const acmeHash = parseIndexKey(keys.key('fn', 'eq', 'john', { tenantId: 'acme' })).hash;
+    const globexHash = parseIndexKey(keys.key('fn', 'eq', 'john', { tenantId: 'globex' })).hash;
+    check('tenant hashes differ from each other', acmeHash !== globexHash);
+
+    // Derived secrets are stable per tenant and version
+    check('derived secret is stable', keyring.secretFor('v1', 'acme').equals(keyring.secretFor('v1', 'acme')));
+
+    // Tenant ids that could break out of the key segment are rejected
+    for (const invalid of ['acme:fn', '@acme', 'a b', '../x', 'x'.repeat(65)]) {
+        let rejected = false;
+        try {
+            resolveTenantId(invalid);
+        } catch (error) {
+            rejected = true;
+        }
+        check(`invalid tenant id rejected: "${invalid.length > 20 ? invalid.slice(0, 20) + '...' : invalid}"`, rejected);
+    }
+
+    console.log('');
+}
+
+// Part 2: tenant of an HTTP request, taken from the authenticated API client
+function testRequestTenants() {
+    console.log('2️⃣  Request tenants');
+
+    // The server module validates the DB settings on load; nothing here connects
+    for (const name of ['DB_USER', 'DB_HOST', 'DB_DATABASE', 'DB_PASSWORD', 'DB_PORT']) {
+        process.env[name] = process.env[name] || 'unused';
+    }
+    const { validateApiClients } = require('./src/api-clients.js');
+    const { resolveRequestTenant } = require('./src/pii-db-search-server.js');
+
+    const statusOf = (headers, body, client) => {
+        try {
+            return resolveRequestTenant(headers, body, client);
+        } catch (error) {
+            return error.statusCode;
+        }
+    };
+    const acmeClient = { clientId: 'acme-portal', role: null, tenants: ['acme'] };
+    const sharedClient = { clientId: 'shared-portal', role: null, tenants: ['acme', 'globex'] };
+
+    check('no key, no tenant → default tenant', statusOf({}, null, null) === DEFAULT_TENANT);
+    check('no key, other tenant → 401', statusOf({ 'x-tenant-id': 'acme' }, null, null) === 401);
+    check('no key, tenant in the body → 401', statusOf({}, { tenantId: 'acme' }, null) === 401);
+    check('client without a requested tenant → its tenant', statusOf({}, null, acmeClient) === 'acme');
+    check('client requesting its tenant → allowed', statusOf({ 'x-tenant-id': 'acme' }, null, acmeClient) === 'acme');
+    check('client requesting another tenant → 403', statusOf({ 'x-tenant-id': 'globex' }, null, acmeClient) === 403);
+    check('client requesting the default tenant it lacks → 403', statusOf({ 'x-tenant-id': DEFAULT_TENANT }, null, acmeClient) === 403);
+    check('client with several tenants must pick one → 400', statusOf({}, null, sharedClient) === 400);
+    check('client with several tenants picks one', statusOf({}, { tenantId: 'globex' }, sharedClient) === 'globex');
+
+    const registryWith = (tenants) => ({ version: 1, clients: { portal: { keySha256: 'a'.repeat(64), tenants } } });
+    for (const [label, tenants] of [['empty', []], ['invalid id', ['Acme:1']], ['duplicate', ['acme', 'acme']], ['not a list', 'acme']]) {
+        let rejected = false;
+        try {
+            validateApiClients(registryWith(tenants));
+        } catch (error) {
+            rejected = true;
+        }
+        check(`client tenants rejected: ${label}`, rejected);
+    }
+
+    console.log('');
+}
+
+// Part 3: searches against Redis
+async function testRedisIsolation() {
+    console.log('3️⃣  Tenant-scoped Redis searches');
+
+    if (!process.env.REDIS_HOST || !process.env.REDIS_PORT) {
+        console.log('   ⚠️  REDIS_HOST/REDIS_PORT not set - skipping Redis searches\n');
+        return;
+    }
+
+    // Required lazily: the indexer validates its environment on construction
+    const { FieldAwareRedisIndexer } = require('./src/field-aware-redis-indexer.js');
+
+    // Throwaway secret so the test never touches keys of real data
+    const indexer = new FieldAwareRedisIndexer({}, crypto.randomBytes(32).toString('base64'));
+    const runId = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const tokensByTenant = new Map();
+
+    try {
+        await indexer.initialize();
+
+        for (const tenantId of [DEFAULT_TENANT, ...TENANTS]) {
+            const tokens = new Set();
+            for (const record of TEST_RECORDS) {
+                const token = `TKN_TEST_${runId}_${tenantId.toUpperCase()}_${record.field}`;
+                await indexer.indexFieldValue(record.field, record.value, token, tenantId);
+                tokens.add(token);
+            }
+            tokensByTenant.set(tenantId, tokens);
+        }
+
+        for (const tenantId of tokensByTenant.keys()) {
+            const ownTokens = tokensByTenant.get(tenantId);
+
+            for (const search of SEARCHES) {
+                const results = await indexer.search(search.field, search.op, search.query, tenantId);
+                const foreign = results.filter(token => !ownTokens.has(token));
+
+                check(`${tenantId}: ${search.field} ${search.op} "${search.query}" → ${results.length} own, ${foreign.length} foreign`,
+                    results.length > 0 && foreign.length === 0);
+            }
+
+            const conditions = [
+                { field: 'EMAIL', operation: 'contains', value: 'john' },
+                { field: 'FIRST_NAME', operation: 'equals', value: 'john' }
+            ];
+            const complex = await indexer.executeComplexQuery(conditions, 'OR', tenantId, { level: 'token' });
+            check(`${tenantId}: complex OR query returns only own tokens`,
+                complex.length > 0 && complex.every(token => ownTokens.has(token)));
+
+            // Person level: both field tokens belong to the tenant's one test subject
+            const subjects = await indexer.executeComplexQuery(conditions, 'AND', tenantId);
+            check(`${tenantId}: cross-field AND query returns only the own subject`,
+                subjects.length === 1 && subjects[0] === `TKN_TEST_${runId}_${tenantId.toUpperCase()}`);
+        }
+
+        // Index statistics only count the tenant's own keys
+        const stats = await indexer.getStats('acme');
+        check('acme index statistics only count acme keys',
+            stats.totalKeys > 0 && Object.keys(stats.keysByTenant).join(',') === 'acme');
+
+        // A tenant without data finds nothing, even for values other tenants have indexed
+        const empty = await indexer.search('EMAIL', 'eq', 'john.doe@example.com', `empty-${runId.toLowerCase()}`);
+        check('tenant without data finds nothing', empty.length === 0);
+    } finally {
+        for (const tokens of tokensByTenant.values()) {
+            for (const token of tokens) {
+                await indexer.removeToken(token).catch(() => {});
+            }
+        }
+        await indexer.close();
+    }
+
+    console.log('');
+}
+
+// POST a JSON body to the test server: { status, body }
+function postJson(server, path, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers }
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+// Part 4: searches against PostgreSQL, through PIIDatabaseSearchAPI and the HTTP server
+async function testDatabaseIsolation() {
+    console.log('4️⃣  Tenant-scoped PostgreSQL searches');
+
+    if (!HAS_DATABASE) {
+        console.log('   ⚠️  DB_USER/DB_HOST/DB_DATABASE/DB_PASSWORD/DB_PORT not set - skipping PostgreSQL searches\n');
+        return;
+    }
+
+    // The indexer checks the Vault settings on load; values are indexed directly, so Vault is never called
+    for (const name of ['VAULT_ADDR', 'VAULT_TOKEN']) {
+        process.env[name] = process.env[name] || 'unused';
+    }
+    const { Client } = require('pg');
+    const { PIIDatabaseSearchIndexer } = require('./src/pii-db-search-indexer.js');
+    const { PIIDatabaseSearchAPI, searchConfig } = require('./src/pii-db-search-api.js');
+    const { PIIDatabaseSearchServer } = require('./src/pii-db-search-server.js');
+    const { ApiClientRegistry, hashApiKey, generateApiKey } = require('./src/api-clients.js');
+    const { RateLimiter, MemoryRateLimitStore } = require('./src/rate-limiter.js');
+
+    const dbClient = new Client({
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST,
+        database: process.env.DB_DATABASE,
+        password: process.env.DB_PASSWORD,
+        port: parseInt(process.env.DB_PORT)
+    });
+
+    // Throwaway secret so the test never touches keys of real data; test searches are not audited
+    const keyring = HmacKeyring.fromSecret(crypto.randomBytes(32).toString('base64'));
+    const keys = new FieldIndexKeys(keyring);
+    const indexer = Object.assign(new PIIDatabaseSearchIndexer(), { dbClient, keyring, keys });
+    const api = Object.assign(new PIIDatabaseSearchAPI(), {
+        dbClient,
+        keyring,
+        keys,
+        auditTrail: { append: async () => ({ seq: 0 }) },
+        rateLimiter: new RateLimiter(new MemoryRateLimitStore(), { version: 1, default: { limit: 1000, windowSeconds: 60 } })
+    });
+
+    // One API client per tenant
+    const apiKeys = new Map([DEFAULT_TENANT, ...TENANTS].map(tenantId => [tenantId, generateApiKey()]));
+    const clients = new ApiClientRegistry({
+        version: 1,
+        clients: Object.fromEntries(Array.from(apiKeys, ([tenantId, apiKey]) =>
+            [`${tenantId}-portal`, { keySha256: hashApiKey(apiKey), tenants: [tenantId] }]))
+    });
+    const server = new PIIDatabaseSearchServer(api, {}, null, clients);
+    const httpServer = http.createServer((req, res) => server.handleRequest(req, res));
+
+    // Enough subjects per tenant for results to pass k-anonymity on the HTTP routes
+    const subjectCount = searchConfig.minResultSize;
+    const runId = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const prefixOf = tenantId => `TKN_TEST_${runId}_${tenantId.toUpperCase()}_`;
+    const indexedTokens = [];
+    let connected = false;
+
+    try {
+        await dbClient.connect();
+        connected = true;
+        await indexer.verifyIndexTable();
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+
+        for (const tenantId of apiKeys.keys()) {
+            for (let subject = 0; subject < subjectCount; subject++) {
+                for (const record of TEST_RECORDS) {
+                    const token = `${prefixOf(tenantId)}${subject}_${record.field}`;
+                    await indexer.indexFieldValue(record.field, record.value, token, tenantId);
+                    indexedTokens.push(token);
+                }
+            }
+        }
+
+        for (const [tenantId, apiKey] of apiKeys) {
+            const isOwn = token => token.startsWith(prefixOf(tenantId));
+
+            for (const search of SEARCHES) {
+                const results = await api.search(search.field, search.op, search.query, tenantId);
+                check(`${tenantId}: ${search.field} ${search.op} "${search.query}" → ${results.length} own, ${results.filter(token => !isOwn(token)).length} foreign`,
+                    results.length === subjectCount && results.every(isOwn));
+            }
+
+            // Multi-gram contains: intersected by searchTokensIntersection
+            const contains = await api.searchTokensIntersection(keys.keysFor('email', 'contains', 'doe@ex', { tenantId }), tenantId);
+            check(`${tenantId}: posting list intersection returns only own tokens`,
+                contains.size === subjectCount && Array.from(contains).every(isOwn));
+
+            // Fuzzy: gram counts by countGramMatches
+            const fuzzy = await api.searchFieldFuzzy('FIRST_NAME', 'john', tenantId);
+            check(`${tenantId}: fuzzy search returns only own tokens`,
+                fuzzy.length === subjectCount && fuzzy.every(({ token }) => isOwn(token)));
+
+            const expression = await api.executeQueryExpression('email contains "john" AND fn eq "john"', tenantId);
+            check(`${tenantId}: query expression returns only own subjects`,
+                expression.length === subjectCount && expression.every(isOwn));
+
+            // The same searches over HTTP with the tenant's API key
+            const headers = { 'X-Api-Key': apiKey };
+            const returnsOwn = response => response.status === 200 &&
+                response.body.result.tokens.length === subjectCount && response.body.result.tokens.every(isOwn);
+
+            const searchResponse = await postJson(httpServer, '/search', headers, { query: 'doe@ex', fieldType: 'EMAIL', queryType: 'contains' });
+            check(`${tenantId}: POST /search returns only own tokens`, returnsOwn(searchResponse));
+
+            const fuzzyResponse = await postJson(httpServer, '/search', headers, { query: 'john', fieldType: 'FIRST_NAME', queryType: 'fuzzy' });
+            check(`${tenantId}: POST /search (fuzzy) returns only own tokens`, returnsOwn(fuzzyResponse));
+
+            const queryResponse = await postJson(httpServer, '/search/query', headers, { expression: 'email contains "doe@ex" OR phone startsWith "987"' });
+            check(`${tenantId}: POST /search/query returns only own subjects`, returnsOwn(queryResponse));
+
+            // Naming another tenant with this key is refused before any search runs
+            const other = [DEFAULT_TENANT, ...TENANTS].find(id => id !== tenantId);
+            const forbidden = await postJson(httpServer, '/search', { ...headers, 'X-Tenant-Id': other }, { query: 'doe@ex', fieldType: 'EMAIL', queryType: 'contains' });
+            check(`${tenantId}: key used for tenant ${other} → 403`, forbidden.status === 403);
+        }
+
+        // Without a key only the default tenant can be searched
+        const anonymous = await postJson(httpServer, '/search', { 'X-Tenant-Id': 'acme' }, { query: 'doe@ex', fieldType: 'EMAIL', queryType: 'contains' });
+        check('no API key, tenant acme → 401', anonymous.status === 401);
+    } finally {
+        if (httpServer.listening) {
+            await new Promise(resolve => httpServer.close(resolve));
+        }
+        if (connected) {
+            for (const token of indexedTokens) {
+                await indexer.removeToken(token).catch(() => {});
+            }
+            await dbClient.end();
+        }
+    }
+
+    console.log('');
+}
+
+async function testTenantIsolation() {
+    run.start();
+
+    try {
+        testKeyIsolation();
+        testRequestTenants();
+        await testRedisIsolation();
+        await testDatabaseIsolation();
+    } catch (error) {
+        run.abort(error);
+        console.log('\nPre-requisites:');
+        console.log('1. Start Redis server: redis-server');
+        console.log('2. Set REDIS_HOST and REDIS_PORT in .env');
+        console.log('3. Set the DB_* variables in .env and create the search tables (sql/create_pii_search_index.sql, sql/add_tenant_columns.sql)');
+    }
+
+    run.summary('Tenant isolation verified: no query returned another tenant\'s tokens.');
+}
+
+// Handle command line execution
+if (require.main === module) {
+    testTenantIsolation().catch(console.error);
+}
+
+module.exports = { testTenantIsolation };